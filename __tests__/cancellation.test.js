@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Ride = require('../models/Ride');
+const {
+  quoteRiderCancellation,
+  quoteDriverCancellation,
+  startOfLocalDay,
+  countDriverCancellationsToday
+} = require('../utils/cancellation');
+
+const now = new Date('2026-10-18T10:00:00Z');
+const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+
+// Built-in defaults: 2 free minutes, 10% capped at ₹50, ₹50 no-show after
+// 5 minutes, ₹25 driver penalty after one free cancellation a day
+const policy = () => new CancellationPolicy({});
+
+const buildRide = (fields = {}) => ({
+  status: 'accepted',
+  updatedAt: minutesAgo(5),
+  pricing: { finalAmount: 300 },
+  pickup: { coordinates: { type: 'Point', coordinates: [77.5946, 12.9716] } },
+  statusHistory: [],
+  dispatch: { offers: [] },
+  ...fields
+});
+
+const arrivedRide = (waitedMinutes) => buildRide({
+  status: 'arrived',
+  statusHistory: [{ status: 'arrived', timestamp: minutesAgo(waitedMinutes) }]
+});
+
+describe('quoteRiderCancellation', () => {
+  it('is free before a driver is assigned', () => {
+    expect(quoteRiderCancellation(buildRide({ status: 'searching' }), policy(), { now }))
+      .toEqual({ fee: 0, rule: 'no_driver_assigned' });
+  });
+
+  it('is free within the window after the driver accepted', () => {
+    expect(quoteRiderCancellation(buildRide({ updatedAt: minutesAgo(1) }), policy(), { now }))
+      .toEqual({ fee: 0, rule: 'free_window' });
+  });
+
+  it('charges a late cancellation, capped at the maximum fee', () => {
+    expect(quoteRiderCancellation(buildRide(), policy(), { now }))
+      .toEqual({ fee: 30, rule: 'late_cancellation' });
+    expect(quoteRiderCancellation(buildRide({ pricing: { finalAmount: 1000 } }), policy(), { now }))
+      .toEqual({ fee: 50, rule: 'late_cancellation' });
+  });
+
+  it('only charges once the driver is near when a distance is configured', () => {
+    const nearPolicy = new CancellationPolicy({ rider: { chargeWithinMeters: 500 } });
+
+    expect(quoteRiderCancellation(buildRide(), nearPolicy, { driverLocation: [77.6446, 12.9716], now }))
+      .toEqual({ fee: 0, rule: 'driver_not_near' });
+    expect(quoteRiderCancellation(buildRide(), nearPolicy, { driverLocation: [77.5950, 12.9716], now }))
+      .toEqual({ fee: 30, rule: 'late_cancellation' });
+  });
+
+  it('charges the no-show fee once the driver has waited long enough', () => {
+    expect(quoteRiderCancellation(arrivedRide(2), policy(), { now }))
+      .toEqual({ fee: 30, rule: 'driver_arrived' });
+    expect(quoteRiderCancellation(arrivedRide(6), policy(), { now }))
+      .toEqual({ fee: 50, rule: 'no_show' });
+  });
+});
+
+describe('quoteDriverCancellation', () => {
+  it('only accepts a no-show after the driver arrived and waited', () => {
+    expect(quoteDriverCancellation(buildRide(), policy(), 'rider_no_show', { now }))
+      .toMatchObject({ allowed: false, message: 'Mark yourself as arrived before reporting a no-show' });
+    expect(quoteDriverCancellation(arrivedRide(3), policy(), 'rider_no_show', { now }))
+      .toMatchObject({ allowed: false, message: 'You can report a no-show after waiting 5 minutes' });
+  });
+
+  it('ends a genuine no-show and charges the rider instead of the driver', () => {
+    expect(quoteDriverCancellation(arrivedRide(6), policy(), 'rider_no_show', { now })).toEqual({
+      allowed: true,
+      redispatch: false,
+      penalty: 0,
+      riderFee: 50,
+      rule: 'no_show'
+    });
+  });
+
+  it('lets the first cancellation of the day go and penalises the next', () => {
+    expect(quoteDriverCancellation(buildRide(), policy(), 'vehicle_issue', { cancellationsToday: 0, now }))
+      .toMatchObject({ allowed: true, redispatch: true, penalty: 0, rule: 'driver_allowance' });
+    expect(quoteDriverCancellation(buildRide(), policy(), 'vehicle_issue', { cancellationsToday: 1, now }))
+      .toMatchObject({ allowed: true, redispatch: true, penalty: 25, rule: 'driver_penalty' });
+  });
+
+  it('never penalises an excused reason', () => {
+    expect(quoteDriverCancellation(buildRide(), policy(), 'unsafe_pickup', { cancellationsToday: 3, now }))
+      .toMatchObject({ penalty: 0, rule: 'excused' });
+  });
+});
+
+describe('driver cancellations today', () => {
+  const timezone = process.env.APP_TIMEZONE;
+
+  afterEach(() => {
+    process.env.APP_TIMEZONE = timezone;
+    if (timezone === undefined) {
+      delete process.env.APP_TIMEZONE;
+    }
+    jest.restoreAllMocks();
+  });
+
+  it('starts the day at midnight in the app timezone', () => {
+    delete process.env.APP_TIMEZONE;
+
+    // 01:30 on the 19th in India is still the 18th in UTC
+    expect(startOfLocalDay(new Date('2026-10-18T20:00:00.123Z'))).toEqual(new Date('2026-10-18T18:30:00Z'));
+    expect(startOfLocalDay(now)).toEqual(new Date('2026-10-17T18:30:00Z'));
+  });
+
+  it('follows APP_TIMEZONE', () => {
+    process.env.APP_TIMEZONE = 'UTC';
+
+    expect(startOfLocalDay(new Date('2026-10-18T20:00:00Z'))).toEqual(new Date('2026-10-18T00:00:00Z'));
+  });
+
+  it('counts the driver\'s cancellations since then', async () => {
+    delete process.env.APP_TIMEZONE;
+    const driverId = new mongoose.Types.ObjectId();
+    jest.spyOn(Ride, 'countDocuments').mockResolvedValue(2);
+
+    await expect(countDriverCancellationsToday(driverId, now)).resolves.toBe(2);
+    expect(Ride.countDocuments).toHaveBeenCalledWith({
+      driverCancellations: {
+        $elemMatch: { driver: driverId, cancelledAt: { $gte: new Date('2026-10-17T18:30:00Z') } }
+      }
+    });
+  });
+});
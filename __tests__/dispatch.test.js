@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/email', () => ({
+  sendRideConfirmationEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+jest.mock('../utils/sms', () => ({
+  sendDeliveryPinSMS: jest.fn()
+}));
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendDeliveryPinSMS } = require('../utils/sms');
+const { acceptRide, redispatchRide, sendDeliveryPin } = require('../utils/dispatch');
+
+// A query that resolves to `value` whether or not it's narrowed first
+const query = (value) => {
+  const result = Promise.resolve(value);
+  result.select = () => result;
+  result.populate = () => result;
+  return result;
+};
+
+describe('acceptRide', () => {
+  const rideId = new mongoose.Types.ObjectId();
+  const riderId = new mongoose.Types.ObjectId();
+  const firstDriver = { _id: new mongoose.Types.ObjectId(), driverInfo: { vehicleType: 'Car' } };
+  const secondDriver = { _id: new mongoose.Types.ObjectId(), driverInfo: { vehicleType: 'Car' } };
+
+  let acceptedBy;
+  let serviceType;
+
+  beforeEach(() => {
+    acceptedBy = null;
+    serviceType = 'Ride';
+
+    jest.spyOn(User, 'findOneAndUpdate').mockImplementation((filter) => query({
+      _id: filter._id,
+      fullName: 'Test Driver',
+      phone: '9876543210',
+      driverInfo: { vehicleType: 'Car', vehicleNumber: 'KA01AB1234', rating: 4.8 }
+    }));
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(Ride, 'exists').mockResolvedValue(null);
+    jest.spyOn(Notification.prototype, 'save').mockResolvedValue();
+
+    // The conditional accept: only the first update that finds the ride
+    // searching with no driver gets it
+    jest.spyOn(Ride, 'findOneAndUpdate').mockImplementation((filter, update) => {
+      if (filter.status !== 'searching' || filter.driver !== null || acceptedBy) {
+        return query(null);
+      }
+      acceptedBy = update.$set.driver;
+      return query({
+        _id: rideId,
+        user: { _id: riderId, fullName: 'Test Rider', email: 'rider@example.com' },
+        driver: acceptedBy,
+        status: 'accepted',
+        rideType: 'Car',
+        serviceType,
+        delivery: { recipientPhone: '9123456780' },
+        pickup: { address: 'MG Road' },
+        destination: { address: 'Indiranagar' },
+        pricing: { finalAmount: 180 },
+        dispatch: { offers: [] }
+      });
+    });
+    jest.spyOn(Ride, 'findById').mockImplementation(() => Promise.resolve({
+      _id: rideId,
+      driver: acceptedBy,
+      status: acceptedBy ? 'accepted' : 'searching',
+      rideType: 'Car',
+      dispatch: { offers: [] }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('gives the ride to exactly one of two drivers accepting at once', async () => {
+    const io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+
+    const results = await Promise.all([
+      acceptRide(io, rideId, firstDriver),
+      acceptRide(io, rideId, secondDriver)
+    ]);
+
+    expect(results.map(result => result.success)).toEqual([true, false]);
+    expect(results[1]).toMatchObject({ statusCode: 409, code: 'RIDE_TAKEN' });
+    expect(acceptedBy).toBe(firstDriver._id);
+    // The loser is put back in the pool and told the ride is gone
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: secondDriver._id },
+      expect.objectContaining({ 'driverInfo.isAvailable': true })
+    );
+    expect(io.to).toHaveBeenCalledWith(`user_${secondDriver._id}`);
+  });
+
+  it('only matches a ride with no driver, the driver\'s vehicle type and an open offer', async () => {
+    await acceptRide(null, rideId, firstDriver);
+
+    const [filter, update] = Ride.findOneAndUpdate.mock.calls.find(([candidate]) => candidate.status === 'searching');
+    expect(filter).toMatchObject({
+      _id: rideId,
+      driver: null,
+      rideType: 'Car',
+      'dispatch.offers': { $elemMatch: { driver: firstDriver._id, outcome: 'offered' } }
+    });
+    expect(update.$set).toMatchObject({ driver: firstDriver._id, status: 'accepted', 'dispatch.outcome': 'matched' });
+    expect(update.$push.statusHistory).toMatchObject({ from: 'searching', status: 'accepted', actor: 'driver' });
+  });
+
+  it('refuses a driver who is not available without touching the ride', async () => {
+    User.findOneAndUpdate.mockImplementation(() => query(null));
+
+    const result = await acceptRide(null, rideId, firstDriver);
+
+    expect(result).toMatchObject({ success: false, statusCode: 409, code: 'DRIVER_UNAVAILABLE' });
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('releases a driver who already has an active ride', async () => {
+    Ride.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const result = await acceptRide(null, rideId, firstDriver);
+
+    expect(result).toMatchObject({ success: false, code: 'DRIVER_BUSY' });
+    expect(Ride.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: firstDriver._id },
+      expect.objectContaining({ 'driverInfo.isAvailable': true })
+    );
+  });
+
+  it('saves a delivery PIN before texting it', async () => {
+    serviceType = 'Delivery';
+    jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    const result = await acceptRide(null, rideId, firstDriver);
+
+    expect(result.success).toBe(true);
+    expect(Ride.updateOne).toHaveBeenCalledWith({ _id: rideId }, expect.objectContaining({
+      $set: {
+        'verification.deliveryPin': expect.stringMatching(/^\d{4}$/),
+        'verification.deliveryPinAttempts': 0,
+        'verification.deliveryPinSentAt': null
+      }
+    }));
+    const claim = Ride.findOneAndUpdate.mock.calls.findIndex(([filter]) => 'verification.deliveryPin' in filter);
+    expect(Ride.updateOne.mock.invocationCallOrder[0])
+      .toBeLessThan(Ride.findOneAndUpdate.mock.invocationCallOrder[claim]);
+  });
+});
+
+describe('sendDeliveryPin', () => {
+  const rideId = new mongoose.Types.ObjectId();
+  const now = new Date('2026-10-18T10:00:00Z');
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Ride, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('texts the saved PIN and records when it went out', async () => {
+    jest.spyOn(Ride, 'findOneAndUpdate').mockReturnValue(query({
+      delivery: { recipientPhone: '9123456780' },
+      verification: { deliveryPin: '4821', deliveryPinSentAt: null }
+    }));
+    sendDeliveryPinSMS.mockResolvedValue({ success: true });
+
+    const result = await sendDeliveryPin(rideId, 'Test Rider', now);
+
+    expect(result).toEqual({ success: true, sentAt: now });
+    expect(sendDeliveryPinSMS).toHaveBeenCalledWith('9123456780', '4821', { senderName: 'Test Rider' });
+    const [filter, update] = Ride.findOneAndUpdate.mock.calls[0];
+    expect(filter.$or).toEqual([
+      { 'verification.deliveryPinSentAt': null },
+      { 'verification.deliveryPinSentAt': { $lte: new Date('2026-10-18T09:59:00Z') } }
+    ]);
+    expect(update.$set).toEqual({ 'verification.deliveryPinSentAt': now });
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('gives the send back when the SMS fails, so it can be retried', async () => {
+    const previous = new Date('2026-10-18T09:50:00Z');
+    jest.spyOn(Ride, 'findOneAndUpdate').mockReturnValue(query({
+      delivery: { recipientPhone: '9123456780' },
+      verification: { deliveryPin: '4821', deliveryPinSentAt: previous }
+    }));
+    sendDeliveryPinSMS.mockResolvedValue({ success: false, error: 'Provider down' });
+
+    const result = await sendDeliveryPin(rideId, 'Test Rider', now);
+
+    expect(result).toMatchObject({ success: false, statusCode: 502 });
+    expect(Ride.updateOne).toHaveBeenCalledWith(
+      { _id: rideId, 'verification.deliveryPinSentAt': now },
+      { $set: { 'verification.deliveryPinSentAt': previous }, $inc: { __v: 1 } }
+    );
+  });
+
+  it('refuses to send again within the cooldown', async () => {
+    jest.spyOn(Ride, 'findOneAndUpdate').mockReturnValue(query(null));
+
+    const result = await sendDeliveryPin(rideId, 'Test Rider', now);
+
+    expect(result).toMatchObject({ success: false, statusCode: 429 });
+    expect(sendDeliveryPinSMS).not.toHaveBeenCalled();
+  });
+});
+
+describe('redispatchRide', () => {
+  const driverId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('puts the cancelling driver back in the pool and searches again', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    // The next round finds nothing to reload and stops
+    jest.spyOn(Ride, 'findById').mockResolvedValue(null);
+    const ride = {
+      _id: new mongoose.Types.ObjectId(),
+      driver: driverId,
+      driverCancellations: [],
+      verification: {},
+      dispatch: {},
+      transitionTo: jest.fn(),
+      save: jest.fn().mockResolvedValue()
+    };
+
+    await redispatchRide(null, ride, { reason: 'vehicle_issue', penalty: 25 });
+
+    expect(ride.driver).toBeNull();
+    expect(ride.driverCancellations[0]).toMatchObject({ driver: driverId, reason: 'vehicle_issue', penalty: 25 });
+    expect(ride.transitionTo).toHaveBeenCalledWith('searching', expect.objectContaining({ actor: 'driver' }));
+    expect(User.updateOne).toHaveBeenCalledWith(
+      { _id: driverId },
+      expect.objectContaining({ 'driverInfo.isAvailable': true })
+    );
+    expect(ride.save.mock.invocationCallOrder[0]).toBeLessThan(User.updateOne.mock.invocationCallOrder[0]);
+  });
+});
@@ -0,0 +1,46 @@
+const express = require('express');
+const request = require('supertest');
+const errorHandler = require('../middleware/errorHandler');
+const { assertTransition } = require('../utils/rideStateMachine');
+
+describe('errorHandler', () => {
+  const app = express();
+  app.post('/rides/:status/complete', (req, res, next) => {
+    try {
+      assertTransition(req.params.status, 'completed', 'driver');
+      res.json({ status: 'success' });
+    } catch (error) {
+      next(error);
+    }
+  });
+  app.get('/boom', () => {
+    throw Object.assign(new Error('Socket hang up'), { code: 'ECONNRESET' });
+  });
+  app.use(errorHandler);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('answers a refused status change with 409 and its code', async () => {
+    const res = await request(app).post('/rides/accepted/complete');
+
+    expect(res.status).toBe(409);
+    expect(res.body).toEqual({
+      status: 'error',
+      message: 'Cannot move a ride from accepted to completed',
+      code: 'INVALID_TRANSITION'
+    });
+  });
+
+  it('does not pass other error codes through', async () => {
+    const res = await request(app).get('/boom');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ status: 'error', message: 'Socket hang up' });
+  });
+});
@@ -0,0 +1,53 @@
+const FareConfig = require('../models/FareConfig');
+
+describe('FareConfig.ensureDefaults', () => {
+  beforeEach(() => {
+    jest.spyOn(FareConfig, 'create').mockImplementation(async (fields) => fields);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('creates every default city config when none exist', async () => {
+    jest.spyOn(FareConfig, 'exists').mockResolvedValue(null);
+
+    const created = await FareConfig.ensureDefaults();
+
+    expect(created).toHaveLength(FareConfig.DEFAULT_FARE_CONFIGS.length);
+    expect(FareConfig.create).toHaveBeenCalledWith(expect.objectContaining({
+      city: FareConfig.DEFAULT_CITY,
+      vehicleType: 'Car',
+      serviceType: 'Ride',
+      baseFare: 50,
+      effectiveFrom: new Date(0)
+    }));
+  });
+
+  it('leaves configs that already exist alone', async () => {
+    jest.spyOn(FareConfig, 'exists').mockImplementation(async ({ vehicleType }) => (
+      vehicleType === 'Car' ? { _id: 'car-config' } : null
+    ));
+
+    const created = await FareConfig.ensureDefaults();
+
+    expect(created.map(config => config.vehicleType)).not.toContain('Car');
+    expect(created).toHaveLength(FareConfig.DEFAULT_FARE_CONFIGS.length - 1);
+  });
+
+  it('treats a config created by another instance as done', async () => {
+    jest.spyOn(FareConfig, 'exists').mockResolvedValue(null);
+    FareConfig.create.mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: 11000 }));
+
+    const created = await FareConfig.ensureDefaults();
+
+    expect(created).toHaveLength(FareConfig.DEFAULT_FARE_CONFIGS.length - 1);
+  });
+
+  it('passes other errors on', async () => {
+    jest.spyOn(FareConfig, 'exists').mockResolvedValue(null);
+    FareConfig.create.mockRejectedValueOnce(new Error('Validation failed'));
+
+    await expect(FareConfig.ensureDefaults()).rejects.toThrow('Validation failed');
+  });
+});
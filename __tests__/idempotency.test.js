@@ -0,0 +1,184 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../models/IdempotencyKey', () => ({
+  create: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const IdempotencyKey = require('../models/IdempotencyKey');
+const { idempotent } = require('../middleware/idempotency');
+
+const userId = '64b000000000000000000001';
+
+const buildApp = (handler) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: userId };
+    next();
+  });
+  app.post('/api/payment/tip', idempotent, handler);
+  return app;
+};
+
+// The key is already taken: remember the hash of the retried request, then
+// return the stored record built from it
+const keyTaken = (record) => {
+  IdempotencyKey.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+  IdempotencyKey.findOneAndUpdate.mockImplementation(async (filter, update) => {
+    IdempotencyKey.findOne.mockResolvedValue(record(update.$set.requestHash));
+    return null;
+  });
+};
+
+describe('idempotent middleware', () => {
+  let handler;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    IdempotencyKey.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    IdempotencyKey.deleteOne.mockResolvedValue({ deletedCount: 1 });
+    handler = jest.fn((req, res) => res.status(201).json({ status: 'success', data: { amount: req.body.amount } }));
+  });
+
+  it('runs requests without an Idempotency-Key as usual', async () => {
+    const res = await request(buildApp(handler)).post('/api/payment/tip').send({ amount: 20 });
+
+    expect(res.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects an empty key', async () => {
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', ' ')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(400);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('stores the first response under the key', async () => {
+    IdempotencyKey.create.mockImplementation(async (fields) => ({ _id: 'record-1', ...fields }));
+
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(201);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(IdempotencyKey.create).toHaveBeenCalledWith(expect.objectContaining({
+      user: userId,
+      key: 'tip-1',
+      method: 'POST',
+      path: '/api/payment/tip',
+      status: 'processing'
+    }));
+    expect(IdempotencyKey.updateOne).toHaveBeenCalledWith(
+      { _id: 'record-1' },
+      { $set: { status: 'completed', response: { statusCode: 201, body: { status: 'success', data: { amount: 20 } } } } }
+    );
+  });
+
+  it('releases the key when the request fails on our side', async () => {
+    IdempotencyKey.create.mockImplementation(async (fields) => ({ _id: 'record-1', ...fields }));
+    handler.mockImplementation((req, res) => res.status(500).json({ status: 'error', message: 'Boom' }));
+
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(500);
+    expect(IdempotencyKey.deleteOne).toHaveBeenCalledWith({ _id: 'record-1' });
+    expect(IdempotencyKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('returns 422 when the key was used for a different body', async () => {
+    keyTaken(() => ({ requestHash: 'hash-of-another-body', status: 'completed' }));
+
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 50 });
+
+    expect(res.status).toBe(422);
+    expect(res.body.message).toBe('Idempotency-Key was already used for a different request');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 while the first request is still in progress', async () => {
+    keyTaken(requestHash => ({ requestHash, status: 'processing' }));
+
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('returns 409 when the key was released between the claim and the read', async () => {
+    keyTaken(() => null);
+
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(409);
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('replays the stored response once the first request completed', async () => {
+    keyTaken(requestHash => ({
+      requestHash,
+      status: 'completed',
+      response: { statusCode: 201, body: { status: 'success', data: { amount: 20 } } }
+    }));
+
+    const res = await request(buildApp(handler))
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 20 });
+
+    expect(res.status).toBe(201);
+    expect(res.headers['idempotent-replayed']).toBe('true');
+    expect(res.body).toEqual({ status: 'success', data: { amount: 20 } });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('hashes the body with sorted keys, so reordered fields still replay', async () => {
+    let firstHash;
+    IdempotencyKey.create.mockImplementationOnce(async (fields) => {
+      firstHash = fields.requestHash;
+      return { _id: 'record-1', ...fields };
+    });
+    const app = buildApp(handler);
+    await request(app)
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ amount: 20, method: 'wallet' });
+
+    keyTaken(() => ({
+      requestHash: firstHash,
+      status: 'completed',
+      response: { statusCode: 201, body: { replayed: true } }
+    }));
+    const res = await request(app)
+      .post('/api/payment/tip')
+      .set('Idempotency-Key', 'tip-1')
+      .send({ method: 'wallet', amount: 20 });
+
+    expect(res.status).toBe(201);
+    expect(res.body).toEqual({ replayed: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
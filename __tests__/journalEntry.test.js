@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const JournalEntry = require('../models/JournalEntry');
+
+const line = (accountType, amounts) => ({
+  account: new mongoose.Types.ObjectId(),
+  accountType,
+  ...amounts
+});
+
+const buildEntry = (lines) => new JournalEntry({
+  kind: 'wallet_topup',
+  reference: `topup:${new mongoose.Types.ObjectId()}`,
+  lines
+});
+
+describe('JournalEntry balancing', () => {
+  it('accepts an entry whose debits equal its credits', async () => {
+    const entry = buildEntry([
+      line('gateway_clearing', { debit: 150.5 }),
+      line('rider_wallet', { credit: 150.5 })
+    ]);
+
+    await expect(entry.validate()).resolves.toBeUndefined();
+  });
+
+  it('compares totals in paise, so float sums still balance', async () => {
+    const entry = buildEntry([
+      line('rider_receivable', { debit: 0.3 }),
+      line('driver_payable', { credit: 0.1 }),
+      line('platform_commission', { credit: 0.2 })
+    ]);
+
+    await expect(entry.validate()).resolves.toBeUndefined();
+  });
+
+  it('rejects an entry that is out by a paisa', async () => {
+    const entry = buildEntry([
+      line('rider_receivable', { debit: 100 }),
+      line('driver_payable', { credit: 99.99 })
+    ]);
+
+    await expect(entry.validate()).rejects.toThrow('Journal entry does not balance (debits 100, credits 99.99)');
+  });
+
+  it('rejects a line with both a debit and a credit', async () => {
+    const entry = buildEntry([
+      line('rider_wallet', { debit: 50, credit: 50 }),
+      line('gateway_clearing', { debit: 10 }),
+      line('rider_wallet', { credit: 10 })
+    ]);
+
+    await expect(entry.validate()).rejects.toThrow('Each journal line must have either a debit or a credit');
+  });
+
+  it('rejects a line with neither a debit nor a credit', async () => {
+    const entry = buildEntry([
+      line('rider_wallet', {}),
+      line('gateway_clearing', { debit: 10 }),
+      line('rider_wallet', { credit: 10 })
+    ]);
+
+    await expect(entry.validate()).rejects.toThrow('Each journal line must have either a debit or a credit');
+  });
+
+  it('needs at least two lines', async () => {
+    const entry = buildEntry([]);
+
+    await expect(entry.validate()).rejects.toThrow('A journal entry needs at least two lines');
+  });
+});
+
+describe('JournalEntry immutability', () => {
+  const balancedEntry = () => buildEntry([
+    line('gateway_clearing', { debit: 20 }),
+    line('rider_wallet', { credit: 20 })
+  ]);
+
+  it('refuses to save changes to a posted entry', async () => {
+    const entry = balancedEntry();
+    entry.isNew = false;
+    entry.description = 'Edited';
+
+    await expect(entry.save()).rejects.toThrow('Journal entries cannot be modified');
+  });
+
+  it.each(['updateOne', 'updateMany', 'findOneAndUpdate'])('refuses %s', async (method) => {
+    await expect(JournalEntry[method]({}, { $set: { description: 'Edited' } }).exec())
+      .rejects.toThrow('Journal entries cannot be modified or deleted');
+  });
+
+  it.each(['replaceOne', 'findOneAndReplace'])('refuses %s', async (method) => {
+    await expect(JournalEntry[method]({}, { kind: 'adjustment' }).exec())
+      .rejects.toThrow('Journal entries cannot be modified or deleted');
+  });
+
+  it.each(['deleteOne', 'deleteMany', 'findOneAndDelete'])('refuses %s', async (method) => {
+    await expect(JournalEntry[method]({}).exec())
+      .rejects.toThrow('Journal entries cannot be modified or deleted');
+  });
+
+  it('refuses to delete a posted entry document', async () => {
+    const entry = balancedEntry();
+    entry.isNew = false;
+
+    await expect(entry.deleteOne()).rejects.toThrow('Journal entries cannot be modified or deleted');
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const { redeemPromotion, releasePromotion } = require('../utils/promotions');
+
+describe('redeemPromotion', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const buildPromotion = (perUserLimit) => ({ _id: new mongoose.Types.ObjectId(), code: 'FIRST50', perUserLimit });
+
+  // Redemptions stored so far; applied ones hold their slot like the unique index does
+  let redemptions;
+
+  beforeEach(() => {
+    redemptions = [];
+
+    jest.spyOn(PromotionRedemption, 'distinct').mockImplementation(async (field, filter) => redemptions
+      .filter(redemption => redemption.status === filter.status)
+      .map(redemption => redemption[field]));
+    jest.spyOn(PromotionRedemption, 'create').mockImplementation(async (fields) => {
+      if (redemptions.some(redemption => redemption.status === 'applied' && redemption.sequence === fields.sequence)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      const redemption = { _id: new mongoose.Types.ObjectId(), status: 'applied', ...fields };
+      redemptions.push(redemption);
+      return redemption;
+    });
+    jest.spyOn(PromotionRedemption, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(Promotion, 'findOneAndUpdate').mockResolvedValue({ usedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the lowest slot a reversed redemption gave back', async () => {
+    redemptions.push(
+      { sequence: 1, status: 'reversed' },
+      { sequence: 2, status: 'applied' }
+    );
+
+    const result = await redeemPromotion(buildPromotion(3), userId, new mongoose.Types.ObjectId(), 50);
+
+    expect(result.success).toBe(true);
+    expect(result.redemption.sequence).toBe(1);
+  });
+
+  it('gives concurrent redemptions different slots', async () => {
+    const promotion = buildPromotion(2);
+
+    const results = await Promise.all([
+      redeemPromotion(promotion, userId, new mongoose.Types.ObjectId(), 50),
+      redeemPromotion(promotion, userId, new mongoose.Types.ObjectId(), 50)
+    ]);
+
+    expect(results.map(result => result.success)).toEqual([true, true]);
+    expect(results.map(result => result.redemption.sequence).sort()).toEqual([1, 2]);
+  });
+
+  it('lets only one of two concurrent redemptions use a single-use code', async () => {
+    const promotion = buildPromotion(1);
+
+    const results = await Promise.all([
+      redeemPromotion(promotion, userId, new mongoose.Types.ObjectId(), 50),
+      redeemPromotion(promotion, userId, new mongoose.Types.ObjectId(), 50)
+    ]);
+
+    expect(results.map(result => result.success)).toEqual([true, false]);
+    expect(results[1]).toEqual({ success: false, statusCode: 409, message: 'You have already used this promo code' });
+    expect(Promotion.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives the slot back when the code has run out overall', async () => {
+    Promotion.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await redeemPromotion(buildPromotion(1), userId, new mongoose.Types.ObjectId(), 50);
+
+    expect(result).toEqual({ success: false, statusCode: 409, message: 'Promo code usage limit reached' });
+    expect(PromotionRedemption.deleteOne).toHaveBeenCalledWith({ _id: redemptions[0]._id });
+  });
+});
+
+describe('releasePromotion', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reverses the ride\'s redemption and returns the use', async () => {
+    const promotionId = new mongoose.Types.ObjectId();
+    const rideId = new mongoose.Types.ObjectId();
+    jest.spyOn(PromotionRedemption, 'findOneAndUpdate').mockResolvedValue({ promotion: promotionId, status: 'reversed' });
+    jest.spyOn(Promotion, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    await releasePromotion(rideId);
+
+    expect(PromotionRedemption.findOneAndUpdate).toHaveBeenCalledWith(
+      { ride: rideId, status: 'applied' },
+      { $set: { status: 'reversed', reversedAt: expect.any(Date) } },
+      { new: true }
+    );
+    expect(Promotion.updateOne).toHaveBeenCalledWith(
+      { _id: promotionId, usedCount: { $gt: 0 } },
+      { $inc: { usedCount: -1 } }
+    );
+  });
+
+  it('leaves the count alone when the ride held no redemption', async () => {
+    jest.spyOn(PromotionRedemption, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(Promotion, 'updateOne');
+
+    await expect(releasePromotion(new mongoose.Types.ObjectId())).resolves.toBeNull();
+    expect(Promotion.updateOne).not.toHaveBeenCalled();
+  });
+});
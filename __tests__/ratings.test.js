@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const { recordDriverRating, recordRiderRating } = require('../utils/ratings');
+
+describe('rating totals', () => {
+  const userId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(Ride, 'aggregate').mockResolvedValue([
+      { _id: userId, ratingTotal: 235, ratingCount: 50, tags: [['polite'], [], ['polite', 'on_time']] }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('folds a rating into existing totals', async () => {
+    jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    await recordDriverRating(userId, 5, ['polite']);
+
+    expect(User.updateOne).toHaveBeenCalledTimes(1);
+    const [filter, pipeline] = User.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: userId, 'driverInfo.ratingCount': { $exists: true } });
+    expect(pipeline[0].$set['driverInfo.ratingTotal']).toEqual({
+      $add: [{ $ifNull: ['$driverInfo.ratingTotal', 0] }, 5]
+    });
+    expect(Ride.aggregate).not.toHaveBeenCalled();
+  });
+
+  it('rebuilds missing totals from past rides instead of starting from zero', async () => {
+    jest.spyOn(User, 'updateOne')
+      .mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1, modifiedCount: 1 });
+
+    await recordDriverRating(userId, 5, ['polite']);
+
+    const [[match]] = Ride.aggregate.mock.calls[0];
+    expect(match.$match).toMatchObject({ status: 'completed', driver: userId });
+    expect(User.updateOne).toHaveBeenLastCalledWith({ _id: userId }, {
+      $set: {
+        'driverInfo.ratingTotal': 235,
+        'driverInfo.ratingCount': 50,
+        'driverInfo.rating': 4.7,
+        'driverInfo.tags': { polite: 2, on_time: 1 }
+      }
+    });
+  });
+
+  it('rebuilds a rider\'s reputation score with the totals', async () => {
+    jest.spyOn(User, 'updateOne')
+      .mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 })
+      .mockResolvedValueOnce({ matchedCount: 1, modifiedCount: 1 });
+
+    await recordRiderRating(userId, 4);
+
+    const [[match]] = Ride.aggregate.mock.calls[0];
+    expect(match.$match).toMatchObject({ user: userId, 'rating.driverRating.rating': { $exists: true } });
+    // (235 + 4.5 * 5) / (50 + 5) * 20
+    expect(User.updateOne.mock.calls[1][1].$set).toMatchObject({
+      'riderReputation.rating': 4.7,
+      'riderReputation.score': 94
+    });
+  });
+});
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/ledger', () => ({
+  postRideRefund: jest.fn().mockResolvedValue(),
+  postCancellationFee: jest.fn().mockResolvedValue()
+}));
+
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { refundCancelledRide } = require('../utils/refunds');
+
+// A query that resolves to `value` whether or not it's sorted first
+const query = (value) => {
+  const result = Promise.resolve(value);
+  result.sort = () => result;
+  return result;
+};
+
+describe('refundCancelledRide', () => {
+  const ride = {
+    _id: new mongoose.Types.ObjectId(),
+    user: new mongoose.Types.ObjectId(),
+    payment: { method: 'wallet', status: 'completed' },
+    cancellation: { refundAmount: 150, reason: 'Change of plans' }
+  };
+  const existingRefund = { _id: new mongoose.Types.ObjectId(), type: 'refund', amount: 150 };
+
+  beforeEach(() => {
+    // No fare split to close
+    jest.spyOn(Ride, 'findOneAndUpdate').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('allows one refund per rider per ride at the database', () => {
+    expect(Payment.schema.indexes()).toContainEqual([
+      { ride: 1, user: 1, type: 1 },
+      expect.objectContaining({ unique: true, partialFilterExpression: { type: 'refund' } })
+    ]);
+  });
+
+  it('returns the refund already made instead of making another', async () => {
+    jest.spyOn(Payment, 'findOne').mockReturnValue(query(existingRefund));
+    jest.spyOn(Payment.prototype, 'save');
+
+    await expect(refundCancelledRide(null, ride)).resolves.toBe(existingRefund);
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('hands back the winning refund when another request created it first', async () => {
+    let refundLookups = 0;
+    jest.spyOn(Payment, 'findOne').mockImplementation((filter) => {
+      if (filter.type === 'ride') {
+        return query(null);
+      }
+      // Both requests see no refund, then the loser reads the winner's
+      refundLookups++;
+      return query(refundLookups === 1 ? null : existingRefund);
+    });
+    jest.spyOn(Payment.prototype, 'save')
+      .mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+    jest.spyOn(Ride, 'updateOne');
+
+    await expect(refundCancelledRide(null, ride)).resolves.toBe(existingRefund);
+    expect(Payment.prototype.save).toHaveBeenCalledTimes(1);
+    // The losing refund is never attempted
+    expect(Ride.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('passes other save errors on', async () => {
+    jest.spyOn(Payment, 'findOne').mockReturnValue(query(null));
+    jest.spyOn(Payment.prototype, 'save').mockRejectedValue(new Error('Connection lost'));
+
+    await expect(refundCancelledRide(null, ride)).rejects.toThrow('Connection lost');
+  });
+});
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/paymentProvider', () => ({
+  getPaymentProvider: jest.fn()
+}));
+
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider } = require('../utils/paymentProvider');
+const { getRidePaymentQuote, createRidePaymentOrder, processWebhookEvent } = require('../utils/gatewayPayments');
+
+const rider = { _id: new mongoose.Types.ObjectId(), outstandingDues: 0 };
+
+const buildRide = (fields = {}) => new Ride({
+  user: rider._id,
+  status: 'completed',
+  pricing: { finalAmount: 250 },
+  payment: { method: 'card', status: 'pending' },
+  ...fields
+});
+
+describe('getRidePaymentQuote', () => {
+  it('charges the booker\'s fare plus outstanding dues', () => {
+    expect(getRidePaymentQuote(buildRide(), { ...rider, outstandingDues: 40.5 }))
+      .toEqual({ fare: 250, tip: 0, dues: 40.5, amount: 290.5 });
+  });
+
+  it('leaves out what co-riders already paid', () => {
+    const ride = buildRide();
+    ride.split = { paidAmount: 100 };
+
+    expect(getRidePaymentQuote(ride, rider, 20)).toEqual({ fare: 150, tip: 20, dues: 0, amount: 170 });
+  });
+
+  it('charges only the part a wallet ride fell back to the gateway for', () => {
+    const ride = buildRide({
+      payment: { method: 'wallet', status: 'pending', settledAt: new Date(), fallbackMethod: 'upi', fallbackAmount: 60 }
+    });
+
+    expect(getRidePaymentQuote(ride, rider)).toMatchObject({ fare: 60, amount: 60 });
+  });
+
+  it.each([
+    ['a cash ride', { payment: { method: 'cash', status: 'pending' } }],
+    ['a paid ride', { payment: { method: 'card', status: 'completed' } }],
+    ['a cancelled ride', { status: 'cancelled' }]
+  ])('has nothing payable on %s', (label, fields) => {
+    expect(getRidePaymentQuote(buildRide(fields), rider)).toBeNull();
+  });
+});
+
+describe('createRidePaymentOrder', () => {
+  let provider;
+  let ride;
+
+  beforeEach(() => {
+    ride = buildRide();
+    provider = {
+      name: 'razorpay',
+      createOrder: jest.fn(async (amount, currency, receipt, notes) => ({
+        success: true,
+        order: { id: 'order_1', amount: amount * 100, currency, receipt, notes }
+      }))
+    };
+    getPaymentProvider.mockReturnValue(provider);
+    jest.spyOn(Ride, 'findById').mockImplementation(async () => ride);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Payment.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('prices the order from the ride and stores the breakdown with it', async () => {
+    const result = await createRidePaymentOrder(rider, ride._id);
+
+    expect(result.success).toBe(true);
+    expect(result.payment.amount).toBe(250);
+    expect(provider.createOrder).toHaveBeenCalledWith(250, 'INR', expect.any(String), {
+      userId: rider._id.toString(),
+      rideId: ride._id.toString(),
+      fare: '250.00',
+      tip: '0.00',
+      dues: '0.00',
+      amount: '250.00'
+    });
+    expect(result.payment.razorpay.orderId).toBe('order_1');
+  });
+
+  it('refuses another rider\'s ride', async () => {
+    ride.user = new mongoose.Types.ObjectId();
+
+    await expect(createRidePaymentOrder(rider, ride._id))
+      .resolves.toMatchObject({ success: false, statusCode: 403 });
+    expect(provider.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('waits for co-riders to finish paying before pricing the booker\'s part', async () => {
+    ride.split = { mode: 'equal', closedAt: null };
+
+    await expect(createRidePaymentOrder(rider, ride._id))
+      .resolves.toMatchObject({ success: false, statusCode: 409 });
+    expect(provider.createOrder).not.toHaveBeenCalled();
+  });
+
+  it('points at the order already open for the ride', async () => {
+    Payment.findOne.mockResolvedValue({ _id: 'payment-1', razorpay: { orderId: 'order_0' }, amount: 250 });
+
+    await expect(createRidePaymentOrder(rider, ride._id)).resolves.toMatchObject({
+      success: false,
+      statusCode: 409,
+      openOrder: { paymentId: 'payment-1', orderId: 'order_0', amount: 250 }
+    });
+  });
+});
+
+describe('capturing a ride payment', () => {
+  const rideId = new mongoose.Types.ObjectId();
+  const notes = { rideId: rideId.toString(), fare: '250.00', tip: '0.00', dues: '0.00', amount: '250.00' };
+
+  const captured = (entity) => JSON.stringify({
+    event: 'payment.captured',
+    payload: { payment: { entity: { id: 'pay_1', order_id: 'order_1', amount: 25000, ...entity } } }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(WebhookEvent, 'create').mockImplementation(async (fields) => ({ ...fields, save: jest.fn() }));
+    jest.spyOn(Payment, 'findOneAndUpdate');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const pendingPayment = (fields = {}) => {
+    jest.spyOn(Payment, 'findOne').mockResolvedValue({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'ride',
+      ride: rideId,
+      amount: 250,
+      razorpay: { orderId: 'order_1', notes },
+      ...fields
+    });
+  };
+
+  it('refuses a capture for a different amount', async () => {
+    pendingPayment();
+
+    await expect(processWebhookEvent('razorpay', 'evt_1', captured({ amount: 100 })))
+      .rejects.toThrow('Captured amount 100 does not match payment');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a payment whose stored breakdown no longer adds up', async () => {
+    pendingPayment({ razorpay: { orderId: 'order_1', notes: { ...notes, fare: '200.00' } } });
+
+    await expect(processWebhookEvent('razorpay', 'evt_1', captured()))
+      .rejects.toThrow('Order breakdown does not match payment');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('refuses a capture whose order notes name another ride', async () => {
+    pendingPayment();
+
+    const tampered = captured({ notes: { ...notes, rideId: new mongoose.Types.ObjectId().toString() } });
+    await expect(processWebhookEvent('razorpay', 'evt_1', tampered))
+      .rejects.toThrow('Captured order notes do not match payment');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
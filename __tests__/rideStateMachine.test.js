@@ -0,0 +1,67 @@
+const {
+  RIDE_TRANSITIONS,
+  RideTransitionError,
+  assertTransition,
+  getNextStatuses,
+  getSourceStatuses
+} = require('../utils/rideStateMachine');
+
+describe('assertTransition', () => {
+  it('allows an actor listed for the transition', () => {
+    expect(() => assertTransition('started', 'completed', 'driver')).not.toThrow();
+    expect(() => assertTransition('searching', 'cancelled', 'user')).not.toThrow();
+    expect(() => assertTransition('accepted', 'searching', 'driver')).not.toThrow();
+  });
+
+  it('rejects an actor not listed for an existing transition', () => {
+    expect.assertions(5);
+    try {
+      assertTransition('started', 'cancelled', 'user');
+    } catch (error) {
+      expect(error).toBeInstanceOf(RideTransitionError);
+      expect(error.code).toBe('TRANSITION_FORBIDDEN');
+      expect(error.statusCode).toBe(409);
+      expect(error.message).toBe('user is not allowed to move a ride from started to cancelled');
+      expect(error).toMatchObject({ from: 'started', to: 'cancelled', actor: 'user' });
+    }
+  });
+
+  it('rejects a transition that does not exist', () => {
+    expect.assertions(3);
+    try {
+      assertTransition('pending', 'completed', 'admin');
+    } catch (error) {
+      expect(error).toBeInstanceOf(RideTransitionError);
+      expect(error.code).toBe('INVALID_TRANSITION');
+      expect(error.message).toBe('Cannot move a ride from pending to completed');
+    }
+  });
+
+  it('rejects unknown statuses', () => {
+    expect(() => assertTransition('teleported', 'completed', 'driver')).toThrow(RideTransitionError);
+    expect(() => assertTransition('started', 'teleported', 'driver')).toThrow(RideTransitionError);
+  });
+
+  it('treats completed, cancelled and no_driver_found as final', () => {
+    for (const from of ['completed', 'cancelled', 'no_driver_found']) {
+      for (const to of Object.keys(RIDE_TRANSITIONS)) {
+        expect(() => assertTransition(from, to, 'admin')).toThrow(RideTransitionError);
+      }
+    }
+  });
+});
+
+describe('getNextStatuses', () => {
+  it('lists the statuses an actor can move a ride to', () => {
+    expect(getNextStatuses('arrived', 'driver')).toEqual(['started', 'searching', 'cancelled']);
+    expect(getNextStatuses('arrived', 'user')).toEqual(['cancelled']);
+    expect(getNextStatuses('completed')).toEqual([]);
+  });
+});
+
+describe('getSourceStatuses', () => {
+  it('lists the statuses an actor can cancel from', () => {
+    expect(getSourceStatuses('cancelled', 'user')).toEqual(['pending', 'scheduled', 'searching', 'accepted', 'arrived']);
+    expect(getSourceStatuses('cancelled', 'driver')).toEqual(['accepted', 'arrived']);
+  });
+});
@@ -0,0 +1,208 @@
+jest.mock('../models/Ride', () => ({
+  claimSettlement: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/User', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../models/WalletTransaction', () => ({
+  findOne: jest.fn()
+}));
+jest.mock('../models/Payment', () => {
+  const Payment = jest.fn(function(fields) {
+    Object.assign(this, fields);
+    this.save = jest.fn().mockResolvedValue(this);
+  });
+  Payment.findOne = jest.fn();
+  return Payment;
+});
+jest.mock('../models/Notification', () => jest.fn(function(fields) {
+  Object.assign(this, fields);
+  this.save = jest.fn().mockResolvedValue(this);
+}));
+jest.mock('../utils/ledger', () => ({
+  postRidePayment: jest.fn(),
+  postCashCollected: jest.fn(),
+  postRideCompletion: jest.fn()
+}));
+jest.mock('../utils/wallet', () => ({
+  debitWallet: jest.fn()
+}));
+jest.mock('../utils/cashRides', () => ({
+  accrueCashDues: jest.fn(),
+  accrueRiderDues: jest.fn(),
+  settleCashRide: jest.fn()
+}));
+jest.mock('../utils/splitFare', () => ({
+  postPaidShares: jest.fn()
+}));
+
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const Payment = require('../models/Payment');
+const { postRidePayment, postCashCollected } = require('../utils/ledger');
+const { debitWallet } = require('../utils/wallet');
+const { accrueCashDues, accrueRiderDues } = require('../utils/cashRides');
+const { settleRide } = require('../utils/settlement');
+
+const FIELDS = { wallet: 'wallet.balance', credits: 'referralEarnings' };
+
+// A rider whose balances move as debitWallet takes from them
+const mockRider = (balances) => {
+  User.findById.mockImplementation(() => ({
+    select: jest.fn().mockResolvedValue({ get: (field) => balances[field] })
+  }));
+  debitWallet.mockImplementation(async (userId, amount, { account }) => {
+    const field = FIELDS[account];
+    if (balances[field] < amount) {
+      return null;
+    }
+    balances[field] -= amount;
+    return { previousBalance: balances[field] + amount, balanceAfter: balances[field] };
+  });
+};
+
+const mockRide = ({ method = 'wallet', fallbackMethod = null, fare = 100 } = {}) => {
+  const ride = {
+    _id: 'ride-1',
+    user: 'rider-1',
+    driver: 'driver-1',
+    payment: { method, fallbackMethod },
+    earnings: { gross: fare, commission: 20, gst: 3.6 },
+    getBookerFare: () => fare
+  };
+  Ride.claimSettlement.mockResolvedValue(ride);
+  return ride;
+};
+
+// The $set of the update that marks the ride settled
+const settledUpdate = () => {
+  const call = Ride.updateOne.mock.calls.find(([filter]) => filter['payment.settledAt'] === null);
+  return call && call[1].$set;
+};
+
+describe('settleRide', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Ride.updateOne.mockResolvedValue({ modifiedCount: 1 });
+    WalletTransaction.findOne.mockResolvedValue(null);
+    Payment.findOne.mockResolvedValue(null);
+  });
+
+  it('does nothing if the ride is settled or being settled', async () => {
+    Ride.claimSettlement.mockResolvedValue(null);
+
+    await expect(settleRide(null, 'ride-1')).resolves.toBeNull();
+    expect(debitWallet).not.toHaveBeenCalled();
+  });
+
+  it('charges a wallet ride in full from the wallet', async () => {
+    mockRide({ method: 'wallet', fare: 100 });
+    const balances = { 'wallet.balance': 250, referralEarnings: 40 };
+    mockRider(balances);
+
+    const result = await settleRide(null, 'ride-1');
+
+    expect(result).toEqual({ status: 'completed', creditsAmount: 0, walletAmount: 100, fallbackAmount: 0, duesAmount: 0 });
+    expect(balances).toEqual({ 'wallet.balance': 150, referralEarnings: 40 });
+    expect(debitWallet).toHaveBeenCalledWith('rider-1', 100, expect.objectContaining({
+      account: 'wallet',
+      reference: 'ride-settlement:ride-1:wallet'
+    }));
+    expect(Payment).toHaveBeenCalledWith(expect.objectContaining({ amount: 100, method: 'wallet', metadata: { reference: 'ride-settlement:ride-1:wallet' } }));
+    expect(postRidePayment).toHaveBeenCalledTimes(1);
+    expect(accrueRiderDues).not.toHaveBeenCalled();
+    expect(settledUpdate()).toMatchObject({
+      'payment.settledAt': expect.any(Date),
+      'payment.settlingUntil': null,
+      'payment.status': 'completed',
+      'payment.walletAmount': 100,
+      'payment.duesAmount': 0
+    });
+  });
+
+  it('takes referral credits first, then the wallet, for a credits ride', async () => {
+    mockRide({ method: 'credits', fare: 100 });
+    const balances = { 'wallet.balance': 250, referralEarnings: 30 };
+    mockRider(balances);
+
+    const result = await settleRide(null, 'ride-1');
+
+    expect(debitWallet.mock.calls.map(([, amount, { account }]) => [account, amount])).toEqual([
+      ['credits', 30],
+      ['wallet', 70]
+    ]);
+    expect(result).toMatchObject({ status: 'completed', creditsAmount: 30, walletAmount: 70, duesAmount: 0 });
+    expect(balances).toEqual({ 'wallet.balance': 180, referralEarnings: 0 });
+    expect(postRidePayment).toHaveBeenCalledTimes(2);
+  });
+
+  it('records a shortfall with no fallback method as dues', async () => {
+    const ride = mockRide({ method: 'credits', fare: 100 });
+    mockRider({ 'wallet.balance': 40, referralEarnings: 25 });
+
+    const result = await settleRide(null, 'ride-1');
+
+    expect(result).toMatchObject({ status: 'pending', creditsAmount: 25, walletAmount: 40, fallbackAmount: 0, duesAmount: 35 });
+    expect(accrueRiderDues).toHaveBeenCalledWith(ride, 35);
+    expect(settledUpdate()).toMatchObject({ 'payment.status': 'pending', 'payment.duesAmount': 35 });
+  });
+
+  it('leaves a shortfall to the fallback method when there is one', async () => {
+    mockRide({ method: 'wallet', fallbackMethod: 'upi', fare: 100 });
+    mockRider({ 'wallet.balance': 60, referralEarnings: 0 });
+
+    const result = await settleRide(null, 'ride-1');
+
+    expect(result).toMatchObject({ status: 'pending', walletAmount: 60, fallbackAmount: 40, duesAmount: 0 });
+    expect(accrueRiderDues).not.toHaveBeenCalled();
+    expect(postCashCollected).not.toHaveBeenCalled();
+  });
+
+  it('books cash the driver took for the shortfall', async () => {
+    const ride = mockRide({ method: 'wallet', fallbackMethod: 'cash', fare: 100 });
+    mockRider({ 'wallet.balance': 0, referralEarnings: 0 });
+
+    const result = await settleRide(null, 'ride-1');
+
+    expect(result).toMatchObject({ walletAmount: 0, fallbackAmount: 100 });
+    expect(postCashCollected).toHaveBeenCalledWith(ride, 100);
+    // The driver keeps ₹100 cash but is owed ₹76.40, so owes the platform ₹23.60
+    expect(accrueCashDues).toHaveBeenCalledWith(null, 'driver-1', 23.6);
+  });
+
+  it('does not mark the ride settled if a debit fails', async () => {
+    mockRide({ method: 'wallet', fare: 100 });
+    mockRider({ 'wallet.balance': 250, referralEarnings: 0 });
+    debitWallet.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(settleRide(null, 'ride-1')).rejects.toThrow('Connection lost');
+    expect(settledUpdate()).toBeUndefined();
+  });
+
+  it('reuses a debit from an earlier attempt instead of charging again', async () => {
+    mockRide({ method: 'wallet', fare: 100 });
+    mockRider({ 'wallet.balance': 150, referralEarnings: 0 });
+    WalletTransaction.findOne.mockResolvedValue({ amount: 100, balanceAfter: 150 });
+
+    const result = await settleRide(null, 'ride-1');
+
+    expect(WalletTransaction.findOne).toHaveBeenCalledWith({ reference: 'ride-settlement:ride-1:wallet' });
+    expect(debitWallet).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ status: 'completed', walletAmount: 100 });
+    expect(Payment).toHaveBeenCalledWith(expect.objectContaining({
+      amount: 100,
+      wallet: { previousBalance: 250, newBalance: 150, transactionType: 'debit' }
+    }));
+  });
+
+  it('returns null when another attempt already settled the ride', async () => {
+    mockRide({ method: 'wallet', fare: 100 });
+    mockRider({ 'wallet.balance': 250, referralEarnings: 0 });
+    Ride.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(settleRide(null, 'ride-1')).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,34 @@
+const { sendSMS } = require('../utils/sms');
+
+describe('sendSMS without provider credentials', () => {
+  const env = { ...process.env };
+
+  beforeEach(() => {
+    delete process.env.SMS_API_URL;
+    delete process.env.SMS_API_KEY;
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+  });
+
+  it('logs the message in development', async () => {
+    process.env.NODE_ENV = 'development';
+
+    const result = await sendSMS('9123456780', 'Share PIN 4821 with the driver');
+
+    expect(result.success).toBe(true);
+    expect(console.log).toHaveBeenCalledWith('📝 Message:', 'Share PIN 4821 with the driver');
+  });
+
+  it('fails without logging the message in production', async () => {
+    process.env.NODE_ENV = 'production';
+
+    const result = await sendSMS('9123456780', 'Share PIN 4821 with the driver');
+
+    expect(result).toEqual({ success: false, error: 'SMS provider is not configured' });
+    expect(console.log).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/ledger', () => ({
+  postRidePayment: jest.fn().mockResolvedValue(),
+  postSplitShare: jest.fn().mockResolvedValue(),
+  postShareReturned: jest.fn().mockResolvedValue()
+}));
+
+const Notification = require('../models/Notification');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { postSplitShare } = require('../utils/ledger');
+const { settleSplit } = require('../utils/splitFare');
+
+const bookerId = new mongoose.Types.ObjectId();
+const paidShare = new mongoose.Types.ObjectId();
+
+// ₹400 fare with ₹100 shares for four co-riders: one paid, one accepted,
+// one never answered and one declined
+const buildRide = () => new Ride({
+  user: bookerId,
+  status: 'completed',
+  pricing: { finalAmount: 400 },
+  split: {
+    mode: 'custom',
+    paidAmount: 100,
+    participants: [
+      { user: new mongoose.Types.ObjectId(), share: 100, status: 'paid', payment: paidShare },
+      { user: new mongoose.Types.ObjectId(), share: 100, status: 'accepted' },
+      { user: new mongoose.Types.ObjectId(), share: 100, status: 'invited' },
+      { user: new mongoose.Types.ObjectId(), share: 100, status: 'declined' }
+    ]
+  }
+});
+
+describe('Ride#closeSplit', () => {
+  it('leaves unpaid shares to the booker', () => {
+    const ride = buildRide();
+    const closedAt = new Date('2026-10-18T10:00:00Z');
+
+    const fallenBack = ride.closeSplit(closedAt);
+
+    expect(fallenBack.map(participant => participant.status)).toEqual(['fallen_back', 'fallen_back']);
+    expect(ride.split.participants.map(participant => participant.status))
+      .toEqual(['paid', 'fallen_back', 'fallen_back', 'declined']);
+    expect(ride.split.closedAt).toEqual(closedAt);
+    // Everything but the paid share
+    expect(ride.getBookerFare()).toBe(300);
+  });
+
+  it('closes a split only once', () => {
+    const ride = buildRide();
+    ride.closeSplit();
+
+    expect(ride.closeSplit()).toEqual([]);
+  });
+
+  it('does nothing on a ride without a split', () => {
+    const ride = new Ride({ user: bookerId, pricing: { finalAmount: 400 } });
+
+    expect(ride.closeSplit()).toEqual([]);
+    expect(ride.getBookerFare()).toBe(400);
+  });
+});
+
+describe('settleSplit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(Payment, 'find').mockResolvedValue([{ _id: paidShare, amount: 100 }]);
+    jest.spyOn(Notification.prototype, 'save').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('posts paid shares and tells everyone whose share fell back to the booker', async () => {
+    const ride = buildRide();
+    const fallenBack = ride.closeSplit();
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+
+    const result = await settleSplit(io, ride, fallenBack);
+
+    expect(result).toEqual({ paidAmount: 100, fallenBackAmount: 200, bookerFare: 300 });
+    expect(Payment.find).toHaveBeenCalledWith({ _id: { $in: [paidShare] } });
+    expect(postSplitShare).toHaveBeenCalledWith(ride, { _id: paidShare, amount: 100 });
+
+    const notified = Notification.prototype.save.mock.contexts.map(notification => notification.user.toString());
+    expect(notified).toEqual([...fallenBack.map(participant => participant.user.toString()), bookerId.toString()]);
+    expect(Notification.prototype.save.mock.contexts[2]).toMatchObject({
+      priority: 'high',
+      message: 'Co-riders didn\'t pay ₹200 of their shares, so it has been added to your part of the fare.'
+    });
+    expect(io.to).toHaveBeenCalledWith(`user_${bookerId}`);
+    expect(emit).toHaveBeenCalledWith('split-updated', expect.objectContaining({ rideId: ride._id }));
+  });
+
+  it('sends the booker nothing extra when every share was paid', async () => {
+    const ride = buildRide();
+    ride.split.participants = ride.split.participants.slice(0, 1);
+
+    const result = await settleSplit(null, ride, ride.closeSplit());
+
+    expect(result).toEqual({ paidAmount: 100, fallenBackAmount: 0, bookerFare: 300 });
+    expect(Notification.prototype.save).not.toHaveBeenCalled();
+  });
+
+  it('skips rides without a split', async () => {
+    await expect(settleSplit(null, new Ride({ user: bookerId, pricing: { finalAmount: 400 } }))).resolves.toBeNull();
+    expect(Payment.find).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const mockAdminId = new mongoose.Types.ObjectId();
+
+jest.mock('../middleware/auth', () => {
+  const passThrough = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { _id: mockAdminId, role: 'Admin' };
+      next();
+    },
+    requireAdmin: passThrough,
+    requireDriver: passThrough,
+    requireVerification: passThrough,
+    requireRole: () => passThrough,
+    optionalAuth: passThrough
+  };
+});
+
+const SurgeZone = require('../models/SurgeZone');
+const adminRoutes = require('../routes/admin');
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+
+describe('PATCH /api/admin/surge/:zoneId', () => {
+  beforeEach(() => {
+    jest.spyOn(SurgeZone, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...filter, ...update }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects a vehicle type outside the enum before writing anything', async () => {
+    const res = await request(app)
+      .patch('/api/admin/surge/tdr1w')
+      .send({ vehicleType: 'Cra', maxMultiplier: 1.5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ path: 'vehicleType', msg: 'Invalid vehicle type' });
+    expect(SurgeZone.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('rejects a zone ID that is not a geohash', async () => {
+    const res = await request(app)
+      .patch('/api/admin/surge/ZONE-1')
+      .send({ vehicleType: 'Car', maxMultiplier: 1.5 });
+
+    expect(res.status).toBe(400);
+    expect(SurgeZone.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('freezes a zone at its current multiplier when none is given', async () => {
+    jest.spyOn(SurgeZone, 'findOne').mockResolvedValue({ multiplier: 1.7, isFrozen: false });
+
+    const res = await request(app)
+      .patch('/api/admin/surge/tdr1w')
+      .send({ vehicleType: 'Car', isFrozen: true });
+
+    expect(res.status).toBe(200);
+    expect(SurgeZone.findOneAndUpdate).toHaveBeenCalledWith(
+      { zoneId: 'tdr1w', vehicleType: 'Car' },
+      { updatedBy: mockAdminId, isFrozen: true, frozenMultiplier: 1.7 },
+      expect.objectContaining({ upsert: true })
+    );
+  });
+
+  it('keeps the multiplier of a zone that is already frozen', async () => {
+    jest.spyOn(SurgeZone, 'findOne').mockResolvedValue({ multiplier: 1.2, frozenMultiplier: 2, isFrozen: true });
+
+    await request(app)
+      .patch('/api/admin/surge/tdr1w')
+      .send({ vehicleType: 'Car', isFrozen: 'true' });
+
+    expect(SurgeZone.findOneAndUpdate.mock.calls[0][1]).toEqual({ updatedBy: mockAdminId, isFrozen: true });
+  });
+
+  it('uses the multiplier given with the freeze', async () => {
+    jest.spyOn(SurgeZone, 'findOne');
+
+    await request(app)
+      .patch('/api/admin/surge/tdr1w')
+      .send({ vehicleType: 'Car', isFrozen: true, frozenMultiplier: 1.3 });
+
+    expect(SurgeZone.findOne).not.toHaveBeenCalled();
+    expect(SurgeZone.findOneAndUpdate.mock.calls[0][1]).toMatchObject({ frozenMultiplier: 1.3 });
+  });
+});
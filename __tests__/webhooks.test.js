@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const { processWebhookEvent } = require('../utils/gatewayPayments');
+
+const refundProcessed = JSON.stringify({
+  event: 'refund.processed',
+  payload: { refund: { entity: { id: 'rfnd_123', amount: 15000 } } }
+});
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('processWebhookEvent', () => {
+  const paymentId = new mongoose.Types.ObjectId();
+  let record;
+
+  beforeEach(() => {
+    jest.spyOn(WebhookEvent, 'create').mockImplementation(async (fields) => {
+      record = { ...fields, status: 'processing', save: jest.fn().mockResolvedValue() };
+      return record;
+    });
+    jest.spyOn(Payment, 'findOneAndUpdate').mockResolvedValue({ _id: paymentId });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies a new event and records the outcome', async () => {
+    const result = await processWebhookEvent('razorpay', 'evt_1', refundProcessed);
+
+    expect(result).toEqual({ processed: true, result: { paymentId } });
+    expect(WebhookEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      eventId: 'evt_1',
+      provider: 'razorpay',
+      event: 'refund.processed'
+    }));
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(record).toMatchObject({ status: 'processed', processedAt: expect.any(Date) });
+  });
+
+  it('skips a repeated delivery of an event already handled', async () => {
+    WebhookEvent.create.mockRejectedValue(duplicateKey());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await processWebhookEvent('razorpay', 'evt_1', refundProcessed);
+
+    expect(result).toEqual({ duplicate: true });
+    expect(WebhookEvent.findOneAndUpdate).toHaveBeenCalledWith(
+      { provider: 'razorpay', eventId: 'evt_1', status: 'failed' },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('applies a redelivery when the earlier attempt failed', async () => {
+    const failed = { eventId: 'evt_1', status: 'processing', attempts: 2, save: jest.fn().mockResolvedValue() };
+    WebhookEvent.create.mockRejectedValue(duplicateKey());
+    jest.spyOn(WebhookEvent, 'findOneAndUpdate').mockResolvedValue(failed);
+
+    const result = await processWebhookEvent('razorpay', 'evt_1', refundProcessed);
+
+    expect(result.processed).toBe(true);
+    expect(Payment.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(failed).toMatchObject({ status: 'processed', error: undefined });
+  });
+
+  it('marks the event failed so the next delivery retries it', async () => {
+    Payment.findOneAndUpdate.mockRejectedValue(new Error('Connection lost'));
+
+    await expect(processWebhookEvent('razorpay', 'evt_1', refundProcessed)).rejects.toThrow('Connection lost');
+    expect(record).toMatchObject({ status: 'failed', error: 'Connection lost' });
+    expect(record.save).toHaveBeenCalled();
+  });
+
+  it('keys events without an id on the body, so identical deliveries match', async () => {
+    await processWebhookEvent('razorpay', undefined, refundProcessed);
+
+    expect(WebhookEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+      eventId: crypto.createHash('sha256').update(refundProcessed).digest('hex')
+    }));
+  });
+
+  it('records events it has no handler for as ignored', async () => {
+    const result = await processWebhookEvent('razorpay', 'evt_2', JSON.stringify({ event: 'invoice.paid', payload: {} }));
+
+    expect(result).toEqual({ ignored: true });
+    expect(record.status).toBe('ignored');
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -41,9 +41,15 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
+  // Ride status transition errors
+  if (err.name === 'RideTransitionError') {
+    error = { message: err.message, statusCode: err.statusCode, errorCode: err.code };
+  }
+
   res.status(error.statusCode || 500).json({
     status: 'error',
     message: error.message || 'Server Error',
+    ...(error.errorCode && { code: error.errorCode }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
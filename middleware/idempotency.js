@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_CONFIG = {
+  // How long a stored response is replayed for
+  ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  maxKeyLength: 255
+};
+
+// JSON with sorted object keys, so the same body always hashes the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.baseUrl}${req.path} ${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+// Claim the key for this request; returns the existing record if it's taken
+const claimKey = async (req, key, requestHash) => {
+  const now = new Date();
+  const fields = {
+    method: req.method,
+    path: `${req.baseUrl}${req.path}`,
+    requestHash,
+    status: 'processing',
+    expiresAt: new Date(now.getTime() + IDEMPOTENCY_CONFIG.ttlHours * 60 * 60 * 1000)
+  };
+
+  try {
+    return { record: await IdempotencyKey.create({ user: req.user._id, key, ...fields }) };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  // An expired key the TTL index hasn't removed yet can be used again
+  const renewed = await IdempotencyKey.findOneAndUpdate(
+    { user: req.user._id, key, expiresAt: { $lte: now } },
+    { $set: fields, $unset: { response: 1 } },
+    { new: true }
+  );
+  if (renewed) {
+    return { record: renewed };
+  }
+
+  return { existing: await IdempotencyKey.findOne({ user: req.user._id, key }) };
+};
+
+// Make a route safe to retry with an Idempotency-Key header: the first response
+// is stored per user and key and replayed for retries of the same request.
+// Requests without the header run as usual. Use after authentication.
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > IDEMPOTENCY_CONFIG.maxKeyLength) {
+    return res.status(400).json({
+      status: 'error',
+      message: `Idempotency-Key must be 1-${IDEMPOTENCY_CONFIG.maxKeyLength} characters`
+    });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    const { record, existing } = await claimKey(req, key, requestHash);
+
+    if (!record) {
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          status: 'error',
+          message: 'Idempotency-Key was already used for a different request'
+        });
+      }
+
+      // Also when the first request just failed and its key was released
+      if (!existing || existing.status !== 'completed') {
+        return res.status(409).json({
+          status: 'error',
+          message: 'A request with this Idempotency-Key is still being processed'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response.statusCode).json(existing.response.body);
+    }
+
+    // Keep the response unless the request failed on our side, so it can be retried
+    let settled = false;
+    const settle = (statusCode, body) => {
+      if (settled) {
+        return;
+      }
+      settled = true;
+
+      const update = statusCode >= 500 || statusCode === undefined
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          // Stored as sent, not as the documents it was built from
+          { $set: { status: 'completed', response: { statusCode, body: JSON.parse(JSON.stringify(body)) } } }
+        );
+      update.catch(error => console.error('Idempotency key save error:', error));
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settle(res.statusCode, body);
+      return json(body);
+    };
+    res.on('close', () => settle());
+
+    next();
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to process Idempotency-Key'
+    });
+  }
+};
+
+module.exports = {
+  IDEMPOTENCY_CONFIG,
+  idempotent
+};
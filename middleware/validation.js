@@ -320,12 +320,231 @@ const validateRideRequest = [
     .isInt({ min: 1, max: 6 })
     .withMessage('Number of passengers must be between 1 and 6'),
   
+  body('serviceType')
+    .optional()
+    .isIn(['Ride', 'Delivery', 'Intercity', 'Rental'])
+    .withMessage('Invalid service type'),
+  
+  body('delivery.recipientPhone')
+    .if(body('serviceType').equals('Delivery'))
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Delivery recipient phone must be a valid 10-digit phone number'),
+  
+  body('stops')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('A ride can have at most 3 stops'),
+  
+  body('stops.*.address')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Stop address must be between 5 and 200 characters'),
+  
+  body('stops.*.coordinates')
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Stop coordinates must be an array of 2 numbers [longitude, latitude]'),
+  
+  body('stops.*.coordinates.*')
+    .isFloat()
+    .withMessage('Coordinates must be valid numbers'),
+  
+  body('promoCode')
+    .optional({ nullable: true, checkFalsy: true })
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Promo code must be 4-20 letters or digits'),
+  
+  body('paymentMethod')
+    .optional()
+    .isIn(['cash', 'card', 'upi', 'wallet', 'credits'])
+    .withMessage('Invalid payment method'),
+  
+  body('fallbackPaymentMethod')
+    .optional({ nullable: true })
+    .isIn(['cash', 'card', 'upi'])
+    .withMessage('Fallback payment method must be cash, card or upi'),
+  
+  handleValidationErrors
+];
+
+// Mid-trip stop validation
+const validateStop = [
+  body('address')
+    .trim()
+    .isLength({ min: 5, max: 200 })
+    .withMessage('Stop address must be between 5 and 200 characters'),
+  
+  body('coordinates')
+    .isArray({ min: 2, max: 2 })
+    .withMessage('Stop coordinates must be an array of 2 numbers [longitude, latitude]'),
+  
+  body('coordinates.*')
+    .isFloat()
+    .withMessage('Coordinates must be valid numbers'),
+  
+  body('position')
+    .optional()
+    .isInt({ min: 0, max: 2 })
+    .withMessage('Position must be between 0 and 2'),
+  
+  handleValidationErrors
+];
+
+// Tip validation (limits are checked with the tip config)
+const validateTip = [
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Tip amount must be a positive number'),
+  
+  body('method')
+    .optional()
+    .isIn(['wallet', 'razorpay'])
+    .withMessage('Method must be wallet or razorpay'),
+  
+  handleValidationErrors
+];
+
+// Fare split with co-riders (shares are checked against the fare when it's set up)
+const validateSplit = [
+  body('mode')
+    .optional()
+    .isIn(['equal', 'custom'])
+    .withMessage('Mode must be equal or custom'),
+  
+  body('invitees')
+    .isArray({ min: 1, max: 5 })
+    .withMessage('Invite between 1 and 5 co-riders'),
+  
+  body('invitees.*')
+    .custom(invitee => Boolean(invitee && (invitee.phone || invitee.email)))
+    .withMessage('Each co-rider needs a phone number or email'),
+  
+  body('invitees.*.phone')
+    .optional()
+    .matches(/^[6-9]\d{9}$/)
+    .withMessage('Co-rider phone must be a valid 10-digit phone number'),
+  
+  body('invitees.*.email')
+    .optional()
+    .isEmail()
+    .withMessage('Co-rider email must be valid'),
+  
+  body('invitees.*.share')
+    .if(body('mode').equals('custom'))
+    .isFloat({ gt: 0 })
+    .withMessage('Each co-rider needs a positive share when splitting by custom amounts'),
+  
+  handleValidationErrors
+];
+
+// Co-rider's answer to a fare split invitation
+const validateSplitResponse = [
+  body('accept')
+    .isBoolean()
+    .withMessage('Accept must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Co-rider paying their share
+const validateSharePayment = [
+  body('method')
+    .optional()
+    .isIn(['wallet', 'razorpay'])
+    .withMessage('Method must be wallet or razorpay'),
+  
+  handleValidationErrors
+];
+
+// Ride receipt download
+const validateReceipt = [
+  query('format')
+    .optional()
+    .isIn(['pdf', 'html'])
+    .withMessage('Format must be pdf or html'),
+  
+  handleValidationErrors
+];
+
+// Monthly ride statement
+const validateStatement = [
+  query('month')
+    .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+    .withMessage('Month must be in YYYY-MM format'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'pdf', 'html'])
+    .withMessage('Format must be json, pdf or html'),
+  
+  handleValidationErrors
+];
+
+// Rating validation (tags depend on who is being rated)
+const validateRating = (allowedTags) => [
+  body('rating')
+    .isInt({ min: 1, max: 5 })
+    .withMessage('Rating must be between 1 and 5'),
+  
+  body('feedback')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Feedback cannot exceed 500 characters'),
+  
+  body('tags')
+    .optional()
+    .isArray({ max: allowedTags.length })
+    .withMessage('Tags must be an array'),
+  
+  body('tags.*')
+    .isIn(allowedTags)
+    .withMessage(`Tags must be one of: ${allowedTags.join(', ')}`),
+  
+  handleValidationErrors
+];
+
+// Promo code preview validation
+const validatePromoCheck = [
+  body('code')
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Promo code must be 4-20 letters or digits'),
+  
+  body('rideType')
+    .isIn(['Bike', 'Auto', 'Car', 'Truck', 'Delivery'])
+    .withMessage('Invalid ride type'),
+  
+  body('fare')
+    .isFloat({ min: 0 })
+    .withMessage('Fare must be a non-negative number'),
+  
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+  
   handleValidationErrors
 ];
 
 // Payment validation rules
 const validatePayment = [
+  body('rideId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid ride ID'),
+
+  body('tip')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Tip must be a positive number'),
+
+  // Ride orders are priced from the ride; amount is only used for top-ups
   body('amount')
+    .if(body('rideId').not().exists())
     .isFloat({ min: 1 })
     .withMessage('Amount must be a positive number'),
   
@@ -341,6 +560,215 @@ const validatePayment = [
   handleValidationErrors
 ];
 
+// Surge zone controls validation
+const validateSurgeZone = [
+  param('zoneId')
+    .matches(/^[0-9b-hjkmnp-z]+$/)
+    .withMessage('Invalid zone ID'),
+  
+  body('vehicleType')
+    .isIn(['Bike', 'Auto', 'Car', 'Truck', 'Delivery'])
+    .withMessage('Invalid vehicle type'),
+  
+  body(['maxMultiplier', 'frozenMultiplier'])
+    .optional({ nullable: true })
+    .isFloat({ min: 1 })
+    .withMessage('Multipliers must be at least 1'),
+  
+  body('isFrozen')
+    .optional()
+    .isBoolean()
+    .withMessage('Is frozen must be true or false')
+    .toBoolean(),
+  
+  handleValidationErrors
+];
+
+// Fare config validation
+const validateFareConfig = [
+  body('vehicleType')
+    .isIn(['Bike', 'Auto', 'Car', 'Truck', 'Delivery'])
+    .withMessage('Invalid vehicle type'),
+  
+  body('serviceType')
+    .optional()
+    .isIn(['Ride', 'Delivery', 'Intercity', 'Rental'])
+    .withMessage('Invalid service type'),
+  
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+  
+  body(['baseFare', 'perKm', 'perMinute'])
+    .isFloat({ min: 0 })
+    .withMessage('Base fare, per-km and per-minute rates must be non-negative numbers'),
+  
+  body(['minimumFare', 'bookingFee', 'nightSurcharge.percentage', 'waitingCharge.perMinute', 'waitingCharge.freeMinutes'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fees and surcharges must be non-negative numbers'),
+  
+  body(['nightSurcharge.startHour', 'nightSurcharge.endHour'])
+    .optional()
+    .isInt({ min: 0, max: 23 })
+    .withMessage('Night surcharge hours must be between 0 and 23'),
+  
+  body('effectiveFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Effective from must be a valid date'),
+  
+  handleValidationErrors
+];
+
+// Promotion validation rules
+const validatePromotion = [
+  body('code')
+    .trim()
+    .isAlphanumeric()
+    .isLength({ min: 4, max: 20 })
+    .withMessage('Promo code must be 4-20 letters or digits'),
+  
+  body('discountType')
+    .isIn(['percentage', 'flat'])
+    .withMessage('Discount type must be percentage or flat'),
+  
+  body('discountValue')
+    .isFloat({ min: 0 })
+    .withMessage('Discount value must be a non-negative number'),
+  
+  body('discountValue')
+    .if(body('discountType').equals('percentage'))
+    .isFloat({ max: 100 })
+    .withMessage('Percentage discount cannot exceed 100'),
+  
+  body(['maxDiscount', 'minFare'])
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Max discount and min fare must be non-negative numbers'),
+  
+  body(['usageLimit', 'perUserLimit'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Usage limits must be positive integers'),
+  
+  body('validFrom')
+    .optional()
+    .isISO8601()
+    .withMessage('Valid from must be a valid date'),
+  
+  body('validUntil')
+    .isISO8601()
+    .withMessage('Valid until must be a valid date'),
+  
+  body('eligibility.vehicleTypes')
+    .optional()
+    .isArray()
+    .withMessage('Eligible vehicle types must be an array'),
+  
+  body('eligibility.vehicleTypes.*')
+    .isIn(['Bike', 'Auto', 'Car', 'Truck', 'Delivery'])
+    .withMessage('Invalid vehicle type'),
+  
+  body('eligibility.cities')
+    .optional()
+    .isArray()
+    .withMessage('Eligible cities must be an array'),
+  
+  body(['eligibility.firstRideOnly', 'eligibility.referredUsersOnly'])
+    .optional()
+    .isBoolean()
+    .withMessage('Eligibility flags must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Cancellation policy validation
+const validateCancellationPolicy = [
+  body('vehicleType')
+    .optional({ nullable: true })
+    .isIn(['Bike', 'Auto', 'Car', 'Truck', 'Delivery'])
+    .withMessage('Invalid vehicle type'),
+  
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+  
+  body('rider.feeType')
+    .optional()
+    .isIn(['flat', 'percentage'])
+    .withMessage('Fee type must be flat or percentage'),
+  
+  body([
+    'rider.freeWindowMinutes', 'rider.feeValue', 'rider.maxFee', 'rider.chargeWithinMeters',
+    'noShow.waitMinutes', 'noShow.fee', 'driver.penalty', 'driver.freeCancellationsPerDay'
+  ])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Policy amounts and limits must be non-negative numbers'),
+  
+  body('rider.chargeAfterEta')
+    .optional()
+    .isBoolean()
+    .withMessage('Charge after ETA must be true or false'),
+  
+  body('driver.excusedReasons')
+    .optional()
+    .isArray()
+    .withMessage('Excused reasons must be an array'),
+  
+  handleValidationErrors
+];
+
+// Commission plan validation
+const validateCommissionPlan = [
+  body('vehicleType')
+    .optional({ nullable: true })
+    .isIn(['Bike', 'Auto', 'Car', 'Truck', 'Delivery'])
+    .withMessage('Invalid vehicle type'),
+  
+  body('city')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('City must be between 2 and 50 characters'),
+  
+  body('type')
+    .optional()
+    .isIn(['percentage', 'flat', 'subscription'])
+    .withMessage('Plan type must be percentage, flat or subscription'),
+  
+  body(['percentage', 'subscription.fallbackPercentage', 'gstPercent'])
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Percentages must be between 0 and 100'),
+  
+  body(['flatFee', 'subscription.dailyFee'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Fees must be non-negative numbers'),
+  
+  handleValidationErrors
+];
+
+// Withdrawal batch validation
+const validateWithdrawalIds = [
+  body('withdrawalIds')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Withdrawal IDs must be an array of at most 500 IDs'),
+  
+  body('withdrawalIds.*')
+    .isMongoId()
+    .withMessage('Invalid withdrawal ID'),
+  
+  handleValidationErrors
+];
+
 // Location validation
 const validateLocation = [
   body('longitude')
@@ -378,6 +806,41 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Wallet transaction listing (cursor pagination)
+const validateWalletTransactionQuery = [
+  query('cursor')
+    .optional()
+    .isBase64({ urlSafe: true })
+    .withMessage('Invalid cursor'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  
+  query('type')
+    .optional()
+    .isIn(['credit', 'debit', 'refund', 'bonus', 'referral'])
+    .withMessage('Invalid transaction type'),
+  
+  query('account')
+    .optional()
+    .isIn(['wallet', 'credits'])
+    .withMessage('Account must be wallet or credits'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date'),
+  
+  handleValidationErrors
+];
+
 module.exports = {
   handleValidationErrors,
   validateUserSignup,
@@ -385,8 +848,24 @@ module.exports = {
   validateOTP,
   validateDriverInfo,
   validateRideRequest,
+  validateStop,
+  validateTip,
+  validateSplit,
+  validateSplitResponse,
+  validateSharePayment,
+  validateReceipt,
+  validateStatement,
+  validateRating,
   validatePayment,
+  validateSurgeZone,
+  validateFareConfig,
+  validatePromoCheck,
+  validatePromotion,
+  validateCancellationPolicy,
+  validateCommissionPlan,
+  validateWithdrawalIds,
   validateLocation,
   validateObjectId,
-  validatePagination
+  validatePagination,
+  validateWalletTransactionQuery
 };
\ No newline at end of file
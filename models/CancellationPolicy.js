@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+// City used when no city-specific policy exists
+const DEFAULT_CITY = 'default';
+
+const cancellationPolicySchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_CITY
+  },
+  // null applies to every vehicle type in the city
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck', 'Delivery', null],
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  // Rider cancellations after a driver accepted
+  rider: {
+    freeWindowMinutes: {
+      type: Number,
+      min: 0,
+      default: 2
+    },
+    feeType: {
+      type: String,
+      enum: ['flat', 'percentage'],
+      default: 'percentage'
+    },
+    feeValue: {
+      type: Number,
+      min: 0,
+      default: 10
+    },
+    maxFee: {
+      type: Number,
+      min: 0,
+      default: 50
+    },
+    // Only charge when the driver is this close to pickup (0 = always)
+    chargeWithinMeters: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Also charge once the driver's pickup ETA has passed
+    chargeAfterEta: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Rider not at pickup after the driver arrived
+  noShow: {
+    waitMinutes: {
+      type: Number,
+      min: 0,
+      default: 5
+    },
+    fee: {
+      type: Number,
+      min: 0,
+      default: 50
+    }
+  },
+  // Driver cancellations after accepting
+  driver: {
+    penalty: {
+      type: Number,
+      min: 0,
+      default: 25
+    },
+    // Cancellations per day before the penalty applies
+    freeCancellationsPerDay: {
+      type: Number,
+      min: 0,
+      default: 1
+    },
+    // Reason codes that never carry a penalty
+    excusedReasons: {
+      type: [String],
+      default: ['rider_no_show', 'unsafe_pickup']
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+cancellationPolicySchema.index(
+  { city: 1, vehicleType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static method to find the policy for a ride, most specific first
+cancellationPolicySchema.statics.findApplicable = async function({ city, vehicleType }) {
+  const cityKey = (city || DEFAULT_CITY).toLowerCase().trim();
+  const cities = cityKey === DEFAULT_CITY ? [DEFAULT_CITY] : [cityKey, DEFAULT_CITY];
+
+  for (const candidateCity of cities) {
+    for (const candidateVehicle of [vehicleType, null]) {
+      const policy = await this.findOne({ city: candidateCity, vehicleType: candidateVehicle, isActive: true });
+      if (policy) {
+        return policy;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Transform JSON output
+cancellationPolicySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const CancellationPolicy = mongoose.model('CancellationPolicy', cancellationPolicySchema);
+CancellationPolicy.DEFAULT_CITY = DEFAULT_CITY;
+
+module.exports = CancellationPolicy;
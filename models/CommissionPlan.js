@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+
+// City used when no city-specific plan exists
+const DEFAULT_CITY = 'default';
+
+const commissionPlanSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_CITY
+  },
+  // null applies to every vehicle type in the city
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck', 'Delivery', null],
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'flat', 'subscription'],
+    default: 'percentage'
+  },
+  // Share of the fare kept by the platform (percentage plans)
+  percentage: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 20
+  },
+  // Amount kept per ride, capped at the fare (flat plans)
+  flatFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  // Drivers with a day pass pay no commission (subscription plans)
+  subscription: {
+    dailyFee: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    // Charged on rides by drivers without a pass for the day
+    fallbackPercentage: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 20
+    }
+  },
+  // GST charged on the commission (and on subscription fees)
+  gstPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 18
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+commissionPlanSchema.index(
+  { city: 1, vehicleType: 1 },
+  { unique: true, partialFilterExpression: { isActive: true } }
+);
+
+// Static method to find the plan for a ride, most specific first
+commissionPlanSchema.statics.findApplicable = async function({ city, vehicleType }) {
+  const cityKey = (city || DEFAULT_CITY).toLowerCase().trim();
+  const cities = cityKey === DEFAULT_CITY ? [DEFAULT_CITY] : [cityKey, DEFAULT_CITY];
+
+  for (const candidateCity of cities) {
+    for (const candidateVehicle of [vehicleType, null]) {
+      const plan = await this.findOne({ city: candidateCity, vehicleType: candidateVehicle, isActive: true });
+      if (plan) {
+        return plan;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Transform JSON output
+commissionPlanSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const CommissionPlan = mongoose.model('CommissionPlan', commissionPlanSchema);
+CommissionPlan.DEFAULT_CITY = DEFAULT_CITY;
+
+module.exports = CommissionPlan;
@@ -0,0 +1,232 @@
+const mongoose = require('mongoose');
+
+// City used when no city-specific config exists
+const DEFAULT_CITY = 'default';
+
+// Rates the default city starts with, so fares can be quoted before an admin sets any
+const DEFAULT_FARE_CONFIGS = [
+  { vehicleType: 'Bike', serviceType: 'Ride', baseFare: 20, perKm: 8, perMinute: 1, minimumFare: 30 },
+  { vehicleType: 'Auto', serviceType: 'Ride', baseFare: 30, perKm: 12, perMinute: 1.5, minimumFare: 40 },
+  { vehicleType: 'Car', serviceType: 'Ride', baseFare: 50, perKm: 15, perMinute: 2, minimumFare: 80 },
+  { vehicleType: 'Truck', serviceType: 'Ride', baseFare: 100, perKm: 25, perMinute: 3, minimumFare: 200 },
+  { vehicleType: 'Bike', serviceType: 'Delivery', baseFare: 25, perKm: 8, perMinute: 0.5, minimumFare: 40 },
+  { vehicleType: 'Delivery', serviceType: 'Delivery', baseFare: 40, perKm: 10, perMinute: 1, minimumFare: 50 },
+  { vehicleType: 'Truck', serviceType: 'Delivery', baseFare: 150, perKm: 25, perMinute: 2, minimumFare: 300 }
+];
+
+const fareConfigSchema = new mongoose.Schema({
+  city: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    default: DEFAULT_CITY
+  },
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck', 'Delivery'],
+    required: true
+  },
+  serviceType: {
+    type: String,
+    enum: ['Ride', 'Delivery', 'Intercity', 'Rental'],
+    default: 'Ride'
+  },
+  version: {
+    type: Number,
+    default: 1
+  },
+  // Rates
+  baseFare: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perKm: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  perMinute: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  minimumFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  bookingFee: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Percentage added to the fare for pickups inside the window (hours, 0-23)
+  nightSurcharge: {
+    startHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 23
+    },
+    endHour: {
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 5
+    },
+    percentage: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  },
+  // Charged per minute the driver waits at pickup beyond the free minutes
+  waitingCharge: {
+    perMinute: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    freeMinutes: {
+      type: Number,
+      min: 0,
+      default: 3
+    }
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+fareConfigSchema.index({ city: 1, vehicleType: 1, serviceType: 1, version: -1 }, { unique: true });
+fareConfigSchema.index({ city: 1, vehicleType: 1, serviceType: 1, effectiveFrom: -1 });
+
+// Assign the next version number for this city/vehicle/service
+fareConfigSchema.pre('validate', async function(next) {
+  if (!this.isNew) {
+    return next();
+  }
+
+  try {
+    const latest = await this.constructor.findOne({
+      city: this.city,
+      vehicleType: this.vehicleType,
+      serviceType: this.serviceType
+    }).sort({ version: -1 }).select('version');
+
+    this.version = latest ? latest.version + 1 : 1;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Static method to find the config in force for a ride
+fareConfigSchema.statics.findApplicable = async function({ city, vehicleType, serviceType = 'Ride', at = new Date() }) {
+  const cityKey = (city || DEFAULT_CITY).toLowerCase().trim();
+  const cities = cityKey === DEFAULT_CITY ? [DEFAULT_CITY] : [cityKey, DEFAULT_CITY];
+
+  for (const candidateCity of cities) {
+    const config = await this.findOne({
+      city: candidateCity,
+      vehicleType,
+      serviceType,
+      isActive: true,
+      effectiveFrom: { $lte: at }
+    }).sort({ effectiveFrom: -1, version: -1 });
+
+    if (config) {
+      return config;
+    }
+  }
+
+  return null;
+};
+
+// Static method to create the default city's starting configs that don't exist
+// yet; run at startup, and safe to run from several instances at once
+fareConfigSchema.statics.ensureDefaults = async function() {
+  const created = [];
+
+  for (const rates of DEFAULT_FARE_CONFIGS) {
+    const key = { city: DEFAULT_CITY, vehicleType: rates.vehicleType, serviceType: rates.serviceType };
+    if (await this.exists(key)) {
+      continue;
+    }
+
+    try {
+      created.push(await this.create({
+        ...rates,
+        ...key,
+        bookingFee: 5,
+        nightSurcharge: { startHour: 23, endHour: 5, percentage: 20 },
+        waitingCharge: { perMinute: 1, freeMinutes: 3 },
+        effectiveFrom: new Date(0)
+      }));
+    } catch (error) {
+      // Another instance created it first
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  return created;
+};
+
+// Method to copy the rates onto a ride so receipts can be reproduced
+fareConfigSchema.methods.toSnapshot = function() {
+  return {
+    configId: this._id,
+    version: this.version,
+    city: this.city,
+    vehicleType: this.vehicleType,
+    serviceType: this.serviceType,
+    baseFare: this.baseFare,
+    perKm: this.perKm,
+    perMinute: this.perMinute,
+    minimumFare: this.minimumFare,
+    bookingFee: this.bookingFee,
+    nightSurcharge: {
+      startHour: this.nightSurcharge.startHour,
+      endHour: this.nightSurcharge.endHour,
+      percentage: this.nightSurcharge.percentage
+    },
+    waitingCharge: {
+      perMinute: this.waitingCharge.perMinute,
+      freeMinutes: this.waitingCharge.freeMinutes
+    },
+    effectiveFrom: this.effectiveFrom
+  };
+};
+
+// Transform JSON output
+fareConfigSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const FareConfig = mongoose.model('FareConfig', fareConfigSchema);
+FareConfig.DEFAULT_CITY = DEFAULT_CITY;
+FareConfig.DEFAULT_FARE_CONFIGS = DEFAULT_FARE_CONFIGS;
+
+module.exports = FareConfig;
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+const invoiceSchema = new mongoose.Schema({
+  // e.g. IU/2026-27/000042
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Indian financial year (April to March), e.g. 2026-27
+  financialYear: {
+    type: String,
+    required: true
+  },
+  // Position in the financial year's series, starting at 1 with no gaps
+  sequence: {
+    type: Number,
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Amounts as issued; later changes to the ride don't alter an invoice
+  amounts: {
+    fare: Number,
+    discount: Number,
+    taxableValue: Number,
+    platformFee: Number,
+    processingFee: Number,
+    gst: Number,
+    total: Number
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+// Transform JSON output
+invoiceSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
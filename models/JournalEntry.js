@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const journalLineSchema = new mongoose.Schema({
+  account: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LedgerAccount',
+    required: true
+  },
+  // Copied from the account so entries can be read without a lookup
+  accountType: {
+    type: String,
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: [
+      'wallet_topup',
+      'ride_earnings',
+      'ride_payment',
+      'refund',
+      'cancellation_fee',
+      'dues_payment',
+      'cash_change',
+      'driver_dues',
+      'subscription',
+      'tip',
+      'split_share',
+      'referral_bonus',
+      'withdrawal',
+      'opening_balance',
+      'adjustment'
+    ],
+    required: true
+  },
+  // Idempotency key: posting the same movement twice is a no-op
+  reference: {
+    type: String,
+    required: true
+  },
+  description: String,
+  lines: {
+    type: [journalLineSchema],
+    validate: {
+      validator: (lines) => lines.length >= 2,
+      message: 'A journal entry needs at least two lines'
+    }
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  postedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+journalEntrySchema.index({ reference: 1 }, { unique: true });
+journalEntrySchema.index({ 'lines.account': 1, postedAt: 1 });
+journalEntrySchema.index({ ride: 1 });
+journalEntrySchema.index({ kind: 1, postedAt: -1 });
+
+// Every line is one-sided and the entry balances to the paisa
+journalEntrySchema.pre('validate', function(next) {
+  let debits = 0;
+  let credits = 0;
+
+  for (const line of this.lines) {
+    if ((line.debit > 0) === (line.credit > 0)) {
+      return next(new Error('Each journal line must have either a debit or a credit'));
+    }
+    debits += toPaise(line.debit);
+    credits += toPaise(line.credit);
+  }
+
+  if (debits !== credits) {
+    return next(new Error(`Journal entry does not balance (debits ${debits / 100}, credits ${credits / 100})`));
+  }
+  next();
+});
+
+// Entries are immutable; corrections are posted as new entries
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Journal entries cannot be modified'));
+  }
+  next();
+});
+
+const rejectChange = function(next) {
+  next(new Error('Journal entries cannot be modified or deleted'));
+};
+
+journalEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'],
+  rejectChange
+);
+journalEntrySchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, rejectChange);
+journalEntrySchema.pre('deleteOne', { document: true, query: false }, rejectChange);
+
+// Transform JSON output
+journalEntrySchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
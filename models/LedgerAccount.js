@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Account types and the side that increases them
+const ACCOUNT_TYPES = {
+  rider_wallet: 'credit', // money the platform holds for a rider
+  rider_credits: 'credit', // referral credits a rider can spend on rides
+  rider_receivable: 'debit', // fares a rider owes (negative when prepaid)
+  driver_payable: 'credit', // earnings owed to a driver (negative when the driver owes commission)
+  payouts_pending: 'credit', // withdrawals requested but not yet paid out
+  platform_commission: 'credit', // platform revenue
+  gst_payable: 'credit', // GST collected on commission
+  referral_expense: 'debit', // cost of referral bonuses
+  incentive_expense: 'debit', // incentives paid to drivers
+  gateway_clearing: 'debit', // money held at the payment gateway or bank
+  opening_balance: 'debit' // offsets balances that existed before the ledger
+};
+
+// Types that belong to a single user; the rest are platform-wide
+const USER_ACCOUNT_TYPES = ['rider_wallet', 'rider_credits', 'rider_receivable', 'driver_payable'];
+
+const ledgerAccountSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: Object.keys(ACCOUNT_TYPES),
+    required: true
+  },
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  normalBalance: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: true
+  },
+  // Cached from journal entries; reconciliation checks it against them
+  balance: {
+    type: Number,
+    default: 0
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ledgerAccountSchema.index({ type: 1, owner: 1 }, { unique: true });
+
+// Transform JSON output
+ledgerAccountSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const LedgerAccount = mongoose.model('LedgerAccount', ledgerAccountSchema);
+LedgerAccount.ACCOUNT_TYPES = ACCOUNT_TYPES;
+LedgerAccount.USER_ACCOUNT_TYPES = USER_ACCOUNT_TYPES;
+
+module.exports = LedgerAccount;
@@ -13,7 +13,7 @@ const paymentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['ride', 'wallet_topup', 'refund', 'bonus', 'referral', 'withdrawal'],
+    enum: ['ride', 'wallet_topup', 'refund', 'bonus', 'referral', 'withdrawal', 'subscription', 'driver_dues', 'tip', 'ride_share'],
     required: true
   },
   amount: {
@@ -32,10 +32,16 @@ const paymentSchema = new mongoose.Schema({
   },
   method: {
     type: String,
-    enum: ['cash', 'card', 'upi', 'wallet', 'razorpay', 'netbanking'],
+    enum: ['cash', 'card', 'upi', 'wallet', 'credits', 'razorpay', 'netbanking'],
     required: true
   },
-  // Razorpay specific fields
+  // Gateway that took the payment (see utils/paymentProvider.js)
+  provider: {
+    type: String,
+    enum: ['razorpay', 'mock'],
+    default: 'razorpay'
+  },
+  // Gateway order, payment and signature; the mock gateway uses the same fields
   razorpay: {
     orderId: String,
     paymentId: String,
@@ -70,10 +76,27 @@ const paymentSchema = new mongoose.Schema({
       ref: 'Payment'
     },
     refundId: String,
+    // Refund status reported by the gateway
+    gatewayStatus: {
+      type: String,
+      enum: ['pending', 'processed', 'failed']
+    },
     refundAmount: Number,
     reason: String,
     processedAt: Date
   },
+  // Attempts for payouts that are retried in the background
+  retry: {
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: {
+      type: Date,
+      default: null
+    },
+    lastError: String
+  },
   // Fee breakdown
   fees: {
     platformFee: {
@@ -112,24 +135,50 @@ const paymentSchema = new mongoose.Schema({
 // Indexes
 paymentSchema.index({ user: 1, createdAt: -1 });
 paymentSchema.index({ ride: 1 });
+// One open gateway order per ride
+paymentSchema.index(
+  { ride: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'ride', status: 'pending' } }
+);
+// One refund per rider per ride, so concurrent cancellations can't refund twice
+paymentSchema.index(
+  { ride: 1, user: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'refund' } }
+);
 paymentSchema.index({ status: 1 });
 paymentSchema.index({ 'razorpay.paymentId': 1 });
 paymentSchema.index({ 'razorpay.orderId': 1 });
+paymentSchema.index({ 'refund.refundId': 1 });
+paymentSchema.index({ type: 1, status: 1, 'retry.nextAttemptAt': 1 });
 
 // Virtual for net amount (after fees)
 paymentSchema.virtual('netAmount').get(function() {
   return this.amount - (this.fees.platformFee + this.fees.processingFee + this.fees.gst);
 });
 
+// Platform and processing fees on an amount, and the GST charged on them
+paymentSchema.statics.FEE_RATES = {
+  platformFee: 0.05, // 5% platform fee
+  processingFee: 0.02, // 2% processing fee
+  gst: 0.18 // 18% GST
+};
+
+paymentSchema.statics.feesFor = function(amount) {
+  const rates = this.FEE_RATES;
+  const platformFee = Math.round(amount * rates.platformFee * 100) / 100;
+  const processingFee = Math.round(amount * rates.processingFee * 100) / 100;
+  const gst = Math.round((platformFee + processingFee) * rates.gst * 100) / 100;
+  
+  return { platformFee, processingFee, gst };
+};
+
 // Method to calculate fees
 paymentSchema.methods.calculateFees = function() {
-  const platformFeeRate = 0.05; // 5% platform fee
-  const processingFeeRate = 0.02; // 2% processing fee
-  const gstRate = 0.18; // 18% GST
+  const fees = this.constructor.feesFor(this.amount);
   
-  this.fees.platformFee = Math.round(this.amount * platformFeeRate * 100) / 100;
-  this.fees.processingFee = Math.round(this.amount * processingFeeRate * 100) / 100;
-  this.fees.gst = Math.round((this.fees.platformFee + this.fees.processingFee) * gstRate * 100) / 100;
+  this.fees.platformFee = fees.platformFee;
+  this.fees.processingFee = fees.processingFee;
+  this.fees.gst = fees.gst;
   
   return this;
 };
@@ -163,9 +212,11 @@ paymentSchema.methods.markFailed = function(error) {
 };
 
 // Method to process refund
-paymentSchema.methods.processRefund = function(refundAmount, reason) {
+paymentSchema.methods.processRefund = function(refundAmount, reason, gatewayRefund = {}) {
   this.status = 'refunded';
   this.refund = {
+    refundId: gatewayRefund.id,
+    gatewayStatus: gatewayRefund.status,
     refundAmount,
     reason,
     processedAt: new Date()
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+
+const promotionSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Promo code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9]{4,20}$/, 'Promo code must be 4-20 letters or digits']
+  },
+  description: {
+    type: String,
+    maxlength: 200
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  maxDiscount: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  minFare: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  // Usage limits (null = unlimited)
+  usageLimit: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Eligibility rules
+  eligibility: {
+    firstRideOnly: {
+      type: Boolean,
+      default: false
+    },
+    vehicleTypes: [{
+      type: String,
+      enum: ['Bike', 'Auto', 'Car', 'Truck', 'Delivery']
+    }],
+    cities: [{
+      type: String,
+      lowercase: true,
+      trim: true
+    }],
+    referredUsersOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  disabledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+promotionSchema.index({ isActive: 1, validUntil: 1 });
+
+// Method to check the promotion is live
+promotionSchema.methods.isLive = function(at = new Date()) {
+  if (!this.isActive) {
+    return { success: false, message: 'Promo code is no longer active' };
+  }
+  if (this.validFrom > at) {
+    return { success: false, message: 'Promo code is not valid yet' };
+  }
+  if (this.validUntil < at) {
+    return { success: false, message: 'Promo code has expired' };
+  }
+  if (this.usageLimit !== null && this.usedCount >= this.usageLimit) {
+    return { success: false, message: 'Promo code usage limit reached' };
+  }
+  return { success: true };
+};
+
+// Method to calculate discount for a fare
+promotionSchema.methods.calculateDiscount = function(fare) {
+  let discount = this.discountType === 'percentage'
+    ? fare * this.discountValue / 100
+    : this.discountValue;
+
+  if (this.maxDiscount !== null) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+
+  return Math.round(Math.min(discount, fare) * 100) / 100;
+};
+
+// Transform JSON output
+promotionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Promotion', promotionSchema);
@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Per-user slot (1..perUserLimit) this use holds; unique while applied
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'reversed'],
+    default: 'applied'
+  },
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+promotionRedemptionSchema.index(
+  { promotion: 1, user: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { status: 'applied' } }
+);
+promotionRedemptionSchema.index({ promotion: 1, createdAt: -1 });
+promotionRedemptionSchema.index({ ride: 1 });
+
+module.exports = mongoose.model('PromotionRedemption', promotionRedemptionSchema);
@@ -1,4 +1,18 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { RIDE_ACTORS, assertTransition } = require('../utils/rideStateMachine');
+
+// Wrong PIN entries allowed before the PIN locks
+const MAX_PIN_ATTEMPTS = 5;
+
+// Intermediate stops allowed per ride
+const MAX_STOPS = 3;
+
+// How long a settlement attempt holds a ride before another may retry it
+const SETTLEMENT_LEASE_MS = 5 * 60 * 1000;
+
+// Co-rider shares that are still owed; they fall back to the booking rider at completion
+const OPEN_SPLIT_STATUSES = ['invited', 'accepted', 'processing', 'pending'];
 
 const rideSchema = new mongoose.Schema({
   user: {
@@ -21,11 +35,96 @@ const rideSchema = new mongoose.Schema({
     enum: ['Ride', 'Delivery', 'Intercity', 'Rental'],
     default: 'Ride'
   },
+  city: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: 'default'
+  },
   status: {
     type: String,
-    enum: ['pending', 'searching', 'accepted', 'arrived', 'started', 'completed', 'cancelled'],
+    enum: ['pending', 'scheduled', 'searching', 'accepted', 'arrived', 'started', 'completed', 'cancelled', 'no_driver_found'],
     default: 'pending'
   },
+  // Append-only log of every status change
+  statusHistory: [{
+    from: {
+      type: String,
+      default: null,
+      immutable: true
+    },
+    status: {
+      type: String,
+      required: true,
+      immutable: true
+    },
+    actor: {
+      type: String,
+      enum: RIDE_ACTORS,
+      required: true,
+      immutable: true
+    },
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      immutable: true
+    },
+    location: {
+      type: [Number], // [longitude, latitude]
+      default: undefined,
+      immutable: true
+    },
+    note: {
+      type: String,
+      immutable: true
+    },
+    timestamp: {
+      type: Date,
+      default: Date.now,
+      immutable: true
+    }
+  }],
+  // Driver matching
+  dispatch: {
+    round: {
+      type: Number,
+      default: 0
+    },
+    radius: Number, // in metres
+    startedAt: Date,
+    roundExpiresAt: Date,
+    searchExpiresAt: Date,
+    completedAt: Date,
+    outcome: {
+      type: String,
+      enum: ['matched', 'no_driver_found', 'cancelled', null],
+      default: null
+    },
+    offers: [{
+      driver: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      round: Number,
+      radius: Number, // in metres
+      distance: Number, // metres from pickup when offered
+      score: Number,
+      offeredAt: {
+        type: Date,
+        default: Date.now
+      },
+      expiresAt: Date,
+      respondedAt: Date,
+      outcome: {
+        type: String,
+        enum: ['offered', 'accepted', 'rejected', 'expired', 'withdrawn'],
+        default: 'offered'
+      },
+      reason: String
+    }]
+  },
   // Location details
   pickup: {
     address: {
@@ -76,13 +175,48 @@ const rideSchema = new mongoose.Schema({
       default: 0
     },
     polyline: String, // Google Maps polyline
+    // Intermediate stops, in visiting order
     waypoints: [{
       address: String,
       coordinates: {
-        type: [Number]
+        type: [Number] // [longitude, latitude]
+      },
+      landmark: String,
+      instructions: String,
+      status: {
+        type: String,
+        enum: ['pending', 'arrived', 'departed'],
+        default: 'pending'
+      },
+      addedAt: {
+        type: Date,
+        default: Date.now
+      },
+      arrivedAt: Date,
+      departedAt: Date,
+      waitingMinutes: {
+        type: Number,
+        default: 0
+      },
+      waitingCharge: {
+        type: Number,
+        default: 0
       }
     }]
   },
+  // Stops added mid-trip wait here until the rider accepts the new fare
+  pendingRouteChange: {
+    stop: mongoose.Schema.Types.Mixed,
+    position: Number, // index the stop will take in route.waypoints
+    distance: Number,
+    duration: Number,
+    polyline: String,
+    fare: mongoose.Schema.Types.Mixed,
+    previousAmount: Number,
+    newAmount: Number,
+    requestedAt: Date,
+    expiresAt: Date
+  },
   // Pricing
   pricing: {
     baseFare: {
@@ -101,6 +235,36 @@ const rideSchema = new mongoose.Schema({
       type: Number,
       default: 1
     },
+    surgeZone: {
+      type: String,
+      default: null
+    },
+    nightSurcharge: {
+      type: Number,
+      default: 0
+    },
+    bookingFee: {
+      type: Number,
+      default: 0
+    },
+    waitingCharge: {
+      type: Number,
+      default: 0
+    },
+    waitingMinutes: {
+      type: Number,
+      default: 0
+    },
+    // Sum of the per-stop waiting charges
+    stopWaitingCharge: {
+      type: Number,
+      default: 0
+    },
+    // Copy of the fare config version used to price this ride
+    fareConfig: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
     totalFare: {
       type: Number,
       required: true
@@ -109,6 +273,15 @@ const rideSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion',
+      default: null
+    },
+    promoCode: {
+      type: String,
+      default: null
+    },
     finalAmount: {
       type: Number,
       required: true
@@ -119,6 +292,16 @@ const rideSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  // Scheduled ride bookkeeping
+  schedule: {
+    // Minutes-before-pickup reminders already sent
+    remindersSent: [Number],
+    rescheduledCount: {
+      type: Number,
+      default: 0
+    },
+    lastEditedAt: Date
+  },
   actualPickupTime: {
     type: Date,
     default: null
@@ -138,33 +321,173 @@ const rideSchema = new mongoose.Schema({
       enum: ['cash', 'card', 'upi', 'wallet', 'credits'],
       default: 'cash'
     },
+    // Covers whatever the wallet can't at settlement
+    fallbackMethod: {
+      type: String,
+      enum: ['cash', 'card', 'upi', null],
+      default: null
+    },
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed', 'refunded'],
       default: 'pending'
     },
+    // Wallet settlement breakdown, filled in when the ride completes
+    creditsAmount: {
+      type: Number,
+      default: 0
+    },
+    walletAmount: {
+      type: Number,
+      default: 0
+    },
+    fallbackAmount: {
+      type: Number,
+      default: 0
+    },
+    duesAmount: {
+      type: Number,
+      default: 0
+    },
+    settledAt: {
+      type: Date,
+      default: null
+    },
+    // Held while a settlement attempt runs, so two attempts can't charge the ride at once
+    settlingUntil: {
+      type: Date,
+      default: null
+    },
+    // Set when the unpaid part of the fare was added to the rider's dues
+    duesAccruedAt: {
+      type: Date,
+      default: null
+    },
+    // Driver's confirmation of what a cash rider actually paid
+    cashCollection: {
+      amountCollected: Number,
+      // Paid over the fare and credited to the rider's wallet
+      changeToWallet: Number,
+      // Paid under the fare and owed by the rider
+      shortfall: Number,
+      confirmedAt: Date
+    },
     razorpayOrderId: String,
     razorpayPaymentId: String,
     razorpaySignature: String,
     transactionId: String
   },
+  // Rider's tip after the ride; goes to the driver in full
+  tip: {
+    amount: Number,
+    method: {
+      type: String,
+      enum: ['wallet', 'razorpay']
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'pending', 'paid', 'failed']
+    },
+    payment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Payment'
+    },
+    paidAt: Date
+  },
+  // Fare split with co-riders the booking rider invited. Shares are fixed when
+  // the split is set up; whatever co-riders don't pay is left to the booker.
+  split: {
+    mode: {
+      type: String,
+      enum: ['equal', 'custom']
+    },
+    participants: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      share: {
+        type: Number,
+        required: true,
+        min: 0
+      },
+      status: {
+        type: String,
+        enum: ['invited', 'accepted', 'declined', 'processing', 'pending', 'paid', 'fallen_back', 'refunded'],
+        default: 'invited'
+      },
+      method: {
+        type: String,
+        enum: ['wallet', 'razorpay']
+      },
+      payment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment'
+      },
+      invitedAt: {
+        type: Date,
+        default: Date.now
+      },
+      respondedAt: Date,
+      paidAt: Date
+    }],
+    // Sum of the shares co-riders have paid
+    paidAmount: {
+      type: Number,
+      default: 0
+    },
+    // Set when the ride completes or is cancelled; no shares are paid after
+    closedAt: Date
+  },
+  // Driver's share of the fare, worked out when the ride completes.
+  // Rides completed before commission plans have no breakdown.
+  earnings: {
+    plan: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CommissionPlan'
+    },
+    planType: String,
+    gross: Number,
+    commission: Number,
+    gst: Number,
+    incentive: Number,
+    tip: Number,
+    // gross - commission - gst + incentive + tip
+    net: Number,
+    // Fare the driver took in cash, already in hand
+    cashCollected: Number,
+    // Platform's share of that cash, owed back by the driver
+    cashDues: Number,
+    calculatedAt: Date
+  },
   // Ratings and feedback
   rating: {
+    // Given by the rider to the driver
     userRating: {
       rating: {
         type: Number,
         min: 1,
         max: 5
       },
+      tags: {
+        type: [String],
+        default: undefined
+      },
       feedback: String,
       date: Date
     },
+    // Given by the driver to the rider
     driverRating: {
       rating: {
         type: Number,
         min: 1,
         max: 5
       },
+      tags: {
+        type: [String],
+        default: undefined
+      },
       feedback: String,
       date: Date
     }
@@ -195,11 +518,51 @@ const rideSchema = new mongoose.Schema({
       default: false
     }
   },
+  // Trip verification PINs (never returned unless explicitly selected)
+  verification: {
+    startPin: {
+      type: String,
+      select: false
+    },
+    startPinAttempts: {
+      type: Number,
+      default: 0
+    },
+    startPinVerifiedAt: Date,
+    deliveryPin: {
+      type: String,
+      select: false
+    },
+    deliveryPinAttempts: {
+      type: Number,
+      default: 0
+    },
+    deliveryPinSentAt: Date,
+    deliveryPinVerifiedAt: Date,
+    failedAttempts: [{
+      kind: {
+        type: String,
+        enum: ['start', 'delivery']
+      },
+      actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      location: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      },
+      attemptedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
   // Cancellation
   cancellation: {
     cancelledBy: {
       type: String,
-      enum: ['user', 'driver', 'system']
+      enum: ['user', 'driver', 'system', 'admin']
     },
     reason: String,
     cancellationFee: {
@@ -210,8 +573,37 @@ const rideSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Reason code and the cancellation policy rule that set the fee
+    reasonCode: String,
+    rule: String,
     cancelledAt: Date
   },
+  // Drivers who backed out after accepting (the ride went back to dispatch)
+  driverCancellations: [{
+    driver: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    note: String,
+    penalty: {
+      type: Number,
+      default: 0
+    },
+    rule: String,
+    location: {
+      type: [Number], // [longitude, latitude]
+      default: undefined
+    },
+    cancelledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   // Tracking
   tracking: {
     isTracked: {
@@ -239,13 +631,22 @@ const rideSchema = new mongoose.Schema({
     resolvedAt: Date
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // Dispatch timers and driver acceptance touch the same ride concurrently
+  optimisticConcurrency: true
 });
 
 // Indexes for better performance
 rideSchema.index({ user: 1, createdAt: -1 });
 rideSchema.index({ driver: 1, createdAt: -1 });
+rideSchema.index({ driver: 1, status: 1, actualEndTime: -1 });
 rideSchema.index({ status: 1 });
+rideSchema.index({ status: 1, scheduledTime: 1 });
+rideSchema.index({ 'dispatch.offers.driver': 1, status: 1 });
+rideSchema.index({ 'driverCancellations.driver': 1, 'driverCancellations.cancelledAt': -1 });
+rideSchema.index({ 'tip.payment': 1 }, { sparse: true });
+rideSchema.index({ 'split.participants.user': 1 }, { sparse: true });
+rideSchema.index({ 'split.participants.payment': 1 }, { sparse: true });
 rideSchema.index({ 'pickup.coordinates': '2dsphere' });
 rideSchema.index({ 'destination.coordinates': '2dsphere' });
 rideSchema.index({ createdAt: -1 });
@@ -260,34 +661,216 @@ rideSchema.virtual('rideDuration').get(function() {
 
 // Method to calculate fare
 rideSchema.methods.calculateFare = function() {
-  const { baseFare, distanceFare, timeFare, surgeMultiplier } = this.pricing;
-  const total = (baseFare + distanceFare + timeFare) * surgeMultiplier;
+  const { baseFare, distanceFare, timeFare, surgeMultiplier, nightSurcharge = 0, bookingFee = 0, waitingCharge = 0, stopWaitingCharge = 0 } = this.pricing;
+  const minimumFare = (this.pricing.fareConfig && this.pricing.fareConfig.minimumFare) || 0;
+  const fare = Math.max((baseFare + distanceFare + timeFare) * surgeMultiplier + nightSurcharge, minimumFare);
+  const total = fare + bookingFee + waitingCharge + stopWaitingCharge;
   this.pricing.totalFare = Math.round(total * 100) / 100;
   this.pricing.finalAmount = Math.max(0, this.pricing.totalFare - this.pricing.discount);
   return this.pricing.finalAmount;
 };
 
-// Method to update status
-rideSchema.methods.updateStatus = function(newStatus) {
+// Method to charge for time the driver waited at pickup (does not save)
+rideSchema.methods.applyWaitingCharge = function(startedAt = new Date()) {
+  const rates = this.pricing.fareConfig && this.pricing.fareConfig.waitingCharge;
+  const arrival = [...this.statusHistory].reverse().find(entry => entry.status === 'arrived');
+  if (!rates || !rates.perMinute || !arrival) {
+    return 0;
+  }
+
+  const waitedMinutes = Math.max(0, (startedAt - arrival.timestamp) / (1000 * 60));
+  const chargeableMinutes = Math.max(0, Math.ceil(waitedMinutes - (rates.freeMinutes || 0)));
+
+  this.pricing.waitingMinutes = Math.round(waitedMinutes * 10) / 10;
+  this.pricing.waitingCharge = Math.round(chargeableMinutes * rates.perMinute * 100) / 100;
+  this.calculateFare();
+  return this.pricing.waitingCharge;
+};
+
+// Method to record the driver reaching a stop (does not save)
+rideSchema.methods.arriveAtStop = function(index, at = new Date()) {
+  const stop = this.route.waypoints[index];
+  if (!stop || stop.status !== 'pending') {
+    return { success: false, message: 'Stop is not awaiting arrival' };
+  }
+
+  // Stops are visited in order
+  const skipped = this.route.waypoints.slice(0, index).some(previous => previous.status !== 'departed');
+  if (skipped) {
+    return { success: false, message: 'Previous stops must be completed first' };
+  }
+
+  stop.status = 'arrived';
+  stop.arrivedAt = at;
+  return { success: true, stop };
+};
+
+// Claim a completed, unsettled ride paid by one of `methods` for a settlement
+// attempt; null if it's settled or another attempt holds it
+rideSchema.statics.claimSettlement = function(rideId, methods, now = new Date()) {
+  return this.findOneAndUpdate(
+    {
+      _id: rideId,
+      status: 'completed',
+      'payment.method': { $in: methods },
+      'payment.settledAt': null,
+      $or: [
+        { 'payment.settlingUntil': null },
+        { 'payment.settlingUntil': { $lte: now } }
+      ]
+    },
+    { $set: { 'payment.settlingUntil': new Date(now.getTime() + SETTLEMENT_LEASE_MS) }, $inc: { __v: 1 } },
+    { new: true }
+  );
+};
+
+// The part of the fare the booking rider pays: all of it, less co-riders' paid shares
+rideSchema.methods.getBookerFare = function() {
+  const paid = (this.split && this.split.paidAmount) || 0;
+  return Math.max(0, Math.round((this.pricing.finalAmount - paid) * 100) / 100);
+};
+
+// Method to close the fare split as the ride completes (does not save). Shares
+// not paid by now fall back to the booking rider; returns those participants.
+rideSchema.methods.closeSplit = function(at = new Date()) {
+  if (!this.split || !this.split.mode || this.split.closedAt) {
+    return [];
+  }
+
+  this.split.closedAt = at;
+  const fallenBack = this.split.participants.filter(participant => OPEN_SPLIT_STATUSES.includes(participant.status));
+  fallenBack.forEach(participant => {
+    participant.status = 'fallen_back';
+  });
+  return fallenBack;
+};
+
+// Method to record the driver leaving a stop and charge its waiting time (does not save)
+rideSchema.methods.departFromStop = function(index, at = new Date()) {
+  const stop = this.route.waypoints[index];
+  if (!stop || stop.status !== 'arrived') {
+    return { success: false, message: 'Driver has not arrived at this stop' };
+  }
+
+  const rates = (this.pricing.fareConfig && this.pricing.fareConfig.waitingCharge) || {};
+  const waitedMinutes = Math.max(0, (at - stop.arrivedAt) / (1000 * 60));
+  const chargeableMinutes = Math.max(0, Math.ceil(waitedMinutes - (rates.freeMinutes || 0)));
+
+  stop.status = 'departed';
+  stop.departedAt = at;
+  stop.waitingMinutes = Math.round(waitedMinutes * 10) / 10;
+  stop.waitingCharge = Math.round(chargeableMinutes * (rates.perMinute || 0) * 100) / 100;
+
+  const stopWaitingCharge = this.route.waypoints.reduce((sum, waypoint) => sum + (waypoint.waitingCharge || 0), 0);
+  this.pricing.stopWaitingCharge = Math.round(stopWaitingCharge * 100) / 100;
+  this.calculateFare();
+  return { success: true, stop };
+};
+
+// Remember how many history entries were loaded so saves can't drop any
+rideSchema.post('init', function() {
+  this.$locals.statusHistoryLength = this.statusHistory.length;
+});
+
+// Keep status history append-only
+rideSchema.pre('save', function(next) {
+  const loadedLength = this.$locals.statusHistoryLength || 0;
+  if (this.statusHistory.length < loadedLength) {
+    return next(new Error('Ride status history is append-only'));
+  }
+  next();
+});
+
+// Method to apply a status transition without saving
+rideSchema.methods.transitionTo = function(newStatus, options = {}) {
+  const { actor = 'system', actorId = null, location = null, note } = options;
+
+  assertTransition(this.status, newStatus, actor);
+
+  const now = new Date();
+  this.statusHistory.push({
+    from: this.status,
+    status: newStatus,
+    actor,
+    actorId,
+    location: location || undefined,
+    note,
+    timestamp: now
+  });
   this.status = newStatus;
-  
+
   // Update timestamps based on status
-  const now = new Date();
   switch (newStatus) {
     case 'accepted':
       this.actualPickupTime = now;
       break;
     case 'started':
       this.actualStartTime = now;
+      this.applyWaitingCharge(now);
       break;
     case 'completed':
       this.actualEndTime = now;
       break;
   }
-  
+
+  return this;
+};
+
+// Method to update status
+rideSchema.methods.updateStatus = function(newStatus, options = {}) {
+  this.transitionTo(newStatus, options);
   return this.save();
 };
 
+// Generate a random 4-digit PIN
+rideSchema.statics.generatePin = function() {
+  return crypto.randomInt(0, 10000).toString().padStart(4, '0');
+};
+
+// Method to issue a fresh trip PIN (start or delivery) without saving
+rideSchema.methods.issuePin = function(kind) {
+  const pin = this.constructor.generatePin();
+  this.verification[`${kind}Pin`] = pin;
+  this.verification[`${kind}PinAttempts`] = 0;
+  this.verification[`${kind}PinVerifiedAt`] = null;
+  return pin;
+};
+
+// Method to check a trip PIN, recording wrong attempts (caller saves)
+rideSchema.methods.verifyPin = function(kind, inputPin, actorId = null, location = null) {
+  const attemptsField = `${kind}PinAttempts`;
+  const expectedPin = this.verification[`${kind}Pin`];
+
+  if (!expectedPin) {
+    return { success: false, message: 'No PIN has been issued for this ride' };
+  }
+
+  if (this.verification[attemptsField] >= MAX_PIN_ATTEMPTS) {
+    return { success: false, locked: true, message: 'Maximum PIN attempts exceeded' };
+  }
+
+  if (String(inputPin || '') === expectedPin) {
+    this.verification[`${kind}PinVerifiedAt`] = new Date();
+    return { success: true, message: 'PIN verified successfully' };
+  }
+
+  this.verification[attemptsField] += 1;
+  this.verification.failedAttempts.push({
+    kind,
+    actorId,
+    location: location || undefined,
+    attemptedAt: new Date()
+  });
+
+  const attemptsLeft = MAX_PIN_ATTEMPTS - this.verification[attemptsField];
+  return {
+    success: false,
+    locked: attemptsLeft <= 0,
+    attemptsLeft,
+    message: attemptsLeft > 0 ? 'Invalid PIN' : 'Maximum PIN attempts exceeded'
+  };
+};
+
 // Method to add tracking location
 rideSchema.methods.addTrackingLocation = function(coordinates, speed = 0, heading = 0) {
   this.tracking.locations.push({
@@ -306,13 +889,16 @@ rideSchema.methods.addTrackingLocation = function(coordinates, speed = 0, headin
 };
 
 // Method to cancel ride
-rideSchema.methods.cancelRide = function(cancelledBy, reason, cancellationFee = 0) {
-  this.status = 'cancelled';
+rideSchema.methods.cancelRide = function(cancelledBy, reason, cancellationFee = 0, options = {}) {
+  const { reasonCode, rule, ...transitionOptions } = options;
+  this.transitionTo('cancelled', { ...transitionOptions, actor: cancelledBy, note: reason });
   this.cancellation = {
     cancelledBy,
     reason,
     cancellationFee,
     refundAmount: Math.max(0, this.pricing.finalAmount - cancellationFee),
+    reasonCode,
+    rule,
     cancelledAt: new Date()
   };
   
@@ -328,4 +914,8 @@ rideSchema.set('toJSON', {
   }
 });
 
-module.exports = mongoose.model('Ride', rideSchema);
+const Ride = mongoose.model('Ride', rideSchema);
+Ride.MAX_STOPS = MAX_STOPS;
+Ride.OPEN_SPLIT_STATUSES = OPEN_SPLIT_STATUSES;
+
+module.exports = Ride;
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const surgeZoneSchema = new mongoose.Schema({
+  // Geohash cell the zone covers
+  zoneId: {
+    type: String,
+    required: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['Bike', 'Auto', 'Car', 'Truck', 'Delivery'],
+    required: true
+  },
+  // Smoothed multiplier applied to fares
+  multiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Unsmoothed multiplier from the latest window
+  rawMultiplier: {
+    type: Number,
+    default: 1
+  },
+  demand: {
+    type: Number,
+    default: 0
+  },
+  supply: {
+    type: Number,
+    default: 0
+  },
+  // Admin controls
+  maxMultiplier: {
+    type: Number,
+    default: null,
+    min: 1
+  },
+  isFrozen: {
+    type: Boolean,
+    default: false
+  },
+  frozenMultiplier: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+surgeZoneSchema.index({ zoneId: 1, vehicleType: 1 }, { unique: true });
+surgeZoneSchema.index({ multiplier: -1 });
+
+// Virtual for the multiplier riders are actually charged
+surgeZoneSchema.virtual('effectiveMultiplier').get(function() {
+  return this.isFrozen ? this.frozenMultiplier : this.multiplier;
+});
+
+// Transform JSON output
+surgeZoneSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('SurgeZone', surgeZoneSchema);
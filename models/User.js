@@ -86,6 +86,10 @@ const userSchema = new mongoose.Schema({
       type: Boolean,
       default: false
     },
+    availableSince: {
+      type: Date,
+      default: null
+    },
     currentLocation: {
       type: {
         type: String,
@@ -103,10 +107,43 @@ const userSchema = new mongoose.Schema({
       min: 0,
       max: 5
     },
+    // Running totals so the average can be updated without rescanning rides;
+    // left unset until the first rating so older users are rebuilt from rides
+    ratingTotal: Number,
+    ratingCount: Number,
+    tags: {
+      type: Map,
+      of: Number,
+      default: {}
+    },
     totalRides: {
       type: Number,
       default: 0
     },
+    cancellationCount: {
+      type: Number,
+      default: 0
+    },
+    // Cancellation penalties not yet recovered from earnings
+    penaltyDue: {
+      type: Number,
+      default: 0
+    },
+    // Platform's share of cash fares not yet paid back or offset against payouts
+    cashDues: {
+      type: Number,
+      default: 0
+    },
+    // Day pass for a subscription commission plan
+    subscription: {
+      plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CommissionPlan',
+        default: null
+      },
+      purchasedAt: Date,
+      expiresAt: Date
+    },
     totalEarnings: {
       type: Number,
       default: 0
@@ -124,6 +161,27 @@ const userSchema = new mongoose.Schema({
       bankName: String
     }
   },
+  // Ratings drivers have given this user as a rider
+  riderReputation: {
+    rating: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 5
+    },
+    ratingTotal: Number,
+    ratingCount: Number,
+    // 0-100, smoothed towards a neutral prior for riders with few ratings
+    score: {
+      type: Number,
+      default: 90
+    },
+    tags: {
+      type: Map,
+      of: Number,
+      default: {}
+    }
+  },
   // Sub-driver information
   subDrivers: [{
     name: String,
@@ -151,29 +209,18 @@ const userSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Unpaid ride fares; new rides are blocked until this is cleared
+  outstandingDues: {
+    type: Number,
+    default: 0
+  },
   // Wallet and credits
   wallet: {
+    // Transactions live in the WalletTransaction collection
     balance: {
       type: Number,
       default: 0
-    },
-    transactions: [{
-      type: {
-        type: String,
-        enum: ['credit', 'debit', 'refund', 'bonus', 'referral']
-      },
-      amount: Number,
-      description: String,
-      date: {
-        type: Date,
-        default: Date.now
-      },
-      rideId: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'Ride',
-        default: null
-      }
-    }]
+    }
   },
   // Emergency contacts
   emergencyContacts: [{
@@ -209,6 +256,9 @@ const userSchema = new mongoose.Schema({
 // Index for geospatial queries
 userSchema.index({ 'driverInfo.currentLocation': '2dsphere' });
 
+// Index for the driver dues report
+userSchema.index({ 'driverInfo.cashDues': -1 });
+
 // Generate referral code before saving
 userSchema.pre('save', async function(next) {
   if (this.isNew && !this.referralCode) {
@@ -257,7 +307,6 @@ userSchema.set('toJSON', {
   virtuals: true,
   transform: function(doc, ret) {
     delete ret.__v;
-    delete ret.wallet.transactions;
     return ret;
   }
 });
@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// Transaction types that take money out of the balance
+const DEBIT_TYPES = ['debit'];
+
+const walletTransactionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which balance moved: the wallet or referral credits
+  account: {
+    type: String,
+    enum: ['wallet', 'credits'],
+    default: 'wallet'
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit', 'refund', 'bonus', 'referral'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // The account's balance straight after this transaction
+  balanceAfter: {
+    type: Number,
+    default: null
+  },
+  description: String,
+  ride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Ride',
+    default: null
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null
+  },
+  // Set for movements that must only happen once
+  reference: {
+    type: String,
+    default: undefined
+  },
+  date: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Indexes
+walletTransactionSchema.index({ user: 1, date: -1, _id: -1 });
+walletTransactionSchema.index({ user: 1, type: 1, date: -1 });
+walletTransactionSchema.index({ reference: 1 }, { unique: true, sparse: true });
+
+// Virtual for the signed change to the balance
+walletTransactionSchema.virtual('signedAmount').get(function() {
+  return DEBIT_TYPES.includes(this.type) ? -this.amount : this.amount;
+});
+
+// Transform JSON output
+walletTransactionSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+const WalletTransaction = mongoose.model('WalletTransaction', walletTransactionSchema);
+WalletTransaction.DEBIT_TYPES = DEBIT_TYPES;
+
+module.exports = WalletTransaction;
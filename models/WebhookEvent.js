@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+  // Provider's event id; a repeated delivery of the same event is ignored
+  eventId: {
+    type: String,
+    required: true
+  },
+  provider: {
+    type: String,
+    default: 'razorpay'
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  // What the event changed, e.g. the payment it completed
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+// Transform JSON output
+webhookEventSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Statuses in which a withdrawal is still holding the driver's earnings
+const IN_FLIGHT_STATUSES = ['requested', 'approved', 'processing'];
+
+// Allowed moves between statuses
+const TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['processing', 'rejected'],
+  processing: ['paid', 'failed'],
+  rejected: [],
+  paid: [],
+  failed: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  },
+  by: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: String
+}, { _id: false });
+
+const withdrawalSchema = new mongoose.Schema({
+  driver: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // Cash dues settled from the driver's earnings when this was requested
+  duesOffset: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'requested'
+  },
+  // Set while the withdrawal is in flight; a unique index allows one per driver
+  inFlight: {
+    type: Boolean,
+    default: true
+  },
+  // Copy of the bank details the money is to be sent to
+  bankDetails: {
+    accountNumber: { type: String, required: true },
+    ifscCode: { type: String, required: true },
+    accountHolderName: { type: String, required: true },
+    bankName: String
+  },
+  review: {
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    at: Date,
+    rejectionReason: String
+  },
+  payout: {
+    // Payout file the withdrawal was exported in
+    batchId: String,
+    exportedAt: Date,
+    // Bank reference (UTR) for a paid transfer
+    utr: String,
+    paidAt: Date,
+    failureReason: String
+  },
+  history: [statusChangeSchema]
+}, {
+  timestamps: true
+});
+
+// Indexes
+withdrawalSchema.index({ driver: 1, createdAt: -1 });
+withdrawalSchema.index({ status: 1, createdAt: 1 });
+withdrawalSchema.index({ 'payout.batchId': 1 });
+withdrawalSchema.index(
+  { driver: 1 },
+  { unique: true, partialFilterExpression: { inFlight: true } }
+);
+
+// Whether the withdrawal may move to a status
+withdrawalSchema.methods.canTransition = function(status) {
+  return TRANSITIONS[this.status].includes(status);
+};
+
+// Transform JSON output
+withdrawalSchema.set('toJSON', {
+  virtuals: true,
+  transform: function(doc, ret) {
+    delete ret.__v;
+    delete ret.inFlight;
+    if (ret.bankDetails && ret.bankDetails.accountNumber) {
+      ret.bankDetails.accountNumber = `XXXX${ret.bankDetails.accountNumber.slice(-4)}`;
+    }
+    return ret;
+  }
+});
+
+const Withdrawal = mongoose.model('Withdrawal', withdrawalSchema);
+Withdrawal.IN_FLIGHT_STATUSES = IN_FLIGHT_STATUSES;
+Withdrawal.TRANSITIONS = TRANSITIONS;
+
+module.exports = Withdrawal;
@@ -1,10 +1,31 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
+const SurgeZone = require('../models/SurgeZone');
+const FareConfig = require('../models/FareConfig');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const CancellationPolicy = require('../models/CancellationPolicy');
+const CommissionPlan = require('../models/CommissionPlan');
+const JournalEntry = require('../models/JournalEntry');
+const Withdrawal = require('../models/Withdrawal');
+const { DRIVER_CANCEL_REASONS } = require('../utils/cancellation');
+const { SURGE_CONFIG } = require('../utils/surge');
+const { reconcileLedger } = require('../utils/ledger');
+const { CASH_CONFIG } = require('../utils/cashRides');
+const {
+  approveWithdrawals,
+  rejectWithdrawal,
+  markWithdrawalPaid,
+  markWithdrawalFailed,
+  buildPayoutFile,
+  createPayoutBatch
+} = require('../utils/withdrawals');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
-const { validatePagination } = require('../middleware/validation');
+const { validatePagination, validateSurgeZone, validateFareConfig, validatePromotion, validateCancellationPolicy, validateCommissionPlan, validateWithdrawalIds, validateObjectId } = require('../middleware/validation');
 
 const router = express.Router();
 
@@ -177,7 +198,6 @@ router.get('/users', authenticateToken, requireAdmin, validatePagination, async
     }
 
     const users = await User.find(filter)
-      .select('-wallet.transactions')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(parseInt(limit));
@@ -334,7 +354,7 @@ router.patch('/users/:userId/status', authenticateToken, requireAdmin, async (re
       userId,
       { isActive },
       { new: true }
-    ).select('-wallet.transactions');
+    );
 
     if (!user) {
       return res.status(404).json({
@@ -368,7 +388,7 @@ router.patch('/drivers/:driverId/verify', authenticateToken, requireAdmin, async
       driverId,
       { isVerified },
       { new: true }
-    ).select('-wallet.transactions');
+    );
 
     if (!driver) {
       return res.status(404).json({
@@ -559,6 +579,1158 @@ router.get('/analytics', authenticateToken, requireAdmin, async (req, res) => {
   }
 });
 
+// Get current surge map
+router.get('/surge', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { vehicleType, minMultiplier } = req.query;
+
+    const filter = {};
+    if (vehicleType) filter.vehicleType = vehicleType;
+    if (minMultiplier) filter.multiplier = { $gte: parseFloat(minMultiplier) };
+
+    const zones = await SurgeZone.find(filter)
+      .sort({ multiplier: -1, zoneId: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        zones,
+        config: {
+          geohashPrecision: SURGE_CONFIG.geohashPrecision,
+          windowMinutes: SURGE_CONFIG.windowMinutes,
+          maxMultiplier: SURGE_CONFIG.maxMultiplier
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get surge map error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get surge map'
+    });
+  }
+});
+
+// Set surge cap or freeze surge in a zone
+router.patch('/surge/:zoneId', authenticateToken, requireAdmin, validateSurgeZone, async (req, res) => {
+  try {
+    const { zoneId } = req.params;
+    const { vehicleType, maxMultiplier, isFrozen, frozenMultiplier } = req.body;
+
+    const updateData = { updatedBy: req.user._id };
+    if (maxMultiplier !== undefined) updateData.maxMultiplier = maxMultiplier;
+    if (isFrozen !== undefined) updateData.isFrozen = isFrozen;
+    if (frozenMultiplier !== undefined) updateData.frozenMultiplier = frozenMultiplier;
+
+    // Freezing without a multiplier holds the zone at what riders pay now
+    if (isFrozen === true && frozenMultiplier === undefined) {
+      const current = await SurgeZone.findOne({ zoneId, vehicleType });
+      if (!current || !current.isFrozen) {
+        updateData.frozenMultiplier = current ? current.multiplier : 1;
+      }
+    }
+
+    const zone = await SurgeZone.findOneAndUpdate(
+      { zoneId, vehicleType },
+      updateData,
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    // Apply a lower cap straight away rather than on the next refresh
+    if (zone.maxMultiplier && zone.multiplier > zone.maxMultiplier) {
+      zone.multiplier = zone.maxMultiplier;
+      await zone.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Surge zone updated successfully',
+      data: zone
+    });
+
+  } catch (error) {
+    console.error('Update surge zone error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update surge zone'
+    });
+  }
+});
+
+// Fields an admin may set on a fare config
+const FARE_CONFIG_FIELDS = [
+  'city', 'vehicleType', 'serviceType', 'baseFare', 'perKm', 'perMinute',
+  'minimumFare', 'bookingFee', 'nightSurcharge', 'waitingCharge', 'effectiveFrom'
+];
+
+const pickFareConfigFields = (body) => {
+  const data = {};
+  FARE_CONFIG_FIELDS.forEach(field => {
+    if (body[field] !== undefined) data[field] = body[field];
+  });
+  return data;
+};
+
+// Get fare configs
+router.get('/fare-configs', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, city, vehicleType, serviceType, isActive } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (city) filter.city = city.toLowerCase();
+    if (vehicleType) filter.vehicleType = vehicleType;
+    if (serviceType) filter.serviceType = serviceType;
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const configs = await FareConfig.find(filter)
+      .populate('createdBy', 'fullName email')
+      .sort({ city: 1, vehicleType: 1, serviceType: 1, version: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await FareConfig.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        configs,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get fare configs error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get fare configs'
+    });
+  }
+});
+
+// Get fare config details
+router.get('/fare-configs/:configId', authenticateToken, requireAdmin, validateObjectId('configId'), async (req, res) => {
+  try {
+    const config = await FareConfig.findById(req.params.configId)
+      .populate('createdBy', 'fullName email');
+
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fare config not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: config
+    });
+
+  } catch (error) {
+    console.error('Get fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get fare config'
+    });
+  }
+});
+
+// Create fare config (a new version for its city, vehicle and service)
+router.post('/fare-configs', authenticateToken, requireAdmin, validateFareConfig, async (req, res) => {
+  try {
+    const config = new FareConfig({
+      ...pickFareConfigFields(req.body),
+      createdBy: req.user._id
+    });
+
+    await config.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Fare config created successfully',
+      data: config
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 11000 ? 'A config with this version already exists, please retry' : error.message
+      });
+    }
+
+    console.error('Create fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create fare config'
+    });
+  }
+});
+
+// Update fare config that has not taken effect yet
+router.patch('/fare-configs/:configId', authenticateToken, requireAdmin, validateObjectId('configId'), async (req, res) => {
+  try {
+    const config = await FareConfig.findById(req.params.configId);
+
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fare config not found'
+      });
+    }
+
+    // Versions already in force are immutable so past fares stay explainable
+    if (config.effectiveFrom <= new Date()) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This version is already in effect. Create a new version instead.'
+      });
+    }
+
+    const updateData = pickFareConfigFields(req.body);
+    delete updateData.city;
+    delete updateData.vehicleType;
+    delete updateData.serviceType;
+
+    config.set(updateData);
+    await config.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Fare config updated successfully',
+      data: config
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update fare config'
+    });
+  }
+});
+
+// Deactivate fare config
+router.delete('/fare-configs/:configId', authenticateToken, requireAdmin, validateObjectId('configId'), async (req, res) => {
+  try {
+    const config = await FareConfig.findByIdAndUpdate(
+      req.params.configId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Fare config not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Fare config deactivated successfully',
+      data: config
+    });
+
+  } catch (error) {
+    console.error('Deactivate fare config error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to deactivate fare config'
+    });
+  }
+});
+
+// Get promotions
+router.get('/promotions', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive, search } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) filter.code = { $regex: search, $options: 'i' };
+
+    const promotions = await Promotion.find(filter)
+      .populate('createdBy', 'fullName email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Promotion.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        promotions,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promotions error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get promotions'
+    });
+  }
+});
+
+// Create promotion
+router.post('/promotions', authenticateToken, requireAdmin, validatePromotion, async (req, res) => {
+  try {
+    const {
+      code,
+      description,
+      discountType,
+      discountValue,
+      maxDiscount = null,
+      minFare = 0,
+      validFrom,
+      validUntil,
+      usageLimit = null,
+      perUserLimit = 1,
+      eligibility = {}
+    } = req.body;
+
+    if (validFrom && new Date(validFrom) >= new Date(validUntil)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Valid until must be after valid from'
+      });
+    }
+
+    const promotion = new Promotion({
+      code,
+      description,
+      discountType,
+      discountValue,
+      maxDiscount,
+      minFare,
+      validFrom,
+      validUntil,
+      usageLimit,
+      perUserLimit,
+      eligibility: {
+        firstRideOnly: eligibility.firstRideOnly,
+        vehicleTypes: eligibility.vehicleTypes,
+        cities: eligibility.cities,
+        referredUsersOnly: eligibility.referredUsersOnly
+      },
+      createdBy: req.user._id
+    });
+
+    await promotion.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Promotion created successfully',
+      data: promotion
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 11000 ? 'A promotion with this code already exists' : error.message
+      });
+    }
+
+    console.error('Create promotion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create promotion'
+    });
+  }
+});
+
+// Disable promotion
+router.patch('/promotions/:promotionId/disable', authenticateToken, requireAdmin, validateObjectId('promotionId'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findByIdAndUpdate(
+      req.params.promotionId,
+      { isActive: false, disabledAt: new Date() },
+      { new: true }
+    );
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promotion not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Promotion disabled successfully',
+      data: promotion
+    });
+
+  } catch (error) {
+    console.error('Disable promotion error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to disable promotion'
+    });
+  }
+});
+
+// Get promotion usage report
+router.get('/promotions/:promotionId/usage', authenticateToken, requireAdmin, validateObjectId('promotionId'), async (req, res) => {
+  try {
+    const promotion = await Promotion.findById(req.params.promotionId);
+
+    if (!promotion) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Promotion not found'
+      });
+    }
+
+    const [totals] = await PromotionRedemption.aggregate([
+      { $match: { promotion: promotion._id } },
+      {
+        $group: {
+          _id: null,
+          redemptions: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, 1, 0] } },
+          reversed: { $sum: { $cond: [{ $eq: ['$status', 'reversed'] }, 1, 0] } },
+          totalDiscount: { $sum: { $cond: [{ $eq: ['$status', 'applied'] }, '$discount', 0] } },
+          uniqueUsers: { $addToSet: '$user' }
+        }
+      }
+    ]);
+
+    const daily = await PromotionRedemption.aggregate([
+      { $match: { promotion: promotion._id, status: 'applied' } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          redemptions: { $sum: 1 },
+          discount: { $sum: '$discount' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    const recentRedemptions = await PromotionRedemption.find({ promotion: promotion._id })
+      .populate('user', 'fullName email phone')
+      .populate('ride', 'status pricing.totalFare pricing.finalAmount createdAt')
+      .sort({ createdAt: -1 })
+      .limit(20);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        promotion,
+        summary: {
+          redemptions: totals ? totals.redemptions : 0,
+          reversed: totals ? totals.reversed : 0,
+          totalDiscount: totals ? Math.round(totals.totalDiscount * 100) / 100 : 0,
+          uniqueUsers: totals ? totals.uniqueUsers.length : 0,
+          remaining: promotion.usageLimit === null ? null : Math.max(0, promotion.usageLimit - promotion.usedCount)
+        },
+        daily,
+        recentRedemptions
+      }
+    });
+
+  } catch (error) {
+    console.error('Get promotion usage error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get promotion usage'
+    });
+  }
+});
+
+const pickCancellationPolicyFields = (body) => {
+  const data = {};
+  ['city', 'vehicleType', 'name', 'rider', 'noShow', 'driver'].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Get cancellation policies
+router.get('/cancellation-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { city, isActive } = req.query;
+
+    const filter = {};
+    if (city) filter.city = city.toLowerCase();
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const policies = await CancellationPolicy.find(filter)
+      .populate('createdBy', 'fullName email')
+      .sort({ city: 1, vehicleType: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        policies,
+        driverCancelReasons: DRIVER_CANCEL_REASONS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation policies error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get cancellation policies'
+    });
+  }
+});
+
+// Create cancellation policy
+router.post('/cancellation-policies', authenticateToken, requireAdmin, validateCancellationPolicy, async (req, res) => {
+  try {
+    const data = pickCancellationPolicyFields(req.body);
+
+    const excused = data.driver && data.driver.excusedReasons;
+    if (excused && excused.some(reason => !DRIVER_CANCEL_REASONS.includes(reason))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Excused reasons must be among: ${DRIVER_CANCEL_REASONS.join(', ')}`
+      });
+    }
+
+    const policy = new CancellationPolicy({
+      ...data,
+      createdBy: req.user._id
+    });
+
+    await policy.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Cancellation policy created successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 11000 ? 'An active policy already exists for this city and vehicle type' : error.message
+      });
+    }
+
+    console.error('Create cancellation policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create cancellation policy'
+    });
+  }
+});
+
+// Update cancellation policy
+router.patch('/cancellation-policies/:policyId', authenticateToken, requireAdmin, validateObjectId('policyId'), validateCancellationPolicy, async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findById(req.params.policyId);
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    const data = pickCancellationPolicyFields(req.body);
+    delete data.city;
+    delete data.vehicleType;
+
+    const excused = data.driver && data.driver.excusedReasons;
+    if (excused && excused.some(reason => !DRIVER_CANCEL_REASONS.includes(reason))) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Excused reasons must be among: ${DRIVER_CANCEL_REASONS.join(', ')}`
+      });
+    }
+
+    // Merge nested sections so a partial update keeps the other fields
+    ['rider', 'noShow', 'driver'].forEach(section => {
+      if (data[section]) {
+        policy.set(section, { ...policy[section].toObject(), ...data[section] });
+        delete data[section];
+      }
+    });
+    policy.set(data);
+    await policy.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy updated successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update cancellation policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update cancellation policy'
+    });
+  }
+});
+
+// Deactivate cancellation policy
+router.delete('/cancellation-policies/:policyId', authenticateToken, requireAdmin, validateObjectId('policyId'), async (req, res) => {
+  try {
+    const policy = await CancellationPolicy.findByIdAndUpdate(
+      req.params.policyId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!policy) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Cancellation policy not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Cancellation policy deactivated successfully',
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('Deactivate cancellation policy error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to deactivate cancellation policy'
+    });
+  }
+});
+
+const pickCommissionPlanFields = (body) => {
+  const data = {};
+  ['city', 'vehicleType', 'name', 'type', 'percentage', 'flatFee', 'subscription', 'gstPercent'].forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+  return data;
+};
+
+// Get commission plans
+router.get('/commission-plans', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { city, isActive } = req.query;
+
+    const filter = {};
+    if (city) filter.city = city.toLowerCase();
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+
+    const plans = await CommissionPlan.find(filter)
+      .populate('createdBy', 'fullName email')
+      .sort({ city: 1, vehicleType: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: { plans }
+    });
+
+  } catch (error) {
+    console.error('Get commission plans error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get commission plans'
+    });
+  }
+});
+
+// Create commission plan
+router.post('/commission-plans', authenticateToken, requireAdmin, validateCommissionPlan, async (req, res) => {
+  try {
+    const plan = new CommissionPlan({
+      ...pickCommissionPlanFields(req.body),
+      createdBy: req.user._id
+    });
+
+    await plan.save();
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Commission plan created successfully',
+      data: plan
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.code === 11000) {
+      return res.status(400).json({
+        status: 'error',
+        message: error.code === 11000 ? 'An active plan already exists for this city and vehicle type' : error.message
+      });
+    }
+
+    console.error('Create commission plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create commission plan'
+    });
+  }
+});
+
+// Update commission plan; rides already completed keep the earnings they were settled with
+router.patch('/commission-plans/:planId', authenticateToken, requireAdmin, validateObjectId('planId'), validateCommissionPlan, async (req, res) => {
+  try {
+    const plan = await CommissionPlan.findById(req.params.planId);
+
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Commission plan not found'
+      });
+    }
+
+    const data = pickCommissionPlanFields(req.body);
+    delete data.city;
+    delete data.vehicleType;
+
+    // Merge the subscription section so a partial update keeps the other fields
+    if (data.subscription) {
+      plan.set('subscription', { ...plan.subscription.toObject(), ...data.subscription });
+      delete data.subscription;
+    }
+    plan.set(data);
+    await plan.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Commission plan updated successfully',
+      data: plan
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Update commission plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update commission plan'
+    });
+  }
+});
+
+// Deactivate commission plan
+router.delete('/commission-plans/:planId', authenticateToken, requireAdmin, validateObjectId('planId'), async (req, res) => {
+  try {
+    const plan = await CommissionPlan.findByIdAndUpdate(
+      req.params.planId,
+      { isActive: false },
+      { new: true }
+    );
+
+    if (!plan) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Commission plan not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Commission plan deactivated successfully',
+      data: plan
+    });
+
+  } catch (error) {
+    console.error('Deactivate commission plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to deactivate commission plan'
+    });
+  }
+});
+
+// Get withdrawals for review
+router.get('/withdrawals', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, driverId } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (driverId && mongoose.Types.ObjectId.isValid(driverId)) filter.driver = driverId;
+
+    const withdrawals = await Withdrawal.find(filter)
+      .populate('driver', 'fullName email phone')
+      .sort({ createdAt: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Withdrawal.countDocuments(filter);
+
+    const byStatus = await Withdrawal.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        withdrawals,
+        byStatus,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get withdrawals'
+    });
+  }
+});
+
+// Approve withdrawals in bulk
+router.post('/withdrawals/approve', authenticateToken, requireAdmin, validateWithdrawalIds, async (req, res) => {
+  try {
+    const { withdrawalIds } = req.body;
+
+    if (!withdrawalIds || withdrawalIds.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Withdrawal IDs are required'
+      });
+    }
+
+    const { approved, skipped } = await approveWithdrawals(req.app.get('io'), withdrawalIds, req.user);
+
+    res.status(200).json({
+      status: 'success',
+      message: `${approved.length} withdrawal(s) approved`,
+      data: { approved, skipped }
+    });
+
+  } catch (error) {
+    console.error('Approve withdrawals error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to approve withdrawals'
+    });
+  }
+});
+
+// Reject withdrawal
+router.post('/withdrawals/:withdrawalId/reject', authenticateToken, requireAdmin, validateObjectId('withdrawalId'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const result = await rejectWithdrawal(req.app.get('io'), req.params.withdrawalId, req.user, reason.trim());
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Withdrawal rejected',
+      data: result.withdrawal
+    });
+
+  } catch (error) {
+    console.error('Reject withdrawal error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reject withdrawal'
+    });
+  }
+});
+
+const sendPayoutFile = (res, batchId, file) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${batchId}.csv"`);
+  res.status(200).send(file);
+};
+
+// Export approved withdrawals as a NEFT bulk payout file; they move to processing
+router.post('/withdrawals/payout-file', authenticateToken, requireAdmin, validateWithdrawalIds, async (req, res) => {
+  try {
+    const batch = await createPayoutBatch(req.app.get('io'), req.user, req.body.withdrawalIds);
+
+    if (batch.count === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No approved withdrawals to pay out'
+      });
+    }
+
+    res.setHeader('X-Payout-Batch-Id', batch.batchId);
+    res.setHeader('X-Payout-Count', batch.count);
+    res.setHeader('X-Payout-Total', batch.total);
+    sendPayoutFile(res, batch.batchId, batch.file);
+
+  } catch (error) {
+    console.error('Create payout file error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create payout file'
+    });
+  }
+});
+
+// Download an exported payout file again
+router.get('/withdrawals/payout-file/:batchId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const withdrawals = await Withdrawal.find({ 'payout.batchId': req.params.batchId }).sort({ createdAt: 1 });
+
+    if (withdrawals.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Payout batch not found'
+      });
+    }
+
+    sendPayoutFile(res, req.params.batchId, buildPayoutFile(withdrawals, withdrawals[0].payout.exportedAt));
+
+  } catch (error) {
+    console.error('Get payout file error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get payout file'
+    });
+  }
+});
+
+// Mark withdrawal paid with the bank's reference
+router.post('/withdrawals/:withdrawalId/mark-paid', authenticateToken, requireAdmin, validateObjectId('withdrawalId'), async (req, res) => {
+  try {
+    const { utr } = req.body;
+
+    if (!utr || typeof utr !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Bank reference (UTR) is required'
+      });
+    }
+
+    const result = await markWithdrawalPaid(req.app.get('io'), req.params.withdrawalId, req.user, utr.trim());
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Withdrawal marked as paid',
+      data: result.withdrawal
+    });
+
+  } catch (error) {
+    console.error('Mark withdrawal paid error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark withdrawal as paid'
+    });
+  }
+});
+
+// Mark withdrawal failed when the bank returns it
+router.post('/withdrawals/:withdrawalId/mark-failed', authenticateToken, requireAdmin, validateObjectId('withdrawalId'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Failure reason is required'
+      });
+    }
+
+    const result = await markWithdrawalFailed(req.app.get('io'), req.params.withdrawalId, req.user, reason.trim());
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Withdrawal marked as failed',
+      data: result.withdrawal
+    });
+
+  } catch (error) {
+    console.error('Mark withdrawal failed error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to mark withdrawal as failed'
+    });
+  }
+});
+
+// Drivers ranked by cash dues owed to the platform
+router.get('/driver-dues', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, overLimit } = req.query;
+
+    const filter = { role: 'Driver', 'driverInfo.cashDues': { $gt: 0 } };
+    if (overLimit === 'true') filter['driverInfo.cashDues'] = { $gt: CASH_CONFIG.duesLimit };
+
+    const drivers = await User.find(filter)
+      .select('fullName phone email driverInfo.cashDues driverInfo.isAvailable driverInfo.vehicleNumber')
+      .sort({ 'driverInfo.cashDues': -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await User.countDocuments(filter);
+
+    const [totals] = await User.aggregate([
+      { $match: { role: 'Driver', 'driverInfo.cashDues': { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          drivers: { $sum: 1 },
+          cashDues: { $sum: '$driverInfo.cashDues' },
+          overLimit: { $sum: { $cond: [{ $gt: ['$driverInfo.cashDues', CASH_CONFIG.duesLimit] }, 1, 0] } }
+        }
+      }
+    ]);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        drivers,
+        limit: CASH_CONFIG.duesLimit,
+        totals: totals
+          ? { drivers: totals.drivers, cashDues: Math.round(totals.cashDues * 100) / 100, overLimit: totals.overLimit }
+          : { drivers: 0, cashDues: 0, overLimit: 0 },
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get driver dues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get driver dues'
+    });
+  }
+});
+
+// Reconcile the ledger against cached balances
+router.get('/ledger/reconciliation', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const report = await reconcileLedger();
+
+    res.status(200).json({
+      status: 'success',
+      data: report
+    });
+
+  } catch (error) {
+    console.error('Ledger reconciliation error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reconcile ledger'
+    });
+  }
+});
+
+// Get journal entries, optionally for one account, ride or user
+router.get('/ledger/entries', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, accountId, rideId, userId, kind } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    for (const [field, value] of [['lines.account', accountId], ['ride', rideId], ['user', userId]]) {
+      if (value) {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          return res.status(400).json({
+            status: 'error',
+            message: `Invalid ${field === 'lines.account' ? 'account' : field} ID`
+          });
+        }
+        filter[field] = value;
+      }
+    }
+    if (kind) {
+      filter.kind = kind;
+    }
+
+    const entries = await JournalEntry.find(filter)
+      .sort({ postedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await JournalEntry.countDocuments(filter);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        entries,
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get journal entries error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get journal entries'
+    });
+  }
+});
+
 // Get support tickets (if you implement a support system)
 router.get('/support', authenticateToken, requireAdmin, validatePagination, async (req, res) => {
   try {
@@ -388,9 +388,13 @@ const OTP = require('../models/OTP');
 const { sendOTPEmail, sendWelcomeEmail } = require('../utils/email');
 const { authenticateToken } = require('../middleware/auth');
 const { validateUserSignup, validateUserLogin, validateOTP } = require('../middleware/validation');
+const { postReferralBonus } = require('../utils/ledger');
 
 const router = express.Router();
 
+// Credits given to a referrer when someone signs up with their code
+const REFERRAL_BONUS = 50;
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign({ userId }, process.env.JWT_SECRET, {
@@ -532,7 +536,8 @@ router.post('/verify-otp', validateOTP, async (req, res) => {
     await sendWelcomeEmail(user.email, user.fullName);
 
     if (userData.referredBy) {
-      await User.findByIdAndUpdate(userData.referredBy, { $inc: { referralEarnings: 50 } });
+      await User.findByIdAndUpdate(userData.referredBy, { $inc: { referralEarnings: REFERRAL_BONUS } });
+      await postReferralBonus(userData.referredBy, user._id, REFERRAL_BONUS);
     }
 
     res.status(201).json({
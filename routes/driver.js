@@ -1,10 +1,18 @@
 const express = require('express');
 const Ride = require('../models/Ride');
 const User = require('../models/User');
-const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
+const Withdrawal = require('../models/Withdrawal');
 const { authenticateToken, requireDriver } = require('../middleware/auth');
-const { validateLocation, validateObjectId, validatePagination } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const { validateLocation, validateObjectId, validatePagination, validateRating } = require('../middleware/validation');
+const { acceptRide, rejectOffer, redispatchRide, releaseDriver } = require('../utils/dispatch');
+const { RIDER_RATING_TAGS, recordRiderRating } = require('../utils/ratings');
+const { DRIVER_CANCEL_REASONS, getCancellationPolicy, countDriverCancellationsToday, quoteDriverCancellation } = require('../utils/cancellation');
+const { refundCancelledRide } = require('../utils/refunds');
+const { getCommissionPlan, hasActivePass, earningsStages, summarizeDriverEarnings, getWithdrawableBalance, purchaseDayPass } = require('../utils/commission');
+const { WITHDRAWAL_CONFIG, requestWithdrawal } = require('../utils/withdrawals');
+const { CASH_CONFIG, isOverDuesLimit, payDriverDues } = require('../utils/cashRides');
 
 const router = express.Router();
 
@@ -17,55 +25,12 @@ router.get('/dashboard', authenticateToken, requireDriver, async (req, res) => {
     const tomorrow = new Date(today);
     tomorrow.setDate(tomorrow.getDate() + 1);
 
-    // Get today's rides
-    const todayRides = await Ride.find({
-      driver: driverId,
-      createdAt: { $gte: today, $lt: tomorrow },
-      status: 'completed'
-    });
-
-    // Get total earnings
-    const totalEarnings = await Ride.aggregate([
-      {
-        $match: {
-          driver: driverId,
-          status: 'completed'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$pricing.finalAmount' }
-        }
-      }
-    ]);
+    // Get today's and all-time earnings, after commission
+    const todayEarnings = await summarizeDriverEarnings(driverId, { from: today, to: tomorrow });
+    const totalEarnings = await summarizeDriverEarnings(driverId);
 
-    // Get today's earnings
-    const todayEarnings = todayRides.reduce((sum, ride) => sum + ride.pricing.finalAmount, 0);
-
-    // Get total rides
-    const totalRides = await Ride.countDocuments({
-      driver: driverId,
-      status: 'completed'
-    });
-
-    // Get current rating
-    const ratingResult = await Ride.aggregate([
-      {
-        $match: {
-          driver: driverId,
-          status: 'completed',
-          'rating.userRating.rating': { $exists: true }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          averageRating: { $avg: '$rating.userRating.rating' },
-          totalRatings: { $sum: 1 }
-        }
-      }
-    ]);
+    // Get current rating (kept up to date as ratings arrive)
+    const driver = await User.findById(driverId).select('driverInfo.rating driverInfo.ratingCount');
 
     // Get recent rides
     const recentRides = await Ride.find({
@@ -78,38 +43,22 @@ router.get('/dashboard', authenticateToken, requireDriver, async (req, res) => {
     // Get weekly earnings
     const weekStart = new Date(today);
     weekStart.setDate(weekStart.getDate() - weekStart.getDay());
-    const weeklyEarnings = await Ride.aggregate([
-      {
-        $match: {
-          driver: driverId,
-          createdAt: { $gte: weekStart },
-          status: 'completed'
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
-          },
-          earnings: { $sum: '$pricing.finalAmount' },
-          rides: { $sum: 1 }
-        }
-      },
-      {
-        $sort: { '_id': 1 }
-      }
-    ]);
+    const weeklyEarnings = await Ride.aggregate(earningsStages(
+      { driver: driverId, actualEndTime: { $gte: weekStart } },
+      { $dateToString: { format: '%Y-%m-%d', date: '$actualEndTime' } }
+    ));
 
     res.status(200).json({
       status: 'success',
       data: {
         stats: {
-          todayEarnings,
-          totalEarnings: totalEarnings[0]?.total || 0,
-          todayRides: todayRides.length,
-          totalRides,
-          rating: ratingResult[0]?.averageRating || 0,
-          totalRatings: ratingResult[0]?.totalRatings || 0
+          todayEarnings: todayEarnings.net,
+          totalEarnings: totalEarnings.net,
+          netPayable: totalEarnings.netPayable,
+          todayRides: todayEarnings.rides,
+          totalRides: totalEarnings.rides,
+          rating: driver.driverInfo.rating || 0,
+          totalRatings: driver.driverInfo.ratingCount || 0
         },
         recentRides,
         weeklyEarnings
@@ -130,8 +79,18 @@ router.patch('/availability', authenticateToken, requireDriver, async (req, res)
   try {
     const { isAvailable } = req.body;
 
+    // Drivers holding too much of the platform's cash must pay it first
+    if (isAvailable && isOverDuesLimit(req.user.driverInfo.cashDues)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `Pay your cash dues of ₹${req.user.driverInfo.cashDues} to go online`,
+        code: 'CASH_DUES_LIMIT'
+      });
+    }
+
     await User.findByIdAndUpdate(req.user._id, {
-      'driverInfo.isAvailable': isAvailable
+      'driverInfo.isAvailable': isAvailable,
+      'driverInfo.availableSince': isAvailable ? new Date() : null
     });
 
     res.status(200).json({
@@ -148,32 +107,20 @@ router.patch('/availability', authenticateToken, requireDriver, async (req, res)
   }
 });
 
-// Get available ride requests
+// Get ride offers currently open for this driver
 router.get('/ride-requests', authenticateToken, requireDriver, async (req, res) => {
   try {
-    const { lat, lng, radius = 10000 } = req.query; // 10km default radius
-
-    if (!lat || !lng) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Current location is required'
-      });
-    }
-
-    // Find nearby ride requests
     const rideRequests = await Ride.find({
-      status: 'pending',
-      rideType: req.user.driverInfo.vehicleType,
-      pickup: {
-        $near: {
-          $geometry: {
-            type: 'Point',
-            coordinates: [parseFloat(lng), parseFloat(lat)]
-          },
-          $maxDistance: radius
+      status: 'searching',
+      'dispatch.offers': {
+        $elemMatch: {
+          driver: req.user._id,
+          outcome: 'offered',
+          expiresAt: { $gt: new Date() }
         }
       }
     })
+    .select('-dispatch.offers -statusHistory')
     .populate('user', 'fullName phone')
     .sort({ createdAt: -1 })
     .limit(20);
@@ -198,6 +145,88 @@ router.get('/ride-requests', authenticateToken, requireDriver, async (req, res)
 // Accept ride request
 router.post('/accept-ride/:rideId', authenticateToken, requireDriver, validateObjectId('rideId'), async (req, res) => {
   try {
+    const result = await acceptRide(req.app.get('io'), req.params.rideId, req.user);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message,
+        ...(result.code && { code: result.code })
+      });
+    }
+
+    const { ride } = result;
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ride accepted successfully',
+      data: {
+        rideId: ride._id,
+        user: {
+          name: ride.user.fullName,
+          phone: ride.user.phone,
+          pickup: ride.pickup,
+          destination: ride.destination
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Accept ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to accept ride'
+    });
+  }
+});
+
+// Decline a ride offer
+router.post('/reject-ride/:rideId', authenticateToken, requireDriver, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const { reason = '' } = req.body;
+
+    const result = await rejectOffer(req.app.get('io'), req.params.rideId, req.user._id, reason);
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Ride offer declined'
+    });
+
+  } catch (error) {
+    console.error('Reject ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to decline ride'
+    });
+  }
+});
+
+// Cancel an accepted ride; it goes back to dispatch unless the rider didn't show
+router.post('/cancel-ride/:rideId', authenticateToken, requireDriver, validateObjectId('rideId'), async (req, res, next) => {
+  try {
+    const { reason, note = '', location } = req.body;
+
+    if (!DRIVER_CANCEL_REASONS.includes(reason)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Reason must be one of: ${DRIVER_CANCEL_REASONS.join(', ')}`
+      });
+    }
+
+    if (location && (!Array.isArray(location) || location.length !== 2)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Location must be an array of [longitude, latitude]'
+      });
+    }
+
     const ride = await Ride.findById(req.params.rideId);
 
     if (!ride) {
@@ -207,83 +236,169 @@ router.post('/accept-ride/:rideId', authenticateToken, requireDriver, validateOb
       });
     }
 
-    if (ride.status !== 'pending') {
-      return res.status(400).json({
+    if (!ride.driver || ride.driver.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
         status: 'error',
-        message: 'Ride is no longer available'
+        message: 'Unauthorized to cancel this ride'
       });
     }
 
-    if (ride.rideType !== req.user.driverInfo.vehicleType) {
-      return res.status(400).json({
+    if (!['accepted', 'arrived'].includes(ride.status)) {
+      return res.status(409).json({
         status: 'error',
-        message: 'Vehicle type mismatch'
+        message: 'Only rides that have not started can be cancelled'
       });
     }
 
-    // Check if driver is available
-    if (!req.user.driverInfo.isAvailable) {
-      return res.status(400).json({
+    const cancellationsToday = await countDriverCancellationsToday(req.user._id);
+
+    const policy = await getCancellationPolicy(ride);
+    const outcome = quoteDriverCancellation(ride, policy, reason, { cancellationsToday });
+
+    if (!outcome.allowed) {
+      return res.status(409).json({
         status: 'error',
-        message: 'Driver is not available'
+        message: outcome.message
       });
     }
 
-    // Update ride
-    ride.driver = req.user._id;
-    ride.status = 'accepted';
-    ride.actualPickupTime = new Date();
-    await ride.save();
+    const io = req.app.get('io');
 
-    // Update driver availability
-    await User.findByIdAndUpdate(req.user._id, {
-      'driverInfo.isAvailable': false
-    });
+    if (outcome.redispatch) {
+      await redispatchRide(io, ride, {
+        actorId: req.user._id,
+        reason,
+        note,
+        penalty: outcome.penalty,
+        rule: outcome.rule,
+        location
+      });
+    } else {
+      await ride.cancelRide('driver', note || reason, outcome.riderFee, {
+        actorId: req.user._id,
+        location,
+        reasonCode: reason,
+        rule: outcome.rule
+      });
+      await releaseDriver(req.user._id);
+      await refundCancelledRide(io, ride);
+    }
+
+    await User.updateOne(
+      { _id: req.user._id },
+      { $inc: { 'driverInfo.cancellationCount': 1, 'driverInfo.penaltyDue': outcome.penalty } }
+    );
 
-    // Send notification to user
+    // Tell the rider what happens next
     const notification = new Notification({
       user: ride.user,
-      title: 'Ride Accepted',
-      message: `Your ride has been accepted by ${req.user.fullName}`,
+      title: outcome.redispatch ? 'Finding You a New Driver' : 'Ride Cancelled',
+      message: outcome.redispatch
+        ? 'Your driver had to cancel. We are finding you another driver.'
+        : `Your ride was cancelled because the driver could not find you. A no-show fee of ₹${outcome.riderFee} applies.`,
       type: 'ride_update',
       data: { rideId: ride._id }
     });
     await notification.save();
 
-    // Emit to user via Socket.IO
-    const io = req.app.get('io');
     if (io) {
-      io.to(`user_${ride.user}`).emit('ride-accepted', {
+      io.to(`user_${ride.user}`).emit('ride-driver-cancelled', {
         rideId: ride._id,
-        driver: {
-          name: req.user.fullName,
-          phone: req.user.phone,
-          vehicleType: req.user.driverInfo.vehicleType,
-          vehicleNumber: req.user.driverInfo.vehicleNumber,
-          rating: req.user.driverInfo.rating
-        }
+        status: ride.status,
+        redispatched: outcome.redispatch
       });
     }
 
     res.status(200).json({
       status: 'success',
-      message: 'Ride accepted successfully',
+      message: outcome.redispatch ? 'Ride cancelled and sent back to dispatch' : 'Ride cancelled as a rider no-show',
       data: {
         rideId: ride._id,
-        user: {
-          name: ride.user.fullName,
-          phone: ride.user.phone,
-          pickup: ride.pickup,
-          destination: ride.destination
-        }
+        status: ride.status,
+        penalty: outcome.penalty,
+        riderFee: outcome.riderFee,
+        rule: outcome.rule
       }
     });
 
   } catch (error) {
-    console.error('Accept ride error:', error);
+    // Refused status changes are answered by the error handler
+    if (error.name === 'RideTransitionError') {
+      return next(error);
+    }
+
+    console.error('Driver cancel ride error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to accept ride'
+      message: 'Failed to cancel ride'
+    });
+  }
+});
+
+// Rate the rider of a completed ride
+router.post('/rate-rider/:rideId', authenticateToken, requireDriver, validateObjectId('rideId'), validateRating(RIDER_RATING_TAGS), async (req, res) => {
+  try {
+    const { rating, feedback, tags = [] } = req.body;
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (!ride.driver || ride.driver.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to rate this ride'
+      });
+    }
+
+    if (ride.status !== 'completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Can only rate completed rides'
+      });
+    }
+
+    // Only the first rating lands, even if two requests race
+    const uniqueTags = [...new Set(tags)];
+    const rated = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'rating.driverRating.rating': { $exists: false } },
+      {
+        $set: {
+          'rating.driverRating': {
+            rating: Number(rating),
+            tags: uniqueTags,
+            feedback,
+            date: new Date()
+          }
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rated) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Rider already rated'
+      });
+    }
+
+    await recordRiderRating(ride.user, Number(rating), uniqueTags);
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Rider rated successfully'
+    });
+
+  } catch (error) {
+    console.error('Rate rider error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to rate rider'
     });
   }
 });
@@ -383,7 +498,7 @@ router.patch('/profile', authenticateToken, requireDriver, async (req, res) => {
       req.user._id,
       updateData,
       { new: true }
-    ).select('-wallet.transactions');
+    );
 
     res.status(200).json({
       status: 'success',
@@ -431,54 +546,25 @@ router.get('/earnings', authenticateToken, requireDriver, async (req, res) => {
         startDate.setDate(startDate.getDate() - 7);
     }
 
-    // Get earnings breakdown
-    const earnings = await Ride.aggregate([
-      {
-        $match: {
-          driver: driverId,
-          status: 'completed',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: {
-            $dateToString: { format: '%Y-%m-%d', date: '$createdAt' }
-          },
-          totalEarnings: { $sum: '$pricing.finalAmount' },
-          totalRides: { $sum: 1 },
-          averageFare: { $avg: '$pricing.finalAmount' }
-        }
-      },
-      {
-        $sort: { '_id': 1 }
-      }
-    ]);
+    // Get daily breakdown: gross, commission, taxes, incentives, tips, cash and net
+    const earnings = await Ride.aggregate(earningsStages(
+      { driver: driverId, actualEndTime: { $gte: startDate, $lte: endDate } },
+      { $dateToString: { format: '%Y-%m-%d', date: '$actualEndTime' } }
+    ));
 
     // Get total summary
-    const summary = await Ride.aggregate([
-      {
-        $match: {
-          driver: driverId,
-          status: 'completed',
-          createdAt: { $gte: startDate, $lte: endDate }
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          totalEarnings: { $sum: '$pricing.finalAmount' },
-          totalRides: { $sum: 1 },
-          averageFare: { $avg: '$pricing.finalAmount' }
-        }
-      }
-    ]);
+    const summary = await summarizeDriverEarnings(driverId, { from: startDate, to: endDate });
+    const balance = await getWithdrawableBalance(driverId);
 
     res.status(200).json({
       status: 'success',
       data: {
         period,
-        summary: summary[0] || { totalEarnings: 0, totalRides: 0, averageFare: 0 },
+        summary: {
+          ...summary,
+          averageFare: summary.rides ? Math.round(summary.gross / summary.rides * 100) / 100 : 0
+        },
+        balance,
         dailyEarnings: earnings
       }
     });
@@ -492,6 +578,136 @@ router.get('/earnings', authenticateToken, requireDriver, async (req, res) => {
   }
 });
 
+// Get the commission plan that applies to the driver
+router.get('/commission-plan', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const plan = await getCommissionPlan({
+      city: req.query.city,
+      vehicleType: req.user.driverInfo.vehicleType
+    });
+    const pass = req.user.driverInfo.subscription;
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        plan,
+        dayPass: {
+          active: hasActivePass(req.user, plan),
+          expiresAt: hasActivePass(req.user, plan) ? pass.expiresAt : null
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get commission plan error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get commission plan'
+    });
+  }
+});
+
+// Buy a commission-free day pass on a subscription plan
+router.post('/subscription', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const result = await purchaseDayPass(req.user, req.body.city);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      status: 'success',
+      message: 'Day pass purchased successfully',
+      data: {
+        plan: result.plan,
+        dayPass: result.pass,
+        payment: result.payment
+      }
+    });
+
+  } catch (error) {
+    console.error('Purchase day pass error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to purchase day pass'
+    });
+  }
+});
+
+// Get cash dues owed to the platform
+router.get('/dues', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const cashDues = req.user.driverInfo.cashDues || 0;
+
+    const recentRides = await Ride.find({ driver: req.user._id, 'earnings.cashDues': { $gt: 0 } })
+      .select('pricing.finalAmount payment.cashCollection earnings.cashCollected earnings.cashDues actualEndTime')
+      .sort({ actualEndTime: -1 })
+      .limit(10);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cashDues,
+        limit: CASH_CONFIG.duesLimit,
+        blocked: isOverDuesLimit(cashDues),
+        recentRides
+      }
+    });
+
+  } catch (error) {
+    console.error('Get driver dues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get dues'
+    });
+  }
+});
+
+// Pay cash dues from the wallet
+router.post('/dues/pay', authenticateToken, requireDriver, async (req, res) => {
+  try {
+    const amount = req.body.amount === undefined ? undefined : Number(req.body.amount);
+
+    if (amount !== undefined && (isNaN(amount) || amount <= 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid amount'
+      });
+    }
+
+    const result = await payDriverDues(req.user._id, amount);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Dues paid successfully',
+      data: {
+        paid: result.paid,
+        cashDues: result.cashDues,
+        walletBalance: result.walletBalance,
+        canGoAvailable: result.canGoAvailable
+      }
+    });
+
+  } catch (error) {
+    console.error('Pay driver dues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to pay dues'
+    });
+  }
+});
+
 // Update bank details
 router.patch('/bank-details', authenticateToken, requireDriver, async (req, res) => {
   try {
@@ -526,9 +742,9 @@ router.patch('/bank-details', authenticateToken, requireDriver, async (req, res)
 });
 
 // Request withdrawal
-router.post('/withdraw', authenticateToken, requireDriver, async (req, res) => {
+router.post('/withdraw', authenticateToken, requireDriver, idempotent, async (req, res) => {
   try {
-    const { amount } = req.body;
+    const amount = Number(req.body.amount);
 
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -537,50 +753,23 @@ router.post('/withdraw', authenticateToken, requireDriver, async (req, res) => {
       });
     }
 
-    // Check if driver has sufficient earnings
-    const totalEarnings = await Ride.aggregate([
-      {
-        $match: {
-          driver: req.user._id,
-          status: 'completed'
-        }
-      },
-      {
-        $group: {
-          _id: null,
-          total: { $sum: '$pricing.finalAmount' }
-        }
-      }
-    ]);
+    const result = await requestWithdrawal(req.user, Math.round(amount * 100) / 100);
 
-    const availableAmount = totalEarnings[0]?.total || 0;
-    
-    if (amount > availableAmount) {
-      return res.status(400).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         status: 'error',
-        message: 'Insufficient earnings for withdrawal'
+        message: result.message,
+        ...(result.available !== undefined && { available: result.available })
       });
     }
 
-    // Create withdrawal request (you might want to create a separate Withdrawal model)
-    const withdrawal = new Payment({
-      user: req.user._id,
-      type: 'withdrawal',
-      amount: amount,
-      method: 'bank_transfer',
-      status: 'pending',
-      description: 'Driver earnings withdrawal'
-    });
-
-    await withdrawal.save();
-
     res.status(200).json({
       status: 'success',
       message: 'Withdrawal request submitted successfully',
       data: {
-        withdrawalId: withdrawal._id,
-        amount: amount,
-        status: 'pending'
+        withdrawalId: result.withdrawal._id,
+        amount: result.withdrawal.amount,
+        status: result.withdrawal.status
       }
     });
 
@@ -593,4 +782,49 @@ router.post('/withdraw', authenticateToken, requireDriver, async (req, res) => {
   }
 });
 
+// Get withdrawal history and limits
+router.get('/withdrawals', authenticateToken, requireDriver, validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const filter = { driver: req.user._id };
+    if (status) filter.status = status;
+
+    const withdrawals = await Withdrawal.find(filter)
+      .select('-history')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Withdrawal.countDocuments(filter);
+    const balance = await getWithdrawableBalance(req.user._id);
+    const inFlight = await Withdrawal.exists({ driver: req.user._id, inFlight: true });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        withdrawals,
+        balance,
+        limits: {
+          minAmount: WITHDRAWAL_CONFIG.minAmount,
+          maxAmount: WITHDRAWAL_CONFIG.maxAmount,
+          canRequest: !inFlight
+        },
+        pagination: {
+          current: parseInt(page),
+          pages: Math.ceil(total / limit),
+          total
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get withdrawals error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get withdrawals'
+    });
+  }
+});
+
 module.exports = router;
@@ -12,6 +12,8 @@ const {
   calculateFare,
   getTrafficConditions
 } = require('../utils/googleMaps');
+const { getSurgeMultiplier } = require('../utils/surge');
+const FareConfig = require('../models/FareConfig');
 
 const router = express.Router();
 
@@ -256,7 +258,7 @@ router.post('/autocomplete', optionalAuth, async (req, res) => {
 // Calculate fare
 router.post('/calculate-fare', optionalAuth, async (req, res) => {
   try {
-    const { origin, destination, vehicleType, surgeMultiplier = 1 } = req.body;
+    const { origin, destination, vehicleType, serviceType = 'Ride', city, waypoints = [] } = req.body;
 
     if (!origin || !destination || !vehicleType) {
       return res.status(400).json({
@@ -265,8 +267,17 @@ router.post('/calculate-fare', optionalAuth, async (req, res) => {
       });
     }
 
-    // Get distance and duration
-    const distanceResult = await getDistanceAndDuration(origin, destination);
+    if (!Array.isArray(waypoints) || waypoints.length > 3) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A ride can have at most 3 stops'
+      });
+    }
+
+    // Get distance and duration (over every leg for multi-stop rides)
+    const distanceResult = waypoints.length > 0
+      ? await getDirections(origin, destination, waypoints)
+      : await getDistanceAndDuration(origin, destination);
     
     if (!distanceResult.success) {
       return res.status(400).json({
@@ -275,12 +286,21 @@ router.post('/calculate-fare', optionalAuth, async (req, res) => {
       });
     }
 
-    // Calculate fare
+    const fareConfig = await FareConfig.findApplicable({ city, vehicleType, serviceType });
+    if (!fareConfig) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${serviceType} service is not available for ${vehicleType} in this city`
+      });
+    }
+
+    // Calculate fare with the pickup zone's current surge
+    const surge = await getSurgeMultiplier([origin.lng, origin.lat], vehicleType);
     const fare = calculateFare(
       distanceResult.distance,
       distanceResult.duration,
-      vehicleType,
-      surgeMultiplier
+      fareConfig,
+      surge.multiplier
     );
 
     res.status(200).json({
@@ -290,7 +310,9 @@ router.post('/calculate-fare', optionalAuth, async (req, res) => {
         duration: distanceResult.duration,
         distanceText: distanceResult.distanceText,
         durationText: distanceResult.durationText,
-        fare: fare
+        fare: fare,
+        surgeMultiplier: surge.multiplier,
+        surgeZone: surge.zoneId
       }
     });
 
@@ -3,30 +3,58 @@ const Payment = require('../models/Payment');
 const User = require('../models/User');
 const Ride = require('../models/Ride');
 const { authenticateToken } = require('../middleware/auth');
-const { validatePayment } = require('../middleware/validation');
-const { 
-  createOrder, 
-  verifyPayment, 
-  createRefund, 
-  getPaymentDetails,
-  verifyWebhookSignature 
-} = require('../utils/razorpay');
+const { idempotent } = require('../middleware/idempotency');
+const { validatePayment, validateWalletTransactionQuery } = require('../middleware/validation');
+const { getPaymentProvider } = require('../utils/paymentProvider');
+const { payDues } = require('../utils/settlement');
+const { postPaymentRefund } = require('../utils/ledger');
+const { createRidePaymentOrder, completeGatewayPayment, processWebhookEvent } = require('../utils/gatewayPayments');
+const { creditWallet, debitWallet, listWalletTransactions } = require('../utils/wallet');
 
 const router = express.Router();
 
 // Create payment order
-router.post('/create-order', authenticateToken, validatePayment, async (req, res) => {
+router.post('/create-order', authenticateToken, validatePayment, idempotent, async (req, res) => {
   try {
-    const { amount, currency = 'INR', rideId, method = 'razorpay' } = req.body;
+    const { amount, currency = 'INR', rideId, method = 'razorpay', tip } = req.body;
 
-    // Create Razorpay order
-    const orderResult = await createOrder(
+    // Ride orders are priced from the ride, whatever amount was sent
+    if (rideId) {
+      const result = await createRidePaymentOrder(req.user, rideId, {
+        method,
+        tip: tip ? Math.round(Number(tip) * 100) / 100 : 0
+      });
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          status: 'error',
+          message: result.message,
+          ...(result.error && { error: result.error }),
+          ...(result.openOrder && { openOrder: result.openOrder })
+        });
+      }
+
+      return res.status(200).json({
+        status: 'success',
+        message: 'Payment order created successfully',
+        order: {
+          id: result.order.id,
+          amount: result.order.amount,
+          currency: result.order.currency,
+          receipt: result.order.receipt
+        },
+        breakdown: result.breakdown,
+        paymentId: result.payment._id
+      });
+    }
+
+    // Create gateway order for a wallet top-up
+    const provider = getPaymentProvider();
+    const orderResult = await provider.createOrder(
       amount,
       currency,
       `order_${req.user._id}_${Date.now()}`,
       {
         userId: req.user._id.toString(),
-        rideId: rideId || null,
         method: method
       }
     );
@@ -42,12 +70,12 @@ router.post('/create-order', authenticateToken, validatePayment, async (req, res
     // Create payment record
     const payment = new Payment({
       user: req.user._id,
-      ride: rideId || null,
-      type: rideId ? 'ride' : 'wallet_topup',
+      type: 'wallet_topup',
       amount: amount,
       currency: currency,
       method: method,
       status: 'pending',
+      provider: provider.name,
       razorpay: {
         orderId: orderResult.order.id,
         receipt: orderResult.order.receipt,
@@ -79,7 +107,7 @@ router.post('/create-order', authenticateToken, validatePayment, async (req, res
 });
 
 // Verify payment
-router.post('/verify', authenticateToken, async (req, res) => {
+router.post('/verify', authenticateToken, idempotent, async (req, res) => {
   try {
     const { 
       paymentId, 
@@ -88,20 +116,6 @@ router.post('/verify', authenticateToken, async (req, res) => {
       razorpay_signature 
     } = req.body;
 
-    // Verify payment signature
-    const verification = verifyPayment(
-      razorpay_order_id,
-      razorpay_payment_id,
-      razorpay_signature
-    );
-
-    if (!verification.success) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Payment verification failed'
-      });
-    }
-
     // Find payment record
     const payment = await Payment.findById(paymentId);
     if (!payment) {
@@ -118,44 +132,48 @@ router.post('/verify', authenticateToken, async (req, res) => {
       });
     }
 
-    // Mark payment as completed
-    await payment.markCompleted({
-      paymentId: razorpay_payment_id,
-      signature: razorpay_signature
-    });
+    // Completed, refunded or failed payments are never processed again
+    if (payment.status !== 'pending') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Payment is already ${payment.status}`
+      });
+    }
 
-    // Update user wallet if it's a top-up
-    if (payment.type === 'wallet_topup') {
-      const user = await User.findById(req.user._id);
-      const previousBalance = user.wallet.balance;
-      const newBalance = previousBalance + payment.amount;
-
-      user.wallet.balance = newBalance;
-      user.wallet.transactions.push({
-        type: 'credit',
-        amount: payment.amount,
-        description: 'Wallet top-up via Razorpay',
-        date: new Date()
+    if (payment.razorpay.orderId !== razorpay_order_id) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Order does not match this payment'
       });
+    }
 
-      await user.save();
+    // Verify payment signature with the gateway that created the order
+    const verification = getPaymentProvider(payment.provider).verifyPayment(
+      razorpay_order_id,
+      razorpay_payment_id,
+      razorpay_signature
+    );
 
-      // Update payment with wallet details
-      payment.wallet = {
-        previousBalance: previousBalance,
-        newBalance: newBalance,
-        transactionType: 'credit'
-      };
-      await payment.save();
+    if (!verification.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Payment verification failed'
+      });
     }
 
-    // Update ride payment status if applicable
-    if (payment.ride) {
-      await Ride.findByIdAndUpdate(payment.ride, {
-        'payment.status': 'completed',
-        'payment.razorpayPaymentId': razorpay_payment_id,
-        'payment.razorpayOrderId': razorpay_order_id,
-        'payment.razorpaySignature': razorpay_signature
+    // Mark payment as completed, credit top-ups and update the ride,
+    // unless the webhook or reconciliation job got there first
+    const result = await completeGatewayPayment(payment._id, {
+      gatewayPaymentId: razorpay_payment_id,
+      orderId: razorpay_order_id,
+      signature: razorpay_signature,
+      io: req.app.get('io')
+    });
+
+    if (!result.completed) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Payment is already ${result.payment.status}`
       });
     }
 
@@ -163,10 +181,10 @@ router.post('/verify', authenticateToken, async (req, res) => {
       status: 'success',
       message: 'Payment verified and completed successfully',
       payment: {
-        id: payment._id,
-        amount: payment.amount,
-        status: payment.status,
-        type: payment.type
+        id: result.payment._id,
+        amount: result.payment.amount,
+        status: result.payment.status,
+        type: result.payment.type
       }
     });
 
@@ -219,6 +237,65 @@ router.get('/history', authenticateToken, async (req, res) => {
   }
 });
 
+// Get outstanding ride dues
+router.get('/dues', authenticateToken, async (req, res) => {
+  try {
+    const rides = await Ride.find({ user: req.user._id, 'payment.duesAmount': { $gt: 0 } })
+      .select('pickup.address destination.address pricing.finalAmount payment actualEndTime')
+      .sort({ actualEndTime: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        outstandingDues: req.user.outstandingDues,
+        walletBalance: req.user.wallet.balance,
+        rides
+      }
+    });
+
+  } catch (error) {
+    console.error('Get dues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get outstanding dues'
+    });
+  }
+});
+
+// Pay outstanding dues from the wallet (top up first if needed)
+router.post('/dues/pay', authenticateToken, async (req, res) => {
+  try {
+    if (!(req.user.outstandingDues > 0)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'You have no outstanding dues'
+      });
+    }
+
+    const result = await payDues(req.user._id);
+    if (result.paid === 0) {
+      return res.status(402).json({
+        status: 'error',
+        message: 'Add money to your wallet to pay your dues',
+        outstandingDues: result.outstandingDues
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: result.outstandingDues > 0 ? 'Dues partly paid' : 'Dues paid successfully',
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Pay dues error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to pay dues'
+    });
+  }
+});
+
 // Get payment details
 router.get('/:paymentId', authenticateToken, async (req, res) => {
   try {
@@ -255,7 +332,7 @@ router.get('/:paymentId', authenticateToken, async (req, res) => {
 });
 
 // Request refund
-router.post('/refund', authenticateToken, async (req, res) => {
+router.post('/refund', authenticateToken, idempotent, async (req, res) => {
   try {
     const { paymentId, amount, reason } = req.body;
 
@@ -281,16 +358,53 @@ router.post('/refund', authenticateToken, async (req, res) => {
       });
     }
 
+    // A co-rider's share counts towards the booker's fare; it's refunded if the ride is cancelled
+    if (payment.type === 'ride_share') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Fare shares are refunded automatically if the ride is cancelled'
+      });
+    }
+
     const refundAmount = amount || payment.amount;
+    if (refundAmount <= 0 || refundAmount > payment.amount) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Refund amount must be more than zero and no more than the payment amount'
+      });
+    }
+
+    // Take a top-up back out of the wallet first; the balance can't go negative
+    if (payment.type === 'wallet_topup') {
+      const debited = await debitWallet(req.user._id, refundAmount, {
+        description: `Refund for payment ${payment._id}`,
+        payment: payment._id
+      });
+
+      if (!debited) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Wallet balance is lower than the refund amount'
+        });
+      }
+    }
 
-    // Create Razorpay refund
-    const refundResult = await createRefund(
+    // Create gateway refund
+    const refundResult = await getPaymentProvider(payment.provider).createRefund(
       payment.razorpay.paymentId,
       refundAmount,
       { reason: reason || 'User requested refund' }
     );
 
     if (!refundResult.success) {
+      // Put the top-up back in the wallet
+      if (payment.type === 'wallet_topup') {
+        await creditWallet(req.user._id, refundAmount, {
+          description: `Reversed refund for payment ${payment._id}`,
+          payment: payment._id
+        });
+      }
+
       return res.status(400).json({
         status: 'error',
         message: 'Failed to process refund',
@@ -299,19 +413,10 @@ router.post('/refund', authenticateToken, async (req, res) => {
     }
 
     // Update payment record
-    await payment.processRefund(refundAmount, reason);
+    await payment.processRefund(refundAmount, reason, refundResult.refund);
 
-    // Update user wallet if applicable
-    if (payment.type === 'wallet_topup') {
-      const user = await User.findById(req.user._id);
-      user.wallet.balance -= refundAmount;
-      user.wallet.transactions.push({
-        type: 'debit',
-        amount: refundAmount,
-        description: `Refund for payment ${payment._id}`,
-        date: new Date()
-      });
-      await user.save();
+    if (['wallet_topup', 'ride'].includes(payment.type)) {
+      await postPaymentRefund(payment, refundAmount);
     }
 
     res.status(200).json({
@@ -333,18 +438,22 @@ router.post('/refund', authenticateToken, async (req, res) => {
   }
 });
 
-// Razorpay webhook
-router.post('/webhook', express.raw({ type: 'application/json' }), async (req, res) => {
+// Gateway webhook; the raw body is kept for the signature check (see server.js)
+router.post('/webhook', async (req, res) => {
   try {
-    const signature = req.headers['x-razorpay-signature'];
+    const provider = getPaymentProvider();
+    const { signature, eventId } = provider.parseWebhookHeaders(req.headers);
     const body = req.body;
 
+    if (!Buffer.isBuffer(body)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Webhook body must be raw JSON'
+      });
+    }
+
     // Verify webhook signature
-    const isValid = verifyWebhookSignature(
-      body,
-      signature,
-      process.env.RAZORPAY_WEBHOOK_SECRET
-    );
+    const isValid = provider.verifyWebhookSignature(body, signature);
 
     if (!isValid) {
       return res.status(400).json({
@@ -353,29 +462,16 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
       });
     }
 
-    const event = JSON.parse(body);
-
-    // Handle different webhook events
-    switch (event.event) {
-      case 'payment.captured':
-        console.log('Payment captured:', event.payload.payment.entity.id);
-        break;
-      
-      case 'payment.failed':
-        console.log('Payment failed:', event.payload.payment.entity.id);
-        break;
-      
-      case 'refund.created':
-        console.log('Refund created:', event.payload.refund.entity.id);
-        break;
-      
-      default:
-        console.log('Unhandled webhook event:', event.event);
-    }
+    const result = await processWebhookEvent(provider.name, eventId, body.toString(), req.app.get('io'));
 
-    res.status(200).json({ status: 'success' });
+    res.status(200).json({
+      status: 'success',
+      ...(result.duplicate && { duplicate: true }),
+      ...(result.ignored && { ignored: true })
+    });
 
   } catch (error) {
+    // A 5xx makes the gateway deliver the event again
     console.error('Webhook error:', error);
     res.status(500).json({
       status: 'error',
@@ -384,6 +480,72 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
   }
 });
 
+// Pay a pending order on the mock gateway (development only). Its webhooks are
+// checked and applied like real ones.
+router.post('/mock/checkout', authenticateToken, async (req, res) => {
+  try {
+    const { paymentId, outcome } = req.body;
+
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Route not found'
+      });
+    }
+
+    const payment = await Payment.findById(paymentId);
+    if (!payment || payment.provider !== 'mock') {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Mock payment not found'
+      });
+    }
+
+    if (payment.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to payment'
+      });
+    }
+
+    const provider = getPaymentProvider('mock');
+    const result = provider.simulateCheckout(payment.razorpay.orderId, {
+      outcome,
+      onWebhook: ({ eventId, body, signature }) => {
+        if (!provider.verifyWebhookSignature(body, signature)) {
+          throw new Error('Invalid mock webhook signature');
+        }
+        return processWebhookEvent(provider.name, eventId, body, req.app.get('io'));
+      }
+    });
+
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Mock payment ${result.payment.status}`,
+      gatewayPayment: {
+        id: result.payment.id,
+        status: result.payment.status
+      },
+      // Send these to /verify as the app would
+      checkout: result.checkout
+    });
+
+  } catch (error) {
+    console.error('Mock checkout error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Mock checkout failed'
+    });
+  }
+});
+
 // Get wallet balance
 router.get('/wallet/balance', authenticateToken, async (req, res) => {
   try {
@@ -406,30 +568,23 @@ router.get('/wallet/balance', authenticateToken, async (req, res) => {
 });
 
 // Get wallet transactions
-router.get('/wallet/transactions', authenticateToken, async (req, res) => {
+router.get('/wallet/transactions', authenticateToken, validateWalletTransactionQuery, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
-
-    const user = await User.findById(req.user._id)
-      .select('wallet.transactions')
-      .populate('wallet.transactions.rideId', 'pickup destination');
-
-    const transactions = user.wallet.transactions
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(skip, skip + parseInt(limit));
+    const { cursor, limit, type, account, from, to } = req.query;
 
-    const total = user.wallet.transactions.length;
+    const result = await listWalletTransactions(req.user._id, { cursor, limit, type, account, from, to });
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.message
+      });
+    }
 
     res.status(200).json({
       status: 'success',
       data: {
-        transactions,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        transactions: result.transactions,
+        pagination: result.pagination
       }
     });
 
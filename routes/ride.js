@@ -3,13 +3,88 @@ const Ride = require('../models/Ride');
 const User = require('../models/User');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
+const FareConfig = require('../models/FareConfig');
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
 const { authenticateToken, requireVerification } = require('../middleware/auth');
-const { validateRideRequest, validateObjectId, validatePagination } = require('../middleware/validation');
-const { getDistanceAndDuration, calculateFare } = require('../utils/googleMaps');
-const { sendRideConfirmationEmail } = require('../utils/email');
+const { idempotent } = require('../middleware/idempotency');
+const { validateRideRequest, validateStop, validateTip, validateSplit, validateSplitResponse, validateSharePayment, validateReceipt, validateStatement, validateRating, validatePromoCheck, validateObjectId, validatePagination } = require('../middleware/validation');
+const { getDistanceAndDuration, getDirections, calculateFare } = require('../utils/googleMaps');
+const { startDispatch, cancelDispatch, releaseDriver, emitToDrivers, sendDeliveryPin } = require('../utils/dispatch');
+const { getSurgeMultiplier } = require('../utils/surge');
+const { evaluatePromotion, redeemPromotion, releasePromotion } = require('../utils/promotions');
+const { validateScheduledTime, isWithinFreeChangeWindow } = require('../utils/scheduledRides');
+const { DRIVER_RATING_TAGS, RIDER_RATING_TAGS, recordDriverRating } = require('../utils/ratings');
+const { getRiderCancellationQuote } = require('../utils/cancellation');
+const { refundCancelledRide } = require('../utils/refunds');
+const { WALLET_METHODS, settleCompletedRide } = require('../utils/settlement');
+const { calculateEarnings } = require('../utils/commission');
+const { CASH_CONFIG } = require('../utils/cashRides');
+const { getTipOptions, tipFromWallet, createTipOrder } = require('../utils/tips');
+const { canViewSplit, getSplitView, setupSplit, respondToSplit, payShare, settleSplit } = require('../utils/splitFare');
+const { issueInvoice, loadRideForReceipt, buildReceipt, renderReceiptHtml, renderReceiptPdf, buildStatement, renderStatementHtml, renderStatementPdf, sendRideReceipt } = require('../utils/receipts');
 
 const router = express.Router();
 
+// How long a mid-trip fare quote for a new stop stays valid
+const STOP_CONFIRM_WINDOW_MS = 2 * 60 * 1000;
+
+const toLatLng = (coordinates) => ({ lat: coordinates[1], lng: coordinates[0] });
+
+// Price a trip with the rates and surge in force at pickup
+const quoteRide = async ({ rideType, serviceType, city, pickup, destination, stops = [], pickupTime }) => {
+  const origin = toLatLng(pickup.coordinates);
+  const target = toLatLng(destination.coordinates);
+
+  // Multi-stop rides are measured over every leg
+  const distanceResult = stops.length > 0
+    ? await getDirections(origin, target, stops.map(stop => toLatLng(stop.coordinates)))
+    : await getDistanceAndDuration(origin, target);
+
+  if (!distanceResult.success) {
+    return { success: false, message: 'Unable to calculate route' };
+  }
+
+  // Look up the rates in force for this city, vehicle and service
+  const fareConfig = await FareConfig.findApplicable({ city, vehicleType: rideType, serviceType, at: pickupTime });
+
+  if (!fareConfig) {
+    return { success: false, message: `${serviceType} service is not available for ${rideType} in this city` };
+  }
+
+  // Calculate fare with the pickup zone's current surge
+  const surge = await getSurgeMultiplier(pickup.coordinates, rideType);
+  const fare = calculateFare(distanceResult.distance, distanceResult.duration, fareConfig, surge.multiplier, { pickupTime });
+
+  return {
+    success: true,
+    fare,
+    route: {
+      distance: distanceResult.distance,
+      duration: distanceResult.duration,
+      polyline: distanceResult.polyline,
+      waypoints: stops.map(stop => ({
+        address: stop.address,
+        coordinates: stop.coordinates,
+        landmark: stop.landmark,
+        instructions: stop.instructions
+      }))
+    },
+    pricing: {
+      baseFare: fare.baseFare,
+      distanceFare: fare.distanceFare,
+      timeFare: fare.timeFare,
+      surgeMultiplier: fare.surgeMultiplier,
+      surgeZone: surge.zoneId,
+      nightSurcharge: fare.nightSurcharge,
+      bookingFee: fare.bookingFee,
+      fareConfig: fareConfig.toSnapshot(),
+      totalFare: fare.totalFare,
+      finalAmount: fare.totalFare
+    }
+  };
+};
+
 // Create ride request
 router.post('/request', authenticateToken, requireVerification, validateRideRequest, async (req, res) => {
   try {
@@ -22,30 +97,63 @@ router.post('/request', authenticateToken, requireVerification, validateRideRequ
       luggage = false,
       specialRequests = '',
       scheduledTime = null,
-      paymentMethod = 'cash'
+      paymentMethod = 'cash',
+      delivery = null,
+      city = FareConfig.DEFAULT_CITY,
+      promoCode = null,
+      stops = [],
+      fallbackPaymentMethod = null
     } = req.body;
 
-    // Calculate distance and duration
-    const distanceResult = await getDistanceAndDuration(
-      { lat: pickup.coordinates[1], lng: pickup.coordinates[0] },
-      { lat: destination.coordinates[1], lng: destination.coordinates[0] }
-    );
+    // Unpaid fares from earlier rides must be cleared first
+    if (req.user.outstandingDues > 0) {
+      return res.status(402).json({
+        status: 'error',
+        message: `Please pay your outstanding dues of ₹${req.user.outstandingDues} before requesting a ride`,
+        outstandingDues: req.user.outstandingDues
+      });
+    }
+
+    // Scheduled rides must be booked far enough ahead
+    let pickupTime = new Date();
+    if (scheduledTime) {
+      const schedule = validateScheduledTime(scheduledTime);
+      if (!schedule.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: schedule.message
+        });
+      }
+      pickupTime = schedule.scheduledTime;
+    }
 
-    if (!distanceResult.success) {
+    const quote = await quoteRide({ rideType, serviceType, city, pickup, destination, stops, pickupTime });
+    if (!quote.success) {
       return res.status(400).json({
         status: 'error',
-        message: 'Unable to calculate route'
+        message: quote.message
       });
     }
-
-    // Calculate fare
-    const fare = calculateFare(distanceResult.distance, distanceResult.duration, rideType);
+    const { fare } = quote;
+
+    // Check the promo code before anything is created
+    let promo = null;
+    if (promoCode) {
+      promo = await evaluatePromotion(promoCode, req.user, { rideType, city, fare: fare.totalFare });
+      if (!promo.success) {
+        return res.status(promo.statusCode).json({
+          status: 'error',
+          message: promo.message
+        });
+      }
+    }
 
     // Create ride
     const ride = new Ride({
       user: req.user._id,
       rideType,
       serviceType,
+      city,
       pickup: {
         address: pickup.address,
         coordinates: {
@@ -64,49 +172,64 @@ router.post('/request', authenticateToken, requireVerification, validateRideRequ
         landmark: destination.landmark,
         instructions: destination.instructions
       },
-      route: {
-        distance: distanceResult.distance,
-        duration: distanceResult.duration
-      },
-      pricing: {
-        baseFare: fare.baseFare,
-        distanceFare: fare.distanceFare,
-        timeFare: fare.timeFare,
-        totalFare: fare.totalFare,
-        finalAmount: fare.totalFare
-      },
+      route: quote.route,
+      pricing: quote.pricing,
       passengers,
       luggage,
       specialRequests,
-      scheduledTime: scheduledTime ? new Date(scheduledTime) : null,
+      delivery: serviceType === 'Delivery' ? delivery : undefined,
+      scheduledTime: scheduledTime ? pickupTime : null,
       payment: {
-        method: paymentMethod
+        method: paymentMethod,
+        fallbackMethod: WALLET_METHODS.includes(paymentMethod) ? fallbackPaymentMethod : null
       }
     });
 
-    await ride.save();
+    // Claim the promo use for this ride before it is saved
+    if (promo) {
+      const redemption = await redeemPromotion(promo.promotion, req.user._id, ride._id, promo.discount);
+      if (!redemption.success) {
+        return res.status(redemption.statusCode).json({
+          status: 'error',
+          message: redemption.message
+        });
+      }
 
-    // Emit ride request to nearby drivers via Socket.IO
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('new-ride-request', {
-        rideId: ride._id,
-        rideType,
-        pickup: ride.pickup,
-        destination: ride.destination,
-        fare: ride.pricing.finalAmount,
-        distance: ride.route.distance,
-        duration: ride.route.duration
-      });
+      ride.pricing.discount = promo.discount;
+      ride.pricing.promotion = promo.promotion._id;
+      ride.pricing.promoCode = promo.promotion.code;
+      ride.calculateFare();
+    }
+
+    // Scheduled rides wait for the scheduler to start dispatch
+    if (ride.scheduledTime) {
+      ride.transitionTo('scheduled', { actor: 'system', note: `Pickup at ${ride.scheduledTime.toISOString()}` });
+    }
+
+    try {
+      await ride.save();
+    } catch (error) {
+      if (promo) {
+        await releasePromotion(ride._id);
+      }
+      throw error;
     }
 
+    // Offer the ride to the best-placed nearby drivers
+    const io = req.app.get('io');
+    const dispatchedRide = ride.scheduledTime ? null : await startDispatch(io, ride._id);
+
     res.status(201).json({
       status: 'success',
       message: 'Ride request created successfully',
       data: {
         rideId: ride._id,
-        status: ride.status,
+        status: dispatchedRide ? dispatchedRide.status : ride.status,
         estimatedFare: ride.pricing.finalAmount,
+        discount: ride.pricing.discount,
+        promoCode: ride.pricing.promoCode,
+        surgeMultiplier: ride.pricing.surgeMultiplier,
+        scheduledTime: ride.scheduledTime,
         estimatedDistance: ride.route.distance,
         estimatedDuration: ride.route.duration
       }
@@ -121,6 +244,42 @@ router.post('/request', authenticateToken, requireVerification, validateRideRequ
   }
 });
 
+// Preview a promo code discount
+router.post('/promo/validate', authenticateToken, validatePromoCheck, async (req, res) => {
+  try {
+    const { code, rideType, fare, city = FareConfig.DEFAULT_CITY } = req.body;
+    const fareAmount = Number(fare);
+
+    const result = await evaluatePromotion(code, req.user, { rideType, city, fare: fareAmount });
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        code: result.promotion.code,
+        description: result.promotion.description,
+        discountType: result.promotion.discountType,
+        discountValue: result.promotion.discountValue,
+        discount: result.discount,
+        finalAmount: Math.max(0, fareAmount - result.discount),
+        validUntil: result.promotion.validUntil
+      }
+    });
+
+  } catch (error) {
+    console.error('Validate promo code error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to validate promo code'
+    });
+  }
+});
+
 // Get user's ride history
 router.get('/history', authenticateToken, validatePagination, async (req, res) => {
   try {
@@ -161,12 +320,82 @@ router.get('/history', authenticateToken, validatePagination, async (req, res) =
   }
 });
 
+// Get user's upcoming scheduled rides
+router.get('/scheduled', authenticateToken, async (req, res) => {
+  try {
+    const rides = await Ride.find({
+      user: req.user._id,
+      scheduledTime: { $gte: new Date() },
+      status: { $in: ['scheduled', 'searching', 'accepted'] }
+    })
+    .populate('driver', 'fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.rating')
+    .sort({ scheduledTime: 1 });
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rides: rides.map(ride => ({
+          ...ride.toJSON(),
+          canEditFree: ride.status === 'scheduled' && isWithinFreeChangeWindow(ride)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Get scheduled rides error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get scheduled rides'
+    });
+  }
+});
+
+// Get the tags available when rating
+router.get('/rating-tags', authenticateToken, (req, res) => {
+  res.status(200).json({
+    status: 'success',
+    data: {
+      driver: DRIVER_RATING_TAGS,
+      rider: RIDER_RATING_TAGS
+    }
+  });
+});
+
+// Monthly statement of completed rides, with each ride's invoice
+router.get('/statement', authenticateToken, validateStatement, async (req, res) => {
+  try {
+    const { month, format = 'json' } = req.query;
+    const statement = await buildStatement(req.user, month);
+
+    if (format === 'pdf') {
+      res.set('Content-Disposition', `attachment; filename="statement-${month}.pdf"`);
+      return res.type('application/pdf').send(renderStatementPdf(statement));
+    }
+    if (format === 'html') {
+      return res.type('html').send(renderStatementHtml(statement));
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: statement
+    });
+
+  } catch (error) {
+    console.error('Get ride statement error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get ride statement'
+    });
+  }
+});
+
 // Get ride details
 router.get('/:rideId', authenticateToken, validateObjectId('rideId'), async (req, res) => {
   try {
     const ride = await Ride.findById(req.params.rideId)
       .populate('user', 'fullName phone email')
-      .populate('driver', 'fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.rating');
+      .populate('driver', 'fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.rating')
+      .populate('split.participants.user', 'fullName');
 
     if (!ride) {
       return res.status(404).json({
@@ -175,8 +404,8 @@ router.get('/:rideId', authenticateToken, validateObjectId('rideId'), async (req
       });
     }
 
-    // Check if user has access to this ride
-    if (ride.user._id.toString() !== req.user._id.toString() && 
+    // Check if user has access to this ride; co-riders splitting the fare can see it too
+    if (!canViewSplit(ride, req.user._id) &&
         (!ride.driver || ride.driver._id.toString() !== req.user._id.toString())) {
       return res.status(403).json({
         status: 'error',
@@ -199,7 +428,7 @@ router.get('/:rideId', authenticateToken, validateObjectId('rideId'), async (req
 });
 
 // Cancel ride
-router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), async (req, res, next) => {
   try {
     const { reason } = req.body;
     const ride = await Ride.findById(req.params.rideId);
@@ -225,23 +454,29 @@ router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), as
       });
     }
 
-    // Calculate cancellation fee based on ride status
-    let cancellationFee = 0;
-    if (ride.status === 'accepted' || ride.status === 'arrived') {
-      cancellationFee = Math.min(ride.pricing.finalAmount * 0.1, 50); // 10% or ₹50 max
-    }
+    // Scheduled rides are free up to the cutoff; otherwise the city's policy decides
+    const quote = isWithinFreeChangeWindow(ride)
+      ? { fee: 0, rule: 'scheduled_free_window' }
+      : await getRiderCancellationQuote(ride);
+    const cancellationFee = quote.fee;
 
-    await ride.cancelRide('user', reason, cancellationFee);
+    const withdrawnDrivers = cancelDispatch(ride);
+    await ride.cancelRide('user', reason, cancellationFee, { actorId: req.user._id, rule: quote.rule });
+    emitToDrivers(req.app.get('io'), withdrawnDrivers, 'ride-offer-withdrawn', { rideId: ride._id });
 
-    // Refund payment if applicable
-    if (ride.payment.method !== 'cash' && ride.payment.status === 'completed') {
-      const refundAmount = ride.pricing.finalAmount - cancellationFee;
-      if (refundAmount > 0) {
-        // Process refund through payment gateway
-        // This would integrate with your payment system
-      }
+    // The assigned driver can take other rides again
+    if (ride.driver) {
+      await releaseDriver(ride.driver);
+    }
+
+    // The promo use goes back to the rider
+    if (ride.pricing.promotion) {
+      await releasePromotion(ride._id);
     }
 
+    // Prepaid rides get back whatever the cancellation fee didn't keep
+    const refund = await refundCancelledRide(req.app.get('io'), ride);
+
     // Notify driver if ride was accepted
     if (ride.driver) {
       const notification = new Notification({
@@ -259,11 +494,18 @@ router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), as
       message: 'Ride cancelled successfully',
       data: {
         cancellationFee,
-        refundAmount: Math.max(0, ride.pricing.finalAmount - cancellationFee)
+        rule: quote.rule,
+        refundAmount: Math.max(0, ride.pricing.finalAmount - cancellationFee),
+        refundStatus: refund ? refund.status : null
       }
     });
 
   } catch (error) {
+    // Refused status changes are answered by the error handler
+    if (error.name === 'RideTransitionError') {
+      return next(error);
+    }
+
     console.error('Cancel ride error:', error);
     res.status(500).json({
       status: 'error',
@@ -272,10 +514,9 @@ router.post('/:rideId/cancel', authenticateToken, validateObjectId('rideId'), as
   }
 });
 
-// Rate ride
-router.post('/:rideId/rate', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+// Preview the fee for cancelling a ride now
+router.get('/:rideId/cancellation-fee', authenticateToken, validateObjectId('rideId'), async (req, res) => {
   try {
-    const { rating, feedback } = req.body;
     const ride = await Ride.findById(req.params.rideId);
 
     if (!ride) {
@@ -288,115 +529,272 @@ router.post('/:rideId/rate', authenticateToken, validateObjectId('rideId'), asyn
     if (ride.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         status: 'error',
-        message: 'Unauthorized to rate this ride'
+        message: 'Unauthorized to view this ride'
       });
     }
 
-    if (ride.status !== 'completed') {
+    if (['started', 'completed', 'cancelled', 'no_driver_found'].includes(ride.status)) {
       return res.status(400).json({
         status: 'error',
-        message: 'Can only rate completed rides'
+        message: 'This ride can no longer be cancelled'
+      });
+    }
+
+    const quote = isWithinFreeChangeWindow(ride)
+      ? { fee: 0, rule: 'scheduled_free_window' }
+      : await getRiderCancellationQuote(ride);
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        cancellationFee: quote.fee,
+        rule: quote.rule,
+        refundAmount: Math.max(0, ride.pricing.finalAmount - quote.fee)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get cancellation fee error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get cancellation fee'
+    });
+  }
+});
+
+// Edit a scheduled ride before the free change cutoff
+router.patch('/:rideId/schedule', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const { scheduledTime, pickup, destination, passengers, luggage, specialRequests } = req.body;
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to edit this ride'
+      });
+    }
+
+    if (ride.status !== 'scheduled') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Only rides that are still scheduled can be edited'
+      });
+    }
+
+    if (!isWithinFreeChangeWindow(ride)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'This ride is too close to pickup to be edited'
       });
     }
 
-    if (ride.rating.userRating.rating) {
+    const isPoint = (place) => place && Array.isArray(place.coordinates) && place.coordinates.length === 2 &&
+      place.coordinates.every(value => typeof value === 'number' && isFinite(value));
+
+    if ((pickup && !isPoint(pickup)) || (destination && !isPoint(destination))) {
       return res.status(400).json({
         status: 'error',
-        message: 'Ride already rated'
+        message: 'Coordinates must be an array of 2 numbers [longitude, latitude]'
       });
     }
 
-    // Update ride rating
-    ride.rating.userRating = {
-      rating,
-      feedback,
-      date: new Date()
-    };
+    let pickupTime = ride.scheduledTime;
+    if (scheduledTime) {
+      const schedule = validateScheduledTime(scheduledTime);
+      if (!schedule.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: schedule.message
+        });
+      }
+      pickupTime = schedule.scheduledTime;
+    }
 
-    await ride.save();
+    // Re-price when the time or route changes
+    if (scheduledTime || pickup || destination) {
+      const nextPickup = pickup
+        ? { address: pickup.address || ride.pickup.address, coordinates: pickup.coordinates }
+        : { address: ride.pickup.address, coordinates: ride.pickup.coordinates.coordinates };
+      const nextDestination = destination
+        ? { address: destination.address || ride.destination.address, coordinates: destination.coordinates }
+        : { address: ride.destination.address, coordinates: ride.destination.coordinates.coordinates };
+
+      const quote = await quoteRide({
+        rideType: ride.rideType,
+        serviceType: ride.serviceType,
+        city: ride.city,
+        pickup: nextPickup,
+        destination: nextDestination,
+        stops: ride.route.waypoints,
+        pickupTime
+      });
 
-    // Update driver's average rating
-    if (ride.driver) {
-      const driver = await User.findById(ride.driver);
-      if (driver) {
-        const totalRides = await Ride.countDocuments({
-          driver: ride.driver,
-          status: 'completed',
-          'rating.userRating.rating': { $exists: true }
+      if (!quote.success) {
+        return res.status(400).json({
+          status: 'error',
+          message: quote.message
         });
+      }
 
-        const totalRating = await Ride.aggregate([
-          {
-            $match: {
-              driver: ride.driver,
-              status: 'completed',
-              'rating.userRating.rating': { $exists: true }
-            }
-          },
-          {
-            $group: {
-              _id: null,
-              averageRating: { $avg: '$rating.userRating.rating' }
-            }
-          }
-        ]);
+      if (pickup) {
+        ride.pickup = {
+          address: nextPickup.address,
+          coordinates: { type: 'Point', coordinates: pickup.coordinates },
+          landmark: pickup.landmark,
+          instructions: pickup.instructions
+        };
+      }
+      if (destination) {
+        ride.destination = {
+          address: nextDestination.address,
+          coordinates: { type: 'Point', coordinates: destination.coordinates },
+          landmark: destination.landmark,
+          instructions: destination.instructions
+        };
+      }
 
-        if (totalRating.length > 0) {
-          driver.driverInfo.rating = Math.round(totalRating[0].averageRating * 10) / 10;
-          await driver.save();
+      const { discount, promotion, promoCode } = ride.pricing;
+      ride.route = quote.route;
+      ride.pricing = { ...quote.pricing, discount, promotion, promoCode };
+
+      // Percentage promos follow the new fare
+      if (promotion) {
+        const promo = await Promotion.findById(promotion);
+        if (promo) {
+          ride.pricing.discount = promo.calculateDiscount(quote.pricing.totalFare);
+          await PromotionRedemption.updateOne(
+            { ride: ride._id, status: 'applied' },
+            { discount: ride.pricing.discount }
+          );
         }
       }
+      ride.calculateFare();
     }
 
+    if (scheduledTime) {
+      ride.scheduledTime = pickupTime;
+      ride.schedule.remindersSent = [];
+      ride.schedule.rescheduledCount += 1;
+    }
+    if (passengers !== undefined) ride.passengers = passengers;
+    if (luggage !== undefined) ride.luggage = luggage;
+    if (specialRequests !== undefined) ride.specialRequests = specialRequests;
+    ride.schedule.lastEditedAt = new Date();
+
+    await ride.save();
+
     res.status(200).json({
       status: 'success',
-      message: 'Ride rated successfully'
+      message: 'Scheduled ride updated successfully',
+      data: {
+        rideId: ride._id,
+        scheduledTime: ride.scheduledTime,
+        estimatedFare: ride.pricing.finalAmount,
+        discount: ride.pricing.discount,
+        estimatedDistance: ride.route.distance,
+        estimatedDuration: ride.route.duration
+      }
     });
 
   } catch (error) {
-    console.error('Rate ride error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    console.error('Edit scheduled ride error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to rate ride'
+      message: 'Failed to edit scheduled ride'
     });
   }
 });
 
-// Get current ride
-router.get('/current/active', authenticateToken, async (req, res) => {
+// Rate ride
+router.post('/:rideId/rate', authenticateToken, validateObjectId('rideId'), validateRating(DRIVER_RATING_TAGS), async (req, res) => {
   try {
-    const ride = await Ride.findOne({
-      user: req.user._id,
-      status: { $in: ['searching', 'accepted', 'arrived', 'started'] }
-    })
-    .populate('driver', 'fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.currentLocation driverInfo.rating');
+    const { rating, feedback, tags = [] } = req.body;
+    const ride = await Ride.findById(req.params.rideId);
 
     if (!ride) {
       return res.status(404).json({
         status: 'error',
-        message: 'No active ride found'
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to rate this ride'
+      });
+    }
+
+    if (ride.status !== 'completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Can only rate completed rides'
+      });
+    }
+
+    // Only the first rating lands, even if two requests race
+    const uniqueTags = [...new Set(tags)];
+    const rated = await Ride.findOneAndUpdate(
+      { _id: ride._id, 'rating.userRating.rating': { $exists: false } },
+      {
+        $set: {
+          'rating.userRating': {
+            rating: Number(rating),
+            tags: uniqueTags,
+            feedback,
+            date: new Date()
+          }
+        },
+        $inc: { __v: 1 }
+      },
+      { new: true }
+    );
+
+    if (!rated) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Ride already rated'
       });
     }
 
+    // Update driver's average rating
+    if (ride.driver) {
+      await recordDriverRating(ride.driver, Number(rating), uniqueTags);
+    }
+
     res.status(200).json({
       status: 'success',
-      data: ride
+      message: 'Ride rated successfully'
     });
 
   } catch (error) {
-    console.error('Get current ride error:', error);
+    console.error('Rate ride error:', error);
     res.status(500).json({
       status: 'error',
-      message: 'Failed to get current ride'
+      message: 'Failed to rate ride'
     });
   }
 });
 
-// Update ride status (for drivers)
-router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+// Tip presets and limits for a ride, and any tip already sent
+router.get('/:rideId/tip', authenticateToken, validateObjectId('rideId'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const ride = await Ride.findById(req.params.rideId);
+    const ride = await Ride.findById(req.params.rideId).select('user driver status actualEndTime tip');
 
     if (!ride) {
       return res.status(404).json({
@@ -405,59 +803,443 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
       });
     }
 
-    if (!ride.driver || ride.driver.toString() !== req.user._id.toString()) {
+    if (ride.user.toString() !== req.user._id.toString()) {
       return res.status(403).json({
         status: 'error',
-        message: 'Unauthorized to update ride status'
-      });
-    }
-
-    const validStatuses = ['accepted', 'arrived', 'started', 'completed'];
-    if (!validStatuses.includes(status)) {
-      return res.status(400).json({
-        status: 'error',
-        message: 'Invalid status'
+        message: 'Unauthorized access to ride'
       });
     }
 
-    await ride.updateStatus(status);
+    res.status(200).json({
+      status: 'success',
+      data: getTipOptions(ride)
+    });
 
-    // Send notification to user
-    const notification = new Notification({
-      user: ride.user,
-      title: 'Ride Status Update',
-      message: `Your ride status has been updated to ${status}`,
-      type: 'ride_update',
-      data: { rideId: ride._id }
+  } catch (error) {
+    console.error('Get tip options error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get tip options'
     });
-    await notification.save();
+  }
+});
 
-    // Send email notification for important status changes
-    if (status === 'accepted') {
-      const user = await User.findById(ride.user);
-      if (user) {
-        await sendRideConfirmationEmail(user.email, {
-          rideId: ride._id,
-          rideType: ride.rideType,
-          pickup: ride.pickup.address,
-          destination: ride.destination.address,
-          fare: ride.pricing.finalAmount,
-          driverName: req.user.fullName,
-          driverPhone: req.user.phone
+// Tip the driver of a completed ride, from the wallet or through a gateway order
+router.post('/:rideId/tip', authenticateToken, validateObjectId('rideId'), validateTip, idempotent, async (req, res) => {
+  try {
+    const { method = 'wallet' } = req.body;
+    const amount = Math.round(Number(req.body.amount) * 100) / 100;
+
+    if (method === 'wallet') {
+      const result = await tipFromWallet(req.app.get('io'), req.user, req.params.rideId, amount);
+      if (!result.success) {
+        return res.status(result.statusCode).json({
+          status: 'error',
+          message: result.message
         });
       }
-    }
 
-    res.status(200).json({
+      return res.status(200).json({
+        status: 'success',
+        message: 'Tip sent to your driver',
+        data: {
+          tip: result.tip,
+          paymentId: result.payment._id,
+          walletBalance: result.walletBalance
+        }
+      });
+    }
+
+    // Paid through the checkout; the tip is credited once /verify or the webhook completes it
+    const result = await createTipOrder(req.user, req.params.rideId, amount);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message,
+        ...(result.error && { error: result.error })
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Payment order created for tip',
+      order: {
+        id: result.order.id,
+        amount: result.order.amount,
+        currency: result.order.currency,
+        receipt: result.order.receipt
+      },
+      paymentId: result.payment._id
+    });
+
+  } catch (error) {
+    console.error('Tip ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send tip'
+    });
+  }
+});
+
+// Fare split on a ride, for the booker and co-riders
+router.get('/:rideId/split', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId)
+      .select('user status pricing.finalAmount passengers split')
+      .populate('split.participants.user', 'fullName');
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (!canViewSplit(ride, req.user._id)) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rideId: ride._id,
+        passengers: ride.passengers,
+        split: getSplitView(ride)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get fare split error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get fare split'
+    });
+  }
+});
+
+// Invite co-riders by phone or email to split the fare equally or by custom shares
+router.post('/:rideId/split', authenticateToken, validateObjectId('rideId'), validateSplit, async (req, res) => {
+  try {
+    const { mode = 'equal', invitees } = req.body;
+    const result = await setupSplit(req.app.get('io'), req.user, req.params.rideId, { mode, invitees });
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Co-riders invited to split the fare',
+      data: { split: result.split }
+    });
+
+  } catch (error) {
+    console.error('Split fare error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to split fare'
+    });
+  }
+});
+
+// Accept or decline an invitation to split the fare
+router.post('/:rideId/split/respond', authenticateToken, validateObjectId('rideId'), validateSplitResponse, async (req, res) => {
+  try {
+    const accept = req.body.accept === true || req.body.accept === 'true';
+    const result = await respondToSplit(req.app.get('io'), req.user, req.params.rideId, accept);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: accept ? 'You have joined the fare split' : 'You have declined the fare split',
+      data: { split: result.split }
+    });
+
+  } catch (error) {
+    console.error('Respond to fare split error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to respond to fare split'
+    });
+  }
+});
+
+// Pay an accepted share from the wallet, or through a gateway order
+router.post('/:rideId/split/pay', authenticateToken, validateObjectId('rideId'), validateSharePayment, idempotent, async (req, res) => {
+  try {
+    const { method = 'wallet' } = req.body;
+    const result = await payShare(req.app.get('io'), req.user, req.params.rideId, method);
+
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message,
+        ...(result.error && { error: result.error })
+      });
+    }
+
+    if (method === 'wallet') {
+      return res.status(200).json({
+        status: 'success',
+        message: 'Your share has been paid',
+        data: {
+          split: result.split,
+          paymentId: result.payment._id,
+          walletBalance: result.walletBalance
+        }
+      });
+    }
+
+    // Paid through the checkout; the share counts once /verify or the webhook completes it
+    res.status(200).json({
+      status: 'success',
+      message: 'Payment order created for your share',
+      order: {
+        id: result.order.id,
+        amount: result.order.amount,
+        currency: result.order.currency,
+        receipt: result.order.receipt
+      },
+      paymentId: result.payment._id
+    });
+
+  } catch (error) {
+    console.error('Pay fare share error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to pay fare share'
+    });
+  }
+});
+
+// Receipt and GST tax invoice for a completed ride, as a PDF download or HTML
+router.get('/:rideId/receipt', authenticateToken, validateObjectId('rideId'), validateReceipt, async (req, res) => {
+  try {
+    const ride = await loadRideForReceipt(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user._id.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    if (ride.status !== 'completed') {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Receipts are available once the ride is completed'
+      });
+    }
+
+    const invoice = await issueInvoice(ride);
+    const receipt = buildReceipt(ride, invoice);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderReceiptHtml(receipt));
+    }
+
+    res.set('Content-Disposition', `attachment; filename="${invoice.invoiceNumber.replace(/\//g, '-')}.pdf"`);
+    res.type('application/pdf').send(renderReceiptPdf(receipt));
+
+  } catch (error) {
+    console.error('Get ride receipt error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get ride receipt'
+    });
+  }
+});
+
+// Get current ride
+router.get('/current/active', authenticateToken, async (req, res) => {
+  try {
+    const ride = await Ride.findOne({
+      user: req.user._id,
+      status: { $in: ['searching', 'accepted', 'arrived', 'started'] }
+    })
+    .select('+verification.startPin')
+    .populate('driver', 'fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.currentLocation driverInfo.rating');
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No active ride found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      data: ride
+    });
+
+  } catch (error) {
+    console.error('Get current ride error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to get current ride'
+    });
+  }
+});
+
+// Update ride status (for drivers and admins)
+router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), async (req, res, next) => {
+  try {
+    const { status, location, pin, cashCollected } = req.body;
+    const ride = await Ride.findById(req.params.rideId)
+      .select('+verification.startPin +verification.deliveryPin');
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    const isAdmin = req.user.role === 'Admin';
+    const isRideDriver = ride.driver && ride.driver.toString() === req.user._id.toString();
+
+    if (!isRideDriver && !isAdmin) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to update ride status'
+      });
+    }
+
+    const validStatuses = ['arrived', 'started', 'completed'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Invalid status'
+      });
+    }
+
+    if (location && (!Array.isArray(location) || location.length !== 2)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Location must be an array of [longitude, latitude]'
+      });
+    }
+
+    // Cash rides are completed with the amount the rider actually paid
+    const isCashCompletion = status === 'completed' && ride.payment.method === 'cash';
+    if (isCashCompletion && cashCollected !== undefined) {
+      const amount = Number(cashCollected);
+      if (typeof cashCollected === 'boolean' || isNaN(amount) || amount < 0) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Cash collected must be a non-negative amount'
+        });
+      }
+      if (amount > ride.getBookerFare() + CASH_CONFIG.maxChange) {
+        return res.status(400).json({
+          status: 'error',
+          message: `Cash collected can be at most ₹${CASH_CONFIG.maxChange} over the fare`
+        });
+      }
+    }
+
+    const actor = isRideDriver ? 'driver' : 'admin';
+
+    // Drivers must prove they met the rider (and, for deliveries, the recipient)
+    const pinKind = status === 'started' ? 'start'
+      : (status === 'completed' && ride.serviceType === 'Delivery' ? 'delivery' : null);
+
+    if (pinKind && actor === 'driver' && ride.status === (pinKind === 'start' ? 'arrived' : 'started')) {
+      const pinCheck = ride.verifyPin(pinKind, pin, req.user._id, location);
+
+      if (!pinCheck.success) {
+        await ride.save();
+        return res.status(pinCheck.locked ? 429 : 400).json({
+          status: 'error',
+          message: pinCheck.message,
+          ...(pinCheck.attemptsLeft !== undefined && { attemptsLeft: Math.max(0, pinCheck.attemptsLeft) })
+        });
+      }
+    }
+
+    // Close out a stop the driver never marked as departed
+    let fallenBackShares = [];
+    if (status === 'completed') {
+      ride.route.waypoints.forEach((stop, index) => {
+        if (stop.status === 'arrived') {
+          ride.departFromStop(index);
+        }
+      });
+      ride.pendingRouteChange = undefined;
+      // Shares co-riders haven't paid by now are left to the booker
+      fallenBackShares = ride.closeSplit();
+      ride.earnings = await calculateEarnings(ride, {
+        cashCollected: isCashCompletion && cashCollected !== undefined ? Number(cashCollected) : undefined
+      });
+    }
+
+    await ride.updateStatus(status, {
+      actor,
+      actorId: req.user._id,
+      location
+    });
+
+    // Book the fare, then charge wallet and credits rides straight away
+    // and settle cash rides from what the driver collected
+    let settlement = null;
+    if (status === 'completed') {
+      try {
+        settlement = await settleCompletedRide(req.app.get('io'), ride);
+        await settleSplit(req.app.get('io'), ride, fallenBackShares);
+      } catch (error) {
+        // The ride is completed either way; the settlement retry job finishes it
+        console.error('Ride settlement error:', error);
+      }
+
+      // Email the receipt without holding up the response
+      sendRideReceipt(ride._id).catch(error => console.error('Ride receipt email error:', error));
+    }
+
+    // Send notification to user
+    const notification = new Notification({
+      user: ride.user,
+      title: 'Ride Status Update',
+      message: `Your ride status has been updated to ${status}`,
+      type: 'ride_update',
+      data: { rideId: ride._id }
+    });
+    await notification.save();
+
+    res.status(200).json({
       status: 'success',
       message: 'Ride status updated successfully',
       data: {
         rideId: ride._id,
-        status: ride.status
+        status: ride.status,
+        ...(settlement && { payment: settlement })
       }
     });
 
   } catch (error) {
+    // Refused status changes are answered by the error handler
+    if (error.name === 'RideTransitionError') {
+      return next(error);
+    }
+
     console.error('Update ride status error:', error);
     res.status(500).json({
       status: 'error',
@@ -466,6 +1248,438 @@ router.patch('/:rideId/status', authenticateToken, validateObjectId('rideId'), a
   }
 });
 
+// Propose an extra stop during a trip; the rider confirms the new fare separately
+router.post('/:rideId/stops', authenticateToken, validateObjectId('rideId'), validateStop, async (req, res) => {
+  try {
+    const { address, coordinates, landmark, instructions } = req.body;
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to change this ride'
+      });
+    }
+
+    if (!['accepted', 'arrived', 'started'].includes(ride.status)) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Stops can only be added to an ongoing ride'
+      });
+    }
+
+    if (ride.route.waypoints.length >= Ride.MAX_STOPS) {
+      return res.status(400).json({
+        status: 'error',
+        message: `A ride can have at most ${Ride.MAX_STOPS} stops`
+      });
+    }
+
+    // New stops can't go before one the driver has already reached
+    const visited = ride.route.waypoints.filter(stop => stop.status !== 'pending').length;
+    const position = req.body.position !== undefined
+      ? Math.min(Number(req.body.position), ride.route.waypoints.length)
+      : ride.route.waypoints.length;
+
+    if (position < visited) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A new stop cannot be placed before a stop already visited'
+      });
+    }
+
+    const stop = { address, coordinates: coordinates.map(Number), landmark, instructions };
+    const waypoints = ride.route.waypoints.map(waypoint => ({ coordinates: waypoint.coordinates }));
+    waypoints.splice(position, 0, stop);
+
+    const directions = await getDirections(
+      toLatLng(ride.pickup.coordinates.coordinates),
+      toLatLng(ride.destination.coordinates.coordinates),
+      waypoints.map(waypoint => toLatLng(waypoint.coordinates))
+    );
+
+    if (!directions.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Unable to calculate route'
+      });
+    }
+
+    // Re-price with the rates and surge the ride was booked at
+    const fare = calculateFare(
+      directions.distance,
+      directions.duration,
+      ride.pricing.fareConfig,
+      ride.pricing.surgeMultiplier,
+      { pickupTime: ride.scheduledTime || ride.createdAt }
+    );
+    const extras = (ride.pricing.waitingCharge || 0) + (ride.pricing.stopWaitingCharge || 0);
+    const newAmount = Math.max(0, Math.round((fare.totalFare + extras - ride.pricing.discount) * 100) / 100);
+
+    const now = new Date();
+    ride.pendingRouteChange = {
+      stop,
+      position,
+      distance: directions.distance,
+      duration: directions.duration,
+      polyline: directions.polyline,
+      fare,
+      previousAmount: ride.pricing.finalAmount,
+      newAmount,
+      requestedAt: now,
+      expiresAt: new Date(now.getTime() + STOP_CONFIRM_WINDOW_MS)
+    };
+    await ride.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Please confirm the updated fare to add this stop',
+      data: {
+        rideId: ride._id,
+        stop,
+        position,
+        previousAmount: ride.pendingRouteChange.previousAmount,
+        newAmount,
+        fareDifference: Math.round((newAmount - ride.pendingRouteChange.previousAmount) * 100) / 100,
+        expiresAt: ride.pendingRouteChange.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Add stop error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add stop'
+    });
+  }
+});
+
+// Accept the new fare and add the proposed stop
+router.post('/:rideId/stops/confirm', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to change this ride'
+      });
+    }
+
+    const change = ride.pendingRouteChange;
+    if (!change || !change.stop) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'No stop is waiting for confirmation'
+      });
+    }
+
+    if (change.expiresAt < new Date() || !['accepted', 'arrived', 'started'].includes(ride.status)) {
+      ride.pendingRouteChange = undefined;
+      await ride.save();
+      return res.status(409).json({
+        status: 'error',
+        message: 'The fare quote has expired. Please add the stop again.'
+      });
+    }
+
+    // The trip may have moved on since the quote
+    const visited = ride.route.waypoints.filter(stop => stop.status !== 'pending').length;
+    if (change.position < visited || ride.route.waypoints.length >= Ride.MAX_STOPS) {
+      ride.pendingRouteChange = undefined;
+      await ride.save();
+      return res.status(409).json({
+        status: 'error',
+        message: 'The route has changed since the quote. Please add the stop again.'
+      });
+    }
+
+    ride.route.waypoints.splice(change.position, 0, change.stop);
+    ride.route.distance = change.distance;
+    ride.route.duration = change.duration;
+    ride.route.polyline = change.polyline;
+    ride.pricing.baseFare = change.fare.baseFare;
+    ride.pricing.distanceFare = change.fare.distanceFare;
+    ride.pricing.timeFare = change.fare.timeFare;
+    ride.pricing.nightSurcharge = change.fare.nightSurcharge;
+    ride.calculateFare();
+    ride.pendingRouteChange = undefined;
+    await ride.save();
+
+    const addedStop = ride.route.waypoints[change.position];
+
+    // Let the driver know where to go next
+    if (ride.driver) {
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`user_${ride.driver}`).emit('stop-added', {
+          rideId: ride._id,
+          stop: addedStop,
+          position: change.position,
+          waypoints: ride.route.waypoints,
+          fare: ride.pricing.finalAmount
+        });
+      }
+
+      const notification = new Notification({
+        user: ride.driver,
+        title: 'Stop Added',
+        message: `The rider added a stop: ${addedStop.address}`,
+        type: 'ride_update',
+        data: { rideId: ride._id }
+      });
+      await notification.save();
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Stop added successfully',
+      data: {
+        rideId: ride._id,
+        waypoints: ride.route.waypoints,
+        estimatedFare: ride.pricing.finalAmount,
+        estimatedDistance: ride.route.distance,
+        estimatedDuration: ride.route.duration
+      }
+    });
+
+  } catch (error) {
+    console.error('Confirm stop error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to confirm stop'
+    });
+  }
+});
+
+// Decline the new fare and drop the proposed stop
+router.delete('/:rideId/stops/pending', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findOneAndUpdate(
+      { _id: req.params.rideId, user: req.user._id },
+      { $unset: { pendingRouteChange: 1 } },
+      { new: true }
+    );
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Stop discarded'
+    });
+
+  } catch (error) {
+    console.error('Discard stop error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to discard stop'
+    });
+  }
+});
+
+// Mark arrival at or departure from a stop (for the ride's driver)
+router.patch('/:rideId/stops/:stopIndex', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const { action } = req.body;
+    const stopIndex = parseInt(req.params.stopIndex);
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (!ride.driver || ride.driver.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized to update this ride'
+      });
+    }
+
+    if (ride.status !== 'started') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Stops can only be updated during the trip'
+      });
+    }
+
+    if (!['arrived', 'departed'].includes(action)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Action must be arrived or departed'
+      });
+    }
+
+    if (isNaN(stopIndex) || !ride.route.waypoints[stopIndex]) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Stop not found'
+      });
+    }
+
+    const result = action === 'arrived' ? ride.arriveAtStop(stopIndex) : ride.departFromStop(stopIndex);
+    if (!result.success) {
+      return res.status(409).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    await ride.save();
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${ride.user}`).emit('ride-stop-update', {
+        rideId: ride._id,
+        stopIndex,
+        stop: result.stop,
+        fare: ride.pricing.finalAmount
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: `Stop marked as ${action}`,
+      data: {
+        rideId: ride._id,
+        stop: result.stop,
+        stopWaitingCharge: ride.pricing.stopWaitingCharge,
+        estimatedFare: ride.pricing.finalAmount
+      }
+    });
+
+  } catch (error) {
+    console.error('Update stop error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update stop'
+    });
+  }
+});
+
+// Issue a new start PIN (for riders)
+router.post('/:rideId/pin/regenerate', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId);
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    if (ride.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    if (!['accepted', 'arrived'].includes(ride.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'PIN can only be changed before the trip starts'
+      });
+    }
+
+    const startPin = ride.issuePin('start');
+    await ride.save();
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Start PIN regenerated successfully',
+      data: { startPin }
+    });
+
+  } catch (error) {
+    console.error('Regenerate start PIN error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to regenerate PIN'
+    });
+  }
+});
+
+// Text the delivery PIN to the recipient again (rider or driver)
+router.post('/:rideId/delivery-pin/resend', authenticateToken, validateObjectId('rideId'), async (req, res) => {
+  try {
+    const ride = await Ride.findById(req.params.rideId).populate('user', 'fullName');
+
+    if (!ride) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Ride not found'
+      });
+    }
+
+    const isRider = ride.user._id.toString() === req.user._id.toString();
+    const isDriver = ride.driver && ride.driver.toString() === req.user._id.toString();
+    if (!isRider && !isDriver) {
+      return res.status(403).json({
+        status: 'error',
+        message: 'Unauthorized access to ride'
+      });
+    }
+
+    if (ride.serviceType !== 'Delivery' || !ride.delivery || !ride.delivery.recipientPhone) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Only deliveries have a delivery PIN'
+      });
+    }
+
+    if (!['accepted', 'arrived', 'started'].includes(ride.status)) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'The delivery PIN can only be sent before the delivery is completed'
+      });
+    }
+
+    const result = await sendDeliveryPin(ride._id, ride.user.fullName);
+    if (!result.success) {
+      return res.status(result.statusCode).json({
+        status: 'error',
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      status: 'success',
+      message: 'Delivery PIN sent to the recipient',
+      data: { sentAt: result.sentAt }
+    });
+
+  } catch (error) {
+    console.error('Resend delivery PIN error:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to send delivery PIN'
+    });
+  }
+});
+
 // Add tracking location (for drivers)
 router.post('/:rideId/track', authenticateToken, validateObjectId('rideId'), async (req, res) => {
   try {
@@ -4,7 +4,10 @@ const Ride = require('../models/Ride');
 const Payment = require('../models/Payment');
 const Notification = require('../models/Notification');
 const { authenticateToken, requireVerification } = require('../middleware/auth');
-const { validatePagination } = require('../middleware/validation');
+const { idempotent } = require('../middleware/idempotency');
+const { validatePagination, validateWalletTransactionQuery } = require('../middleware/validation');
+const { listWalletTransactions } = require('../utils/wallet');
+const { getPaymentProvider } = require('../utils/paymentProvider');
 const multer = require('multer');
 const cloudinary = require('cloudinary').v2;
 
@@ -36,7 +39,7 @@ const upload = multer({
 // Get user profile
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
-    const user = await User.findById(req.user._id).select('-wallet.transactions');
+    const user = await User.findById(req.user._id);
     
     res.status(200).json({
       status: 'success',
@@ -77,7 +80,7 @@ router.patch('/profile', authenticateToken, async (req, res) => {
       req.user._id,
       updateData,
       { new: true }
-    ).select('-wallet.transactions');
+    );
 
     res.status(200).json({
       status: 'success',
@@ -282,31 +285,25 @@ router.get('/rides', authenticateToken, validatePagination, async (req, res) =>
 });
 
 // Get wallet balance and transactions
-router.get('/wallet', authenticateToken, async (req, res) => {
+router.get('/wallet', authenticateToken, validateWalletTransactionQuery, async (req, res) => {
   try {
-    const { page = 1, limit = 20 } = req.query;
-    const skip = (page - 1) * limit;
-
-    const user = await User.findById(req.user._id)
-      .select('wallet.balance wallet.transactions')
-      .populate('wallet.transactions.rideId', 'pickup destination status');
+    const { cursor, limit, type, account, from, to } = req.query;
 
-    const transactions = user.wallet.transactions
-      .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(skip, skip + parseInt(limit));
-
-    const total = user.wallet.transactions.length;
+    const result = await listWalletTransactions(req.user._id, { cursor, limit, type, account, from, to });
+    if (!result.success) {
+      return res.status(400).json({
+        status: 'error',
+        message: result.message
+      });
+    }
 
     res.status(200).json({
       status: 'success',
       data: {
-        balance: user.wallet.balance,
-        transactions,
-        pagination: {
-          current: parseInt(page),
-          pages: Math.ceil(total / limit),
-          total
-        }
+        balance: req.user.wallet.balance,
+        referralCredits: req.user.referralEarnings,
+        transactions: result.transactions,
+        pagination: result.pagination
       }
     });
 
@@ -320,7 +317,7 @@ router.get('/wallet', authenticateToken, async (req, res) => {
 });
 
 // Add money to wallet
-router.post('/wallet/topup', authenticateToken, async (req, res) => {
+router.post('/wallet/topup', authenticateToken, idempotent, async (req, res) => {
   try {
     const { amount, paymentMethod = 'razorpay' } = req.body;
 
@@ -332,9 +329,8 @@ router.post('/wallet/topup', authenticateToken, async (req, res) => {
     }
 
     // Create payment order for wallet top-up
-    const { createOrder } = require('../utils/razorpay');
-    
-    const orderResult = await createOrder(
+    const provider = getPaymentProvider();
+    const orderResult = await provider.createOrder(
       amount,
       'INR',
       `wallet_topup_${req.user._id}_${Date.now()}`,
@@ -359,6 +355,7 @@ router.post('/wallet/topup', authenticateToken, async (req, res) => {
       amount: amount,
       method: paymentMethod,
       status: 'pending',
+      provider: provider.name,
       razorpay: {
         orderId: orderResult.order.id,
         receipt: orderResult.order.receipt,
@@ -563,7 +560,7 @@ router.delete('/account', authenticateToken, async (req, res) => {
     // Check if user has any active rides
     const activeRides = await Ride.countDocuments({
       user: req.user._id,
-      status: { $in: ['pending', 'searching', 'accepted', 'arrived', 'started'] }
+      status: { $in: ['pending', 'scheduled', 'searching', 'accepted', 'arrived', 'started'] }
     });
 
     if (activeRides > 0) {
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { collectRatings, totalsFields } = require('../utils/ratings');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/idhar-udhar', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const backfillRatings = async () => {
+  try {
+    console.log('🌱 Backfilling rating totals...');
+
+    const driverRatings = await collectRatings('driverInfo');
+    for (const entry of driverRatings) {
+      await User.updateOne({ _id: entry._id }, { $set: totalsFields('driverInfo', entry) });
+    }
+    console.log(`✅ ${driverRatings.length} driver(s) updated`);
+
+    const riderRatings = await collectRatings('riderReputation');
+    for (const entry of riderRatings) {
+      await User.updateOne({ _id: entry._id }, { $set: totalsFields('riderReputation', entry) });
+    }
+    console.log(`✅ ${riderRatings.length} rider(s) updated`);
+
+    console.log('🎉 Rating backfill completed successfully!');
+  } catch (error) {
+    console.error('❌ Rating backfill failed:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run backfill
+backfillRatings();
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+require('dotenv').config();
+
+// Connect to MongoDB
+const connecting = mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/idhar-udhar', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// Embedded debits that came out of referral credits rather than the wallet
+const CREDITS_DESCRIPTIONS = ['Referral credits used for ride'];
+
+const signed = (transaction) => {
+  return WalletTransaction.DEBIT_TYPES.includes(transaction.type) ? -transaction.amount : transaction.amount;
+};
+
+// Work the running balance backwards from the balance the user has now
+const withRunningBalance = (transactions, currentBalance) => {
+  let balance = currentBalance || 0;
+  for (let i = transactions.length - 1; i >= 0; i--) {
+    transactions[i].balanceAfter = Math.round(balance * 100) / 100;
+    balance -= signed(transactions[i]);
+  }
+  return transactions;
+};
+
+const migrateWalletTransactions = async () => {
+  try {
+    // The raw driver cursor below doesn't wait for mongoose to connect
+    await connecting;
+    console.log('🌱 Moving wallet transactions to their own collection...');
+
+    // Read the raw documents; the embedded array is no longer in the schema
+    const cursor = User.collection.find(
+      { 'wallet.transactions.0': { $exists: true } },
+      { projection: { wallet: 1, referralEarnings: 1, createdAt: 1 } }
+    );
+
+    let users = 0;
+    let moved = 0;
+
+    for await (const user of cursor) {
+      const embedded = user.wallet.transactions
+        .map(transaction => ({
+          _id: transaction._id || new mongoose.Types.ObjectId(),
+          user: user._id,
+          account: CREDITS_DESCRIPTIONS.includes(transaction.description) ? 'credits' : 'wallet',
+          type: transaction.type || 'credit',
+          amount: transaction.amount || 0,
+          description: transaction.description,
+          ride: transaction.rideId || null,
+          date: transaction.date || user.createdAt || new Date()
+        }))
+        .sort((a, b) => a.date - b.date || String(a._id).localeCompare(String(b._id)));
+
+      const transactions = [
+        ...withRunningBalance(embedded.filter(t => t.account === 'wallet'), user.wallet.balance),
+        ...withRunningBalance(embedded.filter(t => t.account === 'credits'), user.referralEarnings)
+      ];
+
+      // Reusing the embedded ids makes a re-run skip what was already copied
+      try {
+        await WalletTransaction.insertMany(transactions, { ordered: false });
+      } catch (error) {
+        const duplicatesOnly = (error.writeErrors || [error]).every(writeError => writeError.code === 11000);
+        if (!duplicatesOnly) {
+          throw error;
+        }
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $unset: { 'wallet.transactions': '' } });
+      users++;
+      moved += transactions.length;
+    }
+
+    console.log(`✅ ${moved} transaction(s) moved for ${users} user(s)`);
+    console.log('🎉 Wallet transaction migration completed successfully!');
+  } catch (error) {
+    console.error('❌ Wallet transaction migration failed:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run migration
+migrateWalletTransactions();
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { postEntry } = require('../utils/ledger');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/idhar-udhar', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+// Cached balances carried into the ledger as opening entries
+const OPENING_BALANCES = [
+  { field: 'wallet.balance', type: 'rider_wallet', read: (user) => user.wallet ? user.wallet.balance : 0 },
+  { field: 'referralEarnings', type: 'rider_credits', read: (user) => user.referralEarnings }
+];
+
+const openLedgerBalances = async () => {
+  try {
+    console.log('🌱 Opening ledger balances...');
+
+    for (const { field, type, read } of OPENING_BALANCES) {
+      const users = await User.find({ [field]: { $gt: 0 } }).select('wallet.balance referralEarnings').lean();
+
+      let opened = 0;
+      for (const user of users) {
+        // The reference makes re-running the script a no-op
+        const entry = await postEntry({
+          kind: 'opening_balance',
+          reference: `opening:${type}:${user._id}`,
+          description: `Opening ${field}`,
+          user: user._id,
+          lines: [
+            { type: 'opening_balance', debit: read(user) },
+            { type, owner: user._id, credit: read(user) }
+          ]
+        });
+        if (entry) {
+          opened++;
+        }
+      }
+      console.log(`✅ ${opened} ${type} balance(s) opened`);
+    }
+
+    console.log('🎉 Ledger opening balances completed successfully!');
+  } catch (error) {
+    console.error('❌ Opening ledger balances failed:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run migration
+openLedgerBalances();
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const FareConfig = require('../models/FareConfig');
+require('dotenv').config();
+
+// Connect to MongoDB
+mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/idhar-udhar', {
+  useNewUrlParser: true,
+  useUnifiedTopology: true,
+});
+
+const seedFareConfigs = async () => {
+  try {
+    console.log('🌱 Seeding fare configs...');
+
+    const created = await FareConfig.ensureDefaults();
+    for (const config of created) {
+      console.log(`✅ ${config.serviceType}/${config.vehicleType} fare config created`);
+    }
+    console.log(`⏭  ${FareConfig.DEFAULT_FARE_CONFIGS.length - created.length} default fare configs already existed`);
+
+    console.log('🎉 Fare config seeding completed successfully!');
+  } catch (error) {
+    console.error('❌ Fare config seeding failed:', error);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+// Run seeding
+seedFareConfigs();
@@ -19,6 +19,13 @@ const locationRoutes = require('./routes/location');
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const { initializeSocket } = require('./utils/socket');
+const FareConfig = require('./models/FareConfig');
+const { resumeDispatches } = require('./utils/dispatch');
+const { startSurgeJob } = require('./utils/surge');
+const { startScheduledRideJob } = require('./utils/scheduledRides');
+const { startRefundRetryJob } = require('./utils/refunds');
+const { startPaymentReconciliationJob } = require('./utils/gatewayPayments');
+const { startSettlementRetryJob } = require('./utils/settlement');
 
 const app = express();
 const server = createServer(app);
@@ -38,7 +45,9 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Gateway webhooks arrive in bursts from a few IPs and are signed
+  skip: (req) => req.originalUrl === '/api/payment/webhook'
 });
 app.use(limiter);
 
@@ -49,6 +58,8 @@ app.use(cors({
 }));
 
 // Body parsing middleware
+// Webhooks keep the raw body so the signature is checked against the exact bytes sent
+app.use('/api/payment/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -60,7 +71,16 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/idhar-udh
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+  FareConfig.ensureDefaults().catch(error => console.error('Default fare config error:', error));
+  resumeDispatches(io);
+  startSurgeJob();
+  startScheduledRideJob(io);
+  startRefundRetryJob(io);
+  startPaymentReconciliationJob(io);
+  startSettlementRetryJob(io);
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // Make io accessible to routes
@@ -0,0 +1,179 @@
+const CancellationPolicy = require('../models/CancellationPolicy');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+
+// Reason codes a driver can give for cancelling an accepted ride
+const DRIVER_CANCEL_REASONS = [
+  'rider_no_show',
+  'rider_unreachable',
+  'unsafe_pickup',
+  'wrong_pickup_location',
+  'vehicle_issue',
+  'personal_emergency',
+  'other'
+];
+
+// Average speed used to estimate the driver's pickup ETA
+const PICKUP_SPEED_KMPH = 20;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Straight-line distance in metres between two [longitude, latitude] points
+const distanceInMeters = (from, to) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const [lng1, lat1] = from;
+  const [lng2, lat2] = to;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 6371000 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Policy for a ride, or the built-in defaults when none is configured
+const getCancellationPolicy = async (ride) => {
+  const policy = await CancellationPolicy.findApplicable({ city: ride.city, vehicleType: ride.rideType });
+  return policy || new CancellationPolicy({});
+};
+
+// Minutes the driver expected to need to reach pickup when they accepted
+const pickupEtaMinutes = (ride) => {
+  const offer = ride.dispatch && ride.dispatch.offers.find(o =>
+    o.outcome === 'accepted' && ride.driver && o.driver.toString() === ride.driver.toString()
+  );
+  if (!offer || offer.distance === undefined) {
+    return null;
+  }
+  return Math.max(1, Math.ceil((offer.distance / 1000) / PICKUP_SPEED_KMPH * 60));
+};
+
+// Minutes the driver has waited at pickup
+const minutesWaitedAtPickup = (ride, now) => {
+  const arrival = [...ride.statusHistory].reverse().find(entry => entry.status === 'arrived');
+  return arrival ? (now - arrival.timestamp) / (1000 * 60) : 0;
+};
+
+const lateCancellationFee = (ride, policy) => {
+  const { feeType, feeValue, maxFee } = policy.rider;
+  const fee = feeType === 'percentage' ? ride.pricing.finalAmount * feeValue / 100 : feeValue;
+  return roundAmount(Math.min(fee, maxFee || Infinity, ride.pricing.finalAmount));
+};
+
+// Work out what a rider pays to cancel right now
+const quoteRiderCancellation = (ride, policy, { driverLocation = null, now = new Date() } = {}) => {
+  if (!['accepted', 'arrived'].includes(ride.status)) {
+    return { fee: 0, rule: 'no_driver_assigned' };
+  }
+
+  if (ride.status === 'arrived') {
+    if (minutesWaitedAtPickup(ride, now) >= policy.noShow.waitMinutes) {
+      return { fee: roundAmount(Math.min(policy.noShow.fee, ride.pricing.finalAmount)), rule: 'no_show' };
+    }
+    return { fee: lateCancellationFee(ride, policy), rule: 'driver_arrived' };
+  }
+
+  const acceptedAt = ride.actualPickupTime || ride.updatedAt;
+  if ((now - acceptedAt) / (1000 * 60) <= policy.rider.freeWindowMinutes) {
+    return { fee: 0, rule: 'free_window' };
+  }
+
+  // With conditions configured, only charge when one of them holds
+  const { chargeWithinMeters, chargeAfterEta } = policy.rider;
+  if (chargeWithinMeters > 0 || chargeAfterEta) {
+    const driverClose = chargeWithinMeters > 0 && driverLocation &&
+      distanceInMeters(driverLocation, ride.pickup.coordinates.coordinates) <= chargeWithinMeters;
+    const etaMinutes = pickupEtaMinutes(ride);
+    const etaPassed = chargeAfterEta && etaMinutes !== null &&
+      now >= new Date(acceptedAt.getTime() + etaMinutes * 60 * 1000);
+
+    if (!driverClose && !etaPassed) {
+      return { fee: 0, rule: 'driver_not_near' };
+    }
+  }
+
+  return { fee: lateCancellationFee(ride, policy), rule: 'late_cancellation' };
+};
+
+// Load the policy and driver position, then quote a rider cancellation
+const getRiderCancellationQuote = async (ride, now = new Date()) => {
+  const policy = await getCancellationPolicy(ride);
+
+  let driverLocation = null;
+  if (ride.driver) {
+    const driver = await User.findById(ride.driver).select('driverInfo.currentLocation');
+    driverLocation = driver ? driver.driverInfo.currentLocation.coordinates : null;
+  }
+
+  return { policy, ...quoteRiderCancellation(ride, policy, { driverLocation, now }) };
+};
+
+// Midnight today in the app's timezone
+const startOfLocalDay = (now = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-GB', {
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric',
+    hourCycle: 'h23',
+    timeZone: process.env.APP_TIMEZONE || 'Asia/Kolkata'
+  }).formatToParts(now).forEach(({ type, value }) => {
+    parts[type] = Number(value);
+  });
+
+  const elapsedMs = ((parts.hour * 60 + parts.minute) * 60 + parts.second) * 1000 + now.getUTCMilliseconds();
+  return new Date(now.getTime() - elapsedMs);
+};
+
+// Rides a driver has cancelled since midnight in the app's timezone
+const countDriverCancellationsToday = (driverId, now = new Date()) => {
+  return Ride.countDocuments({
+    driverCancellations: { $elemMatch: { driver: driverId, cancelledAt: { $gte: startOfLocalDay(now) } } }
+  });
+};
+
+// Work out the outcome of a driver cancelling with a reason code
+const quoteDriverCancellation = (ride, policy, reason, { cancellationsToday = 0, now = new Date() } = {}) => {
+  // A genuine no-show ends the ride and charges the rider instead
+  if (reason === 'rider_no_show') {
+    if (ride.status !== 'arrived') {
+      return { allowed: false, message: 'Mark yourself as arrived before reporting a no-show' };
+    }
+    const waited = minutesWaitedAtPickup(ride, now);
+    if (waited < policy.noShow.waitMinutes) {
+      return {
+        allowed: false,
+        message: `You can report a no-show after waiting ${policy.noShow.waitMinutes} minutes`
+      };
+    }
+    return {
+      allowed: true,
+      redispatch: false,
+      penalty: 0,
+      riderFee: roundAmount(Math.min(policy.noShow.fee, ride.pricing.finalAmount)),
+      rule: 'no_show'
+    };
+  }
+
+  const excused = policy.driver.excusedReasons.includes(reason);
+  const withinAllowance = cancellationsToday < policy.driver.freeCancellationsPerDay;
+  const penalty = excused || withinAllowance ? 0 : policy.driver.penalty;
+
+  return {
+    allowed: true,
+    redispatch: true,
+    penalty,
+    riderFee: 0,
+    rule: excused ? 'excused' : (withinAllowance ? 'driver_allowance' : 'driver_penalty')
+  };
+};
+
+module.exports = {
+  DRIVER_CANCEL_REASONS,
+  distanceInMeters,
+  getCancellationPolicy,
+  quoteRiderCancellation,
+  getRiderCancellationQuote,
+  startOfLocalDay,
+  countDriverCancellationsToday,
+  quoteDriverCancellation
+};
@@ -0,0 +1,215 @@
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const { creditWallet, debitWallet } = require('./wallet');
+const { postCashChange, postDriverDuesPayment } = require('./ledger');
+
+const CASH_CONFIG = {
+  // Drivers owing more than this can't go available until they pay
+  duesLimit: parseFloat(process.env.DRIVER_CASH_DUES_LIMIT) || 1000,
+  // Most a driver can report collecting over the fare
+  maxChange: parseFloat(process.env.CASH_MAX_CHANGE_TO_WALLET) || 500
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const isOverDuesLimit = (cashDues) => (cashDues || 0) > CASH_CONFIG.duesLimit;
+
+// Add to a driver's cash dues; a driver who goes over the limit is taken offline
+const accrueCashDues = async (io, driverId, amount) => {
+  if (!(amount > 0)) {
+    return null;
+  }
+
+  const driver = await User.findByIdAndUpdate(
+    driverId,
+    { $inc: { 'driverInfo.cashDues': amount } },
+    { new: true, projection: { 'driverInfo.cashDues': 1 } }
+  );
+  if (!driver || !isOverDuesLimit(driver.driverInfo.cashDues)) {
+    return driver;
+  }
+
+  await User.updateOne(
+    { _id: driverId },
+    { 'driverInfo.isAvailable': false, 'driverInfo.availableSince': null }
+  );
+
+  const notification = new Notification({
+    user: driverId,
+    title: 'Cash Dues Limit Reached',
+    message: `You owe ₹${driver.driverInfo.cashDues} from cash rides. Pay your dues to go online again.`,
+    type: 'driver_update',
+    priority: 'high',
+    data: { cashDues: driver.driverInfo.cashDues, limit: CASH_CONFIG.duesLimit }
+  });
+  await notification.save();
+
+  if (io) {
+    io.to(`user_${driverId}`).emit('cash-dues-limit-reached', {
+      cashDues: driver.driverInfo.cashDues,
+      limit: CASH_CONFIG.duesLimit
+    });
+  }
+
+  return driver;
+};
+
+// Add the unpaid part of a ride's fare to the rider's dues; marks the ride first
+// so a retried settlement can't add it twice
+const accrueRiderDues = async (ride, amount) => {
+  const marked = await Ride.updateOne(
+    { _id: ride._id, 'payment.duesAccruedAt': null },
+    { $set: { 'payment.duesAccruedAt': new Date() }, $inc: { __v: 1 } }
+  );
+  if (marked.modifiedCount > 0) {
+    await User.updateOne({ _id: ride.user }, { $inc: { outstandingDues: amount } });
+  }
+};
+
+// Settle a completed cash ride from what the driver confirmed collecting. The ride
+// is only marked settled once the rider's change and dues are written, so a failed
+// attempt is picked up again by the settlement retry job.
+const settleCashRide = async (io, rideId) => {
+  const ride = await Ride.claimSettlement(rideId, ['cash']);
+  if (!ride) {
+    return null;
+  }
+
+  // What the booker owes once co-riders' paid shares are taken off
+  const fare = ride.getBookerFare();
+  const collected = ride.earnings.cashCollected;
+  const changeToWallet = roundAmount(Math.max(0, collected - fare));
+  const shortfall = roundAmount(Math.max(0, fare - collected));
+
+  // Change the driver didn't hand back goes to the rider's wallet
+  if (changeToWallet > 0) {
+    const reference = `cash-change:${ride._id}`;
+    if (!(await WalletTransaction.exists({ reference }))) {
+      await creditWallet(ride.user, changeToWallet, {
+        description: 'Change from cash ride',
+        ride: ride._id,
+        reference
+      });
+    }
+    await postCashChange(ride, changeToWallet);
+  }
+
+  // Whatever the rider didn't pay is owed before their next ride
+  if (shortfall > 0) {
+    await accrueRiderDues(ride, shortfall);
+  }
+
+  const status = shortfall > 0 ? 'pending' : 'completed';
+  const settled = await Ride.updateOne(
+    { _id: ride._id, 'payment.settledAt': null },
+    {
+      $set: {
+        'payment.settledAt': new Date(),
+        'payment.settlingUntil': null,
+        'payment.status': status,
+        'payment.duesAmount': shortfall,
+        'payment.cashCollection': {
+          amountCollected: collected,
+          changeToWallet,
+          shortfall,
+          confirmedAt: new Date()
+        }
+      },
+      $inc: { __v: 1 }
+    }
+  );
+  if (settled.modifiedCount === 0) {
+    return null;
+  }
+
+  await accrueCashDues(io, ride.driver, ride.earnings.cashDues);
+
+  if (changeToWallet > 0 || shortfall > 0) {
+    const notification = new Notification({
+      user: ride.user,
+      title: 'Ride Payment',
+      message: changeToWallet > 0
+        ? `₹${changeToWallet} change from your cash payment has been added to your wallet.`
+        : `₹${shortfall} of your fare is outstanding and must be paid before your next ride.`,
+      type: 'payment',
+      priority: shortfall > 0 ? 'high' : 'medium',
+      data: { rideId: ride._id }
+    });
+    await notification.save();
+  }
+
+  if (io) {
+    const payload = {
+      rideId: ride._id,
+      status,
+      fare,
+      amountCollected: collected,
+      changeToWallet,
+      shortfall
+    };
+    io.to(`user_${ride.user}`).emit('cash-collection-confirmed', payload);
+    io.to(`user_${ride.driver}`).emit('cash-collection-confirmed', payload);
+  }
+
+  return { status, amountCollected: collected, changeToWallet, shortfall, cashDues: ride.earnings.cashDues };
+};
+
+// Pay cash dues from the driver's wallet; all of them unless an amount is given
+const payDriverDues = async (driverId, amount) => {
+  const driver = await User.findById(driverId).select('driverInfo.cashDues');
+  const dues = driver.driverInfo.cashDues || 0;
+  const toPay = roundAmount(amount === undefined ? dues : Math.min(amount, dues));
+
+  if (toPay <= 0) {
+    return { success: false, statusCode: 400, message: 'You have no cash dues to pay' };
+  }
+
+  const payment = new Payment({
+    user: driverId,
+    type: 'driver_dues',
+    amount: toPay,
+    method: 'wallet',
+    status: 'completed',
+    description: 'Cash dues paid from wallet',
+    completedAt: new Date()
+  });
+
+  const debit = await debitWallet(driverId, toPay, {
+    description: 'Cash dues paid',
+    payment: payment._id,
+    filter: { 'driverInfo.cashDues': { $gte: toPay } },
+    alsoInc: { 'driverInfo.cashDues': -toPay }
+  });
+  if (!debit) {
+    return { success: false, statusCode: 402, message: `Add ₹${toPay} to your wallet to pay your dues` };
+  }
+
+  payment.wallet = {
+    previousBalance: debit.previousBalance,
+    newBalance: debit.balanceAfter,
+    transactionType: 'debit'
+  };
+  await payment.save();
+  await postDriverDuesPayment(payment);
+
+  const { driverInfo } = await User.findById(driverId).select('driverInfo.cashDues');
+  return {
+    success: true,
+    paid: toPay,
+    cashDues: driverInfo.cashDues,
+    walletBalance: debit.balanceAfter,
+    canGoAvailable: !isOverDuesLimit(driverInfo.cashDues)
+  };
+};
+
+module.exports = {
+  CASH_CONFIG,
+  isOverDuesLimit,
+  accrueCashDues,
+  accrueRiderDues,
+  settleCashRide,
+  payDriverDues
+};
@@ -0,0 +1,251 @@
+const CommissionPlan = require('../models/CommissionPlan');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const { debitWallet } = require('./wallet');
+const { postSubscriptionFee } = require('./ledger');
+
+// How long a subscription day pass lasts
+const DAY_PASS_MS = 24 * 60 * 60 * 1000;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Plan for a city and vehicle type, or the built-in defaults when none is configured
+const getCommissionPlan = async ({ city, vehicleType }) => {
+  const plan = await CommissionPlan.findApplicable({ city, vehicleType });
+  return plan || new CommissionPlan({});
+};
+
+// Whether the driver holds a day pass for this plan at the given time
+const hasActivePass = (driver, plan, at = new Date()) => {
+  const pass = driver && driver.driverInfo && driver.driverInfo.subscription;
+  return Boolean(pass && pass.plan && pass.plan.equals(plan._id) && pass.expiresAt > at);
+};
+
+// Commission before GST on a fare
+const commissionFor = (plan, fare, passActive) => {
+  switch (plan.type) {
+    case 'flat':
+      return Math.min(plan.flatFee, fare);
+    case 'subscription':
+      return passActive ? 0 : fare * plan.subscription.fallbackPercentage / 100;
+    default:
+      return fare * plan.percentage / 100;
+  }
+};
+
+// Platform's share of cash a driver took on a ride: whatever is beyond the driver's cut of the fare
+const cashDuesFor = (earnings, cashCollected) => {
+  return roundAmount(Math.max(0, cashCollected - (earnings.gross - earnings.commission - earnings.gst)));
+};
+
+// Work out the driver's earnings on a ride that is completing.
+// `cashCollected` is what the driver confirmed taking on a cash ride (the booker's
+// part of the fare if not given).
+const calculateEarnings = async (ride, { at = new Date(), cashCollected } = {}) => {
+  const plan = await getCommissionPlan({ city: ride.city, vehicleType: ride.rideType });
+  const driver = plan.type === 'subscription'
+    ? await User.findById(ride.driver).select('driverInfo.subscription')
+    : null;
+
+  const gross = ride.pricing.finalAmount;
+  const commission = roundAmount(commissionFor(plan, gross, hasActivePass(driver, plan, at)));
+  const gst = roundAmount(Math.min(commission * plan.gstPercent / 100, gross - commission));
+  const incentive = (ride.earnings && ride.earnings.incentive) || 0;
+  const tip = (ride.earnings && ride.earnings.tip) || 0;
+  const cash = ride.payment.method === 'cash'
+    ? roundAmount(cashCollected === undefined ? ride.getBookerFare() : cashCollected)
+    : 0;
+
+  const earnings = {
+    plan: plan.isNew ? undefined : plan._id,
+    planType: plan.type,
+    gross,
+    commission,
+    gst,
+    incentive,
+    tip,
+    net: roundAmount(gross - commission - gst + incentive + tip),
+    cashCollected: cash,
+    calculatedAt: at
+  };
+  earnings.cashDues = cashDuesFor(earnings, cash);
+  return earnings;
+};
+
+// Totals for a set of completed rides; older rides without a breakdown count in full
+const EARNINGS_TOTALS = {
+  rides: { $sum: 1 },
+  gross: { $sum: { $ifNull: ['$earnings.gross', '$pricing.finalAmount'] } },
+  commission: { $sum: { $ifNull: ['$earnings.commission', 0] } },
+  taxes: { $sum: { $ifNull: ['$earnings.gst', 0] } },
+  incentives: { $sum: { $ifNull: ['$earnings.incentive', 0] } },
+  tips: { $sum: { $ifNull: ['$earnings.tip', 0] } },
+  cashCollected: {
+    $sum: {
+      $ifNull: [
+        '$earnings.cashCollected',
+        { $cond: [{ $eq: ['$payment.method', 'cash'] }, '$pricing.finalAmount', 0] }
+      ]
+    }
+  },
+  cashDues: { $sum: { $ifNull: ['$earnings.cashDues', 0] } },
+  net: { $sum: { $ifNull: ['$earnings.net', '$pricing.finalAmount'] } }
+};
+
+const ROUNDED_TOTALS = Object.keys(EARNINGS_TOTALS)
+  .filter(field => field !== 'rides')
+  .reduce((fields, field) => ({ ...fields, [field]: { $round: [`$${field}`, 2] } }), {});
+
+// Aggregation stages summing earnings, grouped by `groupBy` (null for one total)
+const earningsStages = (match, groupBy = null) => [
+  { $match: { status: 'completed', ...match } },
+  { $group: { _id: groupBy, ...EARNINGS_TOTALS } },
+  { $addFields: { ...ROUNDED_TOTALS, netPayable: { $round: [{ $subtract: ['$net', '$cashCollected'] }, 2] } } },
+  { $sort: { _id: 1 } }
+];
+
+const EMPTY_SUMMARY = {
+  rides: 0,
+  gross: 0,
+  commission: 0,
+  taxes: 0,
+  incentives: 0,
+  tips: 0,
+  cashCollected: 0,
+  cashDues: 0,
+  net: 0,
+  netPayable: 0
+};
+
+// One driver's earnings, optionally within a date range
+const summarizeDriverEarnings = async (driverId, { from, to } = {}) => {
+  const match = { driver: driverId };
+  if (from || to) {
+    match.actualEndTime = {};
+    if (from) {
+      match.actualEndTime.$gte = from;
+    }
+    if (to) {
+      match.actualEndTime.$lte = to;
+    }
+  }
+
+  const [summary] = await Ride.aggregate(earningsStages(match));
+  if (!summary) {
+    return { ...EMPTY_SUMMARY };
+  }
+  delete summary._id;
+  return summary;
+};
+
+// Online earnings the driver can still withdraw once their cash dues are offset
+const getWithdrawableBalance = async (driverId) => {
+  const { netPayable, cashDues: duesAccrued } = await summarizeDriverEarnings(driverId);
+  // Earnings not already taken in cash; the platform's share of cash is tracked as dues
+  const onlineEarnings = roundAmount(netPayable + duesAccrued);
+
+  // Rejected and failed withdrawals give their amount back, but dues they offset stay paid
+  const [withdrawals] = await Withdrawal.aggregate([
+    { $match: { driver: driverId } },
+    {
+      $group: {
+        _id: null,
+        withdrawn: { $sum: { $cond: [{ $in: ['$status', ['rejected', 'failed']] }, 0, '$amount'] } },
+        duesOffset: { $sum: { $ifNull: ['$duesOffset', 0] } }
+      }
+    }
+  ]);
+  const withdrawn = withdrawals ? withdrawals.withdrawn : 0;
+  const duesOffset = withdrawals ? withdrawals.duesOffset : 0;
+
+  const driver = await User.findById(driverId).select('driverInfo.cashDues');
+  const cashDues = (driver && driver.driverInfo.cashDues) || 0;
+
+  return {
+    netPayable,
+    onlineEarnings,
+    withdrawn: roundAmount(withdrawn),
+    duesOffset: roundAmount(duesOffset),
+    cashDues,
+    available: roundAmount(Math.max(0, onlineEarnings - withdrawn - duesOffset - cashDues))
+  };
+};
+
+// Buy a commission-free day pass from the driver's wallet
+const purchaseDayPass = async (driver, city) => {
+  const plan = await getCommissionPlan({ city, vehicleType: driver.driverInfo.vehicleType });
+  if (plan.isNew || plan.type !== 'subscription') {
+    return { success: false, statusCode: 400, message: 'No subscription plan is available for your city and vehicle' };
+  }
+
+  const now = new Date();
+  const pass = { plan: plan._id, purchasedAt: now, expiresAt: new Date(now.getTime() + DAY_PASS_MS) };
+
+  // Claim the pass first so two purchases can't both go through
+  const claimed = await User.findOneAndUpdate(
+    {
+      _id: driver._id,
+      $or: [
+        { 'driverInfo.subscription.expiresAt': null },
+        { 'driverInfo.subscription.expiresAt': { $lte: now } }
+      ]
+    },
+    { $set: { 'driverInfo.subscription': pass } },
+    { new: false, projection: { 'driverInfo.subscription': 1 } }
+  );
+  if (!claimed) {
+    return { success: false, statusCode: 409, message: 'You already have an active day pass' };
+  }
+
+  const fee = roundAmount(plan.subscription.dailyFee);
+  const gst = roundAmount(fee * plan.gstPercent / 100);
+  const total = roundAmount(fee + gst);
+
+  const payment = new Payment({
+    user: driver._id,
+    type: 'subscription',
+    amount: total,
+    method: 'wallet',
+    status: 'completed',
+    description: 'Commission-free day pass',
+    fees: { gst },
+    metadata: { plan: plan._id, fee, expiresAt: pass.expiresAt },
+    completedAt: now
+  });
+
+  if (total > 0) {
+    const debit = await debitWallet(driver._id, total, { description: 'Commission-free day pass', payment: payment._id });
+    if (!debit) {
+      // Give the previous pass state back
+      await User.updateOne(
+        { _id: driver._id },
+        { $set: { 'driverInfo.subscription': (claimed.driverInfo && claimed.driverInfo.subscription) || {} } }
+      );
+      return { success: false, statusCode: 402, message: `Add ₹${total} to your wallet to buy a day pass` };
+    }
+
+    payment.wallet = {
+      previousBalance: debit.previousBalance,
+      newBalance: debit.balanceAfter,
+      transactionType: 'debit'
+    };
+  }
+
+  await payment.save();
+  await postSubscriptionFee(payment, fee, gst);
+
+  return { success: true, plan, pass, payment };
+};
+
+module.exports = {
+  getCommissionPlan,
+  hasActivePass,
+  cashDuesFor,
+  calculateEarnings,
+  earningsStages,
+  summarizeDriverEarnings,
+  getWithdrawableBalance,
+  purchaseDayPass
+};
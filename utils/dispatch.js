@@ -0,0 +1,661 @@
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getSourceStatuses } = require('./rideStateMachine');
+const { sendRideConfirmationEmail } = require('./email');
+const { sendDeliveryPinSMS } = require('./sms');
+const { releasePromotion } = require('./promotions');
+const { refundCancelledRide, refundSplitShares } = require('./refunds');
+
+// Dispatch configuration
+const DISPATCH_CONFIG = {
+  offerTimeoutMs: (Number(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS) || 15) * 1000,
+  searchTimeoutMs: (Number(process.env.DISPATCH_SEARCH_TIMEOUT_SECONDS) || 180) * 1000,
+  batchSize: Number(process.env.DISPATCH_BATCH_SIZE) || 1,
+  initialRadius: Number(process.env.DISPATCH_INITIAL_RADIUS) || 2000, // metres
+  radiusStep: Number(process.env.DISPATCH_RADIUS_STEP) || 2000, // metres
+  maxRadius: Number(process.env.DISPATCH_MAX_RADIUS) || 10000, // metres
+  candidateLimit: 20
+};
+
+// Delivery PIN SMS configuration
+const DELIVERY_PIN_CONFIG = {
+  resendCooldownSeconds: Number(process.env.DELIVERY_PIN_RESEND_SECONDS) || 60
+};
+
+// Ranking weights (sum to 1)
+const SCORE_WEIGHTS = {
+  distance: 0.5,
+  rating: 0.3,
+  idle: 0.2
+};
+
+// Idle time after which a driver gets the full idle score
+const MAX_IDLE_MINUTES = 30;
+
+// Active round timers keyed by ride ID
+const roundTimers = new Map();
+
+const clearRoundTimer = (rideId) => {
+  const key = rideId.toString();
+  if (roundTimers.has(key)) {
+    clearTimeout(roundTimers.get(key));
+    roundTimers.delete(key);
+  }
+};
+
+const scheduleRoundTimer = (io, rideId, round, delayMs) => {
+  clearRoundTimer(rideId);
+  const timer = setTimeout(() => {
+    roundTimers.delete(rideId.toString());
+    expireRound(io, rideId, round).catch(error => {
+      // Lost a race with another update; re-read and try once more
+      if (error.name === 'VersionError') {
+        return expireRound(io, rideId, round);
+      }
+      throw error;
+    }).catch(error => {
+      console.error('Dispatch round expiry error:', error);
+    });
+  }, Math.max(0, delayMs));
+  roundTimers.set(rideId.toString(), timer);
+};
+
+// Score a driver by distance to pickup, rating and time spent idle
+const scoreDriver = (driver, radius, now = new Date()) => {
+  const distanceScore = 1 - Math.min(driver.distance / radius, 1);
+  const ratingScore = (driver.driverInfo.rating || 0) / 5;
+
+  const idleSince = driver.driverInfo.availableSince || driver.lastSeen || now;
+  const idleMinutes = Math.max(0, (now - new Date(idleSince)) / (1000 * 60));
+  const idleScore = Math.min(idleMinutes / MAX_IDLE_MINUTES, 1);
+
+  const score = (distanceScore * SCORE_WEIGHTS.distance) +
+    (ratingScore * SCORE_WEIGHTS.rating) +
+    (idleScore * SCORE_WEIGHTS.idle);
+
+  return Math.round(score * 1000) / 1000;
+};
+
+// Find available drivers around the pickup, best first
+const findCandidates = async (ride, radius, excludedDriverIds = []) => {
+  const drivers = await User.aggregate([
+    {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: ride.pickup.coordinates.coordinates
+        },
+        distanceField: 'distance',
+        maxDistance: radius,
+        spherical: true,
+        key: 'driverInfo.currentLocation',
+        query: {
+          role: 'Driver',
+          isActive: true,
+          'driverInfo.isAvailable': true,
+          'driverInfo.vehicleType': ride.rideType,
+          _id: { $nin: excludedDriverIds }
+        }
+      }
+    },
+    { $limit: DISPATCH_CONFIG.candidateLimit },
+    {
+      $project: {
+        fullName: 1,
+        lastSeen: 1,
+        distance: 1,
+        'driverInfo.rating': 1,
+        'driverInfo.availableSince': 1
+      }
+    }
+  ]);
+
+  const now = new Date();
+  return drivers
+    .map(driver => ({ ...driver, score: scoreDriver(driver, radius, now) }))
+    .sort((a, b) => b.score - a.score);
+};
+
+// Get the driver's live offer on a ride, if any
+const findOpenOffer = (ride, driverId, now = new Date()) => {
+  if (!ride.dispatch || !ride.dispatch.offers) {
+    return null;
+  }
+  return ride.dispatch.offers.find(offer =>
+    offer.driver.toString() === driverId.toString() &&
+    offer.outcome === 'offered' &&
+    offer.expiresAt > now
+  ) || null;
+};
+
+// Close every live offer with the given outcome, returning the affected drivers
+const closeOpenOffers = (ride, outcome, now = new Date()) => {
+  const driverIds = [];
+  ride.dispatch.offers.forEach(offer => {
+    if (offer.outcome === 'offered') {
+      offer.outcome = outcome;
+      offer.respondedAt = now;
+      driverIds.push(offer.driver);
+    }
+  });
+  return driverIds;
+};
+
+const emitToDrivers = (io, driverIds, event, data) => {
+  if (!io) {
+    return;
+  }
+  driverIds.forEach(driverId => {
+    io.to(`user_${driverId}`).emit(event, data);
+  });
+};
+
+// End dispatch without a match
+const finishWithoutDriver = async (io, ride) => {
+  clearRoundTimer(ride._id);
+
+  const now = new Date();
+  const expiredDrivers = closeOpenOffers(ride, 'expired', now);
+
+  // A scheduled ride nobody took by pickup time is cancelled outright
+  const scheduled = Boolean(ride.scheduledTime);
+
+  ride.dispatch.outcome = 'no_driver_found';
+  ride.dispatch.completedAt = now;
+  if (scheduled) {
+    await ride.cancelRide('system', 'No driver found by pickup time');
+  } else {
+    ride.transitionTo('no_driver_found', {
+      actor: 'system',
+      note: `No driver accepted within ${Math.round(DISPATCH_CONFIG.searchTimeoutMs / 1000)} seconds`
+    });
+    await ride.save();
+  }
+
+  if (ride.pricing.promotion) {
+    await releasePromotion(ride._id);
+  }
+  if (scheduled) {
+    await refundCancelledRide(io, ride);
+  } else {
+    await refundSplitShares(io, ride);
+  }
+
+  emitToDrivers(io, expiredDrivers, 'ride-offer-expired', { rideId: ride._id });
+
+  const notification = new Notification({
+    user: ride.user,
+    title: scheduled ? 'Scheduled Ride Cancelled' : 'No Driver Found',
+    message: scheduled
+      ? 'We could not find a driver for your scheduled ride, so it has been cancelled at no charge.'
+      : 'We could not find a driver for your ride. Please try again.',
+    type: 'ride_update',
+    data: { rideId: ride._id }
+  });
+  await notification.save();
+
+  if (io) {
+    io.to(`user_${ride.user}`).emit('ride-no-driver-found', { rideId: ride._id, cancelled: scheduled });
+  }
+};
+
+// Offer the ride to the next batch of drivers
+const runRound = async (io, rideId) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'searching') {
+    clearRoundTimer(rideId);
+    return;
+  }
+
+  const now = new Date();
+  if (now >= ride.dispatch.searchExpiresAt) {
+    return finishWithoutDriver(io, ride);
+  }
+
+  const round = ride.dispatch.round + 1;
+  let radius = ride.dispatch.radius
+    ? Math.min(ride.dispatch.radius + DISPATCH_CONFIG.radiusStep, DISPATCH_CONFIG.maxRadius)
+    : DISPATCH_CONFIG.initialRadius;
+
+  const excludedDriverIds = ride.dispatch.offers.map(offer => offer.driver);
+  let candidates = await findCandidates(ride, radius, excludedDriverIds);
+
+  // Widen straight away while nobody is in range
+  while (candidates.length === 0 && radius < DISPATCH_CONFIG.maxRadius) {
+    radius = Math.min(radius + DISPATCH_CONFIG.radiusStep, DISPATCH_CONFIG.maxRadius);
+    candidates = await findCandidates(ride, radius, excludedDriverIds);
+  }
+
+  const batch = candidates.slice(0, DISPATCH_CONFIG.batchSize);
+
+  // Drivers see the rider's reputation with the offer; it doesn't change who gets offered
+  const rider = batch.length > 0
+    ? await User.findById(ride.user).select('riderReputation.rating riderReputation.ratingCount riderReputation.score').lean()
+    : null;
+  const riderReputation = rider && rider.riderReputation
+    ? {
+      rating: rider.riderReputation.rating,
+      ratingCount: rider.riderReputation.ratingCount || 0,
+      score: rider.riderReputation.score
+    }
+    : null;
+  const roundEndsAt = new Date(Math.min(
+    now.getTime() + DISPATCH_CONFIG.offerTimeoutMs,
+    ride.dispatch.searchExpiresAt.getTime()
+  ));
+
+  ride.dispatch.round = round;
+  ride.dispatch.radius = radius;
+  ride.dispatch.roundExpiresAt = roundEndsAt;
+  batch.forEach(driver => {
+    ride.dispatch.offers.push({
+      driver: driver._id,
+      round,
+      radius,
+      distance: Math.round(driver.distance),
+      score: driver.score,
+      offeredAt: now,
+      expiresAt: roundEndsAt,
+      outcome: 'offered'
+    });
+  });
+  await ride.save();
+
+  batch.forEach(driver => {
+    if (io) {
+      io.to(`user_${driver._id}`).emit('ride-offer', {
+        rideId: ride._id,
+        rideType: ride.rideType,
+        pickup: ride.pickup,
+        destination: ride.destination,
+        stops: ride.route.waypoints,
+        fare: ride.pricing.finalAmount,
+        distance: ride.route.distance,
+        duration: ride.route.duration,
+        distanceToPickup: Math.round(driver.distance),
+        riderReputation,
+        expiresAt: roundEndsAt
+      });
+    }
+  });
+
+  // Close the round when the window ends; an empty round simply retries then
+  scheduleRoundTimer(io, ride._id, round, roundEndsAt - now);
+};
+
+// Expire unanswered offers from a round and move on
+const expireRound = async (io, rideId, round) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'searching' || ride.dispatch.round !== round) {
+    return;
+  }
+
+  const expiredDrivers = closeOpenOffers(ride, 'expired');
+  await ride.save();
+
+  emitToDrivers(io, expiredDrivers, 'ride-offer-expired', { rideId: ride._id });
+
+  await runRound(io, rideId);
+};
+
+// Start dispatching a newly created ride
+const startDispatch = async (io, rideId) => {
+  try {
+    const ride = await Ride.findById(rideId);
+    if (!ride || !['pending', 'scheduled'].includes(ride.status)) {
+      return null;
+    }
+
+    // Scheduled rides keep searching until their pickup time
+    const now = new Date();
+    const searchEndsAt = Math.max(
+      now.getTime() + DISPATCH_CONFIG.searchTimeoutMs,
+      ride.scheduledTime ? ride.scheduledTime.getTime() : 0
+    );
+    ride.dispatch = {
+      round: 0,
+      radius: null,
+      startedAt: now,
+      searchExpiresAt: new Date(searchEndsAt),
+      offers: []
+    };
+    ride.transitionTo('searching', { actor: 'system' });
+    await ride.save();
+
+    await runRound(io, ride._id);
+    return ride;
+  } catch (error) {
+    console.error('Start dispatch error:', error);
+    return null;
+  }
+};
+
+// Record a driver declining an offer; move on once the round is answered
+const rejectOffer = async (io, rideId, driverId, reason = '') => {
+  const ride = await Ride.findById(rideId);
+  if (!ride || ride.status !== 'searching') {
+    return { success: false, message: 'Ride is no longer available' };
+  }
+
+  const offer = findOpenOffer(ride, driverId);
+  if (!offer) {
+    return { success: false, message: 'No open offer for this ride' };
+  }
+
+  offer.outcome = 'rejected';
+  offer.respondedAt = new Date();
+  offer.reason = reason;
+  await ride.save();
+
+  const roundOpen = ride.dispatch.offers.some(o =>
+    o.round === ride.dispatch.round && o.outcome === 'offered'
+  );
+  if (!roundOpen) {
+    clearRoundTimer(ride._id);
+    await runRound(io, ride._id);
+  }
+
+  return { success: true };
+};
+
+// Put a reserved driver back into the available pool
+const releaseDriver = (driverId) => {
+  return User.updateOne(
+    { _id: driverId },
+    { 'driverInfo.isAvailable': true, 'driverInfo.availableSince': new Date() }
+  );
+};
+
+// Text a delivery's saved PIN to the recipient. Claims `deliveryPinSentAt` first so
+// sends are spaced out; a failed send gives the claim back so it can be retried.
+const sendDeliveryPin = async (rideId, senderName, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - DELIVERY_PIN_CONFIG.resendCooldownSeconds * 1000);
+  const ride = await Ride.findOneAndUpdate(
+    {
+      _id: rideId,
+      'verification.deliveryPin': { $ne: null },
+      $or: [
+        { 'verification.deliveryPinSentAt': null },
+        { 'verification.deliveryPinSentAt': { $lte: cutoff } }
+      ]
+    },
+    { $set: { 'verification.deliveryPinSentAt': now }, $inc: { __v: 1 } }
+  ).select('+verification.deliveryPin delivery.recipientPhone verification.deliveryPinSentAt');
+
+  if (!ride) {
+    return {
+      success: false,
+      statusCode: 429,
+      message: `The delivery PIN can be sent once every ${DELIVERY_PIN_CONFIG.resendCooldownSeconds} seconds`
+    };
+  }
+
+  const smsResult = await sendDeliveryPinSMS(ride.delivery.recipientPhone, ride.verification.deliveryPin, { senderName });
+  if (!smsResult.success) {
+    console.error('Failed to send delivery PIN:', smsResult.error);
+    await Ride.updateOne(
+      { _id: rideId, 'verification.deliveryPinSentAt': now },
+      { $set: { 'verification.deliveryPinSentAt': ride.verification.deliveryPinSentAt || null }, $inc: { __v: 1 } }
+    );
+    return { success: false, statusCode: 502, message: 'Failed to send the delivery PIN' };
+  }
+
+  return { success: true, sentAt: now };
+};
+
+// Work out why a conditional accept matched nothing
+const explainFailedAccept = async (rideId, driver) => {
+  const ride = await Ride.findById(rideId);
+
+  if (!ride) {
+    return { statusCode: 404, message: 'Ride not found' };
+  }
+  if (ride.driver && ride.driver.toString() !== driver._id.toString()) {
+    return { statusCode: 409, code: 'RIDE_TAKEN', message: 'Ride has already been accepted by another driver' };
+  }
+  if (!getSourceStatuses('accepted', 'driver').includes(ride.status)) {
+    return { statusCode: 409, code: 'RIDE_UNAVAILABLE', message: 'Ride is no longer available' };
+  }
+  if (ride.rideType !== driver.driverInfo.vehicleType) {
+    return { statusCode: 400, message: 'Vehicle type mismatch' };
+  }
+  if (!findOpenOffer(ride, driver._id)) {
+    return { statusCode: 403, message: 'This ride has not been offered to you or the offer has expired' };
+  }
+  return { statusCode: 409, code: 'RIDE_TAKEN', message: 'Ride is no longer available' };
+};
+
+// Accept a ride for a driver in a single conditional update.
+// Used by both the REST endpoint and the socket handler.
+const acceptRide = async (io, rideId, driver) => {
+  const driverId = driver._id;
+
+  // Reserve the driver first so the same driver can't win two rides at once
+  const reservedDriver = await User.findOneAndUpdate(
+    { _id: driverId, role: 'Driver', isActive: true, 'driverInfo.isAvailable': true },
+    { 'driverInfo.isAvailable': false, 'driverInfo.availableSince': null },
+    { new: true }
+  ).select('fullName phone driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.rating');
+
+  if (!reservedDriver) {
+    return { success: false, statusCode: 409, code: 'DRIVER_UNAVAILABLE', message: 'Driver is not available' };
+  }
+
+  const hasActiveRide = await Ride.exists({
+    driver: driverId,
+    status: { $in: ['accepted', 'arrived', 'started'] }
+  });
+  if (hasActiveRide) {
+    await releaseDriver(driverId);
+    return { success: false, statusCode: 409, code: 'DRIVER_BUSY', message: 'Driver already has an active ride' };
+  }
+
+  // One conditional update per legal source status, so the history entry
+  // records exactly where the ride came from
+  const now = new Date();
+  let ride = null;
+  for (const from of getSourceStatuses('accepted', 'driver')) {
+    ride = await Ride.findOneAndUpdate(
+      {
+        _id: rideId,
+        driver: null,
+        status: from,
+        rideType: reservedDriver.driverInfo.vehicleType,
+        'dispatch.offers': {
+          $elemMatch: { driver: driverId, outcome: 'offered', expiresAt: { $gt: now } }
+        }
+      },
+      {
+        $set: {
+          driver: driverId,
+          status: 'accepted',
+          actualPickupTime: now,
+          'verification.startPin': Ride.generatePin(),
+          'verification.startPinAttempts': 0,
+          'dispatch.outcome': 'matched',
+          'dispatch.completedAt': now,
+          'dispatch.offers.$[mine].outcome': 'accepted',
+          'dispatch.offers.$[mine].respondedAt': now,
+          'dispatch.offers.$[other].outcome': 'withdrawn',
+          'dispatch.offers.$[other].respondedAt': now
+        },
+        $push: {
+          statusHistory: { from, status: 'accepted', actor: 'driver', actorId: driverId, timestamp: now }
+        },
+        $inc: { __v: 1 }
+      },
+      {
+        new: true,
+        arrayFilters: [
+          { 'mine.driver': driverId, 'mine.outcome': 'offered' },
+          { 'other.driver': { $ne: driverId }, 'other.outcome': 'offered' }
+        ]
+      }
+    ).populate('user', 'fullName phone email');
+
+    if (ride) {
+      break;
+    }
+  }
+
+  if (!ride) {
+    await releaseDriver(driverId);
+    const failure = await explainFailedAccept(rideId, driver);
+    if (failure.code === 'RIDE_TAKEN' && io) {
+      io.to(`user_${driverId}`).emit('ride-taken', { rideId });
+    }
+    return { success: false, ...failure };
+  }
+
+  clearRoundTimer(ride._id);
+
+  // Deliveries also need a PIN from the recipient to complete. It's saved before
+  // it's texted, so a failed SMS can be sent again from the resend endpoint.
+  if (ride.serviceType === 'Delivery' && ride.delivery && ride.delivery.recipientPhone) {
+    await Ride.updateOne({ _id: ride._id }, {
+      $set: {
+        'verification.deliveryPin': Ride.generatePin(),
+        'verification.deliveryPinAttempts': 0,
+        'verification.deliveryPinSentAt': null
+      },
+      $inc: { __v: 1 }
+    });
+    await sendDeliveryPin(ride._id, ride.user.fullName);
+  }
+
+  // Let the other offered drivers know the ride is gone
+  const withdrawnDrivers = ride.dispatch.offers
+    .filter(offer => offer.outcome === 'withdrawn' && offer.respondedAt &&
+      offer.respondedAt.getTime() === now.getTime())
+    .map(offer => offer.driver);
+  emitToDrivers(io, withdrawnDrivers, 'ride-offer-withdrawn', { rideId: ride._id });
+
+  // Send notification to user
+  const notification = new Notification({
+    user: ride.user._id,
+    title: 'Ride Accepted',
+    message: `Your ride has been accepted by ${reservedDriver.fullName}`,
+    type: 'ride_update',
+    data: { rideId: ride._id }
+  });
+  await notification.save();
+
+  // Send confirmation email to user
+  await sendRideConfirmationEmail(ride.user.email, {
+    rideId: ride._id,
+    rideType: ride.rideType,
+    pickup: ride.pickup.address,
+    destination: ride.destination.address,
+    fare: ride.pricing.finalAmount,
+    driverName: reservedDriver.fullName,
+    driverPhone: reservedDriver.phone
+  });
+
+  if (io) {
+    io.to(`user_${ride.user._id}`).emit('ride-accepted', {
+      rideId: ride._id,
+      driver: {
+        name: reservedDriver.fullName,
+        phone: reservedDriver.phone,
+        vehicleType: reservedDriver.driverInfo.vehicleType,
+        vehicleNumber: reservedDriver.driverInfo.vehicleNumber,
+        rating: reservedDriver.driverInfo.rating
+      }
+    });
+  }
+
+  return { success: true, ride };
+};
+
+// Stop dispatching a ride that was cancelled (does not save)
+const cancelDispatch = (ride) => {
+  clearRoundTimer(ride._id);
+  if (!ride.dispatch || !ride.dispatch.startedAt || ride.dispatch.outcome) {
+    return [];
+  }
+
+  const now = new Date();
+  const withdrawnDrivers = closeOpenOffers(ride, 'withdrawn', now);
+  ride.dispatch.outcome = 'cancelled';
+  ride.dispatch.completedAt = now;
+
+  return withdrawnDrivers;
+};
+
+// Put a ride a driver backed out of back into dispatch
+const redispatchRide = async (io, ride, options = {}) => {
+  const { actorId = ride.driver, reason, note, penalty = 0, rule, location } = options;
+  clearRoundTimer(ride._id);
+
+  const now = new Date();
+  ride.driverCancellations.push({
+    driver: ride.driver,
+    reason,
+    note,
+    penalty,
+    rule,
+    location: location || undefined,
+    cancelledAt: now
+  });
+  ride.transitionTo('searching', { actor: 'driver', actorId, location, note: `Driver cancelled: ${reason}` });
+
+  const cancelledDriverId = ride.driver;
+  ride.driver = null;
+  ride.actualPickupTime = null;
+  ride.verification.startPinAttempts = 0;
+  ride.verification.startPinVerifiedAt = null;
+
+  // The search restarts from the nearest radius; earlier offers stay excluded
+  ride.dispatch.outcome = null;
+  ride.dispatch.completedAt = null;
+  ride.dispatch.radius = null;
+  ride.dispatch.roundExpiresAt = null;
+  ride.dispatch.searchExpiresAt = new Date(Math.max(
+    now.getTime() + DISPATCH_CONFIG.searchTimeoutMs,
+    ride.scheduledTime ? ride.scheduledTime.getTime() : 0
+  ));
+  await ride.save();
+
+  // The driver is free again, but earlier offers keep the ride from coming back to them
+  await releaseDriver(cancelledDriverId);
+  await runRound(io, ride._id);
+  return ride;
+};
+
+// Re-arm round timers for rides still searching after a restart
+const resumeDispatches = async (io) => {
+  try {
+    const rides = await Ride.find({ status: 'searching' })
+      .select('dispatch.round dispatch.roundExpiresAt');
+
+    const now = new Date();
+    rides.forEach(ride => {
+      const expiresAt = ride.dispatch.roundExpiresAt || now;
+      scheduleRoundTimer(io, ride._id, ride.dispatch.round, expiresAt - now);
+    });
+
+    if (rides.length > 0) {
+      console.log(`🚕 Resumed dispatch for ${rides.length} ride(s)`);
+    }
+  } catch (error) {
+    console.error('Resume dispatch error:', error);
+  }
+};
+
+module.exports = {
+  DISPATCH_CONFIG,
+  DELIVERY_PIN_CONFIG,
+  scoreDriver,
+  findCandidates,
+  findOpenOffer,
+  startDispatch,
+  rejectOffer,
+  acceptRide,
+  sendDeliveryPin,
+  cancelDispatch,
+  redispatchRide,
+  releaseDriver,
+  emitToDrivers,
+  resumeDispatches
+};
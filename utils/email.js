@@ -242,9 +242,37 @@ const sendRideConfirmationEmail = async (email, rideDetails) => {
   }
 };
 
+// Send ride receipt email with the tax invoice attached as a PDF
+const sendRideReceiptEmail = async (email, receipt) => {
+  try {
+    const transporter = createTransporter();
+
+    const mailOptions = {
+      from: `"Idhar Udhar" <${process.env.EMAIL_USER}>`,
+      to: email,
+      subject: `Your ride receipt ${receipt.invoiceNumber} - Idhar Udhar`,
+      html: receipt.html,
+      attachments: [
+        {
+          filename: `${receipt.invoiceNumber.replace(/\//g, '-')}.pdf`,
+          content: receipt.pdf,
+          contentType: 'application/pdf'
+        }
+      ]
+    };
+
+    const result = await transporter.sendMail(mailOptions);
+    return { success: true, messageId: result.messageId };
+  } catch (error) {
+    console.error('Ride receipt email sending failed:', error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendOTPEmail,
   sendWelcomeEmail,
   sendRideConfirmationEmail,
+  sendRideReceiptEmail,
   verifyEmailTransport,
 };
@@ -0,0 +1,546 @@
+const crypto = require('crypto');
+const cron = require('node-cron');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getPaymentProvider } = require('./paymentProvider');
+const { postWalletTopup, postRidePayment, postRefundFailed } = require('./ledger');
+const { creditWallet } = require('./wallet');
+const { payDues } = require('./settlement');
+const { tipError, tipAmountError, claimTip, releaseTip, settlePaidTip } = require('./tips');
+const { releaseShare, settleSharePayment } = require('./splitFare');
+
+const GATEWAY_CONFIG = {
+  // Pending payments older than this are checked with the gateway
+  reconcileAfterMinutes: parseInt(process.env.PAYMENT_RECONCILE_AFTER_MINUTES) || 10,
+  // Pending payments with nothing captured after this long are marked failed
+  pendingExpiryHours: parseInt(process.env.PAYMENT_PENDING_EXPIRY_HOURS) || 24,
+  batchSize: 50,
+  schedule: '*/10 * * * *'
+};
+
+// Payments made through the gateway checkout
+const GATEWAY_PAYMENT_TYPES = ['ride', 'wallet_topup', 'tip', 'ride_share'];
+
+// Ride payment methods paid through the gateway checkout
+const GATEWAY_RIDE_METHODS = ['card', 'upi'];
+
+// Rides that will never be paid for
+const UNPAYABLE_RIDE_STATUSES = ['cancelled', 'no_driver_found'];
+
+const minutesFromNow = (minutes, now = new Date()) => new Date(now.getTime() + minutes * 60 * 1000);
+
+const toPaise = (amount) => Math.round(amount * 100);
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// What the rider owes on a ride through the gateway: their part of the fare (or
+// the part the wallet didn't cover), a tip added at checkout, and dues from earlier rides.
+// Null if nothing is payable.
+const getRidePaymentQuote = (ride, rider, tip = 0) => {
+  if (UNPAYABLE_RIDE_STATUSES.includes(ride.status) || !['pending', 'failed'].includes(ride.payment.status)) {
+    return null;
+  }
+
+  let fare = 0;
+  if (GATEWAY_RIDE_METHODS.includes(ride.payment.method)) {
+    fare = ride.getBookerFare();
+  } else if (ride.payment.settledAt && GATEWAY_RIDE_METHODS.includes(ride.payment.fallbackMethod)) {
+    fare = ride.payment.fallbackAmount;
+  }
+  if (!(fare > 0)) {
+    return null;
+  }
+
+  const dues = roundAmount(rider.outstandingDues || 0);
+  return { fare, tip: roundAmount(tip), dues, amount: roundAmount(fare + tip + dues) };
+};
+
+// Order notes carry the breakdown as strings, as the gateway returns them
+const rideOrderNotes = (ride, rider, quote) => ({
+  userId: rider._id.toString(),
+  rideId: ride._id.toString(),
+  fare: quote.fare.toFixed(2),
+  tip: quote.tip.toFixed(2),
+  dues: quote.dues.toFixed(2),
+  amount: quote.amount.toFixed(2)
+});
+
+const parseRideOrderNotes = (notes = {}) => ({
+  rideId: notes.rideId,
+  fare: Number(notes.fare) || 0,
+  tip: Number(notes.tip) || 0,
+  dues: Number(notes.dues) || 0,
+  amount: Number(notes.amount) || 0
+});
+
+// Open a gateway order for a ride, priced from the ride itself, with an optional
+// tip for the driver. Only one order per ride can be open at a time.
+const createRidePaymentOrder = async (rider, rideId, { method = 'razorpay', tip = 0 } = {}) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    return { success: false, statusCode: 404, message: 'Ride not found' };
+  }
+  if (ride.user.toString() !== rider._id.toString()) {
+    return { success: false, statusCode: 403, message: 'Unauthorized access to ride' };
+  }
+
+  // Co-riders' shares have to be settled before the booker's part is known
+  if (ride.split && ride.split.mode && !ride.split.closedAt) {
+    return { success: false, statusCode: 409, message: 'Co-riders are still paying their shares; pay your part once the ride is completed' };
+  }
+
+  const quote = getRidePaymentQuote(ride, rider, tip);
+  if (!quote) {
+    return { success: false, statusCode: 400, message: 'Nothing is payable on this ride' };
+  }
+
+  const tipMessage = tip > 0 && (tipAmountError(tip) || tipError(ride));
+  if (tipMessage) {
+    return { success: false, statusCode: 400, message: tipMessage };
+  }
+
+  const openOrderError = (open) => ({
+    success: false,
+    statusCode: 409,
+    message: 'A payment order is already open for this ride',
+    openOrder: open && { paymentId: open._id, orderId: open.razorpay.orderId, amount: open.amount }
+  });
+
+  const open = await Payment.findOne({ ride: ride._id, type: 'ride', status: 'pending' });
+  if (open) {
+    return openOrderError(open);
+  }
+
+  const provider = getPaymentProvider();
+  const payment = new Payment({
+    user: rider._id,
+    ride: ride._id,
+    type: 'ride',
+    amount: quote.amount,
+    currency: 'INR',
+    method,
+    status: 'pending',
+    description: 'Ride payment',
+    provider: provider.name
+  });
+
+  // The tip is reserved for this order, so it can't be paid twice
+  if (quote.tip > 0) {
+    const claimed = await claimTip(ride, { amount: quote.tip, method: 'razorpay', payment: payment._id, status: 'pending' });
+    if (!claimed) {
+      return { success: false, statusCode: 409, message: 'This ride can no longer be tipped' };
+    }
+  }
+
+  const orderResult = await provider.createOrder(
+    quote.amount,
+    'INR',
+    `ride_${ride._id}_${Date.now()}`,
+    rideOrderNotes(ride, rider, quote)
+  );
+  if (!orderResult.success) {
+    await releaseTip(payment._id);
+    return { success: false, statusCode: 400, message: 'Failed to create payment order', error: orderResult.error };
+  }
+
+  payment.razorpay = {
+    orderId: orderResult.order.id,
+    receipt: orderResult.order.receipt,
+    notes: orderResult.order.notes
+  };
+
+  try {
+    await payment.save();
+  } catch (error) {
+    await releaseTip(payment._id);
+    // Another order for this ride was opened at the same time
+    if (error.code === 11000) {
+      return openOrderError(await Payment.findOne({ ride: ride._id, type: 'ride', status: 'pending' }));
+    }
+    throw error;
+  }
+
+  return { success: true, payment, order: orderResult.order, breakdown: quote };
+};
+
+// A captured ride payment must match the breakdown its order was opened with
+const checkRideBreakdown = (payment, entity) => {
+  // Orders opened before amounts were bound to the ride carry no breakdown
+  if (!payment.razorpay.notes || payment.razorpay.notes.amount === undefined) {
+    return;
+  }
+
+  const stored = parseRideOrderNotes(payment.razorpay.notes);
+  const parts = roundAmount(stored.fare + stored.tip + stored.dues);
+  if (parts !== payment.amount || stored.amount !== payment.amount || stored.rideId !== String(payment.ride)) {
+    throw new Error(`Order breakdown does not match payment ${payment._id}`);
+  }
+
+  // Notes on the payment entity, when present, must agree too
+  if (entity.notes && entity.notes.amount !== undefined) {
+    const captured = parseRideOrderNotes(entity.notes);
+    if (captured.amount !== stored.amount || captured.rideId !== stored.rideId) {
+      throw new Error(`Captured order notes do not match payment ${payment._id}`);
+    }
+  }
+};
+
+// Apply a captured payment exactly once, whichever of /verify, a webhook or the
+// reconciliation job sees it first. `completed` is false if it was already applied.
+const completeGatewayPayment = async (paymentId, { gatewayPaymentId, orderId, signature, io }) => {
+  const set = {
+    status: 'completed',
+    completedAt: new Date(),
+    'razorpay.paymentId': gatewayPaymentId
+  };
+  if (signature) {
+    set['razorpay.signature'] = signature;
+  }
+
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, type: { $in: GATEWAY_PAYMENT_TYPES }, status: { $in: ['pending', 'failed'] } },
+    { $set: set, $unset: { error: 1, failedAt: 1 } },
+    { new: true }
+  );
+  if (!payment) {
+    return { completed: false, payment: await Payment.findById(paymentId) };
+  }
+
+  if (payment.type === 'wallet_topup') {
+    const credit = await creditWallet(payment.user, payment.amount, {
+      description: 'Wallet top-up via Razorpay',
+      payment: payment._id,
+      reference: `topup:${payment._id}`
+    });
+
+    payment.wallet = {
+      previousBalance: credit.previousBalance,
+      newBalance: credit.balanceAfter,
+      transactionType: 'credit'
+    };
+    await payment.save();
+    await postWalletTopup(payment);
+  } else if (payment.type === 'tip') {
+    await settlePaidTip(io, payment);
+  } else if (payment.type === 'ride_share') {
+    await settleSharePayment(io, payment);
+  } else {
+    // Dues in a ride order go to the wallet, which pays the rides they're owed on
+    const { tip, dues } = parseRideOrderNotes(payment.razorpay.notes);
+    if (dues > 0) {
+      const reference = `dues-topup:${payment._id}`;
+      await creditWallet(payment.user, dues, {
+        description: 'Outstanding dues paid with ride payment',
+        payment: payment._id,
+        reference
+      });
+      await postWalletTopup(payment, { amount: dues, reference });
+      await payDues(payment.user);
+    }
+    if (tip > 0) {
+      await settlePaidTip(io, payment, tip);
+    }
+    await postRidePayment(payment, { amount: roundAmount(payment.amount - dues - tip) });
+  }
+
+  if (payment.type === 'ride' && payment.ride) {
+    const rideUpdate = {
+      'payment.status': 'completed',
+      'payment.razorpayPaymentId': gatewayPaymentId,
+      'payment.razorpayOrderId': orderId || payment.razorpay.orderId
+    };
+    if (signature) {
+      rideUpdate['payment.razorpaySignature'] = signature;
+    }
+    await Ride.updateOne({ _id: payment.ride }, { $set: rideUpdate, $inc: { __v: 1 } });
+  }
+
+  return { completed: true, payment };
+};
+
+// Mark a payment that is still pending as failed, freeing any tip or fare share it carried
+const failGatewayPayment = async (paymentId, { code = 'PAYMENT_FAILED', message, details = {} } = {}) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: 'pending' },
+    {
+      $set: {
+        status: 'failed',
+        failedAt: new Date(),
+        error: { code, message: message || 'Payment failed', details }
+      }
+    },
+    { new: true }
+  );
+  if (payment) {
+    await releaseTip(payment._id);
+    await releaseShare(payment._id);
+  }
+  return payment;
+};
+
+// Our payment record for a gateway payment entity
+const findPaymentForEntity = (entity) => {
+  const matches = [{ 'razorpay.paymentId': String(entity.id) }];
+  if (entity.order_id) {
+    matches.push({ 'razorpay.orderId': String(entity.order_id) });
+  }
+
+  return Payment.findOne({ type: { $in: GATEWAY_PAYMENT_TYPES }, $or: matches });
+};
+
+// payment.captured and order.paid
+const handlePaymentCaptured = async (payload, io) => {
+  const entity = payload.payment.entity;
+  const payment = await findPaymentForEntity(entity);
+  if (!payment) {
+    return { ignored: true, reason: 'No matching payment' };
+  }
+
+  if (entity.amount !== toPaise(payment.amount)) {
+    throw new Error(`Captured amount ${entity.amount} does not match payment ${payment._id}`);
+  }
+  if (payment.type === 'ride' && payment.ride) {
+    checkRideBreakdown(payment, entity);
+  }
+
+  const result = await completeGatewayPayment(payment._id, {
+    gatewayPaymentId: entity.id,
+    orderId: entity.order_id,
+    io
+  });
+  return { paymentId: payment._id, completed: result.completed };
+};
+
+// payment.failed; a later attempt on the same order can still complete it
+const handlePaymentFailed = async (payload) => {
+  const entity = payload.payment.entity;
+  const payment = await findPaymentForEntity(entity);
+  if (!payment) {
+    return { ignored: true, reason: 'No matching payment' };
+  }
+
+  const failed = await failGatewayPayment(payment._id, {
+    code: entity.error_code || 'PAYMENT_FAILED',
+    message: entity.error_description,
+    details: { gatewayPaymentId: entity.id, reason: entity.error_reason }
+  });
+  return { paymentId: payment._id, failed: Boolean(failed) };
+};
+
+// refund.processed
+const handleRefundProcessed = async (payload) => {
+  const entity = payload.refund.entity;
+  const payment = await Payment.findOneAndUpdate(
+    { 'refund.refundId': entity.id },
+    { $set: { 'refund.gatewayStatus': 'processed', 'refund.processedAt': new Date() } },
+    { new: true }
+  );
+  if (!payment) {
+    return { ignored: true, reason: 'No matching refund' };
+  }
+  return { paymentId: payment._id };
+};
+
+// refund.failed: the rider is owed the money again
+const handleRefundFailed = async (payload) => {
+  const entity = payload.refund.entity;
+  const payment = await Payment.findOneAndUpdate(
+    { 'refund.refundId': entity.id, 'refund.gatewayStatus': { $ne: 'failed' } },
+    { $set: { 'refund.gatewayStatus': 'failed' } },
+    { new: true }
+  );
+  if (!payment) {
+    return { ignored: true, reason: 'No matching refund or already failed' };
+  }
+
+  const amount = entity.amount / 100;
+  await postRefundFailed(payment, amount, entity.id);
+
+  if (payment.type === 'refund') {
+    // A cancelled ride's refund goes back to the retry job
+    payment.status = 'failed';
+    payment.failedAt = new Date();
+    payment.error = { code: 'REFUND_FAILED', message: 'Refund failed at the bank' };
+    payment.retry.nextAttemptAt = new Date();
+    await payment.save();
+
+    await Ride.updateOne(
+      { _id: payment.ride, user: payment.user, 'payment.status': 'refunded' },
+      { $set: { 'payment.status': 'completed' }, $inc: { __v: 1 } }
+    );
+  } else {
+    // A refund the rider asked for: the payment stands, and a top-up goes back in the wallet
+    payment.status = 'completed';
+    payment.error = { code: 'REFUND_FAILED', message: 'Refund failed at the bank' };
+    await payment.save();
+
+    if (payment.type === 'wallet_topup') {
+      await creditWallet(payment.user, amount, {
+        description: `Failed refund returned for payment ${payment._id}`,
+        payment: payment._id,
+        reference: `refund-failed:${entity.id}`
+      });
+    }
+  }
+
+  return { paymentId: payment._id };
+};
+
+const WEBHOOK_HANDLERS = {
+  'payment.captured': handlePaymentCaptured,
+  'order.paid': handlePaymentCaptured,
+  'payment.failed': handlePaymentFailed,
+  'refund.processed': handleRefundProcessed,
+  'refund.failed': handleRefundFailed
+};
+
+// Store a verified webhook from `provider` and apply it once. Repeated deliveries
+// are skipped, unless the earlier attempt failed.
+const processWebhookEvent = async (provider, eventId, rawBody, io = null) => {
+  const body = JSON.parse(rawBody);
+  const id = eventId || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  let record;
+  try {
+    record = await WebhookEvent.create({ eventId: id, provider, event: body.event, payload: body.payload });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    record = await WebhookEvent.findOneAndUpdate(
+      { provider, eventId: id, status: 'failed' },
+      { $set: { status: 'processing' }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+    if (!record) {
+      return { duplicate: true };
+    }
+  }
+
+  const handler = WEBHOOK_HANDLERS[body.event];
+  if (!handler) {
+    record.status = 'ignored';
+    record.processedAt = new Date();
+    await record.save();
+    return { ignored: true };
+  }
+
+  try {
+    record.result = await handler(body.payload, io);
+    record.status = record.result.ignored ? 'ignored' : 'processed';
+    record.error = undefined;
+    record.processedAt = new Date();
+    await record.save();
+    return { processed: true, result: record.result };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    await record.save();
+    throw error;
+  }
+};
+
+// Check one stuck payment with the gateway
+const reconcilePayment = async (payment, now, io) => {
+  const provider = getPaymentProvider(payment.provider);
+  let attempts = [];
+
+  if (payment.razorpay.paymentId) {
+    const result = await provider.getPaymentDetails(payment.razorpay.paymentId);
+    if (!result.success) {
+      return 'error';
+    }
+    attempts = [result.payment];
+  } else {
+    const result = await provider.getOrderPayments(payment.razorpay.orderId);
+    if (!result.success) {
+      return 'error';
+    }
+    attempts = result.payments;
+  }
+
+  const captured = attempts.find(attempt => attempt.status === 'captured' && attempt.amount === toPaise(payment.amount));
+  if (captured) {
+    await completeGatewayPayment(payment._id, { gatewayPaymentId: captured.id, orderId: captured.order_id, io });
+    return 'completed';
+  }
+
+  const expiresAt = new Date(payment.createdAt.getTime() + GATEWAY_CONFIG.pendingExpiryHours * 60 * 60 * 1000);
+  if (now >= expiresAt) {
+    await failGatewayPayment(payment._id, {
+      code: 'PAYMENT_EXPIRED',
+      message: 'No payment was captured for this order'
+    });
+    return 'expired';
+  }
+
+  return 'pending';
+};
+
+// Poll the gateway for payments left pending, e.g. when the app closed before /verify
+const reconcilePendingPayments = async (io = null) => {
+  const now = new Date();
+  const summary = { checked: 0, completed: 0, expired: 0, pending: 0, error: 0 };
+
+  const payments = await Payment.find({
+    type: { $in: GATEWAY_PAYMENT_TYPES },
+    status: 'pending',
+    'razorpay.orderId': { $exists: true },
+    createdAt: { $lte: minutesFromNow(-GATEWAY_CONFIG.reconcileAfterMinutes, now) },
+    $or: [
+      { 'retry.nextAttemptAt': null },
+      { 'retry.nextAttemptAt': { $lte: now } }
+    ]
+  })
+    .sort({ createdAt: 1 })
+    .limit(GATEWAY_CONFIG.batchSize);
+
+  for (const payment of payments) {
+    // Back off so a payment isn't polled on every run
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: { 'retry.nextAttemptAt': minutesFromNow(GATEWAY_CONFIG.reconcileAfterMinutes * 2 ** payment.retry.attempts, now) },
+        $inc: { 'retry.attempts': 1 }
+      }
+    );
+
+    try {
+      summary[await reconcilePayment(payment, now, io)]++;
+    } catch (error) {
+      console.error(`Payment reconciliation error (${payment._id}):`, error);
+      summary.error++;
+    }
+    summary.checked++;
+  }
+
+  return summary;
+};
+
+// Start the periodic pending payment reconciliation job
+const startPaymentReconciliationJob = (io) => {
+  return cron.schedule(GATEWAY_CONFIG.schedule, async () => {
+    try {
+      const summary = await reconcilePendingPayments(io);
+      if (summary.checked > 0) {
+        console.log('Payment reconciliation:', summary);
+      }
+    } catch (error) {
+      console.error('Payment reconciliation job error:', error);
+    }
+  });
+};
+
+module.exports = {
+  GATEWAY_CONFIG,
+  GATEWAY_RIDE_METHODS,
+  getRidePaymentQuote,
+  createRidePaymentOrder,
+  completeGatewayPayment,
+  failGatewayPayment,
+  processWebhookEvent,
+  reconcilePendingPayments,
+  startPaymentReconciliationJob
+};
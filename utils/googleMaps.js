@@ -60,14 +60,21 @@ const getDirections = async (origin, destination, waypoints = [], mode = 'drivin
 
     if (response.data.status === 'OK' && response.data.routes.length > 0) {
       const route = response.data.routes[0];
-      const leg = route.legs[0];
+
+      // One leg per waypoint plus the final one
+      const legs = route.legs.map(leg => ({
+        distance: leg.distance.value / 1000, // Convert to kilometers
+        duration: leg.duration.value / 60, // Convert to minutes
+        endAddress: leg.end_address
+      }));
       
       return {
         success: true,
-        distance: leg.distance.value / 1000, // Convert to kilometers
-        duration: leg.duration.value / 60, // Convert to minutes
+        distance: legs.reduce((sum, leg) => sum + leg.distance, 0),
+        duration: legs.reduce((sum, leg) => sum + leg.duration, 0),
+        legs,
         polyline: route.overview_polyline.points,
-        steps: leg.steps.map(step => ({
+        steps: route.legs.flatMap(leg => leg.steps).map(step => ({
           instruction: step.html_instructions,
           distance: step.distance.value / 1000,
           duration: step.duration.value / 60,
@@ -295,28 +302,54 @@ const autocompletePlaces = async (input, location = null, radius = 50000) => {
   }
 };
 
-// Calculate fare based on distance and time
-const calculateFare = (distance, duration, vehicleType, surgeMultiplier = 1) => {
-  const baseFares = {
-    'Bike': { base: 20, perKm: 8, perMin: 1 },
-    'Auto': { base: 30, perKm: 12, perMin: 1.5 },
-    'Car': { base: 50, perKm: 15, perMin: 2 },
-    'Truck': { base: 100, perKm: 25, perMin: 3 }
-  };
+// Hour of day in the app's timezone
+const getLocalHour = (date) => {
+  return Number(new Intl.DateTimeFormat('en-GB', {
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: process.env.APP_TIMEZONE || 'Asia/Kolkata'
+  }).format(date));
+};
+
+// Check if an hour falls in a window that may wrap past midnight
+const isWithinHours = (hour, startHour, endHour) => {
+  if (startHour === endHour) {
+    return false;
+  }
+  return startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour;
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Calculate fare based on distance and time using a fare config (or its ride snapshot)
+const calculateFare = (distance, duration, rates, surgeMultiplier = 1, options = {}) => {
+  const { pickupTime = new Date() } = options;
+
+  const baseFare = rates.baseFare;
+  const distanceFare = roundAmount(distance * rates.perKm);
+  const timeFare = roundAmount(duration * rates.perMinute);
+  const meteredFare = (baseFare + distanceFare + timeFare) * surgeMultiplier;
+
+  const night = rates.nightSurcharge || {};
+  const nightSurcharge = night.percentage && isWithinHours(getLocalHour(pickupTime), night.startHour, night.endHour)
+    ? roundAmount(meteredFare * night.percentage / 100)
+    : 0;
+
+  const minimumFare = rates.minimumFare || 0;
+  const bookingFee = rates.bookingFee || 0;
+  const fare = Math.max(meteredFare + nightSurcharge, minimumFare);
+  const totalFare = fare + bookingFee;
 
-  const rates = baseFares[vehicleType] || baseFares['Car'];
-  
-  const baseFare = rates.base;
-  const distanceFare = distance * rates.perKm;
-  const timeFare = duration * rates.perMin;
-  
-  const totalFare = (baseFare + distanceFare + timeFare) * surgeMultiplier;
-  
   return {
     baseFare,
-    distanceFare: Math.round(distanceFare * 100) / 100,
-    timeFare: Math.round(timeFare * 100) / 100,
-    totalFare: Math.round(totalFare * 100) / 100,
+    distanceFare,
+    timeFare,
+    nightSurcharge,
+    bookingFee,
+    minimumFare,
+    totalFare: roundAmount(totalFare),
     surgeMultiplier
   };
 };
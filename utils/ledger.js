@@ -0,0 +1,475 @@
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const User = require('../models/User');
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const toPaise = (amount) => Math.round(amount * 100);
+
+// Find or open the account for a type and owner
+const getAccount = async (type, owner = null) => {
+  const filter = { type, owner: owner || null };
+  try {
+    return await LedgerAccount.findOneAndUpdate(
+      filter,
+      { $setOnInsert: { normalBalance: LedgerAccount.ACCOUNT_TYPES[type] } },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // Lost an upsert race; the account exists now
+    if (error.code === 11000) {
+      return LedgerAccount.findOne(filter);
+    }
+    throw error;
+  }
+};
+
+// Post a balanced entry once per reference and update cached account balances.
+// Lines are { type, owner, debit } or { type, owner, credit }; zero lines are dropped.
+const postEntry = async ({ kind, reference, description, lines, user = null, ride = null, payment = null }) => {
+  const resolved = [];
+  for (const line of lines) {
+    const debit = roundAmount(line.debit || 0);
+    const credit = roundAmount(line.credit || 0);
+    if (debit === 0 && credit === 0) {
+      continue;
+    }
+
+    const account = await getAccount(line.type, line.owner);
+    resolved.push({ account, line: { account: account._id, accountType: line.type, owner: account.owner, debit, credit } });
+  }
+
+  let entry;
+  try {
+    entry = await JournalEntry.create({
+      kind,
+      reference,
+      description,
+      lines: resolved.map(({ line }) => line),
+      user,
+      ride,
+      payment
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return JournalEntry.findOne({ reference });
+    }
+    throw error;
+  }
+
+  for (const { account, line } of resolved) {
+    const change = account.normalBalance === 'credit' ? line.credit - line.debit : line.debit - line.credit;
+    await LedgerAccount.updateOne({ _id: account._id }, { $inc: { balance: roundAmount(change) } });
+  }
+
+  return entry;
+};
+
+// Post without letting a ledger failure undo the money movement; reconciliation shows the gap
+const record = async (entry) => {
+  try {
+    return await postEntry(entry);
+  } catch (error) {
+    console.error(`Ledger posting error (${entry.reference}):`, error);
+    return null;
+  }
+};
+
+// Money added to a rider's wallet through the gateway, or part of a larger payment
+const postWalletTopup = (payment, { amount = payment.amount, reference = `topup:${payment._id}` } = {}) => record({
+  kind: 'wallet_topup',
+  reference,
+  description: 'Wallet top-up',
+  user: payment.user,
+  payment: payment._id,
+  lines: [
+    { type: 'gateway_clearing', debit: amount },
+    { type: 'rider_wallet', owner: payment.user, credit: amount }
+  ]
+});
+
+// A completed ride: the rider owes the fare, which is shared out as the ride's
+// earnings breakdown says. Cash is already in the driver's hands, so the driver
+// owes the platform its share instead; any part the rider didn't pay stays owed.
+const postRideCompletion = (ride) => {
+  const { gross, commission, gst, incentive = 0 } = ride.earnings;
+  const lines = [
+    { type: 'rider_receivable', owner: ride.user, debit: gross },
+    { type: 'driver_payable', owner: ride.driver, credit: gross - commission - gst },
+    { type: 'platform_commission', credit: commission },
+    { type: 'gst_payable', credit: gst },
+    { type: 'incentive_expense', debit: incentive },
+    { type: 'driver_payable', owner: ride.driver, credit: incentive }
+  ];
+
+  const cash = ride.payment.method === 'cash'
+    ? Math.min(ride.earnings.cashCollected === undefined ? gross : ride.earnings.cashCollected, gross)
+    : 0;
+  if (cash > 0) {
+    lines.push(
+      { type: 'driver_payable', owner: ride.driver, debit: cash },
+      { type: 'rider_receivable', owner: ride.user, credit: cash }
+    );
+  }
+
+  return record({
+    kind: 'ride_earnings',
+    reference: `ride:${ride._id}`,
+    description: `Ride fare (${ride.payment.method})`,
+    user: ride.user,
+    ride: ride._id,
+    lines
+  });
+};
+
+// Part of a fare the driver took in cash after the wallet fell short
+const postCashCollected = (ride, amount) => record({
+  kind: 'ride_payment',
+  reference: `cash:${ride._id}`,
+  description: 'Fare collected in cash',
+  user: ride.user,
+  ride: ride._id,
+  lines: [
+    { type: 'driver_payable', owner: ride.driver, debit: amount },
+    { type: 'rider_receivable', owner: ride.user, credit: amount }
+  ]
+});
+
+// Cash paid over the fare: the rider gets it in their wallet and the driver owes it
+const postCashChange = (ride, amount) => record({
+  kind: 'cash_change',
+  reference: `cash-change:${ride._id}`,
+  description: 'Change from a cash fare added to wallet',
+  user: ride.user,
+  ride: ride._id,
+  lines: [
+    { type: 'driver_payable', owner: ride.driver, debit: amount },
+    { type: 'rider_wallet', owner: ride.user, credit: amount }
+  ]
+});
+
+// A payment towards a ride fare, from the wallet, credits or the gateway
+const postRidePayment = (payment, { kind = 'ride_payment', amount = payment.amount } = {}) => {
+  const sourceAccount = {
+    wallet: 'rider_wallet',
+    credits: 'rider_credits'
+  }[payment.method] || 'gateway_clearing';
+
+  return record({
+    kind,
+    reference: `payment:${payment._id}`,
+    description: payment.description || 'Ride payment',
+    user: payment.user,
+    ride: payment.ride,
+    payment: payment._id,
+    lines: [
+      { type: sourceAccount, owner: sourceAccount === 'gateway_clearing' ? null : payment.user, debit: amount },
+      { type: 'rider_receivable', owner: payment.user, credit: amount }
+    ]
+  });
+};
+
+// A co-rider's paid share of a completed ride, taken off what the booking rider owes
+const postSplitShare = (ride, payment) => record({
+  kind: 'split_share',
+  reference: `split-share:${payment._id}`,
+  description: 'Fare share paid by co-rider',
+  user: payment.user,
+  ride: ride._id,
+  payment: payment._id,
+  lines: [
+    { type: 'rider_receivable', owner: payment.user, debit: payment.amount },
+    { type: 'rider_receivable', owner: ride.user, credit: payment.amount }
+  ]
+});
+
+// A co-rider's share that arrived after the split closed, given back to their wallet
+const postShareReturned = (payment) => record({
+  kind: 'refund',
+  reference: `share-returned:${payment._id}`,
+  description: 'Fare share returned to wallet',
+  user: payment.user,
+  ride: payment.ride,
+  payment: payment._id,
+  lines: [
+    { type: 'rider_receivable', owner: payment.user, debit: payment.amount },
+    { type: 'rider_wallet', owner: payment.user, credit: payment.amount }
+  ]
+});
+
+// Money returned to a rider for a ride they had paid for
+const postRideRefund = (refund) => record({
+  kind: 'refund',
+  // A gateway refund that failed and was retried is posted again under its new refund id
+  reference: refund.refund && refund.refund.refundId
+    ? `refund:${refund._id}:${refund.refund.refundId}`
+    : `refund:${refund._id}`,
+  description: 'Ride refund',
+  user: refund.user,
+  ride: refund.ride,
+  payment: refund._id,
+  lines: [
+    { type: 'rider_receivable', owner: refund.user, debit: refund.amount },
+    ['wallet', 'credits'].includes(refund.method)
+      ? { type: 'rider_wallet', owner: refund.user, credit: refund.amount }
+      : { type: 'gateway_clearing', credit: refund.amount }
+  ]
+});
+
+// The part of a prepaid fare kept as a cancellation fee
+const postCancellationFee = (ride, fee) => record({
+  kind: 'cancellation_fee',
+  reference: `cancellation-fee:${ride._id}`,
+  description: 'Cancellation fee',
+  user: ride.user,
+  ride: ride._id,
+  lines: [
+    { type: 'rider_receivable', owner: ride.user, debit: fee },
+    { type: 'platform_commission', credit: fee }
+  ]
+});
+
+// A top-up or ride payment sent back to the gateway on request
+const postPaymentRefund = (payment, amount) => record({
+  kind: 'refund',
+  reference: `payment-refund:${payment._id}`,
+  description: payment.type === 'wallet_topup' ? 'Wallet top-up refund' : 'Ride payment refund',
+  user: payment.user,
+  ride: payment.ride,
+  payment: payment._id,
+  lines: [
+    { type: payment.type === 'wallet_topup' ? 'rider_wallet' : 'rider_receivable', owner: payment.user, debit: amount },
+    { type: 'gateway_clearing', credit: amount }
+  ]
+});
+
+// A gateway refund the bank failed to process: the money is owed to the rider again
+const postRefundFailed = (payment, amount, refundId) => record({
+  kind: 'refund',
+  reference: `refund-failed:${refundId}`,
+  description: 'Gateway refund failed',
+  user: payment.user,
+  ride: payment.ride,
+  payment: payment._id,
+  lines: [
+    { type: 'gateway_clearing', debit: amount },
+    { type: payment.type === 'wallet_topup' ? 'rider_wallet' : 'rider_receivable', owner: payment.user, credit: amount }
+  ]
+});
+
+// A driver's day pass, paid from their wallet
+const postSubscriptionFee = (payment, fee, gst) => record({
+  kind: 'subscription',
+  reference: `subscription:${payment._id}`,
+  description: 'Commission-free day pass',
+  user: payment.user,
+  payment: payment._id,
+  lines: [
+    { type: 'rider_wallet', owner: payment.user, debit: fee + gst },
+    { type: 'platform_commission', credit: fee },
+    { type: 'gst_payable', credit: gst }
+  ]
+});
+
+// A tip, all of it owed to the driver outside commission
+const postTip = (payment, driverId, { amount = payment.amount, reference = `tip:${payment._id}` } = {}) => record({
+  kind: 'tip',
+  reference,
+  description: 'Tip for driver',
+  user: payment.user,
+  ride: payment.ride,
+  payment: payment._id,
+  lines: [
+    payment.method === 'wallet'
+      ? { type: 'rider_wallet', owner: payment.user, debit: amount }
+      : { type: 'gateway_clearing', debit: amount },
+    { type: 'driver_payable', owner: driverId, credit: amount }
+  ]
+});
+
+// Referral bonus credited to the referrer
+const postReferralBonus = (referrerId, referredUserId, amount) => record({
+  kind: 'referral_bonus',
+  reference: `referral:${referredUserId}`,
+  description: 'Referral bonus',
+  user: referrerId,
+  lines: [
+    { type: 'referral_expense', debit: amount },
+    { type: 'rider_credits', owner: referrerId, credit: amount }
+  ]
+});
+
+// Cash dues a driver paid back from their wallet
+const postDriverDuesPayment = (payment) => record({
+  kind: 'driver_dues',
+  reference: `driver-dues:${payment._id}`,
+  description: 'Cash dues paid from wallet',
+  user: payment.user,
+  payment: payment._id,
+  lines: [
+    { type: 'rider_wallet', owner: payment.user, debit: payment.amount },
+    { type: 'driver_payable', owner: payment.user, credit: payment.amount }
+  ]
+});
+
+// Driver earnings set aside for a requested withdrawal
+const postWithdrawalRequest = (withdrawal) => record({
+  kind: 'withdrawal',
+  reference: `withdrawal:${withdrawal._id}`,
+  description: 'Withdrawal requested',
+  user: withdrawal.driver,
+  lines: [
+    { type: 'driver_payable', owner: withdrawal.driver, debit: withdrawal.amount },
+    { type: 'payouts_pending', credit: withdrawal.amount }
+  ]
+});
+
+// A rejected or failed withdrawal gives the earnings back to the driver
+const postWithdrawalReversal = (withdrawal) => record({
+  kind: 'withdrawal',
+  reference: `withdrawal-reversal:${withdrawal._id}`,
+  description: `Withdrawal ${withdrawal.status}`,
+  user: withdrawal.driver,
+  lines: [
+    { type: 'payouts_pending', debit: withdrawal.amount },
+    { type: 'driver_payable', owner: withdrawal.driver, credit: withdrawal.amount }
+  ]
+});
+
+// A withdrawal the bank has paid out
+const postWithdrawalPaid = (withdrawal) => record({
+  kind: 'withdrawal',
+  reference: `withdrawal-paid:${withdrawal._id}`,
+  description: 'Withdrawal paid',
+  user: withdrawal.driver,
+  lines: [
+    { type: 'payouts_pending', debit: withdrawal.amount },
+    { type: 'gateway_clearing', credit: withdrawal.amount }
+  ]
+});
+
+// Cached user balances that must match their ledger account
+const USER_BALANCE_FIELDS = {
+  rider_wallet: 'wallet.balance',
+  rider_credits: 'referralEarnings'
+};
+
+// Compare the ledger with itself and with the balances cached on users
+const reconcileLedger = async () => {
+  const [trialBalance] = await JournalEntry.aggregate([
+    { $unwind: '$lines' },
+    { $group: { _id: null, debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' }, lines: { $sum: 1 } } }
+  ]);
+  const totals = trialBalance || { debit: 0, credit: 0, lines: 0 };
+
+  const accountDrift = [];
+  const userDrift = [];
+  const accountTotals = [];
+
+  // Debits and credits per account, summed from the journal
+  const lineTotals = await JournalEntry.aggregate([
+    { $unwind: '$lines' },
+    { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } }
+  ]);
+  const sumsByAccount = new Map(lineTotals.map(sums => [sums._id.toString(), sums]));
+
+  const accounts = await LedgerAccount.find().lean();
+  const accountsByUser = new Map();
+
+  for (const account of accounts) {
+    const sums = sumsByAccount.get(account._id.toString()) || { debit: 0, credit: 0 };
+    const ledgerBalance = roundAmount(account.normalBalance === 'credit'
+      ? sums.credit - sums.debit
+      : sums.debit - sums.credit);
+
+    if (toPaise(ledgerBalance) !== toPaise(account.balance)) {
+      accountDrift.push({
+        accountId: account._id,
+        type: account.type,
+        owner: account.owner,
+        cachedBalance: account.balance,
+        ledgerBalance,
+        difference: roundAmount(account.balance - ledgerBalance)
+      });
+    }
+
+    if (!account.owner) {
+      accountTotals.push({ type: account.type, balance: ledgerBalance });
+    } else if (USER_BALANCE_FIELDS[account.type]) {
+      const key = account.owner.toString();
+      if (!accountsByUser.has(key)) {
+        accountsByUser.set(key, {});
+      }
+      accountsByUser.get(key)[account.type] = ledgerBalance;
+    }
+  }
+
+  // Users with a cached balance but no ledger account drift too
+  const users = await User.find({
+    $or: [
+      { _id: { $in: [...accountsByUser.keys()].map(id => new mongoose.Types.ObjectId(id)) } },
+      { 'wallet.balance': { $ne: 0 } },
+      { referralEarnings: { $ne: 0 } }
+    ]
+  }).select('fullName wallet.balance referralEarnings').lean();
+
+  for (const user of users) {
+    const ledgerBalances = accountsByUser.get(user._id.toString()) || {};
+    const cached = {
+      rider_wallet: user.wallet ? user.wallet.balance || 0 : 0,
+      rider_credits: user.referralEarnings || 0
+    };
+
+    for (const type of Object.keys(USER_BALANCE_FIELDS)) {
+      const ledgerBalance = ledgerBalances[type] || 0;
+      if (toPaise(ledgerBalance) !== toPaise(cached[type])) {
+        userDrift.push({
+          userId: user._id,
+          fullName: user.fullName,
+          field: USER_BALANCE_FIELDS[type],
+          cachedBalance: cached[type],
+          ledgerBalance,
+          difference: roundAmount(cached[type] - ledgerBalance)
+        });
+      }
+    }
+  }
+
+  const balanced = toPaise(totals.debit) === toPaise(totals.credit);
+  return {
+    healthy: balanced && accountDrift.length === 0 && userDrift.length === 0,
+    trialBalance: {
+      balanced,
+      debit: roundAmount(totals.debit),
+      credit: roundAmount(totals.credit),
+      lines: totals.lines
+    },
+    platformAccounts: accountTotals,
+    accountDrift,
+    userDrift
+  };
+};
+
+module.exports = {
+  getAccount,
+  postEntry,
+  postWalletTopup,
+  postRideCompletion,
+  postCashCollected,
+  postCashChange,
+  postRidePayment,
+  postSplitShare,
+  postShareReturned,
+  postRideRefund,
+  postCancellationFee,
+  postPaymentRefund,
+  postRefundFailed,
+  postSubscriptionFee,
+  postTip,
+  postReferralBonus,
+  postDriverDuesPayment,
+  postWithdrawalRequest,
+  postWithdrawalReversal,
+  postWithdrawalPaid,
+  reconcileLedger
+};
@@ -0,0 +1,239 @@
+const crypto = require('crypto');
+
+// Offline payment provider for development and integration tests (PAYMENT_PROVIDER=mock).
+// Orders and payments live in memory; ids and signatures are derived from their inputs,
+// so the same flow gives the same results. Entities follow Razorpay's shapes.
+
+const MOCK_CONFIG = {
+  keySecret: process.env.MOCK_PAYMENT_KEY_SECRET || 'mock_key_secret',
+  webhookSecret: process.env.MOCK_PAYMENT_WEBHOOK_SECRET || 'mock_webhook_secret',
+  // Default checkout outcome: success, failure or delayed
+  defaultOutcome: process.env.MOCK_PAYMENT_OUTCOME || 'success',
+  // How long a delayed payment stays authorized before it is captured
+  captureDelaySeconds: parseInt(process.env.MOCK_CAPTURE_DELAY_SECONDS) || 5
+};
+
+const OUTCOMES = ['success', 'failure', 'delayed'];
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+
+const mockId = (prefix, seed) => `${prefix}_mock_${crypto.createHash('sha256').update(seed).digest('hex').slice(0, 14)}`;
+
+const sign = (body, secret) => crypto.createHmac('sha256', secret).update(body).digest('hex');
+
+const nowSeconds = () => Math.floor(Date.now() / 1000);
+
+// Create order
+const createOrder = async (amount, currency = 'INR', receipt = null, notes = {}) => {
+  const order = {
+    id: mockId('order', `${receipt}|${amount}|${currency}`),
+    entity: 'order',
+    amount: Math.round(amount * 100),
+    amount_paid: 0,
+    currency,
+    receipt: receipt || `receipt_${Date.now()}`,
+    notes,
+    status: 'created',
+    created_at: nowSeconds()
+  };
+  orders.set(order.id, { order, paymentIds: [] });
+  return { success: true, order };
+};
+
+// Verify payment signature, made the same way as Razorpay's checkout signature
+const verifyPayment = (orderId, paymentId, signature) => {
+  const isAuthentic = typeof signature === 'string' && sign(`${orderId}|${paymentId}`, MOCK_CONFIG.keySecret) === signature;
+  return {
+    success: isAuthentic,
+    message: isAuthentic ? 'Payment verified successfully' : 'Payment verification failed'
+  };
+};
+
+const capture = (payment) => {
+  payment.status = 'captured';
+  payment.captured = true;
+  const entry = orders.get(payment.order_id);
+  if (entry) {
+    entry.order.status = 'paid';
+    entry.order.amount_paid = payment.amount;
+  }
+};
+
+// Capture payment
+const capturePayment = async (paymentId, amount) => {
+  const payment = payments.get(paymentId);
+  if (!payment) {
+    return { success: false, error: 'Payment not found' };
+  }
+  if (payment.status !== 'authorized' || payment.amount !== Math.round(amount * 100)) {
+    return { success: false, error: `Payment is ${payment.status} and cannot be captured for this amount` };
+  }
+  capture(payment);
+  return { success: true, payment };
+};
+
+// Create refund; refunds never exceed what was captured
+const createRefund = async (paymentId, amount, notes = {}) => {
+  const payment = payments.get(paymentId);
+  const paise = Math.round(amount * 100);
+
+  if (payment) {
+    if (payment.status !== 'captured') {
+      return { success: false, error: 'Only captured payments can be refunded' };
+    }
+    if (payment.amount_refunded + paise > payment.amount) {
+      return { success: false, error: 'Refund amount exceeds the captured amount' };
+    }
+    payment.amount_refunded += paise;
+  }
+
+  const refund = {
+    id: mockId('rfnd', `${paymentId}|${refunds.size}|${paise}`),
+    entity: 'refund',
+    payment_id: paymentId,
+    amount: paise,
+    currency: payment ? payment.currency : 'INR',
+    notes,
+    status: 'processed',
+    created_at: nowSeconds()
+  };
+  refunds.set(refund.id, refund);
+  return { success: true, refund };
+};
+
+// Get payment details
+const getPaymentDetails = async (paymentId) => {
+  const payment = payments.get(paymentId);
+  return payment ? { success: true, payment } : { success: false, error: 'Payment not found' };
+};
+
+// Orders from before a restart are forgotten and report no payments
+const getOrderPayments = async (orderId) => {
+  const entry = orders.get(orderId);
+  return {
+    success: true,
+    payments: entry ? entry.paymentIds.map(id => payments.get(id)) : []
+  };
+};
+
+const parseWebhookHeaders = (headers) => ({
+  signature: headers['x-razorpay-signature'],
+  eventId: headers['x-razorpay-event-id']
+});
+
+const verifyWebhookSignature = (body, signature, secret = MOCK_CONFIG.webhookSecret) => {
+  return typeof signature === 'string' && sign(body, secret) === signature;
+};
+
+// A signed webhook as the gateway would send it
+const buildWebhook = (event, payload) => {
+  const entityId = Object.values(payload)[0].entity.id;
+  const body = JSON.stringify({
+    entity: 'event',
+    account_id: 'acc_mock',
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: nowSeconds()
+  });
+  return {
+    eventId: mockId('evt', `${event}|${entityId}`),
+    body,
+    signature: sign(body, MOCK_CONFIG.webhookSecret)
+  };
+};
+
+// Act as the checkout for an order: the rider pays, the payment fails, or it is
+// captured after a delay. Webhooks go to `onWebhook`, later for delayed captures.
+// Returns what the checkout would hand the app for /verify (none on failure).
+const simulateCheckout = (orderId, { outcome = MOCK_CONFIG.defaultOutcome, onWebhook } = {}) => {
+  const entry = orders.get(orderId);
+  if (!entry) {
+    return { success: false, error: 'Order not found' };
+  }
+  if (!OUTCOMES.includes(outcome)) {
+    return { success: false, error: `Outcome must be one of: ${OUTCOMES.join(', ')}` };
+  }
+  if (entry.order.status === 'paid') {
+    return { success: false, error: 'Order is already paid' };
+  }
+
+  const { order } = entry;
+  const payment = {
+    id: mockId('pay', `${order.id}|${entry.paymentIds.length}`),
+    entity: 'payment',
+    order_id: order.id,
+    amount: order.amount,
+    amount_refunded: 0,
+    currency: order.currency,
+    method: 'upi',
+    status: outcome === 'failure' ? 'failed' : 'authorized',
+    captured: false,
+    notes: order.notes,
+    error_code: outcome === 'failure' ? 'BAD_REQUEST_ERROR' : null,
+    error_description: outcome === 'failure' ? 'Payment declined by the mock gateway' : null,
+    error_reason: outcome === 'failure' ? 'payment_failed' : null,
+    created_at: nowSeconds()
+  };
+  payments.set(payment.id, payment);
+  entry.paymentIds.push(payment.id);
+
+  const deliver = (event, payload) => {
+    if (!onWebhook) {
+      return;
+    }
+    Promise.resolve(onWebhook(buildWebhook(event, payload)))
+      .catch(error => console.error(`Mock webhook delivery error (${event}):`, error));
+  };
+
+  if (outcome === 'failure') {
+    deliver('payment.failed', { payment: { entity: { ...payment } } });
+    return { success: true, payment, checkout: null };
+  }
+
+  const captureAndNotify = () => {
+    capture(payment);
+    deliver('payment.captured', { payment: { entity: { ...payment } } });
+    deliver('order.paid', { payment: { entity: { ...payment } }, order: { entity: { ...order } } });
+  };
+
+  if (outcome === 'delayed') {
+    setTimeout(captureAndNotify, MOCK_CONFIG.captureDelaySeconds * 1000).unref();
+  } else {
+    captureAndNotify();
+  }
+
+  return {
+    success: true,
+    payment,
+    checkout: {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: sign(`${order.id}|${payment.id}`, MOCK_CONFIG.keySecret)
+    }
+  };
+};
+
+// Forget every order, payment and refund
+const resetMockGateway = () => {
+  orders.clear();
+  payments.clear();
+  refunds.clear();
+};
+
+module.exports = {
+  name: 'mock',
+  MOCK_OUTCOMES: OUTCOMES,
+  createOrder,
+  verifyPayment,
+  capturePayment,
+  createRefund,
+  getPaymentDetails,
+  getOrderPayments,
+  parseWebhookHeaders,
+  verifyWebhookSignature,
+  simulateCheckout,
+  resetMockGateway
+};
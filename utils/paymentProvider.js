@@ -0,0 +1,34 @@
+// Payment gateways behind one interface. Every provider exports:
+//   name
+//   createOrder(amount, currency, receipt, notes)        -> { success, order: { id, amount (paise), currency, receipt, notes } }
+//   verifyPayment(orderId, paymentId, signature)         -> { success, message }
+//   capturePayment(paymentId, amount)                    -> { success, payment }
+//   createRefund(paymentId, amount, notes)               -> { success, refund: { id, amount (paise), status } }
+//   getPaymentDetails(paymentId)                         -> { success, payment: { id, order_id, amount (paise), status } }
+//   getOrderPayments(orderId)                            -> { success, payments }
+//   parseWebhookHeaders(headers)                         -> { signature, eventId }
+//   verifyWebhookSignature(rawBody, signature)           -> boolean
+// Failures come back as { success: false, error } rather than being thrown.
+// Payment and webhook entities follow Razorpay's shapes.
+
+// Loaded on demand so an unused gateway's SDK and keys aren't needed
+const PROVIDERS = {
+  razorpay: () => require('./razorpay'),
+  mock: () => require('./mockPaymentProvider')
+};
+
+const DEFAULT_PROVIDER = 'razorpay';
+
+// Provider by name, or the one configured with PAYMENT_PROVIDER
+const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER || DEFAULT_PROVIDER) => {
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown payment provider "${name}"; use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return load();
+};
+
+module.exports = {
+  PAYMENT_PROVIDERS: Object.keys(PROVIDERS),
+  getPaymentProvider
+};
@@ -0,0 +1,106 @@
+// Minimal PDF writer for receipts and statements: A4 pages with Helvetica text,
+// filled boxes and rules. Positions are in points from the top-left corner.
+// Fonts use WinAnsi encoding, so text is Latin-1 only; anything else prints as '?'.
+
+const PAGE = { width: 595, height: 842, margin: 48 };
+
+// Helvetica advance widths (per 1000 units) for the characters amounts are made of
+const CHAR_WIDTHS = {
+  ' ': 278, ',': 278, '.': 278, '-': 333, '/': 278, ':': 278, '%': 889, '(': 333, ')': 333,
+  R: 722, s: 500, x: 500
+};
+const DIGIT_WIDTH = 556;
+const DEFAULT_WIDTH = 556;
+
+const escapeText = (value) => String(value)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/([\\()])/g, '\\$1');
+
+const toRgb = (hex) => [1, 3, 5]
+  .map(i => (parseInt(hex.slice(i, i + 2), 16) / 255).toFixed(3))
+  .join(' ');
+
+// Approximate width of a string in points, close enough to right-align amounts
+const textWidth = (value, size, bold = false) => {
+  const units = [...String(value)].reduce((sum, char) => {
+    if (char >= '0' && char <= '9') {
+      return sum + DIGIT_WIDTH;
+    }
+    return sum + (CHAR_WIDTHS[char] || DEFAULT_WIDTH);
+  }, 0);
+  return units * size / 1000 * (bold ? 1.05 : 1);
+};
+
+const num = (value) => Number(value.toFixed(2));
+
+const createPdf = () => {
+  const pages = [];
+  let ops = null;
+
+  const doc = {
+    PAGE,
+    textWidth,
+
+    addPage() {
+      ops = [];
+      pages.push(ops);
+      return doc;
+    },
+
+    text(x, y, value, { size = 10, bold = false, color = '#333333', align = 'left' } = {}) {
+      const left = align === 'right' ? x - textWidth(value, size, bold) : x;
+      ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${toRgb(color)} rg ${num(left)} ${num(PAGE.height - y)} Td (${escapeText(value)}) Tj ET`);
+      return doc;
+    },
+
+    rect(x, y, width, height, color) {
+      ops.push(`${toRgb(color)} rg ${num(x)} ${num(PAGE.height - y - height)} ${num(width)} ${num(height)} re f`);
+      return doc;
+    },
+
+    rule(x1, x2, y, color = '#dddddd') {
+      ops.push(`${toRgb(color)} RG 0.5 w ${num(x1)} ${num(PAGE.height - y)} m ${num(x2)} ${num(PAGE.height - y)} l S`);
+      return doc;
+    },
+
+    toBuffer() {
+      const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        null,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+      ];
+      const add = (body) => objects.push(body);
+
+      const kids = pages.map(pageOps => {
+        const stream = pageOps.join('\n');
+        const contents = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(
+          `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contents} 0 R >>`
+        );
+      });
+      objects[1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+      let out = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(out, 'latin1');
+        out += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+
+      const xrefOffset = Buffer.byteLength(out, 'latin1');
+      out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      out += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+      return Buffer.from(out, 'latin1');
+    }
+  };
+
+  return doc.addPage();
+};
+
+module.exports = {
+  createPdf
+};
@@ -0,0 +1,160 @@
+const Promotion = require('../models/Promotion');
+const PromotionRedemption = require('../models/PromotionRedemption');
+const Ride = require('../models/Ride');
+
+const rejection = (message, statusCode = 400) => ({ success: false, statusCode, message });
+
+// Check a promo code against a rider and fare without redeeming it
+const evaluatePromotion = async (code, user, { rideType, city, fare }) => {
+  const promotion = await Promotion.findOne({ code: String(code).toUpperCase().trim() });
+  if (!promotion) {
+    return rejection('Invalid promo code', 404);
+  }
+
+  const live = promotion.isLive();
+  if (!live.success) {
+    return rejection(live.message);
+  }
+
+  if (fare < promotion.minFare) {
+    return rejection(`Promo code requires a minimum fare of ₹${promotion.minFare}`);
+  }
+
+  const { eligibility } = promotion;
+
+  if (eligibility.vehicleTypes.length > 0 && !eligibility.vehicleTypes.includes(rideType)) {
+    return rejection(`Promo code is not valid for ${rideType} rides`);
+  }
+
+  const cityKey = (city || '').toLowerCase().trim();
+  if (eligibility.cities.length > 0 && !eligibility.cities.includes(cityKey)) {
+    return rejection('Promo code is not valid in this city');
+  }
+
+  if (eligibility.referredUsersOnly && !user.referredBy) {
+    return rejection('Promo code is only for referred users');
+  }
+
+  if (eligibility.firstRideOnly) {
+    const hasRidden = await Ride.exists({
+      user: user._id,
+      status: { $nin: ['cancelled', 'no_driver_found'] }
+    });
+    if (hasRidden) {
+      return rejection('Promo code is only valid on your first ride');
+    }
+  }
+
+  const usedByUser = await PromotionRedemption.countDocuments({
+    promotion: promotion._id,
+    user: user._id,
+    status: 'applied'
+  });
+  if (usedByUser >= promotion.perUserLimit) {
+    return rejection('You have already used this promo code');
+  }
+
+  return {
+    success: true,
+    promotion,
+    discount: promotion.calculateDiscount(fare)
+  };
+};
+
+// Lowest per-user slot (1..perUserLimit) no applied redemption holds, or null if all are taken.
+// Reversed redemptions free their slot, so slots can't be counted from the number applied.
+const freeSequence = async (promotion, userId) => {
+  const taken = await PromotionRedemption.distinct('sequence', {
+    promotion: promotion._id,
+    user: userId,
+    status: 'applied'
+  });
+
+  for (let sequence = 1; sequence <= promotion.perUserLimit; sequence++) {
+    if (!taken.includes(sequence)) {
+      return sequence;
+    }
+  }
+  return null;
+};
+
+// Record a redemption, claiming both the per-user and the global slot atomically
+const redeemPromotion = async (promotion, userId, rideId, discount) => {
+  // The unique (promotion, user, sequence) index rejects a concurrent claim of the
+  // same slot; the loser tries the next free one
+  let redemption;
+  for (let attempt = 0; attempt < promotion.perUserLimit && !redemption; attempt++) {
+    const sequence = await freeSequence(promotion, userId);
+    if (sequence === null) {
+      break;
+    }
+
+    try {
+      redemption = await PromotionRedemption.create({
+        promotion: promotion._id,
+        user: userId,
+        ride: rideId,
+        code: promotion.code,
+        discount,
+        sequence
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+  }
+
+  if (!redemption) {
+    return rejection('You have already used this promo code', 409);
+  }
+
+  const now = new Date();
+  const claimed = await Promotion.findOneAndUpdate(
+    {
+      _id: promotion._id,
+      isActive: true,
+      validFrom: { $lte: now },
+      validUntil: { $gte: now },
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true }
+  );
+
+  if (!claimed) {
+    await PromotionRedemption.deleteOne({ _id: redemption._id });
+    return rejection('Promo code usage limit reached', 409);
+  }
+
+  return { success: true, redemption };
+};
+
+// Give back the promo use held by a ride that never happened
+const releasePromotion = async (rideId) => {
+  const redemption = await PromotionRedemption.findOneAndUpdate(
+    { ride: rideId, status: 'applied' },
+    { $set: { status: 'reversed', reversedAt: new Date() } },
+    { new: true }
+  );
+
+  if (!redemption) {
+    return null;
+  }
+
+  await Promotion.updateOne(
+    { _id: redemption.promotion, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+
+  return redemption;
+};
+
+module.exports = {
+  evaluatePromotion,
+  redeemPromotion,
+  releasePromotion
+};
@@ -0,0 +1,165 @@
+const mongoose = require('mongoose');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+
+// Tags a rider can attach when rating a driver
+const DRIVER_RATING_TAGS = ['great_driving', 'polite', 'clean_vehicle', 'on_time', 'late', 'rude', 'unsafe_driving', 'wrong_route'];
+
+// Tags a driver can attach when rating a rider
+const RIDER_RATING_TAGS = ['great_passenger', 'on_time', 'late', 'rude', 'wrong_pickup'];
+
+// Reputation starts from this prior so a single rating can't swing it
+const REPUTATION_PRIOR = {
+  rating: 4.5,
+  weight: 5
+};
+
+// Where each kind of rating is stored on a ride
+const RATING_SOURCES = {
+  driverInfo: { userField: 'driver', ratingField: 'rating.userRating' },
+  riderReputation: { userField: 'user', ratingField: 'rating.driverRating' }
+};
+
+// Sum ratings and tags per user from completed rides
+const collectRatings = (prefix, match = {}) => {
+  const { userField, ratingField } = RATING_SOURCES[prefix];
+
+  return Ride.aggregate([
+    {
+      $match: {
+        status: 'completed',
+        [userField]: { $ne: null },
+        [`${ratingField}.rating`]: { $exists: true },
+        ...match
+      }
+    },
+    {
+      $group: {
+        _id: `$${userField}`,
+        ratingTotal: { $sum: `$${ratingField}.rating` },
+        ratingCount: { $sum: 1 },
+        tags: { $push: { $ifNull: [`$${ratingField}.tags`, []] } }
+      }
+    }
+  ]);
+};
+
+const countTags = (tagLists) => {
+  const counts = {};
+  tagLists.flat().forEach(tag => {
+    counts[tag] = (counts[tag] || 0) + 1;
+  });
+  return counts;
+};
+
+// Reputation score (0-100) smoothed towards the prior
+const reputationScore = (ratingTotal, ratingCount) => Math.round(
+  ((ratingTotal + REPUTATION_PRIOR.rating * REPUTATION_PRIOR.weight) / (ratingCount + REPUTATION_PRIOR.weight)) * 20
+);
+
+// $set fields that replace a user's totals with ones collected from rides
+const totalsFields = (prefix, entry) => {
+  const fields = {
+    [`${prefix}.ratingTotal`]: entry.ratingTotal,
+    [`${prefix}.ratingCount`]: entry.ratingCount,
+    [`${prefix}.rating`]: entry.ratingCount > 0 ? Math.round((entry.ratingTotal / entry.ratingCount) * 10) / 10 : 0,
+    [`${prefix}.tags`]: countTags(entry.tags)
+  };
+
+  if (prefix === 'riderReputation') {
+    fields['riderReputation.score'] = reputationScore(entry.ratingTotal, entry.ratingCount);
+  }
+
+  return fields;
+};
+
+// Rebuild one user's totals from their rides
+const rebuildRatings = async (prefix, userId) => {
+  const { userField } = RATING_SOURCES[prefix];
+  const [entry] = await collectRatings(prefix, { [userField]: new mongoose.Types.ObjectId(String(userId)) });
+
+  return User.updateOne(
+    { _id: userId },
+    { $set: totalsFields(prefix, entry || { ratingTotal: 0, ratingCount: 0, tags: [] }) }
+  );
+};
+
+// Pipeline update that folds one rating into a running total, count and tag tally
+const ratingUpdate = (prefix, rating, tags, extraStages = []) => {
+  const tagCounts = {};
+  tags.forEach(tag => {
+    tagCounts[`${prefix}.tags.${tag}`] = { $add: [{ $ifNull: [`$${prefix}.tags.${tag}`, 0] }, 1] };
+  });
+
+  return [
+    {
+      $set: {
+        [`${prefix}.ratingTotal`]: { $add: [{ $ifNull: [`$${prefix}.ratingTotal`, 0] }, rating] },
+        [`${prefix}.ratingCount`]: { $add: [{ $ifNull: [`$${prefix}.ratingCount`, 0] }, 1] },
+        ...tagCounts
+      }
+    },
+    {
+      $set: {
+        [`${prefix}.rating`]: {
+          $round: [{ $divide: [`$${prefix}.ratingTotal`, `$${prefix}.ratingCount`] }, 1]
+        }
+      }
+    },
+    ...extraStages
+  ];
+};
+
+// Fold a rating into the user's totals. Users rated before totals were kept
+// have none yet, so theirs are rebuilt from their rides instead; the ride
+// being rated already holds this rating, so it is counted there.
+const recordRating = async (prefix, userId, rating, tags, extraStages) => {
+  const result = await User.updateOne(
+    { _id: userId, [`${prefix}.ratingCount`]: { $exists: true } },
+    ratingUpdate(prefix, rating, tags, extraStages)
+  );
+
+  if (result.matchedCount > 0) {
+    return result;
+  }
+
+  return rebuildRatings(prefix, userId);
+};
+
+// Record a rider's rating of a driver
+const recordDriverRating = (driverId, rating, tags = []) => {
+  return recordRating('driverInfo', driverId, rating, tags);
+};
+
+// Record a driver's rating of a rider and refresh the rider's reputation score (0-100)
+const recordRiderRating = (userId, rating, tags = []) => {
+  const scoreStage = {
+    $set: {
+      'riderReputation.score': {
+        $round: [{
+          $multiply: [
+            {
+              $divide: [
+                { $add: ['$riderReputation.ratingTotal', REPUTATION_PRIOR.rating * REPUTATION_PRIOR.weight] },
+                { $add: ['$riderReputation.ratingCount', REPUTATION_PRIOR.weight] }
+              ]
+            },
+            20
+          ]
+        }, 0]
+      }
+    }
+  };
+
+  return recordRating('riderReputation', userId, rating, tags, [scoreStage]);
+};
+
+module.exports = {
+  DRIVER_RATING_TAGS,
+  RIDER_RATING_TAGS,
+  REPUTATION_PRIOR,
+  collectRatings,
+  totalsFields,
+  recordDriverRating,
+  recordRiderRating
+};
@@ -1,11 +1,23 @@
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
 
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+// Razorpay implementation of the payment provider interface (see paymentProvider.js)
+
+let client = null;
+
+// Build the client on first use so the app loads without Razorpay keys
+const getClient = () => {
+  if (!client) {
+    if (!process.env.RAZORPAY_KEY_ID || !process.env.RAZORPAY_KEY_SECRET) {
+      throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set to use Razorpay');
+    }
+    client = new Razorpay({
+      key_id: process.env.RAZORPAY_KEY_ID,
+      key_secret: process.env.RAZORPAY_KEY_SECRET
+    });
+  }
+  return client;
+};
 
 // Create order
 const createOrder = async (amount, currency = 'INR', receipt = null, notes = {}) => {
@@ -17,7 +29,7 @@ const createOrder = async (amount, currency = 'INR', receipt = null, notes = {})
       notes: notes
     };
 
-    const order = await razorpay.orders.create(options);
+    const order = await getClient().orders.create(options);
     return {
       success: true,
       order: order
@@ -34,6 +46,10 @@ const createOrder = async (amount, currency = 'INR', receipt = null, notes = {})
 // Verify payment signature
 const verifyPayment = (razorpay_order_id, razorpay_payment_id, razorpay_signature) => {
   try {
+    if (!process.env.RAZORPAY_KEY_SECRET) {
+      throw new Error('RAZORPAY_KEY_SECRET must be set to verify payments');
+    }
+
     const body = razorpay_order_id + "|" + razorpay_payment_id;
     const expectedSignature = crypto
       .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
@@ -58,7 +74,7 @@ const verifyPayment = (razorpay_order_id, razorpay_payment_id, razorpay_signatur
 // Capture payment
 const capturePayment = async (paymentId, amount) => {
   try {
-    const payment = await razorpay.payments.capture(
+    const payment = await getClient().payments.capture(
       paymentId,
       Math.round(amount * 100), // Convert to paise
       'INR'
@@ -80,7 +96,7 @@ const capturePayment = async (paymentId, amount) => {
 // Create refund
 const createRefund = async (paymentId, amount, notes = {}) => {
   try {
-    const refund = await razorpay.payments.refund(paymentId, {
+    const refund = await getClient().payments.refund(paymentId, {
       amount: Math.round(amount * 100), // Convert to paise
       notes: notes
     });
@@ -101,7 +117,7 @@ const createRefund = async (paymentId, amount, notes = {}) => {
 // Get payment details
 const getPaymentDetails = async (paymentId) => {
   try {
-    const payment = await razorpay.payments.fetch(paymentId);
+    const payment = await getClient().payments.fetch(paymentId);
     return {
       success: true,
       payment: payment
@@ -115,10 +131,27 @@ const getPaymentDetails = async (paymentId) => {
   }
 };
 
+// Get the payment attempts made against an order
+const getOrderPayments = async (orderId) => {
+  try {
+    const result = await getClient().orders.fetchPayments(orderId);
+    return {
+      success: true,
+      payments: result.items || []
+    };
+  } catch (error) {
+    console.error('Get order payments error:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+};
+
 // Get order details
 const getOrderDetails = async (orderId) => {
   try {
-    const order = await razorpay.orders.fetch(orderId);
+    const order = await getClient().orders.fetch(orderId);
     return {
       success: true,
       order: order
@@ -135,7 +168,7 @@ const getOrderDetails = async (orderId) => {
 // Create customer
 const createCustomer = async (customerData) => {
   try {
-    const customer = await razorpay.customers.create({
+    const customer = await getClient().customers.create({
       name: customerData.name,
       email: customerData.email,
       contact: customerData.phone,
@@ -158,7 +191,7 @@ const createCustomer = async (customerData) => {
 // Create virtual account
 const createVirtualAccount = async (customerId, description = 'Idhar Udhar Wallet') => {
   try {
-    const virtualAccount = await razorpay.virtualAccounts.create({
+    const virtualAccount = await getClient().virtualAccounts.create({
       customer_id: customerId,
       description: description,
       close_by: Math.floor(Date.now() / 1000) + (30 * 24 * 60 * 60) // 30 days from now
@@ -180,7 +213,7 @@ const createVirtualAccount = async (customerId, description = 'Idhar Udhar Walle
 // Get settlement details
 const getSettlementDetails = async (settlementId) => {
   try {
-    const settlement = await razorpay.settlements.fetch(settlementId);
+    const settlement = await getClient().settlements.fetch(settlementId);
     return {
       success: true,
       settlement: settlement
@@ -194,15 +227,23 @@ const getSettlementDetails = async (settlementId) => {
   }
 };
 
+// Signature and event id sent with a webhook
+const parseWebhookHeaders = (headers) => ({
+  signature: headers['x-razorpay-signature'],
+  eventId: headers['x-razorpay-event-id']
+});
+
 // Webhook signature verification
-const verifyWebhookSignature = (body, signature, secret) => {
+const verifyWebhookSignature = (body, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => {
   try {
     const expectedSignature = crypto
       .createHmac('sha256', secret)
       .update(body)
       .digest('hex');
     
-    return signature === expectedSignature;
+    return typeof signature === 'string' &&
+      signature.length === expectedSignature.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expectedSignature));
   } catch (error) {
     console.error('Webhook signature verification error:', error);
     return false;
@@ -210,15 +251,18 @@ const verifyWebhookSignature = (body, signature, secret) => {
 };
 
 module.exports = {
-  razorpay,
+  name: 'razorpay',
+  getClient,
   createOrder,
   verifyPayment,
   capturePayment,
   createRefund,
   getPaymentDetails,
+  getOrderPayments,
   getOrderDetails,
   createCustomer,
   createVirtualAccount,
   getSettlementDetails,
+  parseWebhookHeaders,
   verifyWebhookSignature
 };
@@ -0,0 +1,559 @@
+const Invoice = require('../models/Invoice');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const { createPdf } = require('./pdf');
+const { sendRideReceiptEmail } = require('./email');
+
+const RECEIPT_CONFIG = {
+  invoicePrefix: process.env.INVOICE_PREFIX || 'IU',
+  companyName: process.env.COMPANY_NAME || 'Idhar Udhar',
+  companyAddress: process.env.COMPANY_ADDRESS || '',
+  companyGstin: process.env.COMPANY_GSTIN || '',
+  // Retries when another invoice takes the same number first
+  maxNumberAttempts: 5
+};
+
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+const BRAND_COLOR = '#ff6b35';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Indian financial year (1 April to 31 March, IST) a date falls in, e.g. 2026-27
+const financialYearOf = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String(start + 1).slice(2)}`;
+};
+
+// Start and end of a calendar month ('YYYY-MM') in IST
+const monthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  return {
+    from: new Date(Date.UTC(year, monthIndex - 1, 1) - IST_OFFSET_MS),
+    to: new Date(Date.UTC(year, monthIndex, 1) - IST_OFFSET_MS - 1)
+  };
+};
+
+const formatAmount = (value) => (value || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+const formatDate = (date, withTime = false) => date
+  ? new Date(date).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    ...(withTime && { hour: '2-digit', minute: '2-digit' })
+  })
+  : '-';
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const truncate = (value, length) => {
+  const text = String(value || '');
+  return text.length > length ? `${text.slice(0, length - 3)}...` : text;
+};
+
+// Amounts an invoice is issued for; GST is worked out as Payment.calculateFees does
+const invoiceAmounts = (ride) => {
+  const { totalFare, discount = 0, finalAmount } = ride.pricing;
+  const fees = Payment.feesFor(finalAmount);
+  return {
+    fare: totalFare,
+    discount,
+    taxableValue: roundAmount(fees.platformFee + fees.processingFee),
+    ...fees,
+    total: finalAmount
+  };
+};
+
+// The ride's invoice, issued on first use with the next number in the financial
+// year. Numbers are taken as highest + 1 under a unique index, so a failed issue
+// never uses one up and the series has no gaps.
+const issueInvoice = async (ride) => {
+  const existing = await Invoice.findOne({ ride: ride._id });
+  if (existing) {
+    return existing;
+  }
+
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+
+  for (let attempt = 0; attempt < RECEIPT_CONFIG.maxNumberAttempts; attempt++) {
+    const last = await Invoice.findOne({ financialYear }).sort({ sequence: -1 }).select('sequence');
+    const sequence = last ? last.sequence + 1 : 1;
+
+    try {
+      return await Invoice.create({
+        invoiceNumber: `${RECEIPT_CONFIG.invoicePrefix}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+        financialYear,
+        sequence,
+        ride: ride._id,
+        user: ride.user._id || ride.user,
+        amounts: invoiceAmounts(ride),
+        issuedAt
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // The number was taken, or a concurrent request invoiced this ride
+      const issued = await Invoice.findOne({ ride: ride._id });
+      if (issued) {
+        return issued;
+      }
+    }
+  }
+
+  throw new Error(`Could not number an invoice for ride ${ride._id}`);
+};
+
+// A completed ride with the rider and driver details a receipt shows
+const loadRideForReceipt = (rideId) => Ride.findById(rideId)
+  .populate('user', 'fullName email phone')
+  .populate('driver', 'fullName driverInfo.vehicleType driverInfo.vehicleNumber driverInfo.vehicleModel driverInfo.vehicleColor');
+
+// Fare lines from Ride.pricing; anything the parts don't explain (the minimum fare) is an adjustment
+const fareLines = (pricing) => {
+  const metered = pricing.baseFare + pricing.distanceFare + pricing.timeFare;
+  const lines = [
+    { label: 'Base fare', amount: pricing.baseFare },
+    { label: 'Distance fare', amount: pricing.distanceFare },
+    { label: 'Time fare', amount: pricing.timeFare },
+    { label: `Surge (${pricing.surgeMultiplier}x)`, amount: roundAmount(metered * (pricing.surgeMultiplier - 1)) },
+    { label: 'Night surcharge', amount: pricing.nightSurcharge },
+    { label: 'Booking fee', amount: pricing.bookingFee },
+    { label: `Waiting charge${pricing.waitingMinutes ? ` (${pricing.waitingMinutes} min)` : ''}`, amount: pricing.waitingCharge },
+    { label: 'Waiting at stops', amount: pricing.stopWaitingCharge }
+  ].filter(line => line.amount > 0 || line.label === 'Base fare');
+
+  const adjustment = roundAmount(pricing.totalFare - lines.reduce((sum, line) => sum + line.amount, 0));
+  if (Math.abs(adjustment) >= 0.01) {
+    lines.push({ label: adjustment > 0 ? 'Minimum fare adjustment' : 'Rounding', amount: adjustment });
+  }
+  return lines;
+};
+
+// Everything a receipt shows, for either format
+const buildReceipt = (ride, invoice) => {
+  const driverInfo = (ride.driver && ride.driver.driverInfo) || {};
+  const { amounts } = invoice;
+  const tip = ride.tip && ride.tip.status === 'paid' ? ride.tip.amount : 0;
+  const coRiderShares = (ride.split && ride.split.paidAmount) || 0;
+  const cgst = roundAmount(amounts.gst / 2);
+
+  return {
+    company: {
+      name: RECEIPT_CONFIG.companyName,
+      address: RECEIPT_CONFIG.companyAddress,
+      gstin: RECEIPT_CONFIG.companyGstin
+    },
+    invoice: {
+      number: invoice.invoiceNumber,
+      financialYear: invoice.financialYear,
+      issuedAt: invoice.issuedAt
+    },
+    rider: {
+      name: ride.user.fullName,
+      email: ride.user.email,
+      phone: ride.user.phone
+    },
+    ride: {
+      id: ride._id,
+      rideType: ride.rideType,
+      serviceType: ride.serviceType,
+      pickup: ride.pickup.address,
+      destination: ride.destination.address,
+      stops: ride.route.waypoints.map(stop => stop.address),
+      startedAt: ride.actualStartTime,
+      endedAt: ride.actualEndTime,
+      distance: ride.route.distance,
+      duration: ride.route.duration
+    },
+    driver: ride.driver && {
+      name: ride.driver.fullName,
+      vehicleType: driverInfo.vehicleType,
+      vehicleNumber: driverInfo.vehicleNumber,
+      vehicle: [driverInfo.vehicleColor, driverInfo.vehicleModel].filter(Boolean).join(' ')
+    },
+    fare: fareLines(ride.pricing),
+    subtotal: amounts.fare,
+    discount: amounts.discount,
+    promoCode: ride.pricing.promoCode,
+    total: amounts.total,
+    taxes: {
+      platformFee: amounts.platformFee,
+      processingFee: amounts.processingFee,
+      taxableValue: amounts.taxableValue,
+      rate: Payment.FEE_RATES.gst * 100,
+      cgst,
+      sgst: roundAmount(amounts.gst - cgst),
+      gst: amounts.gst
+    },
+    tip,
+    coRiderShares,
+    totalPaid: roundAmount(amounts.total - coRiderShares + tip),
+    payment: {
+      method: ride.payment.method,
+      status: ride.payment.status
+    }
+  };
+};
+
+const htmlPage = (title, body) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+</head>
+<body style="margin: 0; background: #f9f9f9;">
+  <div style="font-family: Arial, sans-serif; max-width: 720px; margin: 0 auto; background: white; color: #333;">
+    <div style="background: linear-gradient(135deg, #ff6b35, #f7931e); padding: 20px;">
+      <h1 style="color: white; margin: 0;">${escapeHtml(RECEIPT_CONFIG.companyName)}</h1>
+      <p style="color: white; margin: 4px 0 0;">${escapeHtml(title)}</p>
+    </div>
+    <div style="padding: 24px 30px;">
+${body}
+    </div>
+    <div style="background: #333; color: white; padding: 16px; text-align: center; font-size: 12px;">
+      <p style="margin: 0;">${escapeHtml([RECEIPT_CONFIG.companyName, RECEIPT_CONFIG.companyAddress].filter(Boolean).join(', '))}</p>
+      ${RECEIPT_CONFIG.companyGstin ? `<p style="margin: 4px 0 0;">GSTIN: ${escapeHtml(RECEIPT_CONFIG.companyGstin)}</p>` : ''}
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+const htmlRow = (label, value, { bold = false } = {}) => `
+        <tr${bold ? ' style="font-weight: bold; border-top: 1px solid #ddd;"' : ''}>
+          <td style="padding: 6px 0;">${escapeHtml(label)}</td>
+          <td style="padding: 6px 0; text-align: right;">${value}</td>
+        </tr>`;
+
+const renderReceiptHtml = (receipt) => {
+  const { invoice, rider, ride, driver, taxes } = receipt;
+  const rows = [
+    ...receipt.fare.map(line => htmlRow(line.label, `₹${formatAmount(line.amount)}`)),
+    htmlRow('Subtotal', `₹${formatAmount(receipt.subtotal)}`, { bold: true }),
+    ...(receipt.discount > 0
+      ? [htmlRow(`Discount${receipt.promoCode ? ` (${receipt.promoCode})` : ''}`, `-₹${formatAmount(receipt.discount)}`)]
+      : []),
+    htmlRow('Ride fare', `₹${formatAmount(receipt.total)}`, { bold: true }),
+    ...(receipt.coRiderShares > 0 ? [htmlRow('Paid by co-riders', `-₹${formatAmount(receipt.coRiderShares)}`)] : []),
+    ...(receipt.tip > 0 ? [htmlRow('Tip to driver', `₹${formatAmount(receipt.tip)}`)] : []),
+    htmlRow('Total paid', `₹${formatAmount(receipt.totalPaid)}`, { bold: true })
+  ];
+
+  const body = `
+      <table style="width: 100%; font-size: 14px;">
+        <tr>
+          <td><strong>Invoice:</strong> ${escapeHtml(invoice.number)}<br><strong>Date:</strong> ${escapeHtml(formatDate(invoice.issuedAt))}</td>
+          <td style="text-align: right;"><strong>Billed to:</strong> ${escapeHtml(rider.name)}<br>${escapeHtml(rider.email || rider.phone || '')}</td>
+        </tr>
+      </table>
+      <h3 style="margin: 24px 0 8px;">Trip</h3>
+      <p style="margin: 4px 0;"><strong>From:</strong> ${escapeHtml(ride.pickup)}</p>
+      ${ride.stops.map(stop => `<p style="margin: 4px 0;"><strong>Stop:</strong> ${escapeHtml(stop)}</p>`).join('\n      ')}
+      <p style="margin: 4px 0;"><strong>To:</strong> ${escapeHtml(ride.destination)}</p>
+      <p style="margin: 4px 0;">${escapeHtml(formatDate(ride.startedAt, true))} - ${escapeHtml(formatDate(ride.endedAt, true))} · ${escapeHtml(ride.distance)} km · ${escapeHtml(ride.duration)} min · ${escapeHtml(ride.rideType)}</p>
+      ${driver ? `<p style="margin: 4px 0;"><strong>Driver:</strong> ${escapeHtml(driver.name)} · ${escapeHtml([driver.vehicle, driver.vehicleType, driver.vehicleNumber].filter(Boolean).join(' · '))}</p>` : ''}
+      <h3 style="margin: 24px 0 8px;">Fare</h3>
+      <table style="width: 100%; border-collapse: collapse; font-size: 14px;">${rows.join('')}
+      </table>
+      <p style="color: #666; font-size: 12px; margin-top: 16px;">
+        The ride fare includes platform (₹${formatAmount(taxes.platformFee)}) and processing (₹${formatAmount(taxes.processingFee)}) fees, a taxable value of
+        ₹${formatAmount(taxes.taxableValue)}, on which GST at ${taxes.rate}% is ₹${formatAmount(taxes.gst)}
+        (CGST ₹${formatAmount(taxes.cgst)} + SGST ₹${formatAmount(taxes.sgst)}). Tips go to the driver in full and are not taxed.
+      </p>
+      <p style="font-size: 14px;"><strong>Payment:</strong> ${escapeHtml(receipt.payment.method)} (${escapeHtml(receipt.payment.status)})</p>`;
+
+  return htmlPage(`Tax invoice ${invoice.number}`, body);
+};
+
+// Lays out lines top to bottom, starting a new page when one fills up
+const createPdfLayout = (title) => {
+  const doc = createPdf();
+  const { PAGE } = doc;
+  const right = PAGE.width - PAGE.margin;
+  let y = 0;
+
+  const header = () => {
+    doc.rect(0, 0, PAGE.width, 70, BRAND_COLOR)
+      .text(PAGE.margin, 36, RECEIPT_CONFIG.companyName, { size: 20, bold: true, color: '#ffffff' })
+      .text(PAGE.margin, 56, title, { size: 11, color: '#ffffff' });
+    y = 100;
+  };
+
+  const ensureSpace = (height) => {
+    if (y + height > PAGE.height - PAGE.margin) {
+      doc.addPage();
+      header();
+    }
+  };
+
+  header();
+
+  return {
+    doc,
+    right,
+    left: PAGE.margin,
+    line(value, { size = 10, bold = false, color, gap = 16 } = {}) {
+      ensureSpace(gap);
+      doc.text(PAGE.margin, y, value, { size, bold, color });
+      y += gap;
+    },
+    row(label, value, { bold = false, gap = 16 } = {}) {
+      ensureSpace(gap);
+      doc.text(PAGE.margin, y, label, { bold }).text(right, y, value, { bold, align: 'right' });
+      y += gap;
+    },
+    columns(cells, { bold = false, gap = 14, size = 8 } = {}) {
+      ensureSpace(gap);
+      cells.forEach(({ x, value, align }) => doc.text(x, y, value, { size, bold, align }));
+      y += gap;
+    },
+    rule(gap = 10) {
+      doc.rule(PAGE.margin, right, y - 10);
+      y += gap - 10;
+    },
+    space(gap = 10) {
+      y += gap;
+    },
+    footer() {
+      y += 10;
+      const company = [RECEIPT_CONFIG.companyName, RECEIPT_CONFIG.companyAddress].filter(Boolean).join(', ');
+      this.line(company, { size: 8, color: '#666666', gap: 12 });
+      if (RECEIPT_CONFIG.companyGstin) {
+        this.line(`GSTIN: ${RECEIPT_CONFIG.companyGstin}`, { size: 8, color: '#666666', gap: 12 });
+      }
+    }
+  };
+};
+
+const rs = (value) => `Rs. ${formatAmount(value)}`;
+
+const renderReceiptPdf = (receipt) => {
+  const { invoice, rider, ride, driver, taxes } = receipt;
+  const layout = createPdfLayout(`Tax invoice ${invoice.number}`);
+
+  layout.row(`Invoice: ${invoice.number}`, `Billed to: ${rider.name}`, { bold: true });
+  layout.row(`Date: ${formatDate(invoice.issuedAt)}`, rider.email || rider.phone || '');
+  layout.space();
+
+  layout.line('Trip', { size: 12, bold: true, gap: 18 });
+  layout.line(`From: ${truncate(ride.pickup, 95)}`);
+  ride.stops.forEach(stop => layout.line(`Stop: ${truncate(stop, 95)}`));
+  layout.line(`To: ${truncate(ride.destination, 95)}`);
+  layout.line(`${formatDate(ride.startedAt, true)} - ${formatDate(ride.endedAt, true)}  |  ${ride.distance} km  |  ${ride.duration} min  |  ${ride.rideType}`);
+  if (driver) {
+    layout.line(`Driver: ${driver.name}  |  ${[driver.vehicle, driver.vehicleType, driver.vehicleNumber].filter(Boolean).join('  |  ')}`);
+  }
+  layout.space();
+
+  layout.line('Fare', { size: 12, bold: true, gap: 18 });
+  receipt.fare.forEach(line => layout.row(line.label, rs(line.amount)));
+  layout.rule();
+  layout.row('Subtotal', rs(receipt.subtotal), { bold: true });
+  if (receipt.discount > 0) {
+    layout.row(`Discount${receipt.promoCode ? ` (${receipt.promoCode})` : ''}`, `-${rs(receipt.discount)}`);
+  }
+  layout.row('Ride fare', rs(receipt.total), { bold: true });
+  if (receipt.coRiderShares > 0) {
+    layout.row('Paid by co-riders', `-${rs(receipt.coRiderShares)}`);
+  }
+  if (receipt.tip > 0) {
+    layout.row('Tip to driver', rs(receipt.tip));
+  }
+  layout.rule();
+  layout.row('Total paid', rs(receipt.totalPaid), { bold: true });
+  layout.space();
+
+  layout.line('Taxes included in the ride fare', { size: 12, bold: true, gap: 18 });
+  layout.row('Platform fee', rs(taxes.platformFee));
+  layout.row('Processing fee', rs(taxes.processingFee));
+  layout.row('Taxable value', rs(taxes.taxableValue));
+  layout.row(`CGST (${taxes.rate / 2}%)`, rs(taxes.cgst));
+  layout.row(`SGST (${taxes.rate / 2}%)`, rs(taxes.sgst));
+  layout.line('Tips go to the driver in full and are not taxed.', { size: 8, color: '#666666' });
+  layout.space();
+
+  layout.line(`Payment: ${receipt.payment.method} (${receipt.payment.status})`);
+  layout.footer();
+
+  return layout.doc.toBuffer();
+};
+
+// All of a rider's completed rides in a month, each with its invoice
+const buildStatement = async (user, month) => {
+  const { from, to } = monthRange(month);
+  const rides = await Ride.find({ user: user._id, status: 'completed', actualEndTime: { $gte: from, $lte: to } })
+    .sort({ actualEndTime: 1 })
+    .select('user pricing tip payment.method rideType route.distance pickup.address destination.address actualEndTime');
+
+  const rows = [];
+  for (const ride of rides) {
+    const invoice = await issueInvoice(ride);
+    const tip = ride.tip && ride.tip.status === 'paid' ? ride.tip.amount : 0;
+    rows.push({
+      rideId: ride._id,
+      date: ride.actualEndTime,
+      invoiceNumber: invoice.invoiceNumber,
+      pickup: ride.pickup.address,
+      destination: ride.destination.address,
+      rideType: ride.rideType,
+      distance: ride.route.distance,
+      paymentMethod: ride.payment.method,
+      fare: invoice.amounts.total,
+      gst: invoice.amounts.gst,
+      tip,
+      total: roundAmount(invoice.amounts.total + tip)
+    });
+  }
+
+  const sum = (field) => roundAmount(rows.reduce((total, row) => total + row[field], 0));
+  return {
+    month,
+    from,
+    to,
+    rider: { name: user.fullName, email: user.email, phone: user.phone },
+    rides: rows,
+    totals: {
+      rides: rows.length,
+      distance: sum('distance'),
+      fare: sum('fare'),
+      gst: sum('gst'),
+      tip: sum('tip'),
+      total: sum('total')
+    }
+  };
+};
+
+const renderStatementHtml = (statement) => {
+  const cell = 'padding: 6px 4px; border-bottom: 1px solid #eee;';
+  const rows = statement.rides.map(row => `
+        <tr>
+          <td style="${cell}">${escapeHtml(formatDate(row.date))}</td>
+          <td style="${cell}">${escapeHtml(row.invoiceNumber)}</td>
+          <td style="${cell}">${escapeHtml(row.pickup)} → ${escapeHtml(row.destination)}</td>
+          <td style="${cell} text-align: right;">${escapeHtml(row.distance)} km</td>
+          <td style="${cell} text-align: right;">₹${formatAmount(row.fare)}</td>
+          <td style="${cell} text-align: right;">₹${formatAmount(row.tip)}</td>
+          <td style="${cell} text-align: right;">₹${formatAmount(row.total)}</td>
+        </tr>`).join('');
+  const { totals } = statement;
+
+  const body = `
+      <p style="font-size: 14px;"><strong>${escapeHtml(statement.rider.name)}</strong><br>${escapeHtml(statement.rider.email || statement.rider.phone || '')}</p>
+      <table style="width: 100%; border-collapse: collapse; font-size: 12px;">
+        <tr style="text-align: left;">
+          <th style="${cell}">Date</th>
+          <th style="${cell}">Invoice</th>
+          <th style="${cell}">Route</th>
+          <th style="${cell} text-align: right;">Distance</th>
+          <th style="${cell} text-align: right;">Fare</th>
+          <th style="${cell} text-align: right;">Tip</th>
+          <th style="${cell} text-align: right;">Total</th>
+        </tr>${rows || `
+        <tr><td colspan="7" style="${cell}">No completed rides this month</td></tr>`}
+        <tr style="font-weight: bold;">
+          <td style="${cell}" colspan="3">${totals.rides} rides</td>
+          <td style="${cell} text-align: right;">${totals.distance} km</td>
+          <td style="${cell} text-align: right;">₹${formatAmount(totals.fare)}</td>
+          <td style="${cell} text-align: right;">₹${formatAmount(totals.tip)}</td>
+          <td style="${cell} text-align: right;">₹${formatAmount(totals.total)}</td>
+        </tr>
+      </table>
+      <p style="color: #666; font-size: 12px; margin-top: 16px;">Fares include GST of ₹${formatAmount(totals.gst)} in total. Each ride's tax invoice can be downloaded separately.</p>`;
+
+  return htmlPage(`Statement for ${statement.month}`, body);
+};
+
+const renderStatementPdf = (statement) => {
+  const layout = createPdfLayout(`Statement for ${statement.month}`);
+  const { left, right } = layout;
+  const columns = (date, invoice, route, distance, fare, tip, total) => [
+    { x: left, value: date },
+    { x: left + 62, value: invoice },
+    { x: left + 150, value: route },
+    { x: right - 150, value: distance, align: 'right' },
+    { x: right - 100, value: fare, align: 'right' },
+    { x: right - 55, value: tip, align: 'right' },
+    { x: right, value: total, align: 'right' }
+  ];
+
+  layout.line(statement.rider.name, { bold: true });
+  layout.line(statement.rider.email || statement.rider.phone || '');
+  layout.space();
+
+  layout.columns(columns('Date', 'Invoice', 'Route', 'Km', 'Fare', 'Tip', 'Total'), { bold: true });
+  layout.rule();
+  statement.rides.forEach(row => layout.columns(columns(
+    formatDate(row.date),
+    row.invoiceNumber,
+    truncate(`${row.pickup} to ${row.destination}`, 42),
+    String(row.distance),
+    formatAmount(row.fare),
+    formatAmount(row.tip),
+    formatAmount(row.total)
+  )));
+  if (statement.rides.length === 0) {
+    layout.line('No completed rides this month', { size: 8 });
+  }
+  layout.rule();
+
+  const { totals } = statement;
+  layout.columns(columns(
+    `${totals.rides} rides`, '', '', String(totals.distance), formatAmount(totals.fare), formatAmount(totals.tip), formatAmount(totals.total)
+  ), { bold: true });
+  layout.space();
+  layout.line(`Amounts in Rs. Fares include GST of Rs. ${formatAmount(totals.gst)} in total.`, { size: 8, color: '#666666' });
+  layout.footer();
+
+  return layout.doc.toBuffer();
+};
+
+// Email the receipt once the ride is complete; each invoice is emailed only once
+const sendRideReceipt = async (rideId) => {
+  const ride = await loadRideForReceipt(rideId);
+  if (!ride || ride.status !== 'completed' || !ride.user.email) {
+    return null;
+  }
+
+  const invoice = await issueInvoice(ride);
+  const claimed = await Invoice.findOneAndUpdate(
+    { _id: invoice._id, emailedAt: null },
+    { $set: { emailedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) {
+    return null;
+  }
+
+  const receipt = buildReceipt(ride, claimed);
+  const result = await sendRideReceiptEmail(ride.user.email, {
+    invoiceNumber: claimed.invoiceNumber,
+    html: renderReceiptHtml(receipt),
+    pdf: renderReceiptPdf(receipt)
+  });
+  if (!result.success) {
+    await Invoice.updateOne({ _id: claimed._id }, { $unset: { emailedAt: 1 } });
+  }
+  return result;
+};
+
+module.exports = {
+  RECEIPT_CONFIG,
+  financialYearOf,
+  issueInvoice,
+  loadRideForReceipt,
+  buildReceipt,
+  renderReceiptHtml,
+  renderReceiptPdf,
+  buildStatement,
+  renderStatementHtml,
+  renderStatementPdf,
+  sendRideReceipt
+};
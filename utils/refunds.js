@@ -0,0 +1,317 @@
+const cron = require('node-cron');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const { getPaymentProvider } = require('./paymentProvider');
+const { postRideRefund, postCancellationFee } = require('./ledger');
+const { creditWallet } = require('./wallet');
+
+// Refund configuration
+const REFUND_CONFIG = {
+  maxAttempts: Number(process.env.REFUND_MAX_ATTEMPTS) || 5,
+  retryBaseMinutes: Number(process.env.REFUND_RETRY_BASE_MINUTES) || 5, // doubles after each failure
+  leaseMinutes: 10, // an attempt that never finishes is picked up again after this
+  schedule: '*/5 * * * *' // every 5 minutes
+};
+
+// Payment methods refunded to the rider's wallet instead of the gateway
+const WALLET_METHODS = ['wallet', 'credits'];
+
+const minutesFromNow = (minutes, now = new Date()) => new Date(now.getTime() + minutes * 60 * 1000);
+
+// Credit the wallet once per refund, so a retried attempt can't pay twice
+const refundToWallet = async (refund) => {
+  const reference = `refund:${refund._id}`;
+  const credited = await WalletTransaction.findOne({ reference });
+
+  const result = credited
+    ? { previousBalance: credited.balanceAfter - credited.amount, balanceAfter: credited.balanceAfter }
+    : await creditWallet(refund.user, refund.amount, {
+      type: 'refund',
+      description: 'Refund for cancelled ride',
+      ride: refund.ride,
+      payment: refund._id,
+      reference
+    });
+  if (!result) {
+    throw new Error('Rider account not found');
+  }
+
+  refund.wallet = {
+    previousBalance: result.previousBalance,
+    newBalance: result.balanceAfter,
+    transactionType: 'credit'
+  };
+};
+
+// Send the refund back through the gateway that took the original payment
+const refundToGateway = async (refund) => {
+  const original = refund.refund.originalPaymentId
+    ? await Payment.findById(refund.refund.originalPaymentId)
+    : null;
+  let gatewayPaymentId = original && original.razorpay && original.razorpay.paymentId;
+
+  if (!gatewayPaymentId) {
+    const ride = await Ride.findById(refund.ride).select('payment.razorpayPaymentId');
+    gatewayPaymentId = ride && ride.payment.razorpayPaymentId;
+  }
+  if (!gatewayPaymentId) {
+    throw new Error('No gateway payment found to refund');
+  }
+
+  const provider = getPaymentProvider(original ? original.provider : undefined);
+  const result = await provider.createRefund(gatewayPaymentId, refund.amount, {
+    rideId: refund.ride.toString(),
+    refundPaymentId: refund._id.toString()
+  });
+  if (!result.success) {
+    throw new Error(result.error || 'Gateway refund failed');
+  }
+
+  refund.refund.refundId = result.refund.id;
+  refund.refund.gatewayStatus = result.refund.status;
+};
+
+const notifyRefund = async (io, refund, toWallet) => {
+  const notification = new Notification({
+    user: refund.user,
+    title: 'Refund Processed',
+    message: toWallet
+      ? `₹${refund.amount} for your cancelled ride has been added to your wallet.`
+      : `A refund of ₹${refund.amount} for your cancelled ride has been sent to your original payment method. It may take 5-7 working days to appear.`,
+    type: 'payment',
+    data: { rideId: refund.ride, paymentId: refund._id }
+  });
+  await notification.save();
+
+  if (io) {
+    io.to(`user_${refund.user}`).emit('refund-processed', {
+      rideId: refund.ride,
+      paymentId: refund._id,
+      amount: refund.amount,
+      destination: toWallet ? 'wallet' : 'original_method'
+    });
+  }
+};
+
+// Run one attempt of a claimed refund; failures are scheduled for a retry
+const attemptRefund = async (io, refund) => {
+  const toWallet = WALLET_METHODS.includes(refund.method);
+
+  try {
+    if (toWallet) {
+      await refundToWallet(refund);
+    } else {
+      await refundToGateway(refund);
+    }
+
+    refund.status = 'completed';
+    refund.completedAt = new Date();
+    refund.refund.processedAt = refund.completedAt;
+    refund.retry.nextAttemptAt = null;
+    await refund.save();
+    await postRideRefund(refund);
+
+    // A co-rider's share refund leaves the booker's payment as it is
+    await Ride.updateOne(
+      { _id: refund.ride, user: refund.user },
+      { $set: { 'payment.status': 'refunded' }, $inc: { __v: 1 } }
+    );
+
+    await notifyRefund(io, refund, toWallet);
+  } catch (error) {
+    console.error('Refund attempt error:', error);
+
+    const exhausted = refund.retry.attempts >= REFUND_CONFIG.maxAttempts;
+    refund.status = 'failed';
+    refund.failedAt = new Date();
+    refund.error = { code: 'REFUND_FAILED', message: error.message };
+    refund.retry.lastError = error.message;
+    refund.retry.nextAttemptAt = exhausted
+      ? null
+      : minutesFromNow(REFUND_CONFIG.retryBaseMinutes * 2 ** (refund.retry.attempts - 1));
+    await refund.save();
+
+    if (exhausted) {
+      console.error(`Refund ${refund._id} gave up after ${refund.retry.attempts} attempts and needs manual review`);
+    }
+  }
+
+  return refund;
+};
+
+// Close a cancelled ride's fare split and give co-riders back the shares they paid, in full
+const refundSplitShares = async (io, ride) => {
+  const closed = await Ride.findOneAndUpdate(
+    { _id: ride._id, 'split.mode': { $exists: true }, 'split.closedAt': null },
+    { $set: { 'split.closedAt': new Date() }, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!closed) {
+    return [];
+  }
+
+  const paid = closed.split.participants.filter(participant => participant.status === 'paid');
+  const refunds = [];
+  for (const participant of paid) {
+    const share = await Payment.findById(participant.payment);
+    if (!share || await Payment.exists({ type: 'refund', 'refund.originalPaymentId': share._id })) {
+      continue;
+    }
+
+    const refund = new Payment({
+      user: share.user,
+      ride: closed._id,
+      type: 'refund',
+      amount: share.amount,
+      currency: share.currency,
+      method: share.method,
+      provider: share.provider,
+      status: 'processing',
+      description: 'Refund of fare share for cancelled ride',
+      refund: {
+        originalPaymentId: share._id,
+        refundAmount: share.amount,
+        reason: closed.cancellation.reason || 'Ride cancelled'
+      },
+      retry: {
+        attempts: 1,
+        nextAttemptAt: minutesFromNow(REFUND_CONFIG.leaseMinutes)
+      }
+    });
+    try {
+      await refund.save();
+    } catch (error) {
+      // Another request already refunded this share
+      if (error.code === 11000) {
+        continue;
+      }
+      throw error;
+    }
+
+    await Ride.updateOne(
+      { _id: closed._id, 'split.participants._id': participant._id },
+      { $set: { 'split.participants.$.status': 'refunded' }, $inc: { __v: 1 } }
+    );
+    refunds.push(await attemptRefund(io, refund));
+  }
+
+  return refunds;
+};
+
+// Refund what a cancelled, prepaid ride is owed, including co-riders' paid
+// shares; returns the booker's refund payment or null
+const refundCancelledRide = async (io, ride) => {
+  await refundSplitShares(io, ride);
+
+  if (ride.payment.method === 'cash' || ride.payment.status !== 'completed') {
+    return null;
+  }
+
+  const existing = await Payment.findOne({ ride: ride._id, type: 'refund', user: ride.user });
+  if (existing) {
+    return existing;
+  }
+
+  const original = await Payment.findOne({ ride: ride._id, type: 'ride', status: 'completed' })
+    .sort({ completedAt: -1 });
+
+  let amount = ride.cancellation.refundAmount || 0;
+  if (original) {
+    amount = Math.min(amount, original.amount);
+
+    // Whatever isn't refunded was kept as the cancellation fee
+    const fee = Math.round((original.amount - Math.max(amount, 0)) * 100) / 100;
+    if (fee > 0) {
+      await postCancellationFee(ride, fee);
+    }
+  }
+  if (amount <= 0) {
+    return null;
+  }
+
+  const method = original
+    ? original.method
+    : (WALLET_METHODS.includes(ride.payment.method) ? 'wallet' : ride.payment.method);
+
+  const refund = new Payment({
+    user: ride.user,
+    ride: ride._id,
+    type: 'refund',
+    amount,
+    currency: original ? original.currency : 'INR',
+    method,
+    ...(original && { provider: original.provider }),
+    status: 'processing',
+    description: 'Refund for cancelled ride',
+    refund: {
+      originalPaymentId: original ? original._id : undefined,
+      refundAmount: amount,
+      reason: ride.cancellation.reason || 'Ride cancelled'
+    },
+    retry: {
+      attempts: 1,
+      nextAttemptAt: minutesFromNow(REFUND_CONFIG.leaseMinutes)
+    }
+  });
+  try {
+    await refund.save();
+  } catch (error) {
+    // Another request refunded this ride first; the unique index lets only one through
+    if (error.code === 11000) {
+      return Payment.findOne({ ride: ride._id, type: 'refund', user: ride.user });
+    }
+    throw error;
+  }
+
+  return attemptRefund(io, refund);
+};
+
+// Claim and retry refunds that failed or stalled mid-attempt
+const retryFailedRefunds = async (io) => {
+  let retried = 0;
+
+  while (true) {
+    const now = new Date();
+    const refund = await Payment.findOneAndUpdate(
+      {
+        type: 'refund',
+        status: { $in: ['failed', 'processing'] },
+        'retry.nextAttemptAt': { $ne: null, $lte: now }
+      },
+      {
+        $set: { status: 'processing', 'retry.nextAttemptAt': minutesFromNow(REFUND_CONFIG.leaseMinutes, now) },
+        $inc: { 'retry.attempts': 1 }
+      },
+      { new: true, sort: { 'retry.nextAttemptAt': 1 } }
+    );
+    if (!refund) {
+      break;
+    }
+
+    await attemptRefund(io, refund);
+    retried++;
+  }
+
+  return retried;
+};
+
+// Start the periodic refund retry job
+const startRefundRetryJob = (io) => {
+  return cron.schedule(REFUND_CONFIG.schedule, async () => {
+    try {
+      await retryFailedRefunds(io);
+    } catch (error) {
+      console.error('Refund retry job error:', error);
+    }
+  });
+};
+
+module.exports = {
+  REFUND_CONFIG,
+  refundSplitShares,
+  refundCancelledRide,
+  retryFailedRefunds,
+  startRefundRetryJob
+};
@@ -0,0 +1,97 @@
+// Ride status state machine
+//
+// Each entry maps a current status to the statuses it may move to, and for
+// each target the actors allowed to trigger that transition.
+
+const RIDE_ACTORS = ['user', 'driver', 'system', 'admin'];
+
+const RIDE_TRANSITIONS = {
+  pending: {
+    scheduled: ['system'],
+    searching: ['system'],
+    accepted: ['driver', 'system'],
+    cancelled: ['user', 'system', 'admin']
+  },
+  scheduled: {
+    searching: ['system'],
+    cancelled: ['user', 'system', 'admin']
+  },
+  searching: {
+    accepted: ['driver', 'system'],
+    no_driver_found: ['system'],
+    cancelled: ['user', 'system', 'admin']
+  },
+  // A driver backing out sends the ride back to searching
+  accepted: {
+    arrived: ['driver', 'admin'],
+    searching: ['driver', 'system'],
+    cancelled: ['user', 'driver', 'system', 'admin']
+  },
+  arrived: {
+    started: ['driver', 'admin'],
+    searching: ['driver', 'system'],
+    cancelled: ['user', 'driver', 'system', 'admin']
+  },
+  started: {
+    completed: ['driver', 'system', 'admin'],
+    cancelled: ['system', 'admin']
+  },
+  completed: {},
+  cancelled: {},
+  no_driver_found: {}
+};
+
+// Error raised when a status change is not allowed
+class RideTransitionError extends Error {
+  constructor(from, to, actor) {
+    const allowed = RIDE_TRANSITIONS[from] && RIDE_TRANSITIONS[from][to];
+    const message = allowed
+      ? `${actor} is not allowed to move a ride from ${from} to ${to}`
+      : `Cannot move a ride from ${from} to ${to}`;
+
+    super(message);
+    this.name = 'RideTransitionError';
+    this.code = allowed ? 'TRANSITION_FORBIDDEN' : 'INVALID_TRANSITION';
+    this.statusCode = 409;
+    this.from = from;
+    this.to = to;
+    this.actor = actor;
+  }
+}
+
+// Check whether an actor may move a ride between two statuses
+const canTransition = (from, to, actor) => {
+  const targets = RIDE_TRANSITIONS[from];
+  if (!targets || !targets[to]) {
+    return false;
+  }
+  return targets[to].includes(actor);
+};
+
+// Throw if the transition is not allowed
+const assertTransition = (from, to, actor) => {
+  if (!canTransition(from, to, actor)) {
+    throw new RideTransitionError(from, to, actor);
+  }
+};
+
+// Statuses reachable from the given status, optionally filtered by actor
+const getNextStatuses = (from, actor = null) => {
+  const targets = RIDE_TRANSITIONS[from] || {};
+  return Object.keys(targets).filter(to => !actor || targets[to].includes(actor));
+};
+
+// Statuses from which the actor may move a ride to the given status
+const getSourceStatuses = (to, actor) => {
+  return Object.keys(RIDE_TRANSITIONS).filter(from => canTransition(from, to, actor));
+};
+
+module.exports = {
+  RIDE_ACTORS,
+  RIDE_TRANSITIONS,
+  RideTransitionError,
+  canTransition,
+  assertTransition,
+  getNextStatuses,
+  getSourceStatuses
+};
@@ -0,0 +1,184 @@
+const cron = require('node-cron');
+const Ride = require('../models/Ride');
+const Notification = require('../models/Notification');
+const { startDispatch } = require('./dispatch');
+const { releasePromotion } = require('./promotions');
+const { refundCancelledRide } = require('./refunds');
+
+const parseMinutes = (value, fallback) => {
+  const minutes = String(value || fallback)
+    .split(',')
+    .map(Number)
+    .filter(minute => minute > 0);
+  return [...new Set(minutes)].sort((a, b) => b - a);
+};
+
+// Scheduled ride configuration
+const SCHEDULE_CONFIG = {
+  minLeadMinutes: Number(process.env.SCHEDULED_RIDE_MIN_LEAD_MINUTES) || 30,
+  maxAdvanceDays: Number(process.env.SCHEDULED_RIDE_MAX_ADVANCE_DAYS) || 7,
+  dispatchLeadMinutes: Number(process.env.SCHEDULED_RIDE_DISPATCH_LEAD_MINUTES) || 15,
+  freeChangeCutoffMinutes: Number(process.env.SCHEDULED_RIDE_FREE_CHANGE_MINUTES) || 30,
+  reminderMinutes: parseMinutes(process.env.SCHEDULED_RIDE_REMINDER_MINUTES, '30,5'), // largest first
+  schedule: '* * * * *' // every minute
+};
+
+const minutesFromNow = (minutes, now = new Date()) => new Date(now.getTime() + minutes * 60 * 1000);
+
+// Check a requested pickup time is far enough ahead, but not too far
+const validateScheduledTime = (value, now = new Date()) => {
+  const scheduledTime = new Date(value);
+
+  if (isNaN(scheduledTime.getTime())) {
+    return { success: false, message: 'Scheduled time must be a valid date' };
+  }
+  if (scheduledTime < minutesFromNow(SCHEDULE_CONFIG.minLeadMinutes, now)) {
+    return {
+      success: false,
+      message: `Scheduled rides must be booked at least ${SCHEDULE_CONFIG.minLeadMinutes} minutes in advance`
+    };
+  }
+  if (scheduledTime > minutesFromNow(SCHEDULE_CONFIG.maxAdvanceDays * 24 * 60, now)) {
+    return {
+      success: false,
+      message: `Scheduled rides can be booked at most ${SCHEDULE_CONFIG.maxAdvanceDays} days in advance`
+    };
+  }
+
+  return { success: true, scheduledTime };
+};
+
+// Whether the rider can still edit or cancel a scheduled ride for free
+const isWithinFreeChangeWindow = (ride, now = new Date()) => {
+  if (!ride.scheduledTime) {
+    return false;
+  }
+  return ride.scheduledTime >= minutesFromNow(SCHEDULE_CONFIG.freeChangeCutoffMinutes, now);
+};
+
+// Cancel scheduled rides whose pickup passed before dispatch could start
+const expireMissedRides = async (io, now) => {
+  const rides = await Ride.find({
+    status: 'scheduled',
+    scheduledTime: { $lte: now }
+  });
+
+  for (const ride of rides) {
+    await ride.cancelRide('system', 'No driver found by pickup time');
+    if (ride.pricing.promotion) {
+      await releasePromotion(ride._id);
+    }
+    await refundCancelledRide(io, ride);
+
+    const notification = new Notification({
+      user: ride.user,
+      title: 'Scheduled Ride Cancelled',
+      message: 'We could not find a driver for your scheduled ride, so it has been cancelled at no charge.',
+      type: 'ride_update',
+      data: { rideId: ride._id }
+    });
+    await notification.save();
+
+    if (io) {
+      io.to(`user_${ride.user}`).emit('ride-no-driver-found', { rideId: ride._id, cancelled: true });
+    }
+  }
+
+  return rides.length;
+};
+
+// Start dispatch for rides whose pickup is within the lead time
+const dispatchDueRides = async (io, now) => {
+  const rides = await Ride.find({
+    status: 'scheduled',
+    scheduledTime: { $gt: now, $lte: minutesFromNow(SCHEDULE_CONFIG.dispatchLeadMinutes, now) }
+  }).select('_id');
+
+  for (const ride of rides) {
+    await startDispatch(io, ride._id);
+  }
+
+  return rides.length;
+};
+
+// Remind riders as pickup approaches; each reminder is claimed atomically
+const sendReminders = async (io, now) => {
+  const { reminderMinutes } = SCHEDULE_CONFIG;
+  let sent = 0;
+
+  for (let i = 0; i < reminderMinutes.length; i++) {
+    const minutes = reminderMinutes[i];
+    const nextMinutes = reminderMinutes[i + 1] || 0;
+
+    // Only the closest reminder is sent if the job fell behind
+    const rides = await Ride.find({
+      status: { $in: ['scheduled', 'searching', 'accepted', 'arrived'] },
+      scheduledTime: {
+        $gt: minutesFromNow(nextMinutes, now),
+        $lte: minutesFromNow(minutes, now)
+      },
+      'schedule.remindersSent': { $ne: minutes }
+    }).select('user driver status scheduledTime pickup.address');
+
+    for (const ride of rides) {
+      const claimed = await Ride.updateOne(
+        { _id: ride._id, 'schedule.remindersSent': { $ne: minutes } },
+        { $addToSet: { 'schedule.remindersSent': minutes } }
+      );
+      if (claimed.modifiedCount === 0) {
+        continue;
+      }
+
+      const minutesLeft = Math.max(1, Math.round((ride.scheduledTime - now) / (60 * 1000)));
+      const driverNote = ride.driver ? ' Your driver is on the way.' : ' We are finding you a driver.';
+
+      const notification = new Notification({
+        user: ride.user,
+        title: 'Upcoming Ride',
+        message: `Your ride from ${ride.pickup.address} is in ${minutesLeft} minutes.${driverNote}`,
+        type: 'ride_update',
+        data: { rideId: ride._id }
+      });
+      await notification.save();
+
+      if (io) {
+        io.to(`user_${ride.user}`).emit('ride-reminder', {
+          rideId: ride._id,
+          scheduledTime: ride.scheduledTime,
+          minutesLeft,
+          status: ride.status
+        });
+      }
+      sent++;
+    }
+  }
+
+  return sent;
+};
+
+// One pass of the scheduled ride job
+const processScheduledRides = async (io) => {
+  const now = new Date();
+  await expireMissedRides(io, now);
+  await dispatchDueRides(io, now);
+  await sendReminders(io, now);
+};
+
+// Start the periodic scheduled ride job
+const startScheduledRideJob = (io) => {
+  return cron.schedule(SCHEDULE_CONFIG.schedule, async () => {
+    try {
+      await processScheduledRides(io);
+    } catch (error) {
+      console.error('Scheduled ride job error:', error);
+    }
+  });
+};
+
+module.exports = {
+  SCHEDULE_CONFIG,
+  validateScheduledTime,
+  isWithinFreeChangeWindow,
+  processScheduledRides,
+  startScheduledRideJob
+};
@@ -0,0 +1,342 @@
+const cron = require('node-cron');
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const { postRidePayment, postCashCollected, postRideCompletion } = require('./ledger');
+const { debitWallet } = require('./wallet');
+const { cashDuesFor } = require('./commission');
+const { accrueCashDues, accrueRiderDues, settleCashRide } = require('./cashRides');
+const { postPaidShares } = require('./splitFare');
+
+// Ride payment methods settled from the rider's balances at completion
+const WALLET_METHODS = ['wallet', 'credits'];
+
+// Settlement retry configuration
+const SETTLEMENT_CONFIG = {
+  // Completed rides left unsettled this long are retried
+  retryAfterMinutes: Number(process.env.SETTLEMENT_RETRY_AFTER_MINUTES) || 10,
+  // Rides completed longer ago than this are left for manual follow-up
+  maxAgeHours: Number(process.env.SETTLEMENT_RETRY_MAX_AGE_HOURS) || 72,
+  batchSize: 50,
+  schedule: '*/10 * * * *' // every 10 minutes
+};
+
+// Balance fields a ride can be paid from
+const BALANCE_FIELDS = {
+  credits: 'referralEarnings',
+  wallet: 'wallet.balance'
+};
+
+const MAX_DEBIT_ATTEMPTS = 3;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Debit up to `amount` from a balance, retrying if the balance moves underneath us.
+// `alsoDecrement` names another field that must cover the debit and drops with it.
+const debitBalance = async (userId, source, amount, description, rideId, alsoDecrement = null, reference) => {
+  const field = BALANCE_FIELDS[source];
+
+  for (let attempt = 0; attempt < MAX_DEBIT_ATTEMPTS; attempt++) {
+    const user = await User.findById(userId).select(`${field} ${alsoDecrement || ''}`);
+    if (!user) {
+      return { debited: 0 };
+    }
+
+    const limits = [user.get(field) || 0, amount];
+    if (alsoDecrement) {
+      limits.push(user.get(alsoDecrement) || 0);
+    }
+    const debit = roundAmount(Math.min(...limits));
+    if (debit <= 0) {
+      return { debited: 0 };
+    }
+
+    const filter = {};
+    const alsoInc = {};
+    if (alsoDecrement) {
+      filter[alsoDecrement] = { $gte: debit };
+      alsoInc[alsoDecrement] = -debit;
+    }
+
+    const result = await debitWallet(userId, debit, { account: source, description, ride: rideId, reference, filter, alsoInc });
+    if (result) {
+      return { debited: debit, previousBalance: result.previousBalance, newBalance: result.balanceAfter };
+    }
+  }
+
+  return { debited: 0 };
+};
+
+// Record a completed debit against a ride and post it to the ledger; a debit
+// with a reference is recorded once
+const recordDebit = async (ride, source, debit, description, kind = 'ride_payment', reference) => {
+  const recorded = reference && await Payment.findOne({ ride: ride._id, 'metadata.reference': reference });
+  if (recorded) {
+    await postRidePayment(recorded, { kind });
+    return recorded;
+  }
+
+  const payment = new Payment({
+    user: ride.user,
+    ride: ride._id,
+    type: 'ride',
+    amount: debit.debited,
+    method: source,
+    status: 'completed',
+    description,
+    wallet: {
+      previousBalance: debit.previousBalance,
+      newBalance: debit.newBalance,
+      transactionType: 'debit'
+    },
+    metadata: reference ? { reference } : undefined,
+    completedAt: new Date()
+  });
+  await payment.save();
+  await postRidePayment(payment, { kind });
+  return payment;
+};
+
+// Take a ride's fare from one balance, once per ride and source even if settlement is retried
+const debitForRide = async (ride, source, amount, description) => {
+  const reference = `ride-settlement:${ride._id}:${source}`;
+  const debited = await WalletTransaction.findOne({ reference });
+
+  const debit = debited
+    ? {
+      debited: debited.amount,
+      previousBalance: roundAmount(debited.balanceAfter + debited.amount),
+      newBalance: debited.balanceAfter
+    }
+    : await debitBalance(ride.user, source, amount, description, ride._id, null, reference);
+  if (debit.debited > 0) {
+    await recordDebit(ride, source, debit, description, 'ride_payment', reference);
+  }
+  return debit;
+};
+
+// Charge a completed wallet or credits ride. The ride is only marked settled once
+// the debits and dues are written, so a failed attempt is picked up again by the
+// settlement retry job.
+const settleRide = async (io, rideId) => {
+  const ride = await Ride.claimSettlement(rideId, WALLET_METHODS);
+  if (!ride) {
+    return null;
+  }
+
+  const breakdown = { creditsAmount: 0, walletAmount: 0, fallbackAmount: 0, duesAmount: 0 };
+  // Co-riders' paid shares come off the booker's fare
+  let remaining = ride.getBookerFare();
+
+  // Referral credits go first when the rider chose to pay with them
+  const sources = ride.payment.method === 'credits' ? ['credits', 'wallet'] : ['wallet'];
+  for (const source of sources) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const description = source === 'credits' ? 'Referral credits used for ride' : 'Ride fare paid from wallet';
+    const debit = await debitForRide(ride, source, remaining, description);
+    if (debit.debited > 0) {
+      breakdown[`${source}Amount`] = debit.debited;
+      remaining = roundAmount(remaining - debit.debited);
+    }
+  }
+
+  // The shortfall goes to the fallback method, or is owed
+  if (remaining > 0) {
+    if (ride.payment.fallbackMethod) {
+      breakdown.fallbackAmount = remaining;
+    } else {
+      breakdown.duesAmount = remaining;
+      await accrueRiderDues(ride, remaining);
+    }
+  }
+
+  const status = remaining > 0 ? 'pending' : 'completed';
+  const cashCollected = ride.payment.fallbackMethod === 'cash' ? breakdown.fallbackAmount : 0;
+  const cashDues = cashDuesFor(ride.earnings, cashCollected);
+  const settled = await Ride.updateOne(
+    { _id: ride._id, 'payment.settledAt': null },
+    {
+      $set: {
+        'payment.settledAt': new Date(),
+        'payment.settlingUntil': null,
+        'payment.status': status,
+        'earnings.cashCollected': cashCollected,
+        'earnings.cashDues': cashDues,
+        'payment.creditsAmount': breakdown.creditsAmount,
+        'payment.walletAmount': breakdown.walletAmount,
+        'payment.fallbackAmount': breakdown.fallbackAmount,
+        'payment.duesAmount': breakdown.duesAmount
+      },
+      $inc: { __v: 1 }
+    }
+  );
+  if (settled.modifiedCount === 0) {
+    return null;
+  }
+
+  // Cash the driver took for the shortfall
+  if (cashCollected > 0) {
+    await postCashCollected(ride, cashCollected);
+    await accrueCashDues(io, ride.driver, cashDues);
+  }
+
+  const paid = roundAmount(breakdown.creditsAmount + breakdown.walletAmount);
+  let message = `₹${paid} was paid from your wallet for your ride.`;
+  if (breakdown.fallbackAmount > 0) {
+    message += ` Please pay the remaining ₹${breakdown.fallbackAmount} by ${ride.payment.fallbackMethod}.`;
+  } else if (breakdown.duesAmount > 0) {
+    message += ` ₹${breakdown.duesAmount} is outstanding and must be paid before your next ride.`;
+  }
+
+  const notification = new Notification({
+    user: ride.user,
+    title: 'Ride Payment',
+    message,
+    type: 'payment',
+    priority: breakdown.duesAmount > 0 ? 'high' : 'medium',
+    data: { rideId: ride._id }
+  });
+  await notification.save();
+
+  if (io) {
+    const payload = {
+      rideId: ride._id,
+      status,
+      fallbackMethod: ride.payment.fallbackMethod,
+      ...breakdown
+    };
+    io.to(`user_${ride.user}`).emit('ride-payment-settled', payload);
+    if (ride.driver) {
+      io.to(`user_${ride.driver}`).emit('ride-payment-settled', payload);
+    }
+  }
+
+  return { status, ...breakdown };
+};
+
+// Book a completed ride in the ledger and settle its fare; safe to run again for the same ride
+const settleCompletedRide = async (io, ride) => {
+  await postRideCompletion(ride);
+  await postPaidShares(ride);
+  return ride.payment.method === 'cash'
+    ? settleCashRide(io, ride._id)
+    : settleRide(io, ride._id);
+};
+
+// Settle completed rides whose settlement failed or never ran
+const retryUnsettledRides = async (io) => {
+  const now = new Date();
+  const rides = await Ride.find({
+    status: 'completed',
+    'payment.method': { $in: [...WALLET_METHODS, 'cash'] },
+    'payment.settledAt': null,
+    'earnings.calculatedAt': { $ne: null },
+    actualEndTime: {
+      $gte: new Date(now.getTime() - SETTLEMENT_CONFIG.maxAgeHours * 60 * 60 * 1000),
+      $lte: new Date(now.getTime() - SETTLEMENT_CONFIG.retryAfterMinutes * 60 * 1000)
+    },
+    $or: [
+      { 'payment.settlingUntil': null },
+      { 'payment.settlingUntil': { $lte: now } }
+    ]
+  })
+    .sort({ actualEndTime: 1 })
+    .limit(SETTLEMENT_CONFIG.batchSize);
+
+  let settled = 0;
+  for (const ride of rides) {
+    try {
+      if (await settleCompletedRide(io, ride)) {
+        settled++;
+      }
+    } catch (error) {
+      console.error(`Settlement retry error for ride ${ride._id}:`, error);
+    }
+  }
+
+  return settled;
+};
+
+// Start the periodic settlement retry job
+const startSettlementRetryJob = (io) => {
+  return cron.schedule(SETTLEMENT_CONFIG.schedule, async () => {
+    try {
+      await retryUnsettledRides(io);
+    } catch (error) {
+      console.error('Settlement retry job error:', error);
+    }
+  });
+};
+
+// Pay outstanding dues from the wallet, oldest ride first
+const payDues = async (userId) => {
+  const rides = await Ride.find({ user: userId, 'payment.duesAmount': { $gt: 0 } })
+    .sort({ actualEndTime: 1 })
+    .select('user payment.duesAmount');
+
+  let totalPaid = 0;
+  const settledRides = [];
+
+  for (const ride of rides) {
+    const due = ride.payment.duesAmount;
+    const user = await User.findById(userId).select('wallet.balance');
+    const amount = roundAmount(Math.min(user.wallet.balance, due));
+    if (amount <= 0) {
+      break;
+    }
+
+    // Claim this part of the ride's dues so a concurrent payment can't take it too
+    const claimed = await Ride.updateOne(
+      { _id: ride._id, 'payment.duesAmount': due },
+      { $set: { 'payment.duesAmount': roundAmount(due - amount) }, $inc: { 'payment.walletAmount': amount, __v: 1 } }
+    );
+    if (claimed.modifiedCount === 0) {
+      continue;
+    }
+
+    const description = 'Outstanding ride dues paid from wallet';
+    const debit = await debitBalance(userId, 'wallet', amount, description, ride._id, 'outstandingDues');
+    // Give back whatever the wallet couldn't cover after all
+    const shortfall = roundAmount(amount - debit.debited);
+    if (shortfall > 0) {
+      await Ride.updateOne(
+        { _id: ride._id },
+        { $inc: { 'payment.duesAmount': shortfall, 'payment.walletAmount': -shortfall, __v: 1 } }
+      );
+    }
+    if (debit.debited === 0) {
+      break;
+    }
+
+    await recordDebit(ride, 'wallet', debit, description, 'dues_payment');
+    if (debit.debited === due) {
+      await Ride.updateOne({ _id: ride._id }, { $set: { 'payment.status': 'completed' }, $inc: { __v: 1 } });
+    }
+
+    totalPaid = roundAmount(totalPaid + debit.debited);
+    settledRides.push({ rideId: ride._id, amount: debit.debited });
+  }
+
+  const user = await User.findById(userId).select('outstandingDues wallet.balance');
+  return {
+    paid: totalPaid,
+    rides: settledRides,
+    outstandingDues: user.outstandingDues,
+    walletBalance: user.wallet.balance
+  };
+};
+
+module.exports = {
+  SETTLEMENT_CONFIG,
+  WALLET_METHODS,
+  settleRide,
+  settleCompletedRide,
+  retryUnsettledRides,
+  startSettlementRetryJob,
+  payDues
+};
@@ -0,0 +1,56 @@
+const axios = require('axios');
+
+const hasSmsCreds = () => !!(
+  process.env.SMS_API_URL &&
+  process.env.SMS_API_KEY
+);
+
+// Send an SMS with dev-safe fallback
+const sendSMS = async (phone, message) => {
+  try {
+    if (!hasSmsCreds()) {
+      // Messages carry PINs, so they're only logged outside production
+      if (process.env.NODE_ENV === 'production') {
+        return { success: false, error: 'SMS provider is not configured' };
+      }
+      console.log('📨 [DEV] SMS creds missing. Simulating SMS send.');
+      console.log('📱 To:', phone);
+      console.log('📝 Message:', message);
+      return { success: true, messageId: 'dev-mock-sms-id' };
+    }
+
+    const response = await axios.post(
+      process.env.SMS_API_URL,
+      {
+        to: `+91${phone}`,
+        sender: process.env.SMS_SENDER_ID || 'IDHRUD',
+        message
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${process.env.SMS_API_KEY}`
+        },
+        timeout: 10000
+      }
+    );
+
+    return { success: true, messageId: response.data && response.data.id };
+  } catch (error) {
+    console.error('SMS sending failed:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send delivery PIN to the recipient
+const sendDeliveryPinSMS = async (phone, pin, details = {}) => {
+  const sender = details.senderName ? ` from ${details.senderName}` : '';
+  const message = `Idhar Udhar: Your delivery${sender} is on its way. ` +
+    `Share PIN ${pin} with the driver only when you receive the package.`;
+
+  return sendSMS(phone, message);
+};
+
+module.exports = {
+  sendSMS,
+  sendDeliveryPinSMS
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { acceptRide, rejectOffer } = require('./dispatch');
+const { isOverDuesLimit } = require('./cashRides');
 
 // Initialize Socket.IO handlers
 const initializeSocket = (io) => {
@@ -13,7 +15,7 @@ const initializeSocket = (io) => {
       }
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.userId).select('-wallet.transactions');
+      const user = await User.findById(decoded.userId);
       
       if (!user || !user.isActive) {
         return next(new Error('Authentication error: Invalid user'));
@@ -43,10 +45,30 @@ const initializeSocket = (io) => {
     socket.on('accept-ride', async (data) => {
       try {
         const { rideId } = data;
-        
-        // Emit to all drivers that this ride is no longer available
-        socket.to('drivers').emit('ride-accepted', { rideId });
-        
+
+        if (socket.user.role !== 'Driver') {
+          return socket.emit('error', { message: 'Only drivers can accept rides' });
+        }
+
+        const result = await acceptRide(io, rideId, socket.user);
+        if (!result.success) {
+          return socket.emit('accept-ride-failed', {
+            rideId,
+            message: result.message,
+            code: result.code
+          });
+        }
+
+        socket.emit('accept-ride-confirmed', {
+          rideId,
+          user: {
+            name: result.ride.user.fullName,
+            phone: result.ride.user.phone
+          },
+          pickup: result.ride.pickup,
+          destination: result.ride.destination
+        });
+
         console.log(`Driver ${socket.user.fullName} accepted ride ${rideId}`);
       } catch (error) {
         console.error('Accept ride socket error:', error);
@@ -54,6 +76,27 @@ const initializeSocket = (io) => {
       }
     });
 
+    // Handle a driver declining a ride offer
+    socket.on('reject-ride', async (data) => {
+      try {
+        const { rideId, reason } = data;
+
+        if (socket.user.role !== 'Driver') {
+          return socket.emit('error', { message: 'Only drivers can decline rides' });
+        }
+
+        const result = await rejectOffer(io, rideId, socket.userId, reason);
+        if (!result.success) {
+          return socket.emit('error', { message: result.message });
+        }
+
+        console.log(`Driver ${socket.user.fullName} declined ride ${rideId}`);
+      } catch (error) {
+        console.error('Reject ride socket error:', error);
+        socket.emit('error', { message: 'Failed to decline ride' });
+      }
+    });
+
     // Handle driver location updates
     socket.on('update-location', async (data) => {
       try {
@@ -132,9 +175,17 @@ const initializeSocket = (io) => {
           return socket.emit('error', { message: 'Only drivers can update availability' });
         }
 
+        if (isAvailable) {
+          const driver = await User.findById(socket.userId).select('driverInfo.cashDues');
+          if (isOverDuesLimit(driver.driverInfo.cashDues)) {
+            return socket.emit('error', { message: 'Pay your cash dues to go online', code: 'CASH_DUES_LIMIT' });
+          }
+        }
+
         // Update driver availability in database
         await User.findByIdAndUpdate(socket.userId, {
-          'driverInfo.isAvailable': isAvailable
+          'driverInfo.isAvailable': isAvailable,
+          'driverInfo.availableSince': isAvailable ? new Date() : null
         });
 
         // Emit to all users looking for drivers
@@ -220,7 +271,8 @@ const initializeSocket = (io) => {
         // If driver, update availability
         if (socket.user.role === 'Driver') {
           await User.findByIdAndUpdate(socket.userId, {
-            'driverInfo.isAvailable': false
+            'driverInfo.isAvailable': false,
+            'driverInfo.availableSince': null
           });
         }
 
@@ -0,0 +1,514 @@
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { getPaymentProvider } = require('./paymentProvider');
+const { creditWallet, debitWallet } = require('./wallet');
+const { postRidePayment, postSplitShare, postShareReturned } = require('./ledger');
+
+const SPLIT_CONFIG = {
+  // Smallest share a co-rider can be asked for
+  minShare: 1
+};
+
+const SPLIT_MODES = ['equal', 'custom'];
+const SPLIT_METHODS = ['wallet', 'razorpay'];
+
+// Rides whose fare can no longer be split or shares paid
+const CLOSED_RIDE_STATUSES = ['completed', 'cancelled', 'no_driver_found'];
+
+// Shares being paid or paid; the split can't be changed once there are any
+const PAYING_STATUSES = ['processing', 'pending', 'paid'];
+
+// Shares that no longer count towards the split
+const DROPPED_STATUSES = ['declined', 'fallen_back', 'refunded'];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const floorAmount = (value) => Math.floor(value * 100) / 100;
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+const hasSplit = (ride) => Boolean(ride.split && ride.split.mode);
+
+const isOpen = (ride) => hasSplit(ride) && !ride.split.closedAt && !CLOSED_RIDE_STATUSES.includes(ride.status);
+
+const findParticipant = (ride, userId) => hasSplit(ride)
+  ? ride.split.participants.find(participant => idOf(participant.user) === userId.toString())
+  : null;
+
+// The booking rider and co-riders who haven't declined can see the split
+const canViewSplit = (ride, userId) => {
+  const participant = findParticipant(ride, userId);
+  return idOf(ride.user) === userId.toString() || Boolean(participant && participant.status !== 'declined');
+};
+
+// What the booking rider is left with: the fare less every share still counted
+const bookerShareOf = (ride) => {
+  const shares = ride.split.participants
+    .filter(participant => !DROPPED_STATUSES.includes(participant.status))
+    .reduce((sum, participant) => sum + participant.share, 0);
+  return Math.max(0, roundAmount(ride.pricing.finalAmount - shares));
+};
+
+// The split as every participant sees it
+const getSplitView = (ride) => {
+  if (!hasSplit(ride)) {
+    return null;
+  }
+
+  return {
+    mode: ride.split.mode,
+    fare: ride.pricing.finalAmount,
+    bookerShare: bookerShareOf(ride),
+    paidAmount: ride.split.paidAmount,
+    closedAt: ride.split.closedAt || null,
+    isOpen: isOpen(ride),
+    participants: ride.split.participants.map(participant => ({
+      id: participant._id,
+      user: participant.user,
+      share: participant.share,
+      status: participant.status,
+      method: participant.method,
+      invitedAt: participant.invitedAt,
+      respondedAt: participant.respondedAt,
+      paidAt: participant.paidAt
+    }))
+  };
+};
+
+// Tell the booker and every co-rider still in the split that it changed
+const emitSplitUpdate = (io, ride) => {
+  if (!io || !hasSplit(ride)) {
+    return;
+  }
+
+  const payload = { rideId: ride._id, split: getSplitView(ride) };
+  const userIds = [idOf(ride.user), ...ride.split.participants
+    .filter(participant => participant.status !== 'declined')
+    .map(participant => idOf(participant.user))];
+  userIds.forEach(userId => io.to(`user_${userId}`).emit('split-updated', payload));
+};
+
+const notify = (userId, title, message, data, priority = 'medium') => new Notification({
+  user: userId,
+  title,
+  message,
+  type: 'payment',
+  priority,
+  data
+}).save();
+
+// Riders to invite, matched by phone or email
+const resolveInvitees = async (booker, invitees) => {
+  const users = [];
+  for (const invitee of invitees) {
+    const contact = invitee.phone || invitee.email;
+    const user = await User.findOne(invitee.phone ? { phone: invitee.phone } : { email: invitee.email.toLowerCase() })
+      .select('fullName isActive');
+
+    if (!user || !user.isActive) {
+      return { error: { success: false, statusCode: 404, message: `No rider found with ${contact}` } };
+    }
+    if (user._id.toString() === booker._id.toString()) {
+      return { error: { success: false, statusCode: 400, message: 'You can\'t invite yourself to split a fare' } };
+    }
+    if (users.some(existing => existing._id.toString() === user._id.toString())) {
+      return { error: { success: false, statusCode: 400, message: 'Each co-rider can only be invited once' } };
+    }
+    users.push(user);
+  }
+  return { users };
+};
+
+// Shares fixed from the fare now; later changes to the fare fall to the booker
+const sharesFor = (ride, mode, invitees) => {
+  const fare = ride.pricing.finalAmount;
+
+  if (mode === 'equal') {
+    const share = floorAmount(fare / (invitees.length + 1));
+    if (share < SPLIT_CONFIG.minShare) {
+      return { error: `The fare is too small to split ${invitees.length + 1} ways` };
+    }
+    return { shares: invitees.map(() => share) };
+  }
+
+  const shares = invitees.map(invitee => roundAmount(Number(invitee.share)));
+  if (shares.some(share => !(share >= SPLIT_CONFIG.minShare))) {
+    return { error: `Each co-rider's share must be at least ₹${SPLIT_CONFIG.minShare}` };
+  }
+  const total = roundAmount(shares.reduce((sum, share) => sum + share, 0));
+  if (total > fare) {
+    return { error: `Shares add up to ₹${total}, more than the fare of ₹${fare}` };
+  }
+  return { shares };
+};
+
+// Invite co-riders to split the fare, replacing any split nobody has paid into yet
+const setupSplit = async (io, booker, rideId, { mode, invitees }) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    return { success: false, statusCode: 404, message: 'Ride not found' };
+  }
+  if (ride.user.toString() !== booker._id.toString()) {
+    return { success: false, statusCode: 403, message: 'Only the rider who booked can split the fare' };
+  }
+  if (CLOSED_RIDE_STATUSES.includes(ride.status) || (hasSplit(ride) && ride.split.closedAt)) {
+    return { success: false, statusCode: 400, message: 'The fare can only be split before the ride ends' };
+  }
+  if (ride.payment.status !== 'pending' || await Payment.exists({ ride: ride._id, type: 'ride', status: 'pending' })) {
+    return { success: false, statusCode: 409, message: 'This ride is already being paid for' };
+  }
+  if (hasSplit(ride) && ride.split.participants.some(participant => PAYING_STATUSES.includes(participant.status))) {
+    return { success: false, statusCode: 409, message: 'Co-riders have started paying, so the split can no longer be changed' };
+  }
+  if (invitees.length > ride.passengers - 1) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: `A ride booked for ${ride.passengers} passenger${ride.passengers === 1 ? '' : 's'} can have at most ${ride.passengers - 1} co-riders`
+    };
+  }
+
+  const { users, error } = await resolveInvitees(booker, invitees);
+  if (error) {
+    return error;
+  }
+
+  const { shares, error: shareError } = sharesFor(ride, mode, invitees);
+  if (shareError) {
+    return { success: false, statusCode: 400, message: shareError };
+  }
+
+  const split = {
+    mode,
+    participants: users.map((user, index) => ({ user: user._id, share: shares[index], status: 'invited' })),
+    paidAmount: 0
+  };
+
+  // Nobody may have started paying into the split being replaced
+  const updated = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      status: { $nin: CLOSED_RIDE_STATUSES },
+      'payment.status': 'pending',
+      'split.closedAt': null,
+      'split.participants.status': { $nin: PAYING_STATUSES }
+    },
+    { $set: { split }, $inc: { __v: 1 } },
+    { new: true }
+  );
+  if (!updated) {
+    return { success: false, statusCode: 409, message: 'The ride changed while the split was being set up. Please try again.' };
+  }
+
+  for (const participant of updated.split.participants) {
+    await notify(
+      participant.user,
+      'Split Fare Request',
+      `${booker.fullName} invited you to split the fare for a ride. Your share is ₹${participant.share}.`,
+      { rideId: updated._id, participantId: participant._id, share: participant.share, action: 'split_invite' }
+    );
+
+    if (io) {
+      io.to(`user_${participant.user}`).emit('split-invite', {
+        rideId: updated._id,
+        participantId: participant._id,
+        share: participant.share,
+        invitedBy: booker.fullName
+      });
+    }
+  }
+  emitSplitUpdate(io, updated);
+
+  return { success: true, split: getSplitView(updated) };
+};
+
+// Load a ride for one of its co-riders, with the reason they can't act on it now
+const loadParticipant = async (user, rideId) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    return { error: { success: false, statusCode: 404, message: 'Ride not found' } };
+  }
+
+  const participant = findParticipant(ride, user._id);
+  if (!participant) {
+    return { error: { success: false, statusCode: 403, message: 'You have not been invited to split this ride' } };
+  }
+  if (!isOpen(ride)) {
+    return { error: { success: false, statusCode: 400, message: 'This ride\'s fare split has closed' } };
+  }
+  return { ride, participant };
+};
+
+// Accept or decline an invitation to split the fare
+const respondToSplit = async (io, user, rideId, accept) => {
+  const { ride, participant, error } = await loadParticipant(user, rideId);
+  if (error) {
+    return error;
+  }
+  if (participant.status !== 'invited') {
+    return { success: false, statusCode: 409, message: 'You have already responded to this split' };
+  }
+
+  const updated = await Ride.findOneAndUpdate(
+    {
+      _id: ride._id,
+      status: { $nin: CLOSED_RIDE_STATUSES },
+      'split.closedAt': null,
+      'split.participants': { $elemMatch: { _id: participant._id, status: 'invited' } }
+    },
+    {
+      $set: {
+        'split.participants.$.status': accept ? 'accepted' : 'declined',
+        'split.participants.$.respondedAt': new Date()
+      },
+      $inc: { __v: 1 }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { success: false, statusCode: 409, message: 'This split changed before you responded. Please try again.' };
+  }
+
+  await notify(
+    updated.user,
+    'Split Fare Update',
+    accept
+      ? `${user.fullName} will pay ₹${participant.share} of your ride fare.`
+      : `${user.fullName} declined to split your ride fare, so their ₹${participant.share} share is yours to pay.`,
+    { rideId: updated._id, participantId: participant._id }
+  );
+  emitSplitUpdate(io, updated);
+  if (io && !accept) {
+    io.to(`user_${user._id}`).emit('split-updated', { rideId: updated._id, split: getSplitView(updated) });
+  }
+
+  return { success: true, split: getSplitView(updated) };
+};
+
+// Put a share whose payment didn't go through back to accepted, so it can be paid again
+const releaseShare = (paymentId) => Ride.updateOne(
+  { 'split.participants': { $elemMatch: { payment: paymentId, status: { $in: ['processing', 'pending'] } } } },
+  { $set: { 'split.participants.$.status': 'accepted' }, $inc: { __v: 1 } }
+);
+
+// Count a paid share towards the split; null if the split closed first
+const applyShare = async (io, payment) => {
+  const ride = await Ride.findOneAndUpdate(
+    {
+      status: { $nin: CLOSED_RIDE_STATUSES },
+      'split.closedAt': null,
+      'split.participants': { $elemMatch: { payment: payment._id, status: { $in: ['processing', 'pending'] } } }
+    },
+    {
+      $set: { 'split.participants.$.status': 'paid', 'split.participants.$.paidAt': new Date() },
+      $inc: { 'split.paidAmount': payment.amount, __v: 1 }
+    },
+    { new: true }
+  );
+  if (!ride) {
+    return null;
+  }
+
+  const coRider = await User.findById(payment.user).select('fullName');
+  await notify(
+    ride.user,
+    'Fare Share Paid',
+    `${coRider ? coRider.fullName : 'A co-rider'} paid their ₹${payment.amount} share of your ride fare.`,
+    { rideId: ride._id, paymentId: payment._id }
+  );
+  emitSplitUpdate(io, ride);
+
+  return ride;
+};
+
+// Book a paid share against the ride. If the split closed before it arrived,
+// the co-rider gets the money back in their wallet.
+const settleSharePayment = async (io, payment) => {
+  await postRidePayment(payment);
+
+  const ride = await applyShare(io, payment);
+  if (ride) {
+    return ride;
+  }
+
+  await creditWallet(payment.user, payment.amount, {
+    description: 'Fare share returned to wallet',
+    ride: payment.ride,
+    payment: payment._id,
+    reference: `share-returned:${payment._id}`
+  });
+  await postShareReturned(payment);
+  await notify(
+    payment.user,
+    'Fare Share Returned',
+    `The ride's fare split closed before your payment arrived, so ₹${payment.amount} has been added to your wallet.`,
+    { rideId: payment.ride, paymentId: payment._id }
+  );
+  return null;
+};
+
+// Pay an accepted share from the wallet, or open a gateway order for it
+const payShare = async (io, user, rideId, method = 'wallet') => {
+  const { ride, participant, error } = await loadParticipant(user, rideId);
+  if (error) {
+    return error;
+  }
+
+  const statusErrors = {
+    invited: { statusCode: 400, message: 'Accept the split before paying your share' },
+    declined: { statusCode: 400, message: 'You declined to split this fare' },
+    processing: { statusCode: 409, message: 'Your share is already being paid' },
+    pending: { statusCode: 409, message: 'A payment order is already open for your share' },
+    paid: { statusCode: 409, message: 'You have already paid your share' }
+  };
+  if (statusErrors[participant.status]) {
+    return { success: false, ...statusErrors[participant.status] };
+  }
+
+  const amount = participant.share;
+  const provider = method === 'razorpay' ? getPaymentProvider() : null;
+  const payment = new Payment({
+    user: user._id,
+    ride: ride._id,
+    type: 'ride_share',
+    amount,
+    currency: 'INR',
+    method,
+    status: method === 'wallet' ? 'completed' : 'pending',
+    description: 'Share of ride fare',
+    ...(provider && { provider: provider.name })
+  });
+
+  // Reserve the share for this payment, so it can only be paid once
+  const claimed = await Ride.updateOne(
+    {
+      _id: ride._id,
+      status: { $nin: CLOSED_RIDE_STATUSES },
+      'split.closedAt': null,
+      'split.participants': { $elemMatch: { _id: participant._id, status: 'accepted' } }
+    },
+    {
+      $set: {
+        'split.participants.$.status': method === 'wallet' ? 'processing' : 'pending',
+        'split.participants.$.method': method,
+        'split.participants.$.payment': payment._id
+      },
+      $inc: { __v: 1 }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return { success: false, statusCode: 409, message: 'Your share can no longer be paid' };
+  }
+
+  if (method === 'wallet') {
+    const debit = await debitWallet(user._id, amount, {
+      description: 'Share of ride fare',
+      ride: ride._id,
+      payment: payment._id
+    });
+    if (!debit) {
+      await releaseShare(payment._id);
+      return { success: false, statusCode: 402, message: `Add ₹${amount} to your wallet to pay your share` };
+    }
+
+    payment.completedAt = new Date();
+    payment.wallet = {
+      previousBalance: debit.previousBalance,
+      newBalance: debit.balanceAfter,
+      transactionType: 'debit'
+    };
+    await payment.save();
+
+    const applied = await settleSharePayment(io, payment);
+    if (!applied) {
+      return { success: false, statusCode: 409, message: 'The fare split closed before your payment went through; it has been returned to your wallet' };
+    }
+    return { success: true, payment, split: getSplitView(applied), walletBalance: debit.balanceAfter };
+  }
+
+  const orderResult = await provider.createOrder(
+    amount,
+    'INR',
+    `share_${ride._id}_${Date.now()}`,
+    {
+      userId: user._id.toString(),
+      rideId: ride._id.toString(),
+      type: 'ride_share'
+    }
+  );
+  if (!orderResult.success) {
+    await releaseShare(payment._id);
+    return { success: false, statusCode: 400, message: 'Failed to create payment order', error: orderResult.error };
+  }
+
+  payment.razorpay = {
+    orderId: orderResult.order.id,
+    receipt: orderResult.order.receipt,
+    notes: orderResult.order.notes
+  };
+  await payment.save();
+
+  return { success: true, payment, order: orderResult.order };
+};
+
+// Move co-riders' paid shares off the booker's fare in the ledger; safe to run again
+const postPaidShares = async (ride) => {
+  if (!hasSplit(ride)) {
+    return;
+  }
+
+  const paid = ride.split.participants.filter(participant => participant.status === 'paid');
+  const payments = await Payment.find({ _id: { $in: paid.map(participant => participant.payment) } });
+  for (const payment of payments) {
+    await postSplitShare(ride, payment);
+  }
+};
+
+// As a ride completes (after Ride#closeSplit has been saved): post the paid shares
+// and tell everyone whose share fell back
+const settleSplit = async (io, ride, fallenBack = []) => {
+  if (!hasSplit(ride)) {
+    return null;
+  }
+
+  await postPaidShares(ride);
+
+  for (const participant of fallenBack) {
+    await notify(
+      participant.user,
+      'Split Fare Closed',
+      `The ride has ended and your ₹${participant.share} share wasn't paid, so the rider who booked will pay it.`,
+      { rideId: ride._id, participantId: participant._id }
+    );
+  }
+
+  const fallenBackAmount = roundAmount(fallenBack.reduce((sum, participant) => sum + participant.share, 0));
+  if (fallenBackAmount > 0) {
+    await notify(
+      ride.user,
+      'Split Fare Closed',
+      `Co-riders didn't pay ₹${fallenBackAmount} of their shares, so it has been added to your part of the fare.`,
+      { rideId: ride._id, amount: fallenBackAmount },
+      'high'
+    );
+  }
+  emitSplitUpdate(io, ride);
+
+  return { paidAmount: ride.split.paidAmount, fallenBackAmount, bookerFare: ride.getBookerFare() };
+};
+
+module.exports = {
+  SPLIT_CONFIG,
+  SPLIT_MODES,
+  SPLIT_METHODS,
+  canViewSplit,
+  getSplitView,
+  setupSplit,
+  respondToSplit,
+  payShare,
+  releaseShare,
+  settleSharePayment,
+  postPaidShares,
+  settleSplit
+};
@@ -0,0 +1,195 @@
+const cron = require('node-cron');
+const Ride = require('../models/Ride');
+const User = require('../models/User');
+const SurgeZone = require('../models/SurgeZone');
+
+// Surge configuration
+const SURGE_CONFIG = {
+  geohashPrecision: Number(process.env.SURGE_GEOHASH_PRECISION) || 5, // ~5km cells
+  windowMinutes: Number(process.env.SURGE_WINDOW_MINUTES) || 10,
+  maxMultiplier: Number(process.env.SURGE_MAX_MULTIPLIER) || 2.5,
+  sensitivity: 0.5, // multiplier added per unit of demand above supply
+  smoothing: 0.3, // weight of the newest window
+  schedule: '* * * * *' // every minute
+};
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+// Encode latitude/longitude as a geohash
+const encodeGeohash = (lat, lng, precision = SURGE_CONFIG.geohashPrecision) => {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = '';
+  let bits = 0;
+  let bitCount = 0;
+  let evenBit = true;
+
+  while (hash.length < precision) {
+    const range = evenBit ? lngRange : latRange;
+    const value = evenBit ? lng : lat;
+    const mid = (range[0] + range[1]) / 2;
+
+    if (value >= mid) {
+      bits = (bits << 1) | 1;
+      range[0] = mid;
+    } else {
+      bits = bits << 1;
+      range[1] = mid;
+    }
+
+    evenBit = !evenBit;
+    bitCount++;
+
+    if (bitCount === 5) {
+      hash += GEOHASH_BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+};
+
+// Zone for a [longitude, latitude] pair
+const getZoneId = (coordinates) => {
+  const [lng, lat] = coordinates;
+  return encodeGeohash(lat, lng);
+};
+
+const roundMultiplier = (value) => Math.round(value * 10) / 10;
+
+// Multiplier for a demand/supply pair before smoothing
+const rawMultiplierFor = (demand, supply, cap) => {
+  const ratio = demand / Math.max(supply, 1);
+  const raw = ratio <= 1 ? 1 : 1 + ((ratio - 1) * SURGE_CONFIG.sensitivity);
+  return Math.min(raw, cap);
+};
+
+// Count open requests and available drivers per zone and vehicle type
+const collectZoneCounts = async () => {
+  const windowStart = new Date(Date.now() - SURGE_CONFIG.windowMinutes * 60 * 1000);
+  const counts = new Map();
+
+  const bucket = (zoneId, vehicleType) => {
+    const key = `${zoneId}:${vehicleType}`;
+    if (!counts.has(key)) {
+      counts.set(key, { zoneId, vehicleType, demand: 0, supply: 0 });
+    }
+    return counts.get(key);
+  };
+
+  // Requests still waiting, plus ones that went unserved, count as demand
+  const rides = await Ride.find({
+    createdAt: { $gte: windowStart },
+    status: { $in: ['pending', 'searching', 'no_driver_found'] }
+  }).select('rideType pickup.coordinates.coordinates').lean();
+
+  rides.forEach(ride => {
+    bucket(getZoneId(ride.pickup.coordinates.coordinates), ride.rideType).demand++;
+  });
+
+  const drivers = await User.find({
+    role: 'Driver',
+    isActive: true,
+    'driverInfo.isAvailable': true,
+    'driverInfo.vehicleType': { $ne: null },
+    'driverInfo.currentLocation.coordinates': { $ne: [0, 0] }
+  }).select('driverInfo.vehicleType driverInfo.currentLocation.coordinates').lean();
+
+  drivers.forEach(driver => {
+    bucket(getZoneId(driver.driverInfo.currentLocation.coordinates), driver.driverInfo.vehicleType).supply++;
+  });
+
+  return counts;
+};
+
+// Recompute every zone's multiplier from the latest window
+const refreshSurge = async () => {
+  const counts = await collectZoneCounts();
+  const existingZones = await SurgeZone.find({});
+  const now = new Date();
+
+  // Zones with no activity this window drift back towards 1
+  existingZones.forEach(zone => {
+    const key = `${zone.zoneId}:${zone.vehicleType}`;
+    if (!counts.has(key)) {
+      counts.set(key, { zoneId: zone.zoneId, vehicleType: zone.vehicleType, demand: 0, supply: 0 });
+    }
+  });
+
+  const zonesByKey = new Map(existingZones.map(zone => [`${zone.zoneId}:${zone.vehicleType}`, zone]));
+  const operations = [];
+
+  counts.forEach((count, key) => {
+    const zone = zonesByKey.get(key);
+    const cap = (zone && zone.maxMultiplier) || SURGE_CONFIG.maxMultiplier;
+    const previous = zone ? zone.multiplier : 1;
+    const raw = rawMultiplierFor(count.demand, count.supply, cap);
+
+    let multiplier = previous + (SURGE_CONFIG.smoothing * (raw - previous));
+    multiplier = Math.min(Math.max(roundMultiplier(multiplier), 1), cap);
+
+    // Skip brand-new zones with nothing to report
+    if (!zone && multiplier === 1 && count.demand === 0) {
+      return;
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { zoneId: count.zoneId, vehicleType: count.vehicleType },
+        update: {
+          $set: {
+            multiplier,
+            rawMultiplier: roundMultiplier(raw),
+            demand: count.demand,
+            supply: count.supply,
+            computedAt: now
+          }
+        },
+        upsert: true
+      }
+    });
+  });
+
+  if (operations.length > 0) {
+    await SurgeZone.bulkWrite(operations);
+  }
+
+  return operations.length;
+};
+
+// Surge multiplier for a pickup point
+const getSurgeMultiplier = async (coordinates, vehicleType) => {
+  const zoneId = getZoneId(coordinates);
+
+  try {
+    const zone = await SurgeZone.findOne({ zoneId, vehicleType });
+    return {
+      zoneId,
+      multiplier: zone ? zone.effectiveMultiplier : 1
+    };
+  } catch (error) {
+    console.error('Get surge multiplier error:', error);
+    return { zoneId, multiplier: 1 };
+  }
+};
+
+// Start the periodic surge refresh
+const startSurgeJob = () => {
+  return cron.schedule(SURGE_CONFIG.schedule, async () => {
+    try {
+      await refreshSurge();
+    } catch (error) {
+      console.error('Surge refresh error:', error);
+    }
+  });
+};
+
+module.exports = {
+  SURGE_CONFIG,
+  encodeGeohash,
+  getZoneId,
+  refreshSurge,
+  getSurgeMultiplier,
+  startSurgeJob
+};
@@ -0,0 +1,271 @@
+const Payment = require('../models/Payment');
+const Ride = require('../models/Ride');
+const WalletTransaction = require('../models/WalletTransaction');
+const Notification = require('../models/Notification');
+const { getPaymentProvider } = require('./paymentProvider');
+const { creditWallet, debitWallet } = require('./wallet');
+const { postTip, postWalletTopup } = require('./ledger');
+
+const TIP_CONFIG = {
+  // How long after the ride ends a tip can be added
+  windowHours: parseInt(process.env.TIP_WINDOW_HOURS) || 24,
+  // Amounts offered as one-tap choices; any amount within the limits can be sent
+  presets: (process.env.TIP_PRESET_AMOUNTS || '20,30,50').split(',').map(Number).filter(amount => amount > 0),
+  minAmount: 1,
+  maxAmount: parseFloat(process.env.TIP_MAX_AMOUNT) || 500
+};
+
+const TIP_METHODS = ['wallet', 'razorpay'];
+
+// Tip states that block another tip on the ride
+const ACTIVE_TIP_STATUSES = ['processing', 'pending', 'paid'];
+
+const windowMs = () => TIP_CONFIG.windowHours * 60 * 60 * 1000;
+
+const tipWindowEndsAt = (ride) => ride.actualEndTime ? new Date(ride.actualEndTime.getTime() + windowMs()) : null;
+
+// Why a ride can't take a tip now, or null if it can
+const tipError = (ride, now = new Date()) => {
+  if (ride.status !== 'completed' || !ride.driver || !ride.actualEndTime) {
+    return 'Only completed rides can be tipped';
+  }
+  if (now > tipWindowEndsAt(ride)) {
+    return `Tips can only be added within ${TIP_CONFIG.windowHours} hours of the ride`;
+  }
+  if (ride.tip && ACTIVE_TIP_STATUSES.includes(ride.tip.status)) {
+    return ride.tip.status === 'paid' ? 'You have already tipped on this ride' : 'A tip for this ride is already being paid';
+  }
+  return null;
+};
+
+const tipAmountError = (amount) => {
+  if (!(amount >= TIP_CONFIG.minAmount && amount <= TIP_CONFIG.maxAmount)) {
+    return `Tip must be between ₹${TIP_CONFIG.minAmount} and ₹${TIP_CONFIG.maxAmount}`;
+  }
+  return null;
+};
+
+// Presets, limits and the ride's tip so far
+const getTipOptions = (ride) => ({
+  presets: TIP_CONFIG.presets,
+  minAmount: TIP_CONFIG.minAmount,
+  maxAmount: TIP_CONFIG.maxAmount,
+  methods: TIP_METHODS,
+  windowEndsAt: tipWindowEndsAt(ride),
+  canTip: !tipError(ride),
+  tip: ride.tip && ride.tip.status ? ride.tip : null
+});
+
+// Reserve the ride's tip for a payment, so only one tip is paid per ride
+const claimTip = (ride, { amount, method, payment, status }) => Ride.findOneAndUpdate(
+  {
+    _id: ride._id,
+    status: 'completed',
+    actualEndTime: { $gte: new Date(Date.now() - windowMs()) },
+    'tip.status': { $nin: ACTIVE_TIP_STATUSES }
+  },
+  { $set: { tip: { amount, method, payment, status } }, $inc: { __v: 1 } },
+  { new: true }
+);
+
+// Free the ride's tip when its payment didn't go through
+const releaseTip = (paymentId) => Ride.updateOne(
+  { 'tip.payment': paymentId, 'tip.status': { $in: ['processing', 'pending'] } },
+  { $set: { 'tip.status': 'failed' }, $inc: { __v: 1 } }
+);
+
+// Load a ride the rider wants to tip and check it can be tipped
+const loadTippableRide = async (rider, rideId, amount) => {
+  const ride = await Ride.findById(rideId);
+  if (!ride) {
+    return { error: { success: false, statusCode: 404, message: 'Ride not found' } };
+  }
+  if (ride.user.toString() !== rider._id.toString()) {
+    return { error: { success: false, statusCode: 403, message: 'Unauthorized access to ride' } };
+  }
+
+  const message = tipAmountError(amount) || tipError(ride);
+  if (message) {
+    return { error: { success: false, statusCode: ride.tip && ACTIVE_TIP_STATUSES.includes(ride.tip.status) ? 409 : 400, message } };
+  }
+  return { ride };
+};
+
+// Credit a paid tip to the driver's earnings, outside commission. Runs once per
+// tip; returns null if the ride's tip is no longer this payment's.
+const applyTip = async (io, paymentId) => {
+  const ride = await Ride.findOne({ 'tip.payment': paymentId }).select('tip driver user');
+  if (!ride || ride.tip.status === 'paid') {
+    return null;
+  }
+
+  const { amount } = ride.tip;
+  const applied = await Ride.findOneAndUpdate(
+    { _id: ride._id, 'tip.payment': paymentId, 'tip.status': { $ne: 'paid' } },
+    {
+      $set: { 'tip.status': 'paid', 'tip.paidAt': new Date() },
+      $inc: { 'earnings.tip': amount, 'earnings.net': amount, __v: 1 }
+    },
+    { new: true }
+  );
+  if (!applied) {
+    return null;
+  }
+
+  const notification = new Notification({
+    user: applied.driver,
+    title: 'Tip Received',
+    message: `Your rider tipped you ₹${amount}. Tips go to you in full.`,
+    type: 'payment',
+    data: { rideId: applied._id, amount }
+  });
+  await notification.save();
+
+  if (io) {
+    io.to(`user_${applied.driver}`).emit('tip-received', {
+      rideId: applied._id,
+      amount,
+      earnings: { tip: applied.earnings.tip, net: applied.earnings.net }
+    });
+  }
+
+  return applied;
+};
+
+// Credit the tip in a paid payment to the driver and post it. If the ride's tip has
+// since gone to another payment, the rider gets the money back in their wallet and
+// null is returned.
+const settlePaidTip = async (io, payment, amount = payment.amount) => {
+  const ride = await applyTip(io, payment._id);
+  if (ride) {
+    await postTip(payment, ride.driver, { amount });
+    return ride;
+  }
+
+  const reference = `tip-returned:${payment._id}`;
+  if (!(await WalletTransaction.exists({ reference }))) {
+    await creditWallet(payment.user, amount, {
+      description: 'Tip returned to wallet',
+      ride: payment.ride,
+      payment: payment._id,
+      reference
+    });
+  }
+  // Wallet money that comes straight back never left the rider's wallet in the ledger
+  if (payment.method !== 'wallet') {
+    await postWalletTopup(payment, { amount, reference });
+  }
+  return null;
+};
+
+// Tip from the rider's wallet
+const tipFromWallet = async (io, rider, rideId, amount) => {
+  const { ride, error } = await loadTippableRide(rider, rideId, amount);
+  if (error) {
+    return error;
+  }
+
+  const payment = new Payment({
+    user: rider._id,
+    ride: ride._id,
+    type: 'tip',
+    amount,
+    method: 'wallet',
+    status: 'completed',
+    description: 'Tip for driver'
+  });
+
+  const claimed = await claimTip(ride, { amount, method: 'wallet', payment: payment._id, status: 'processing' });
+  if (!claimed) {
+    return { success: false, statusCode: 409, message: 'This ride can no longer be tipped' };
+  }
+
+  const debit = await debitWallet(rider._id, amount, {
+    description: 'Tip for driver',
+    ride: ride._id,
+    payment: payment._id
+  });
+  if (!debit) {
+    await releaseTip(payment._id);
+    return { success: false, statusCode: 402, message: `Add ₹${amount} to your wallet to send this tip` };
+  }
+
+  payment.completedAt = new Date();
+  payment.wallet = {
+    previousBalance: debit.previousBalance,
+    newBalance: debit.balanceAfter,
+    transactionType: 'debit'
+  };
+  await payment.save();
+  const applied = await settlePaidTip(io, payment);
+  if (!applied) {
+    return { success: false, statusCode: 409, message: 'This ride can no longer be tipped' };
+  }
+
+  return { success: true, payment, tip: applied.tip, walletBalance: debit.balanceAfter };
+};
+
+// Open a gateway order for a tip; it's credited once the payment is captured
+const createTipOrder = async (rider, rideId, amount) => {
+  const { ride, error } = await loadTippableRide(rider, rideId, amount);
+  if (error) {
+    return error;
+  }
+
+  const provider = getPaymentProvider();
+  const payment = new Payment({
+    user: rider._id,
+    ride: ride._id,
+    type: 'tip',
+    amount,
+    currency: 'INR',
+    method: 'razorpay',
+    status: 'pending',
+    description: 'Tip for driver',
+    provider: provider.name
+  });
+
+  const claimed = await claimTip(ride, { amount, method: 'razorpay', payment: payment._id, status: 'pending' });
+  if (!claimed) {
+    return { success: false, statusCode: 409, message: 'This ride can no longer be tipped' };
+  }
+
+  const orderResult = await provider.createOrder(
+    amount,
+    'INR',
+    `tip_${ride._id}_${Date.now()}`,
+    {
+      userId: rider._id.toString(),
+      rideId: ride._id.toString(),
+      type: 'tip',
+      tip: amount.toFixed(2)
+    }
+  );
+  if (!orderResult.success) {
+    await releaseTip(payment._id);
+    return { success: false, statusCode: 400, message: 'Failed to create payment order', error: orderResult.error };
+  }
+
+  payment.razorpay = {
+    orderId: orderResult.order.id,
+    receipt: orderResult.order.receipt,
+    notes: orderResult.order.notes
+  };
+  await payment.save();
+
+  return { success: true, payment, order: orderResult.order };
+};
+
+module.exports = {
+  TIP_CONFIG,
+  TIP_METHODS,
+  tipError,
+  tipAmountError,
+  getTipOptions,
+  claimTip,
+  releaseTip,
+  applyTip,
+  settlePaidTip,
+  tipFromWallet,
+  createTipOrder
+};
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const WalletTransaction = require('../models/WalletTransaction');
+
+// Balance fields behind each transaction account
+const BALANCE_FIELDS = {
+  wallet: 'wallet.balance',
+  credits: 'referralEarnings'
+};
+
+const MAX_PAGE_SIZE = 100;
+
+// Change a balance atomically and record the transaction with the balance it left.
+// `filter` adds conditions the user must still meet (e.g. enough funds); returns null if not.
+const changeBalance = async (userId, {
+  account = 'wallet',
+  type,
+  amount,
+  description,
+  ride = null,
+  payment = null,
+  reference,
+  filter = {},
+  alsoInc = {},
+  date = new Date()
+}) => {
+  const field = BALANCE_FIELDS[account];
+  const change = WalletTransaction.DEBIT_TYPES.includes(type) ? -amount : amount;
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, ...filter },
+    { $inc: { [field]: change, ...alsoInc } },
+    { new: true, projection: { [field]: 1 } }
+  );
+  if (!user) {
+    return null;
+  }
+
+  const balanceAfter = user.get(field);
+  const transaction = await WalletTransaction.create({
+    user: userId,
+    account,
+    type,
+    amount,
+    balanceAfter,
+    description,
+    ride,
+    payment,
+    reference,
+    date
+  });
+
+  return { transaction, previousBalance: Math.round((balanceAfter - change) * 100) / 100, balanceAfter };
+};
+
+// Add money to a wallet
+const creditWallet = (userId, amount, details = {}) => {
+  return changeBalance(userId, { type: 'credit', ...details, amount });
+};
+
+// Take money from a wallet; returns null when the balance is too low
+const debitWallet = (userId, amount, details = {}) => {
+  const field = BALANCE_FIELDS[details.account || 'wallet'];
+  return changeBalance(userId, {
+    ...details,
+    type: 'debit',
+    amount,
+    filter: { [field]: { $gte: amount }, ...(details.filter || {}) }
+  });
+};
+
+// Opaque cursor for the next page, built from the last transaction shown
+const encodeCursor = (transaction) => {
+  return Buffer.from(`${transaction.date.toISOString()}|${transaction._id}`).toString('base64url');
+};
+
+const decodeCursor = (cursor) => {
+  const [date, id] = Buffer.from(cursor, 'base64url').toString().split('|');
+  const parsed = new Date(date);
+  if (isNaN(parsed.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+    return null;
+  }
+  return { date: parsed, id: new mongoose.Types.ObjectId(id) };
+};
+
+// Newest-first page of a user's transactions, filtered by type, account and date range
+const listWalletTransactions = async (userId, { cursor, limit = 20, type, account, from, to } = {}) => {
+  const pageSize = Math.min(parseInt(limit) || 20, MAX_PAGE_SIZE);
+  const filter = { user: userId };
+
+  if (type) {
+    filter.type = type;
+  }
+  if (account) {
+    filter.account = account;
+  }
+  if (from || to) {
+    filter.date = {};
+    if (from) {
+      filter.date.$gte = new Date(from);
+    }
+    if (to) {
+      filter.date.$lte = new Date(to);
+    }
+  }
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      return { success: false, message: 'Invalid cursor' };
+    }
+    filter.$or = [
+      { date: { $lt: position.date } },
+      { date: position.date, _id: { $lt: position.id } }
+    ];
+  }
+
+  const transactions = await WalletTransaction.find(filter)
+    .sort({ date: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('ride', 'pickup.address destination.address status');
+
+  const hasMore = transactions.length > pageSize;
+  const page = transactions.slice(0, pageSize);
+
+  return {
+    success: true,
+    transactions: page,
+    pagination: {
+      limit: pageSize,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+    }
+  };
+};
+
+module.exports = {
+  changeBalance,
+  creditWallet,
+  debitWallet,
+  listWalletTransactions
+};
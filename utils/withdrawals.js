@@ -0,0 +1,289 @@
+const User = require('../models/User');
+const Withdrawal = require('../models/Withdrawal');
+const Notification = require('../models/Notification');
+const { getWithdrawableBalance } = require('./commission');
+const { postWithdrawalRequest, postWithdrawalReversal, postWithdrawalPaid } = require('./ledger');
+
+const WITHDRAWAL_CONFIG = {
+  minAmount: parseFloat(process.env.WITHDRAWAL_MIN_AMOUNT) || 100,
+  maxAmount: parseFloat(process.env.WITHDRAWAL_MAX_AMOUNT) || 50000,
+  // Platform account the payout file debits
+  debitAccountNumber: process.env.PAYOUT_DEBIT_ACCOUNT_NUMBER || ''
+};
+
+const NOTIFICATION_MESSAGES = {
+  approved: (amount) => `Your withdrawal of ₹${amount} has been approved and will be sent to your bank shortly.`,
+  rejected: (amount) => `Your withdrawal of ₹${amount} was rejected. The amount is available to withdraw again.`,
+  processing: (amount) => `Your withdrawal of ₹${amount} has been sent to the bank for payment.`,
+  paid: (amount) => `₹${amount} has been paid to your bank account.`,
+  failed: (amount) => `Your withdrawal of ₹${amount} could not be paid. Please check your bank details and try again.`
+};
+
+const notifyDriver = async (io, withdrawal) => {
+  const notification = new Notification({
+    user: withdrawal.driver,
+    title: 'Withdrawal Update',
+    message: NOTIFICATION_MESSAGES[withdrawal.status](withdrawal.amount),
+    type: 'payment',
+    data: { withdrawalId: withdrawal._id, status: withdrawal.status }
+  });
+  await notification.save();
+
+  if (io) {
+    io.to(`user_${withdrawal.driver}`).emit('withdrawal-updated', {
+      withdrawalId: withdrawal._id,
+      amount: withdrawal.amount,
+      status: withdrawal.status
+    });
+  }
+};
+
+// Move a withdrawal to a status if it is still in one that allows it; null otherwise
+const transition = (withdrawalId, status, { by = null, note, set = {} } = {}) => {
+  const from = Object.keys(Withdrawal.TRANSITIONS).filter(current => Withdrawal.TRANSITIONS[current].includes(status));
+
+  return Withdrawal.findOneAndUpdate(
+    { _id: withdrawalId, status: { $in: from } },
+    {
+      $set: { status, inFlight: Withdrawal.IN_FLIGHT_STATUSES.includes(status), ...set },
+      $push: { history: { status, at: new Date(), by, note } }
+    },
+    { new: true }
+  );
+};
+
+// Explain why a withdrawal can't move to a status
+const transitionError = async (withdrawalId, status) => {
+  const withdrawal = await Withdrawal.findById(withdrawalId).select('status');
+  if (!withdrawal) {
+    return { statusCode: 404, message: 'Withdrawal not found' };
+  }
+  return { statusCode: 409, message: `A ${withdrawal.status} withdrawal cannot be ${status}` };
+};
+
+// Driver asks for part of their net payable to be sent to their bank
+const requestWithdrawal = async (driver, amount) => {
+  if (amount < WITHDRAWAL_CONFIG.minAmount) {
+    return { success: false, statusCode: 400, message: `The minimum withdrawal is ₹${WITHDRAWAL_CONFIG.minAmount}` };
+  }
+  if (amount > WITHDRAWAL_CONFIG.maxAmount) {
+    return { success: false, statusCode: 400, message: `The maximum withdrawal is ₹${WITHDRAWAL_CONFIG.maxAmount}` };
+  }
+
+  const bankDetails = driver.driverInfo.bankDetails || {};
+  if (!bankDetails.accountNumber || !bankDetails.ifscCode || !bankDetails.accountHolderName) {
+    return { success: false, statusCode: 400, message: 'Add your bank details before requesting a withdrawal' };
+  }
+
+  const balance = await getWithdrawableBalance(driver._id);
+  if (amount > balance.available) {
+    return {
+      success: false,
+      statusCode: 400,
+      message: 'Insufficient earnings for withdrawal',
+      available: balance.available
+    };
+  }
+
+  const withdrawal = new Withdrawal({
+    driver: driver._id,
+    amount,
+    duesOffset: balance.cashDues,
+    bankDetails: {
+      accountNumber: bankDetails.accountNumber,
+      ifscCode: bankDetails.ifscCode.toUpperCase(),
+      accountHolderName: bankDetails.accountHolderName,
+      bankName: bankDetails.bankName
+    },
+    history: [{ status: 'requested', by: driver._id }]
+  });
+
+  try {
+    await withdrawal.save();
+  } catch (error) {
+    // The in-flight index allows one open withdrawal per driver
+    if (error.code === 11000) {
+      return { success: false, statusCode: 409, message: 'You already have a withdrawal in progress' };
+    }
+    throw error;
+  }
+
+  // Cash dues are paid off from the earnings at the same time
+  if (withdrawal.duesOffset > 0) {
+    const offset = await User.updateOne(
+      { _id: driver._id, 'driverInfo.cashDues': { $gte: withdrawal.duesOffset } },
+      { $inc: { 'driverInfo.cashDues': -withdrawal.duesOffset } }
+    );
+    if (offset.modifiedCount === 0) {
+      withdrawal.duesOffset = 0;
+      await withdrawal.save();
+    }
+  }
+
+  await postWithdrawalRequest(withdrawal);
+  return { success: true, withdrawal };
+};
+
+// Approve requested withdrawals; ones that have moved on are reported as skipped
+const approveWithdrawals = async (io, withdrawalIds, admin) => {
+  const approved = [];
+  const skipped = [];
+
+  for (const withdrawalId of withdrawalIds) {
+    const withdrawal = await transition(withdrawalId, 'approved', {
+      by: admin._id,
+      set: { 'review.by': admin._id, 'review.at': new Date() }
+    });
+
+    if (!withdrawal) {
+      skipped.push({ withdrawalId, ...(await transitionError(withdrawalId, 'approved')) });
+      continue;
+    }
+
+    approved.push(withdrawal);
+    await notifyDriver(io, withdrawal);
+  }
+
+  return { approved, skipped };
+};
+
+// Reject a withdrawal and give the earnings back
+const rejectWithdrawal = async (io, withdrawalId, admin, reason) => {
+  const withdrawal = await transition(withdrawalId, 'rejected', {
+    by: admin._id,
+    note: reason,
+    set: { 'review.by': admin._id, 'review.at': new Date(), 'review.rejectionReason': reason }
+  });
+  if (!withdrawal) {
+    return { success: false, ...(await transitionError(withdrawalId, 'rejected')) };
+  }
+
+  await postWithdrawalReversal(withdrawal);
+  await notifyDriver(io, withdrawal);
+  return { success: true, withdrawal };
+};
+
+// Bank has confirmed the transfer
+const markWithdrawalPaid = async (io, withdrawalId, admin, utr) => {
+  const withdrawal = await transition(withdrawalId, 'paid', {
+    by: admin._id,
+    note: utr,
+    set: { 'payout.utr': utr, 'payout.paidAt': new Date() }
+  });
+  if (!withdrawal) {
+    return { success: false, ...(await transitionError(withdrawalId, 'paid')) };
+  }
+
+  await postWithdrawalPaid(withdrawal);
+  await notifyDriver(io, withdrawal);
+  return { success: true, withdrawal };
+};
+
+// Bank has bounced the transfer; the earnings go back to the driver
+const markWithdrawalFailed = async (io, withdrawalId, admin, reason) => {
+  const withdrawal = await transition(withdrawalId, 'failed', {
+    by: admin._id,
+    note: reason,
+    set: { 'payout.failureReason': reason }
+  });
+  if (!withdrawal) {
+    return { success: false, ...(await transitionError(withdrawalId, 'failed')) };
+  }
+
+  await postWithdrawalReversal(withdrawal);
+  await notifyDriver(io, withdrawal);
+  return { success: true, withdrawal };
+};
+
+// Quote a CSV field, and stop spreadsheets reading it as a formula
+const csvField = (value) => {
+  const text = String(value === undefined || value === null ? '' : value).replace(/^[=+\-@]+/, '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const PAYOUT_FILE_COLUMNS = [
+  'Transaction Type',
+  'Beneficiary Code',
+  'Beneficiary Account Number',
+  'Transaction Amount',
+  'Beneficiary Name',
+  'IFSC Code',
+  'Beneficiary Bank Name',
+  'Debit Account Number',
+  'Value Date',
+  'Customer Reference Number',
+  'Payment Details'
+];
+
+// NEFT bulk upload file, one row per withdrawal
+const buildPayoutFile = (withdrawals, valueDate = new Date()) => {
+  const date = new Intl.DateTimeFormat('en-GB', {
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    timeZone: process.env.APP_TIMEZONE || 'Asia/Kolkata'
+  }).format(valueDate);
+
+  const rows = withdrawals.map(withdrawal => [
+    'NEFT',
+    withdrawal.driver._id || withdrawal.driver,
+    withdrawal.bankDetails.accountNumber,
+    withdrawal.amount.toFixed(2),
+    withdrawal.bankDetails.accountHolderName,
+    withdrawal.bankDetails.ifscCode,
+    withdrawal.bankDetails.bankName,
+    WITHDRAWAL_CONFIG.debitAccountNumber,
+    date,
+    withdrawal._id,
+    'Driver earnings payout'
+  ]);
+
+  return [PAYOUT_FILE_COLUMNS, ...rows]
+    .map(row => row.map(csvField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// Move approved withdrawals (all of them, or the ones given) into a payout batch
+const createPayoutBatch = async (io, admin, withdrawalIds) => {
+  const filter = { status: 'approved' };
+  if (withdrawalIds && withdrawalIds.length) {
+    filter._id = { $in: withdrawalIds };
+  }
+
+  const candidates = await Withdrawal.find(filter).select('_id').sort({ createdAt: 1 });
+  const now = new Date();
+  const batchId = `PAYOUT-${now.toISOString().replace(/\D/g, '').slice(0, 17)}`;
+  const withdrawals = [];
+
+  for (const candidate of candidates) {
+    const withdrawal = await transition(candidate._id, 'processing', {
+      by: admin._id,
+      note: batchId,
+      set: { 'payout.batchId': batchId, 'payout.exportedAt': now }
+    });
+
+    // Another export or a rejection got there first
+    if (withdrawal) {
+      withdrawals.push(withdrawal);
+      await notifyDriver(io, withdrawal);
+    }
+  }
+
+  return {
+    batchId,
+    count: withdrawals.length,
+    total: Math.round(withdrawals.reduce((sum, withdrawal) => sum + withdrawal.amount, 0) * 100) / 100,
+    file: buildPayoutFile(withdrawals, now)
+  };
+};
+
+module.exports = {
+  WITHDRAWAL_CONFIG,
+  requestWithdrawal,
+  approveWithdrawals,
+  rejectWithdrawal,
+  markWithdrawalPaid,
+  markWithdrawalFailed,
+  buildPayoutFile,
+  createPayoutBatch
+};